@@ -0,0 +1,269 @@
+/**
+ * Headless bot-vs-bot simulation
+ *
+ * Plays games between computer strategies with the rules engine and reports win rates, game length,
+ * reshuffle frequency and how often the house-rule edge cases came up. Exits with code 1 when a game
+ * breaks the rules (a bot move the engine rejects, cards going missing, a game that never ends),
+ * so it doubles as a regression test for the engine and the house rules.
+ *
+ *   pnpm simulate --games 2000 --rules party --bots hard,normal,easy
+ *   pnpm simulate --bots search,hard --games 200 --search-budget 50
+ *   pnpm simulate --rules classic --target 500 --json
+ *
+ * Strategies are the bot levels (easy, normal, hard) plus "search", the Monte-Carlo search bot.
+ * Seats rotate between games so no strategy keeps the first seat.
+ */
+import { parseArgs } from 'node:util';
+import { PACK_OF_CARDS } from '../src/utils/packOfCards';
+import {
+  GameEvent,
+  GameState,
+  Move,
+  RULES_PRESETS,
+  RulesPresetName,
+  applyMove,
+  canCallUno,
+  canJumpIn,
+  catchableUnoPlayer,
+  createGame,
+  getRulesPreset,
+} from '../src/lib/engine';
+import {
+  BOT_LEVELS,
+  BotLevelName,
+  BotMemory,
+  chooseBotMove,
+  createBotMemory,
+  getBotLevel,
+  rememberEvents,
+  searchBotMove,
+} from '../src/lib/bot';
+import { deriveSeed, randomSeed } from '../src/lib/shuffle';
+
+type Strategy = BotLevelName | 'search';
+
+const STRATEGIES: Strategy[] = [...(Object.keys(BOT_LEVELS) as BotLevelName[]), 'search'];
+// a game that takes longer than this is stuck
+const MAX_MOVES = 5000;
+// bots only act on their own turn in the app, here they jump in now and then so the rule gets exercised
+const JUMP_IN_CHANCE = 0.5;
+// the events worth counting, mostly the house-rule edge cases
+const TRACKED_EVENTS: GameEvent['type'][] = [
+  'drawStacked',
+  'jumpedIn',
+  'handsSwapped',
+  'handsRotated',
+  'directionChanged',
+  'drawFourPlayed',
+  'drawFourChallenged',
+  'unoMissed',
+  'unoPenalty',
+  'deckReshuffled',
+  'drawPileEmpty',
+  'roundOver',
+];
+
+interface Options {
+  games: number;
+  rules: RulesPresetName;
+  targetScore: number | null;
+  strategies: Strategy[];
+  searchBudget: number;
+  seed: string;
+  json: boolean;
+}
+
+interface GameResult {
+  winner: string;
+  moves: number;
+  rounds: number;
+  events: Record<string, number>;
+  // what went wrong, empty for a clean game
+  errors: string[];
+}
+
+function parseOptions(): Options {
+  const { values } = parseArgs({
+    options: {
+      games: { type: 'string', default: '1000' },
+      rules: { type: 'string', default: 'zunno' },
+      target: { type: 'string' },
+      bots: { type: 'string', default: 'hard,normal' },
+      'search-budget': { type: 'string', default: '50' },
+      seed: { type: 'string' },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  if (!(values.rules! in RULES_PRESETS)) {
+    throw new Error(`Unknown rules preset "${values.rules}", pick one of ${Object.keys(RULES_PRESETS).join(', ')}`);
+  }
+  const strategies = values.bots!.split(',').map(name => name.trim()) as Strategy[];
+  const unknown = strategies.find(name => !STRATEGIES.includes(name));
+  if (unknown) {
+    throw new Error(`Unknown bot "${unknown}", pick from ${STRATEGIES.join(', ')}`);
+  }
+  if (strategies.length < 2) {
+    throw new Error('A game needs at least two bots');
+  }
+
+  return {
+    games: Number(values.games),
+    rules: values.rules as RulesPresetName,
+    targetScore: values.target == null ? null : Number(values.target),
+    strategies,
+    searchBudget: Number(values['search-budget']),
+    seed: values.seed || randomSeed(),
+    json: values.json!,
+  };
+}
+
+function chooseMove(strategy: Strategy, state: GameState, player: string, memory: BotMemory, searchBudget: number): Move {
+  return strategy === 'search'
+    ? searchBotMove(state, player, { memory, timeBudget: searchBudget }).move
+    : chooseBotMove(state, player, strategy, memory);
+}
+
+function levelOf(strategy: Strategy) {
+  return getBotLevel(strategy === 'search' ? 'hard' : strategy);
+}
+
+function cardCount(state: GameState): number {
+  return Object.values(state.hands).reduce((total, hand) => total + hand.length, 0) + state.playedCardsPile.length + state.drawCardPile.length;
+}
+
+function playGame(options: Options, seats: Strategy[], gameSeed: string): GameResult {
+  const players = seats.map((strategy, index) => `${strategy}#${index + 1}`);
+  const strategyOf = Object.fromEntries(players.map((player, index) => [player, seats[index]]));
+  const preset = getRulesPreset(options.rules);
+  const rules = { ...preset.rules, ...(options.targetScore == null ? {} : { targetScore: options.targetScore }) };
+
+  let state = createGame({ players, rules, seed: gameSeed });
+  let memory = createBotMemory();
+  let moves = 0;
+  const events: Record<string, number> = {};
+  const errors: string[] = [];
+  // the clock only matters for the UNO catch window, which bots answer straight away
+  const now = () => 0;
+
+  const apply = (move: Move) => {
+    const before = state;
+    const result = applyMove(state, move, { now });
+    result.events.forEach(event => {
+      if (event.type === 'invalidMove') {
+        errors.push(`${event.player} made an invalid move ${JSON.stringify(move)}: ${event.reason}`);
+      } else if (TRACKED_EVENTS.includes(event.type)) {
+        events[event.type] = (events[event.type] || 0) + 1;
+      }
+    });
+    memory = rememberEvents(memory, before, result.events);
+    state = result.state;
+    if (cardCount(state) !== PACK_OF_CARDS.length) {
+      errors.push(`${cardCount(state)} cards in play after ${JSON.stringify(move)}`);
+    }
+  };
+
+  while (!state.gameOver && errors.length === 0 && moves < MAX_MOVES) {
+    if (state.roundOver) {
+      apply({ type: 'nextRound' });
+      continue;
+    }
+
+    const jumper = players.find(seat => state.hands[seat].some(card => canJumpIn(state, seat, card)));
+    let player = state.turn;
+    let move: Move;
+    if (jumper && Math.random() < JUMP_IN_CHANCE) {
+      const card = state.hands[jumper].find(held => canJumpIn(state, jumper, held))!;
+      player = jumper;
+      move = { type: 'playCard', player, card, target: players.find(seat => seat !== jumper) };
+    } else {
+      move = chooseMove(strategyOf[player], state, player, memory, options.searchBudget);
+    }
+    // a bot that remembers calls UNO before its second to last card, or straight after it when it jumped in
+    const callsUno = move.type === 'playCard' && state.hands[player].length === 2 && Math.random() >= levelOf(strategyOf[player]).forgetsUno;
+    callsUno && canCallUno(state, player) && apply({ type: 'callUno', player });
+    apply(move);
+    callsUno && state.unoCatch?.player === player && apply({ type: 'callUno', player });
+    moves++;
+
+    // the quickest bot at the table catches a missed UNO
+    const catcher = !state.roundOver && !state.gameOver && players
+      .filter(seat => catchableUnoPlayer(state, seat, now()))
+      .sort((a, b) => levelOf(strategyOf[a]).catchDelay - levelOf(strategyOf[b]).catchDelay)[0];
+    catcher && apply({ type: 'catchUno', player: catcher });
+  }
+
+  if (!state.gameOver && errors.length === 0) {
+    errors.push(`no winner after ${MAX_MOVES} moves`);
+  }
+
+  return { winner: state.gameOver ? strategyOf[state.winner] : '', moves, rounds: state.match.round, events, errors };
+}
+
+function percent(count: number, total: number): string {
+  return `${((100 * count) / Math.max(total, 1)).toFixed(1)}%`;
+}
+
+function main() {
+  const options = parseOptions();
+  const results: GameResult[] = [];
+
+  for (let game = 0; game < options.games; game++) {
+    // rotate the seats every game
+    const offset = game % options.strategies.length;
+    const seats = [...options.strategies.slice(offset), ...options.strategies.slice(0, offset)];
+    results.push(playGame(options, seats, deriveSeed(options.seed, `game:${game}`)));
+  }
+
+  const seatsPerStrategy = Object.fromEntries(STRATEGIES.map(strategy => [strategy, options.strategies.filter(seat => seat === strategy).length]));
+  const wins: Record<string, number> = {};
+  const events: Record<string, number> = {};
+  const gamesWith: Record<string, number> = {};
+  results.forEach(result => {
+    result.winner && (wins[result.winner] = (wins[result.winner] || 0) + 1);
+    Object.entries(result.events).forEach(([type, count]) => {
+      events[type] = (events[type] || 0) + count;
+      gamesWith[type] = (gamesWith[type] || 0) + 1;
+    });
+  });
+  const failures = results.filter(result => result.errors.length > 0);
+  const average = (value: (result: GameResult) => number) => results.reduce((total, result) => total + value(result), 0) / Math.max(results.length, 1);
+
+  const report = {
+    games: options.games,
+    rules: options.rules,
+    bots: options.strategies,
+    seed: options.seed,
+    // share of the games each strategy won, per seat it held
+    winRate: Object.fromEntries(
+      Array.from(new Set(options.strategies)).map(strategy => [strategy, (wins[strategy] || 0) / options.games / seatsPerStrategy[strategy]])
+    ),
+    averageMoves: average(result => result.moves),
+    averageRounds: average(result => result.rounds),
+    reshufflesPerGame: (events.deckReshuffled || 0) / Math.max(options.games, 1),
+    events,
+    gamesWith,
+    failures: failures.length,
+    errors: failures.slice(0, 10).flatMap(result => result.errors),
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`${options.games} games · ${options.rules} rules · ${options.strategies.join(' vs ')} · seed ${options.seed}\n`);
+    console.log('Win rate (per seat)');
+    Object.entries(report.winRate).forEach(([strategy, rate]) => console.log(`  ${strategy.padEnd(8)} ${percent(rate, 1)}`));
+    console.log(`\nAverage game length  ${report.averageMoves.toFixed(1)} moves, ${report.averageRounds.toFixed(2)} rounds`);
+    console.log(`Reshuffles           ${report.reshufflesPerGame.toFixed(2)} per game, in ${percent(gamesWith.deckReshuffled || 0, options.games)} of games`);
+    console.log('\nEdge cases              total   games');
+    TRACKED_EVENTS.forEach(type =>
+      console.log(`  ${type.padEnd(20)} ${String(events[type] || 0).padStart(7)}   ${percent(gamesWith[type] || 0, options.games).padStart(6)}`)
+    );
+    console.log(`\nBroken games         ${failures.length}`);
+    report.errors.forEach(error => console.log(`  ${error}`));
+  }
+
+  process.exitCode = failures.length > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,141 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { ChatReport, ChatStore, DEFAULT_BLOCKED_WORDS, MemoryChatStore, RoomChat, SupabaseChatStore, blockedWords, createChatStore, wordFilter } from './chat';
+import { ChatMessage, MAX_CHAT_HISTORY } from '../src/lib/chat';
+
+// the variables a test sets, nothing else
+const env = (vars: Record<string, string>) => vars as NodeJS.ProcessEnv;
+
+const message = (id: string, user = 'Player 1'): ChatMessage => ({ id, user, kind: 'text', text: `message ${id}`, sentAt: 0, reactions: {} });
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('wordFilter', () => {
+  it('masks whole blocked words in any case', () => {
+    const filter = wordFilter(['darn', 'heck']);
+    expect(filter('Darn it, what the HECK')).toBe('**** it, what the ****');
+    expect(filter('darning the socks')).toBe('darning the socks');
+  });
+
+  it('takes words with regex characters literally', () => {
+    expect(wordFilter(['a.b'])('a.b axb')).toBe('*** axb');
+  });
+
+  it('lets everything through without a list', () => {
+    expect(wordFilter([])('anything')).toBe('anything');
+  });
+});
+
+describe('blockedWords', () => {
+  it('uses the default list when none is configured', () => {
+    expect(blockedWords(env({}))).toBe(DEFAULT_BLOCKED_WORDS);
+  });
+
+  it('reads a comma separated list, an empty one turns the filter off', () => {
+    expect(blockedWords(env({ CHAT_BLOCKED_WORDS: ' Darn, heck ,,' }))).toEqual(['darn', 'heck']);
+    expect(blockedWords(env({ CHAT_BLOCKED_WORDS: '' }))).toEqual([]);
+  });
+
+  it('reads a file of one word a line before the list', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'words-'));
+    const file = join(dir, 'words.txt');
+    writeFileSync(file, 'Darn\n\nheck\n');
+    try {
+      expect(blockedWords(env({ CHAT_BLOCKED_WORDS_FILE: file, CHAT_BLOCKED_WORDS: 'other' }))).toEqual(['darn', 'heck']);
+    } finally {
+      rmSync(dir, { recursive: true });
+    }
+  });
+});
+
+describe('createChatStore', () => {
+  it('only keeps the logs in Supabase with the service role key', () => {
+    const url = 'https://example.supabase.co';
+    expect(createChatStore(env({ NEXT_PUBLIC_SUPABASE_URL: url }))).toBeInstanceOf(MemoryChatStore);
+    expect(createChatStore(env({}))).toBeInstanceOf(MemoryChatStore);
+    expect(createChatStore(env({ NEXT_PUBLIC_SUPABASE_URL: url, SUPABASE_SERVICE_ROLE_KEY: 'key' }))).toBeInstanceOf(SupabaseChatStore);
+  });
+});
+
+describe('MemoryChatStore', () => {
+  it('keeps the latest messages of a room and updates the ones it has', async () => {
+    const store = new MemoryChatStore();
+    for (let id = 0; id < MAX_CHAT_HISTORY + 5; id++) await store.save('7', message(String(id)));
+    await store.save('7', { ...message(String(MAX_CHAT_HISTORY)), reactions: { '👍': ['Player 2'] } });
+
+    const log = await store.load('7');
+    expect(log).toHaveLength(MAX_CHAT_HISTORY);
+    expect(log[0].id).toBe('5');
+    expect(log.find(logged => logged.id === String(MAX_CHAT_HISTORY))!.reactions).toEqual({ '👍': ['Player 2'] });
+    expect(await store.load('8')).toEqual([]);
+  });
+});
+
+describe('RoomChat', () => {
+  function recording(): ChatStore & { saved: ChatMessage[]; reports: ChatReport[]; loads: number } {
+    const store = {
+      saved: [] as ChatMessage[],
+      reports: [] as ChatReport[],
+      loads: 0,
+      load: async () => {
+        store.loads++;
+        return [message('old')];
+      },
+      save: async (_room: string, saved: ChatMessage) => {
+        store.saved.push(saved);
+      },
+      report: async (report: ChatReport) => {
+        store.reports.push(report);
+      },
+    };
+    return store;
+  }
+
+  it('reads a room from the store once and writes every message through', async () => {
+    const store = recording();
+    const chat = new RoomChat(store);
+    await chat.add('7', message('new'));
+    expect((await chat.history('7')).map(logged => logged.id)).toEqual(['old', 'new']);
+    expect(store.loads).toBe(1);
+    expect(store.saved.map(saved => saved.id)).toEqual(['new']);
+  });
+
+  it('starts an empty log when the store is down', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const chat = new RoomChat({ ...recording(), load: () => Promise.reject(new Error('down')) });
+    expect(await chat.history('7')).toEqual([]);
+  });
+
+  it('toggles reactions on messages still in the log', async () => {
+    const store = recording();
+    const chat = new RoomChat(store);
+    expect(await chat.react('7', 'old', 'Player 2', '👍')).toBe(true);
+    expect((await chat.history('7'))[0].reactions).toEqual({ '👍': ['Player 2'] });
+    expect(store.saved).toHaveLength(1);
+    expect(await chat.react('7', 'gone', 'Player 2', '👍')).toBe(false);
+  });
+
+  it('records a report once per player with the game it was sent in', async () => {
+    const store = recording();
+    const chat = new RoomChat(store);
+    expect(await chat.report('7', 'old', 'Player 2')).toBeNull();
+    expect(store.reports).toMatchObject([{ gameId: '7', reporter: 'Player 2', message: { id: 'old', user: 'Player 1' } }]);
+    expect(await chat.report('7', 'old', 'Player 2')).toBe('You already reported that message.');
+    expect(await chat.report('7', 'old', 'Player 1')).toBe("You can't report your own message.");
+    expect(await chat.report('7', 'gone', 'Player 2')).toBe('That message is no longer in the chat.');
+    expect(store.reports).toHaveLength(1);
+  });
+
+  it('reads a closed room from the store again', async () => {
+    const store = recording();
+    const chat = new RoomChat(store);
+    await chat.history('7');
+    chat.close('7');
+    await chat.history('7');
+    expect(store.loads).toBe(2);
+  });
+});
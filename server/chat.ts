@@ -0,0 +1,235 @@
+import { readFileSync } from 'node:fs';
+import { SupabaseClient, createClient } from '@supabase/supabase-js';
+import { ChatMessage, MAX_CHAT_HISTORY, MessageKind, Reaction, toggleReaction } from '../src/lib/chat';
+
+// Room chat on the server. Every room's log is kept so a player who refreshes or comes in late gets
+// it replayed, in Supabase when the app is set up for it and in memory otherwise. Players can only send
+// so many messages in a while, blocked words are masked, and reported messages are recorded together
+// with the game they were sent in.
+
+export interface ChatReport {
+  gameId: string;
+  message: ChatMessage;
+  reporter: string;
+  reportedAt: number;
+}
+
+// where the logs and the reports are kept
+export interface ChatStore {
+  // the latest messages of a room, oldest first
+  load(roomId: string): Promise<ChatMessage[]>;
+  // a new message, or one whose reactions changed
+  save(roomId: string, message: ChatMessage): Promise<void>;
+  report(report: ChatReport): Promise<void>;
+}
+
+// rooms the memory store keeps a log for, the oldest are dropped first
+const MAX_STORED_ROOMS = 500;
+
+// keeps the logs for as long as the server runs, reports only go to the server log
+export class MemoryChatStore implements ChatStore {
+  private logs = new Map<string, ChatMessage[]>();
+
+  async load(roomId: string): Promise<ChatMessage[]> {
+    return [...(this.logs.get(roomId) || [])];
+  }
+
+  async save(roomId: string, message: ChatMessage): Promise<void> {
+    const log = this.logs.get(roomId) || [];
+    const index = log.findIndex(logged => logged.id === message.id);
+    if (index >= 0) log[index] = message;
+    else log.push(message);
+    // the room moves to the back of the line
+    this.logs.delete(roomId);
+    this.logs.set(roomId, log.slice(-MAX_CHAT_HISTORY));
+    if (this.logs.size > MAX_STORED_ROOMS) this.logs.delete(this.logs.keys().next().value!);
+  }
+
+  async report(report: ChatReport): Promise<void> {
+    console.warn(`Chat report in game ${report.gameId} by ${report.reporter}:`, report.message);
+  }
+}
+
+// a message in a room's chat log, table room_chat_messages
+interface ChatMessageRow {
+  id: string;
+  room_id: string;
+  user_name: string;
+  kind: string;
+  text: string;
+  sent_at: number;
+  reactions: Record<string, string[]>;
+}
+
+// a message a player reported, table chat_reports
+interface ChatReportRow {
+  game_id: string;
+  message_id: string;
+  reported_user: string;
+  text: string;
+  sent_at: number;
+  reporter: string;
+  reported_at: number;
+}
+
+// the room_chat_messages and chat_reports tables (supabase/migrations). They only take the service
+// role key, which stays on the server: the browser's client in src/utils/supabase.ts has the anon key.
+export class SupabaseChatStore implements ChatStore {
+  private client: SupabaseClient;
+
+  constructor(url: string, serviceKey: string) {
+    this.client = createClient(url, serviceKey, { auth: { persistSession: false } });
+  }
+
+  async load(roomId: string): Promise<ChatMessage[]> {
+    const { data, error } = await this.client
+      .from('room_chat_messages')
+      .select('*')
+      .eq('room_id', roomId)
+      .order('sent_at', { ascending: false })
+      .limit(MAX_CHAT_HISTORY);
+    if (error) throw error;
+    return ((data || []) as ChatMessageRow[]).reverse().map(row => ({
+      id: row.id,
+      user: row.user_name,
+      kind: row.kind as MessageKind,
+      text: row.text,
+      sentAt: row.sent_at,
+      reactions: row.reactions || {},
+    }));
+  }
+
+  async save(roomId: string, message: ChatMessage): Promise<void> {
+    const row: ChatMessageRow = {
+      id: message.id,
+      room_id: roomId,
+      user_name: message.user,
+      kind: message.kind,
+      text: message.text,
+      sent_at: message.sentAt,
+      reactions: message.reactions as Record<string, string[]>,
+    };
+    const { error } = await this.client.from('room_chat_messages').upsert([row]);
+    if (error) throw error;
+  }
+
+  async report({ gameId, message, reporter, reportedAt }: ChatReport): Promise<void> {
+    const row: ChatReportRow = {
+      game_id: gameId,
+      message_id: message.id,
+      reported_user: message.user,
+      text: message.text,
+      sent_at: message.sentAt,
+      reporter,
+      reported_at: reportedAt,
+    };
+    const { error } = await this.client.from('chat_reports').insert([row]);
+    if (error) throw error;
+  }
+}
+
+// the chat tables only take the service role key, without it the logs stay in memory
+export function createChatStore(env: NodeJS.ProcessEnv = process.env): ChatStore {
+  return env.NEXT_PUBLIC_SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY
+    ? new SupabaseChatStore(env.NEXT_PUBLIC_SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY)
+    : new MemoryChatStore();
+}
+
+// masked when no list is configured
+export const DEFAULT_BLOCKED_WORDS = [
+  'asshole',
+  'bastard',
+  'bitch',
+  'bullshit',
+  'cunt',
+  'dick',
+  'fuck',
+  'fucker',
+  'fucking',
+  'motherfucker',
+  'shit',
+  'slut',
+  'whore',
+];
+
+/**
+ * The words typed messages can't carry: the file CHAT_BLOCKED_WORDS_FILE (one word a line) or the
+ * comma separated CHAT_BLOCKED_WORDS, the default list when neither is set. An empty
+ * CHAT_BLOCKED_WORDS turns the filter off.
+ */
+export function blockedWords(env: NodeJS.ProcessEnv = process.env): string[] {
+  const listed = env.CHAT_BLOCKED_WORDS_FILE
+    ? readFileSync(env.CHAT_BLOCKED_WORDS_FILE, 'utf8').split('\n')
+    : env.CHAT_BLOCKED_WORDS?.split(',');
+  if (!listed) return DEFAULT_BLOCKED_WORDS;
+  return listed.map(word => word.trim().toLowerCase()).filter(Boolean);
+}
+
+// masks the blocked words with asterisks, whole words in any case
+export function wordFilter(words: string[]): (text: string) => string {
+  if (!words.length) return text => text;
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi');
+  return text => text.replace(pattern, word => '*'.repeat(word.length));
+}
+
+/**
+ * The logs of the open rooms, read from the store when a room is first asked for and written through
+ * to it. Reactions are only kept on messages that are still in the log.
+ */
+export class RoomChat {
+  private logs = new Map<string, Promise<ChatMessage[]>>();
+  // who reported what in each room, a player reports a message once
+  private reported = new Map<string, Set<string>>();
+
+  constructor(private store: ChatStore) {}
+
+  history(roomId: string): Promise<ChatMessage[]> {
+    let log = this.logs.get(roomId);
+    if (!log) {
+      // a store that is down leaves the room with an empty log rather than no chat
+      log = this.store.load(roomId).catch(error => {
+        console.error(`Could not load the chat of room ${roomId}:`, error);
+        return [];
+      });
+      this.logs.set(roomId, log);
+    }
+    return log;
+  }
+
+  async add(roomId: string, message: ChatMessage): Promise<void> {
+    const log = await this.history(roomId);
+    log.push(message);
+    log.length > MAX_CHAT_HISTORY && log.splice(0, log.length - MAX_CHAT_HISTORY);
+    await this.store.save(roomId, message);
+  }
+
+  // false when the message is no longer in the log
+  async react(roomId: string, messageId: string, user: string, reaction: Reaction): Promise<boolean> {
+    const log = await this.history(roomId);
+    const index = log.findIndex(message => message.id === messageId);
+    if (index < 0) return false;
+    log[index] = toggleReaction(log[index], user, reaction);
+    await this.store.save(roomId, log[index]);
+    return true;
+  }
+
+  // why the report wasn't taken, null when it was
+  async report(gameId: string, messageId: string, reporter: string): Promise<string | null> {
+    const message = (await this.history(gameId)).find(logged => logged.id === messageId);
+    if (!message) return 'That message is no longer in the chat.';
+    if (message.user === reporter) return "You can't report your own message.";
+    const reported = this.reported.get(gameId) || new Set<string>();
+    const key = `${reporter}:${messageId}`;
+    if (reported.has(key)) return 'You already reported that message.';
+    await this.store.report({ gameId, message, reporter, reportedAt: Date.now() });
+    this.reported.set(gameId, reported.add(key));
+    return null;
+  }
+
+  // the room closed, its log stays in the store
+  close(roomId: string) {
+    this.logs.delete(roomId);
+    this.reported.delete(roomId);
+  }
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { ContractCreators, CreatorLookup, createCreatorLookup, creatorError } from './creators';
+
+const CREATOR = '0x00000000000000000000000000000000000000aa';
+
+function lookup(creators: Record<string, string>): CreatorLookup {
+  return { creatorOf: async gameId => creators[gameId] || null };
+}
+
+function env(vars: Record<string, string>): NodeJS.ProcessEnv {
+  return vars as NodeJS.ProcessEnv;
+}
+
+describe('creatorError', () => {
+  it('lets the wallet that created the game set up its table', async () => {
+    expect(await creatorError(lookup({ 7: CREATOR }), '7', CREATOR)).toBeNull();
+  });
+
+  it('turns away anyone else, and games the contract never logged', async () => {
+    expect(await creatorError(lookup({ 7: CREATOR }), '7', '0x00000000000000000000000000000000000000bb')).toBe(
+      'Only the player who created the game can set up its table.'
+    );
+    expect(await creatorError(lookup({ 7: CREATOR }), '8', CREATOR)).toBe('That game is not on chain.');
+    expect(await creatorError(lookup({}), 'lobby', CREATOR)).toBe('That game is not on chain.');
+  });
+
+  it('needs a signed-in wallet, with or without a chain to ask', async () => {
+    expect(await creatorError(lookup({ 7: CREATOR }), '7', null)).toBe('Sign in with your wallet to set up a table.');
+    expect(await creatorError(null, '7', null)).toBe('Sign in with your wallet to set up a table.');
+    expect(await creatorError(null, '7', CREATOR)).toBeNull();
+  });
+
+  it('answers with an error when the chain can not be reached', async () => {
+    const down: CreatorLookup = { creatorOf: () => Promise.reject(new Error('timeout')) };
+    expect(await creatorError(down, '7', CREATOR)).toBe('The game could not be looked up on chain, try again.');
+  });
+});
+
+describe('createCreatorLookup', () => {
+  it('reads the contract once the chain is configured', () => {
+    expect(createCreatorLookup(env({}))).toBeNull();
+    expect(createCreatorLookup(env({ GAME_RPC_URL: 'http://localhost:8545' }))).toBeNull();
+    expect(
+      createCreatorLookup(env({ GAME_RPC_URL: 'http://localhost:8545', NEXT_PUBLIC_CONTRACT_ADDRESS: '0xF4A568972C787c81eC1Aa0F90aE2B570210942a4' }))
+    ).toBeInstanceOf(ContractCreators);
+  });
+});
@@ -0,0 +1,54 @@
+import { ethers } from 'ethers';
+import { unoGameABI } from '../src/constants/unogameabi';
+
+// Who created each game on chain. Only the wallet the contract logged in GameCreated sets up the table
+// of a game: its rules, whether it's listed or private, and the group matchmaking made it for. Game ids
+// are public the moment the transaction lands, so whoever asks first can't be trusted to be the creator.
+
+export interface CreatorLookup {
+  // the lowercase address that created the game, null when the contract never logged it
+  creatorOf(gameId: string): Promise<string | null>;
+}
+
+export class ContractCreators implements CreatorLookup {
+  private contract: ethers.Contract;
+  // a game's creator never changes
+  private known = new Map<string, string>();
+
+  constructor(rpcUrl: string, address: string, private fromBlock = 0) {
+    this.contract = new ethers.Contract(address, unoGameABI, new ethers.JsonRpcProvider(rpcUrl));
+  }
+
+  async creatorOf(gameId: string): Promise<string | null> {
+    const known = this.known.get(gameId);
+    if (known) return known;
+    const [log] = await this.contract.queryFilter(this.contract.filters.GameCreated(gameId), this.fromBlock);
+    const creator = log && 'args' in log ? String(log.args.creator).toLowerCase() : null;
+    creator && this.known.set(gameId, creator);
+    return creator;
+  }
+}
+
+/**
+ * The contract at NEXT_PUBLIC_CONTRACT_ADDRESS read through GAME_RPC_URL, logs searched from
+ * GAME_CONTRACT_FROM_BLOCK. Null when the chain isn't configured, tables then only need a signed-in wallet.
+ */
+export function createCreatorLookup(env: NodeJS.ProcessEnv = process.env): CreatorLookup | null {
+  if (!env.GAME_RPC_URL || !env.NEXT_PUBLIC_CONTRACT_ADDRESS) return null;
+  return new ContractCreators(env.GAME_RPC_URL, env.NEXT_PUBLIC_CONTRACT_ADDRESS, Number(env.GAME_CONTRACT_FROM_BLOCK) || 0);
+}
+
+// why the wallet can't set up the game's table, null when it can
+export async function creatorError(creators: CreatorLookup | null, gameId: string, address: string | null): Promise<string | null> {
+  if (!address) return 'Sign in with your wallet to set up a table.';
+  if (!/^\d+$/.test(gameId)) return 'That game is not on chain.';
+  if (!creators) return null;
+  let creator: string | null;
+  try {
+    creator = await creators.creatorOf(gameId);
+  } catch {
+    return 'The game could not be looked up on chain, try again.';
+  }
+  if (!creator) return 'That game is not on chain.';
+  return creator === address ? null : 'Only the player who created the game can set up its table.';
+}
@@ -0,0 +1,294 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { GameTable, TableListener, roomRules, sanitizeBots, sanitizeRules, timeoutMove } from './games';
+import { DEFAULT_RULES, GameState, MAX_HAND_SIZE, MAX_PLAYERS, RULES_PRESETS, UNO_CATCH_WINDOW_MS, createGame } from '../src/lib/engine';
+import { TIMEOUTS_BEFORE_FORFEIT } from '../src/lib/turnClock';
+import { SERVER_ENTROPY, combineEntropy, commitEntropy, createEntropy, verifyReveal, withServerEntropy } from '../src/lib/shuffle';
+
+const PLAYERS = ['Player 1', 'Player 2', 'Player 3'];
+
+function listener(): TableListener & { rejections: [string, string][]; moves: GameState[] } {
+  const rejections: [string, string][] = [];
+  const moves: GameState[] = [];
+  return {
+    rejections,
+    moves,
+    dealt: () => {},
+    moved: state => moves.push(state),
+    rejected: (player, reason) => rejections.push([player, reason]),
+    clock: () => {},
+    revealed: () => {},
+  };
+}
+
+// a table with no turn limit whose game is already under way
+function tableWith(state: Partial<GameState>, now: () => number = Date.now) {
+  const events = listener();
+  const table = new GameTable(events, () => ({}), now);
+  table.state = {
+    ...createGame({ players: PLAYERS, rules: { ...DEFAULT_RULES, turnSeconds: 0 } }),
+    currentColor: 'R',
+    currentNumber: '5',
+    playedCardsPile: ['5R'],
+    drawCardPile: ['1B', '2B', '3B', '4B'],
+    ...state,
+  };
+  return { table, events };
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('UNO catches on the server', () => {
+  const unoMissed = { hands: { 'Player 1': ['1G'], 'Player 2': ['2Y', '3Y'], 'Player 3': ['4Y'] }, unoCatch: { player: 'Player 1', openedAt: 10_000 } };
+
+  it('takes a catch that reaches it inside the window on its own clock', () => {
+    const { table, events } = tableWith(unoMissed, () => 10_000 + UNO_CATCH_WINDOW_MS);
+    table.play('Player 3', 'catchUno');
+    expect(events.rejections).toEqual([]);
+    expect(table.state!.hands['Player 1']).toHaveLength(3);
+  });
+
+  it('turns down a catch that reaches it after the window, whatever the client thought', () => {
+    const { table, events } = tableWith(unoMissed, () => 10_001 + UNO_CATCH_WINDOW_MS);
+    table.play('Player 3', 'catchUno');
+    expect(events.rejections).toEqual([['Player 3', 'Too late, the catch window has closed.']]);
+    expect(table.state!.hands['Player 1']).toHaveLength(1);
+  });
+});
+
+describe('playing a wild on the server', () => {
+  const hands = { 'Player 1': ['W', '1G', '2G'], 'Player 2': ['2Y', '3Y'], 'Player 3': ['4Y'] };
+
+  it('plays it with the color sent along', () => {
+    const { table, events } = tableWith({ hands });
+    table.play('Player 1', 'playCard', { card: 'W', color: 'G' });
+    expect(events.rejections).toEqual([]);
+    expect(table.state).toMatchObject({ currentColor: 'G', turn: 'Player 2' });
+  });
+
+  it('turns down a wild without a color and keeps nothing of it', () => {
+    const { table, events } = tableWith({ hands });
+    table.play('Player 1', 'playCard', { card: 'W' });
+    expect(events.rejections).toEqual([['Player 1', 'Choose a color for the wild card.']]);
+    expect(table.state!.hands['Player 1']).toEqual(hands['Player 1']);
+
+    // the next intent is a move of its own
+    table.play('Player 1', 'drawCard');
+    expect(events.moves).toHaveLength(1);
+    expect(table.state!.hands['Player 1']).toHaveLength(4);
+  });
+});
+
+describe('spectators', () => {
+  it('can not play', () => {
+    const { table, events } = tableWith({});
+    table.play('Spectator 1', 'drawCard');
+    expect(events.rejections).toEqual([['Spectator 1', "You're not playing at this table."]]);
+    expect(events.moves).toEqual([]);
+  });
+});
+
+describe('the turn clock', () => {
+  // ten seconds a turn, and no drawn card the players could play
+  const timed = {
+    rules: { ...DEFAULT_RULES, turnSeconds: 10, drawUntilPlayable: false, forcedPlay: false },
+    hands: { 'Player 1': ['1G', '2G'], 'Player 2': ['2Y', '3Y'], 'Player 3': ['4Y', '6Y'] },
+    drawCardPile: ['1B', '2B', '3B', '4B', '6B', '7B', '8B', '9B', '1B', '2B', '3B', '4B'],
+  };
+
+  function running(state: Partial<GameState>) {
+    vi.useFakeTimers();
+    const { table, events } = tableWith(state);
+    // the clock starts with the next change at the table
+    table.seatsChanged();
+    return { table, events };
+  }
+
+  it('runs for the player on turn', () => {
+    const { table } = running(timed);
+    expect(table.clock).toMatchObject({ player: 'Player 1', durationMs: 10_000, remainingMs: 10_000 });
+    vi.advanceTimersByTime(4000);
+    expect(table.clock.remainingMs).toBe(6000);
+    table.stop();
+  });
+
+  it('draws and passes for a player whose time ran out', () => {
+    const { table } = running(timed);
+    vi.advanceTimersByTime(10_000);
+    expect(table.state!.hands['Player 1']).toHaveLength(3);
+    expect(table.clock).toMatchObject({ player: 'Player 2', remainingMs: 10_000, timeouts: { 'Player 1': 1 } });
+    table.stop();
+  });
+
+  it('starts the count over once the player moves', () => {
+    const { table } = running(timed);
+    vi.advanceTimersByTime(30_000);
+    expect(table.clock).toMatchObject({ player: 'Player 1', timeouts: { 'Player 1': 1 } });
+    table.play('Player 1', 'drawCard');
+    expect(table.clock.timeouts['Player 1']).toBe(0);
+    table.stop();
+  });
+
+  it('hands the seat to a computer after too many timeouts in a row', () => {
+    const { table, events } = running(timed);
+    vi.advanceTimersByTime(30_000 * (TIMEOUTS_BEFORE_FORFEIT - 1) + 10_000);
+    expect(table.clock.forfeited).toEqual(['Player 1']);
+    table.play('Player 1', 'drawCard');
+    expect(events.rejections).toEqual([['Player 1', 'You ran out of time too many turns in a row, a computer plays your seat now.']]);
+    table.stop();
+  });
+
+  it('does not run without a turn limit', () => {
+    const { table } = running({ ...timed, rules: { ...timed.rules, turnSeconds: 0 } });
+    expect(table.clock).toMatchObject({ player: null, durationMs: 0, remainingMs: 0 });
+    vi.advanceTimersByTime(60_000);
+    expect(table.state!.turn).toBe('Player 1');
+  });
+});
+
+describe('timeoutMove', () => {
+  const state = (overrides: Partial<GameState>): GameState => ({
+    ...createGame({ players: PLAYERS, rules: { ...DEFAULT_RULES, forcedPlay: true } }),
+    currentColor: 'R',
+    currentNumber: '5',
+    ...overrides,
+  });
+
+  it('draws first', () => {
+    expect(timeoutMove(state({}), 'Player 1')).toEqual({ type: 'drawCard', player: 'Player 1' });
+  });
+
+  it('passes after the draw', () => {
+    expect(timeoutMove(state({ drawButtonPressed: true }), 'Player 1')).toEqual({ type: 'pass', player: 'Player 1' });
+  });
+
+  it('plays the drawn card when the rules force it', () => {
+    const drawn = state({ drawButtonPressed: true, drawnCard: '7R', hands: { 'Player 1': ['1G', '7R'], 'Player 2': [], 'Player 3': [] } });
+    expect(timeoutMove(drawn, 'Player 1')).toMatchObject({ type: 'playCard', player: 'Player 1', card: '7R' });
+  });
+
+  it('takes a Wild Draw Four without challenging it', () => {
+    const challenge = { player: 'Player 3', target: 'Player 1', previousColor: 'R', bluffed: true };
+    expect(timeoutMove(state({ drawFourChallenge: challenge }), 'Player 1')).toEqual({ type: 'acceptDrawFour', player: 'Player 1' });
+  });
+});
+
+describe('sanitizeRules', () => {
+  it('keeps rules that fit', () => {
+    const rules = { ...DEFAULT_RULES, handSize: MAX_HAND_SIZE, jumpIn: true, targetScore: 500, turnSeconds: 30 };
+    expect(sanitizeRules(rules)).toEqual(rules);
+  });
+
+  it('falls back on mistyped, fractional and out of range numbers', () => {
+    const odd = { handSize: 100, targetScore: -5, turnSeconds: 2.5, jumpIn: 'yes' };
+    expect(sanitizeRules(odd)).toEqual(DEFAULT_RULES);
+    expect(sanitizeRules({ handSize: 0 }).handSize).toBe(DEFAULT_RULES.handSize);
+    expect(sanitizeRules('party')).toEqual(DEFAULT_RULES);
+  });
+
+  it('only takes a turn length the play page offers', () => {
+    expect(sanitizeRules({ turnSeconds: 0 }).turnSeconds).toBe(0);
+    expect(sanitizeRules({ turnSeconds: 15 }).turnSeconds).toBe(15);
+    [0.01, -5, 25, 59].forEach(turnSeconds => expect(sanitizeRules({ turnSeconds }).turnSeconds).toBe(DEFAULT_RULES.turnSeconds));
+    expect(roomRules('classic', undefined, 0.01).turnSeconds).toBe(RULES_PRESETS.classic.rules.turnSeconds);
+  });
+});
+
+describe('roomRules', () => {
+  it("takes the preset with the creator's target score and turn length", () => {
+    expect(roomRules('party', 500, 60)).toEqual({ ...RULES_PRESETS.party.rules, targetScore: 500, turnSeconds: 60 });
+    expect(roomRules('classic')).toEqual(RULES_PRESETS.classic.rules);
+  });
+
+  it("keeps the preset's own values for the ones that don't fit", () => {
+    expect(roomRules('classic', 1e9, -1)).toEqual(RULES_PRESETS.classic.rules);
+    expect(roomRules('nonsense')).toEqual(DEFAULT_RULES);
+  });
+});
+
+describe('dealing', () => {
+  it('deals the default hand when the rules ask for more than the deck can deal', () => {
+    const table = new GameTable(listener(), () => ({}));
+    const players = Array.from({ length: MAX_PLAYERS }, (_, index) => `Player ${index + 1}`);
+    expect(table.start(players, [], { ...DEFAULT_RULES, handSize: MAX_HAND_SIZE + 1 })).toHaveProperty('state');
+    expect(table.state!.hands['Player 1']).toHaveLength(DEFAULT_RULES.handSize);
+    table.stop();
+  });
+
+  it('refuses a second deal while the game runs', () => {
+    const table = new GameTable(listener(), () => ({}));
+    expect(table.start(PLAYERS, [], { ...DEFAULT_RULES, turnSeconds: 0 })).toHaveProperty('state');
+    expect(table.start(PLAYERS, [], DEFAULT_RULES)).toEqual({ error: 'The game has already started.' });
+    expect(new GameTable(listener(), () => ({})).start(['Player 1'], [], DEFAULT_RULES)).toEqual({
+      error: `A game needs between 2 and ${MAX_PLAYERS} players.`,
+    });
+    table.stop();
+  });
+});
+
+describe('sanitizeBots', () => {
+  it('keeps computer seat names and levels the host sent', () => {
+    expect(sanitizeBots([{ name: 'Computer 2', level: 'hard' }, { name: 'Computer 1' }])).toEqual([
+      { name: 'Computer 2', level: 'hard' },
+      { name: 'Computer 1', level: 'normal' },
+    ]);
+  });
+
+  it("renames bots that take a player's seat, a taken name or an inherited property", () => {
+    const bots = sanitizeBots([{ name: 'Player 2' }, { name: '__proto__', level: '__proto__' }, { name: 'Computer 1' }, { name: 'Computer 1' }]);
+    expect(bots).toEqual([
+      { name: 'Computer 2', level: 'normal' },
+      { name: 'Computer 3', level: 'normal' },
+      { name: 'Computer 1', level: 'normal' },
+      { name: 'Computer 4', level: 'normal' },
+    ]);
+  });
+
+  it('seats no more computers than the table has room for', () => {
+    expect(sanitizeBots(Array.from({ length: 20 }, () => ({ name: 'x' })))).toHaveLength(MAX_PLAYERS - 1);
+    expect(sanitizeBots('Computer 1')).toEqual([]);
+  });
+
+  it('refuses a deal where two seats share a name', () => {
+    const table = new GameTable(listener(), () => ({}));
+    expect(table.start(['Player 1', 'Player 2'], [{ name: 'Player 2', level: 'easy' }], DEFAULT_RULES)).toEqual({
+      error: 'Every seat needs a name of its own.',
+    });
+  });
+});
+
+describe("the server's share of the seed", () => {
+  function ceremony(table: GameTable) {
+    const reveals = { 'Player 1': createEntropy(), 'Player 2': createEntropy() };
+    Object.entries(reveals).forEach(([player, entropy]) => {
+      table.commit(player, commitEntropy(player, entropy));
+      table.reveal(player, entropy);
+    });
+    return reveals;
+  }
+
+  it('keeps the deal out of reach of the reveals and publishes the secret when the game is over', () => {
+    const reveals: { commitment: string; secret: string }[] = [];
+    const table = new GameTable({ ...listener(), revealed: reveal => reveals.push(reveal) }, () => ({}));
+    const commitment = table.serverCommitment;
+    const agreed = combineEntropy(ceremony(table));
+    table.start(['Player 1', 'Player 2'], [], { ...DEFAULT_RULES, turnSeconds: 0 });
+    const { seed } = table.state!;
+    expect(seed).not.toBe(agreed);
+
+    // Player 1 goes out with their last card
+    table.state = { ...table.state!, turn: 'Player 1', currentColor: 'R', currentNumber: '5', hands: { 'Player 1': ['7R'], 'Player 2': ['1G'] } };
+    expect(reveals).toEqual([]);
+    table.play('Player 1', 'playCard', { card: '7R' });
+    expect(table.state!.gameOver).toBe(true);
+
+    expect(reveals).toHaveLength(1);
+    const [{ commitment: revealedFor, secret }] = reveals;
+    expect(revealedFor).toBe(commitment);
+    expect(verifyReveal(commitment, SERVER_ENTROPY, secret)).toBe(true);
+    expect(withServerEntropy(agreed, secret)).toBe(seed);
+    // the next game is dealt with a new secret
+    expect(table.serverCommitment).not.toBe(commitment);
+  });
+});
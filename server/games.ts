@@ -0,0 +1,341 @@
+import {
+  DEFAULT_RULES,
+  DEFAULT_TARGET_SCORE,
+  GameEvent,
+  GameState,
+  HouseRules,
+  MAX_HAND_SIZE,
+  MAX_PLAYERS,
+  MIN_PLAYERS,
+  Move,
+  applyMove,
+  catchableUnoPlayer,
+  createGame,
+  getHand,
+  getRulesPreset,
+  legalMoves,
+  rulesOf,
+} from '../src/lib/engine';
+import {
+  BOT_LEVELS,
+  BotLevelName,
+  BotSeat,
+  DEFAULT_BOT_LEVEL,
+  botSeatName,
+  chooseBotMove,
+  createBotMemory,
+  getBotLevel,
+  rememberEvents,
+} from '../src/lib/bot';
+import { SERVER_ENTROPY, combineEntropy, commitEntropy, createEntropy, randomSeed, verifyReveal, withServerEntropy } from '../src/lib/shuffle';
+import { IntentName, IntentPayload, moveOf } from '../src/lib/intents';
+import { TIMEOUTS_BEFORE_FORFEIT, TURN_SECONDS_OPTIONS, TurnClock } from '../src/lib/turnClock';
+
+// The game of a room, owned by the server. Players send intents, the table checks them with the
+// rules engine, plays the computer seats, keeps the turn clock and tells the room about every
+// state change.
+
+// how long a computer seat takes over its move, same as in the browser
+export const BOT_MOVE_DELAY_MS = 3000;
+// moves played for a player whose time ran out, a draw and then a pass (or the forced play)
+const MAX_TIMEOUT_MOVES = 3;
+
+export interface TableListener {
+  // the game was dealt
+  dealt(state: GameState): void;
+  // a move went through, with what happened
+  moved(state: GameState, events: GameEvent[]): void;
+  // a player's intent broke the rules, only they are told
+  rejected(player: string, reason: string): void;
+  // the turn clock was restarted or stopped
+  clock(clock: TurnClock): void;
+  // the game is over, the server's share of its seed is published so the deal can be checked
+  revealed(reveal: { commitment: string; secret: string }): void;
+}
+
+// the whole numbers each numeric rule may be
+const RULE_RANGES: Record<string, [number, number]> = {
+  handSize: [1, MAX_HAND_SIZE],
+  targetScore: [0, DEFAULT_TARGET_SCORE],
+};
+// the rules that only take one of the values the play page offers
+const RULE_OPTIONS: Record<string, number[]> = {
+  turnSeconds: TURN_SECONDS_OPTIONS,
+};
+
+function fits(key: string, value: unknown, fallback: unknown): boolean {
+  if (typeof value !== typeof fallback) return false;
+  if (typeof value !== 'number') return true;
+  if (RULE_OPTIONS[key]) return RULE_OPTIONS[key].includes(value);
+  const range = RULE_RANGES[key];
+  return !!range && Number.isInteger(value) && value >= range[0] && value <= range[1];
+}
+
+// house rules from a client, every missing, mistyped or out of range rule falls back to `defaults`
+export function sanitizeRules(rules: unknown, defaults: HouseRules = DEFAULT_RULES): HouseRules {
+  const input = (rules && typeof rules === 'object' ? rules : {}) as Record<string, unknown>;
+  return Object.fromEntries(
+    Object.entries(defaults).map(([key, fallback]) => [key, fits(key, input[key], fallback) ? input[key] : fallback])
+  ) as unknown as HouseRules;
+}
+
+// the rules a room is dealt with: the preset its creator picked, with their target score and turn length
+export function roomRules(preset: unknown, targetScore?: unknown, turnSeconds?: unknown): HouseRules {
+  const { rules } = getRulesPreset(typeof preset === 'string' ? preset : null);
+  return sanitizeRules({ ...rules, targetScore: targetScore ?? rules.targetScore, turnSeconds: turnSeconds ?? rules.turnSeconds }, rules);
+}
+
+/**
+ * What the server plays for a player whose time ran out: a draw, then a pass, or the drawn card
+ * when the rules force it to be played. A pending Wild Draw Four is accepted.
+ */
+export function timeoutMove(state: GameState, player: string): Move {
+  if (state.drawFourChallenge) return { type: 'acceptDrawFour', player };
+  if (!state.drawButtonPressed) return { type: 'drawCard', player };
+  if (rulesOf(state).forcedPlay && state.drawnCard) {
+    const forced = legalMoves(state, player).find(move => move.type === 'playCard' && move.card === state.drawnCard);
+    if (forced) return forced;
+  }
+  return { type: 'pass', player };
+}
+
+// the names computer seats may sit under, none of them is ever a player's
+const BOT_SEAT_NAMES = Array.from({ length: MAX_PLAYERS }, (_, index) => botSeatName(index));
+
+/**
+ * Computer seats from the host. The server names them: a bot keeps the name it was sent when that is
+ * a computer seat name nobody else took, any other bot gets the first free one. Anything that isn't a
+ * known level plays at the default one.
+ */
+export function sanitizeBots(bots: unknown): BotSeat[] {
+  if (!Array.isArray(bots)) return [];
+  const seats = bots.filter(bot => bot && typeof bot === 'object').slice(0, MAX_PLAYERS - 1);
+  const kept = seats.map((bot, index) =>
+    BOT_SEAT_NAMES.includes(bot.name) && seats.findIndex(other => other.name === bot.name) === index ? (bot.name as string) : null
+  );
+  const free = BOT_SEAT_NAMES.filter(name => !kept.includes(name));
+  return seats.map((bot, index) => ({ name: kept[index] ?? free.shift()!, level: getBotLevel(bot.level).name }));
+}
+
+export class GameTable {
+  state: GameState | null = null;
+  private memory = createBotMemory();
+  // the seats' commit-reveal entropy, the deal is seeded from it when everyone revealed
+  private commitments: Record<string, string> = {};
+  private reveals: Record<string, string> = {};
+  // the server's share of the next deal's seed, only its commitment is known until that game is over
+  private secret = createEntropy();
+  private botTimer: ReturnType<typeof setTimeout> | null = null;
+  private catchTimer: ReturnType<typeof setTimeout> | null = null;
+  // the player the turn clock runs for and when their time is up
+  private turnTimer: ReturnType<typeof setTimeout> | null = null;
+  private timedPlayer: string | null = null;
+  private deadline: number | null = null;
+  // turns in a row each player let run out, and who gave their seat to a computer for it
+  private timeouts: Record<string, number> = {};
+  private forfeited: string[] = [];
+
+  // computerSeats tells which seats the server plays and how well: the computers and players who left,
+  // now is the server's clock, the only one that decides whether an UNO catch came in time
+  constructor(
+    private listener: TableListener,
+    private computerSeats: () => Record<string, BotLevelName>,
+    private now: () => number = Date.now
+  ) {}
+
+  get serverCommitment(): string {
+    return commitEntropy(SERVER_ENTROPY, this.secret);
+  }
+
+  get running(): boolean {
+    return !!this.state && !this.state.gameOver;
+  }
+
+  get clock(): TurnClock {
+    return {
+      player: this.timedPlayer,
+      durationMs: this.timedPlayer && this.state ? rulesOf(this.state).turnSeconds * 1000 : 0,
+      remainingMs: this.deadline === null ? 0 : Math.max(this.deadline - Date.now(), 0),
+      timeouts: { ...this.timeouts },
+      forfeited: [...this.forfeited],
+    };
+  }
+
+  commit(player: string, commitment: string) {
+    this.commitments[player] = commitment;
+  }
+
+  reveal(player: string, entropy: string) {
+    this.reveals[player] = entropy;
+  }
+
+  // the seed the human seats agreed on, a fresh one when the ceremony didn't finish or someone cheated
+  private seedFor(humans: string[]): string {
+    const agreed = humans.every(player => this.reveals[player] && verifyReveal(this.commitments[player], player, this.reveals[player]));
+    return agreed ? combineEntropy(Object.fromEntries(humans.map(player => [player, this.reveals[player]]))) : randomSeed();
+  }
+
+  /**
+   * Deal a new game, the human seats first and the computers after them. The error says why the
+   * game couldn't be dealt.
+   */
+  start(humans: string[], bots: BotSeat[], rules: HouseRules): { state: GameState } | { error: string } {
+    const players = [...humans, ...bots.map(bot => bot.name)];
+    if (this.running) return { error: 'The game has already started.' };
+    if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+      return { error: `A game needs between ${MIN_PLAYERS} and ${MAX_PLAYERS} players.` };
+    }
+    if (new Set(players).size !== players.length) return { error: 'Every seat needs a name of its own.' };
+
+    try {
+      this.state = createGame({ players, rules: sanitizeRules(rules), seed: withServerEntropy(this.seedFor(humans), this.secret) });
+    } catch (error) {
+      return { error: error instanceof Error ? error.message : 'The game could not be dealt.' };
+    }
+    this.memory = createBotMemory();
+    this.commitments = {};
+    this.reveals = {};
+    this.timeouts = {};
+    this.forfeited = [];
+    this.listener.dealt(this.state);
+    this.scheduleComputers();
+    this.scheduleTurn(true);
+    return { state: this.state };
+  }
+
+  /**
+   * Play a player's intent if the rules allow it.
+   */
+  play(player: string, intent: IntentName, payload?: IntentPayload) {
+    if (!this.state) return;
+    if (!this.state.players.includes(player)) {
+      this.listener.rejected(player, "You're not playing at this table.");
+      return;
+    }
+    if (this.forfeited.includes(player)) {
+      this.listener.rejected(player, 'You ran out of time too many turns in a row, a computer plays your seat now.');
+      return;
+    }
+    // a player who does anything at all is still at the table
+    this.timeouts[player] = 0;
+
+    const move = moveOf(intent, player, payload);
+    if (!move) {
+      this.listener.rejected(player, 'That move is missing its card.');
+      return;
+    }
+    this.apply(move);
+  }
+
+  // someone left or came back, a computer may have to take over the turn
+  seatsChanged() {
+    this.scheduleComputers();
+    this.scheduleTurn(false);
+  }
+
+  stop() {
+    this.stopComputers();
+    this.turnTimer && clearTimeout(this.turnTimer);
+    this.turnTimer = null;
+  }
+
+  // whether the move went through
+  private apply(move: Move): boolean {
+    const before = this.state!;
+    const { state, events } = applyMove(before, move, { now: this.now });
+    if (state === before) {
+      const invalid = events.find(event => event.type === 'invalidMove');
+      invalid && invalid.type === 'invalidMove' && this.listener.rejected(invalid.player, invalid.reason);
+      return false;
+    }
+    this.memory = rememberEvents(this.memory, before, events);
+    this.state = state;
+    this.listener.moved(state, events);
+    state.gameOver && this.revealSecret();
+    this.scheduleComputers();
+    // the clock starts over for a new turn, and for a player on turn who made a move (drew a card)
+    this.scheduleTurn(state.turn !== before.turn || (move.player ?? before.turn) === before.turn);
+    return true;
+  }
+
+  // the game is over: its share of the seed is published and the next game gets a new one
+  private revealSecret() {
+    const reveal = { commitment: this.serverCommitment, secret: this.secret };
+    this.secret = createEntropy();
+    this.listener.revealed(reveal);
+  }
+
+  // the computers' seats and the seats of players who forfeited theirs
+  private computers(): Record<string, BotLevelName> {
+    return { ...Object.fromEntries(this.forfeited.map(player => [player, DEFAULT_BOT_LEVEL])), ...this.computerSeats() };
+  }
+
+  private stopComputers() {
+    this.botTimer && clearTimeout(this.botTimer);
+    this.catchTimer && clearTimeout(this.catchTimer);
+  }
+
+  // the computer seat on turn plays after a moment, and the quickest computer catches a missed UNO
+  private scheduleComputers() {
+    this.stopComputers();
+    const state = this.state;
+    if (!state || state.gameOver || state.roundOver) return;
+    const computers = this.computers();
+
+    const level = computers[state.turn];
+    if (level) {
+      const seat = state.turn;
+      this.botTimer = setTimeout(() => {
+        const current = this.state!;
+        const move = chooseBotMove(current, seat, level, this.memory);
+        if (move.type === 'playCard' && getHand(current, seat).length === 2 && Math.random() >= BOT_LEVELS[level].forgetsUno) {
+          this.apply({ type: 'callUno', player: seat });
+        }
+        this.apply(move);
+      }, BOT_MOVE_DELAY_MS);
+    }
+
+    const catcher = Object.keys(computers)
+      .filter(seat => catchableUnoPlayer(state, seat, this.now()))
+      .sort((a, b) => BOT_LEVELS[computers[a]].catchDelay - BOT_LEVELS[computers[b]].catchDelay)[0];
+    if (catcher) {
+      this.catchTimer = setTimeout(() => this.apply({ type: 'catchUno', player: catcher }), BOT_LEVELS[computers[catcher]].catchDelay);
+    }
+  }
+
+  /**
+   * Start the clock for the player on turn, or keep it running when they still are and `restart`
+   * isn't set. Computers, finished rounds and rooms without a turn limit aren't timed.
+   */
+  private scheduleTurn(restart: boolean) {
+    const state = this.state;
+    const seconds = state ? rulesOf(state).turnSeconds : 0;
+    const timed = state && this.running && !state.roundOver && seconds > 0 && !this.computers()[state.turn] ? state.turn : null;
+    if (!restart && timed === this.timedPlayer) return;
+
+    this.turnTimer && clearTimeout(this.turnTimer);
+    this.turnTimer = timed ? setTimeout(() => this.timeOut(timed), seconds * 1000) : null;
+    this.timedPlayer = timed;
+    this.deadline = timed ? Date.now() + seconds * 1000 : null;
+    this.listener.clock(this.clock);
+  }
+
+  // the player's time ran out: draw and pass for them, and hand their seat to a computer when it
+  // happened too many turns in a row
+  private timeOut(player: string) {
+    this.turnTimer = null;
+    this.timeouts[player] = (this.timeouts[player] || 0) + 1;
+    if (this.timeouts[player] >= TIMEOUTS_BEFORE_FORFEIT && !this.forfeited.includes(player)) {
+      this.forfeited.push(player);
+    }
+    let moved = false;
+    for (let step = 0; step < MAX_TIMEOUT_MOVES && this.running && !this.state!.roundOver && this.state!.turn === player; step++) {
+      if (!this.apply(timeoutMove(this.state!, player))) break;
+      moved = true;
+    }
+    if (!moved) {
+      this.scheduleComputers();
+      this.scheduleTurn(true);
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { ethers } from 'ethers';
+import { IdentityRegistry } from './identities';
+
+const wallet = ethers.Wallet.createRandom();
+
+async function signedIn(identities: IdentityRegistry, now = 0) {
+  const signature = await wallet.signMessage(identities.challenge('socket'));
+  return identities.verify('socket', wallet.address, signature, now);
+}
+
+describe('IdentityRegistry', () => {
+  it('gives a session for the wallet that signed the challenge', async () => {
+    const identities = new IdentityRegistry();
+    const result = await signedIn(identities);
+    expect(result).toMatchObject({ address: wallet.address.toLowerCase() });
+    expect(identities.addressOf('token' in result ? result.token : null, 0)).toBe(wallet.address.toLowerCase());
+  });
+
+  it('turns down a signature from another wallet', async () => {
+    const identities = new IdentityRegistry();
+    const signature = await ethers.Wallet.createRandom().signMessage(identities.challenge('socket'));
+    expect(identities.verify('socket', wallet.address, signature)).toEqual({ error: 'The signature is not from that wallet.' });
+  });
+
+  it('only takes a signature over the message the socket was given, once', async () => {
+    const identities = new IdentityRegistry();
+    identities.challenge('socket');
+    const forged = await wallet.signMessage('Sign in to Zunno to play rated games.\n\nNonce: 0');
+    expect(identities.verify('socket', wallet.address, forged)).toHaveProperty('error');
+
+    const signature = await wallet.signMessage(identities.challenge('socket'));
+    expect(identities.verify('socket', wallet.address, signature)).toHaveProperty('token');
+    expect(identities.verify('socket', wallet.address, signature)).toEqual({ error: 'Ask for a message to sign first.' });
+    expect(identities.verify('other', wallet.address, signature)).toEqual({ error: 'Ask for a message to sign first.' });
+  });
+
+  it('turns down a signature it cannot read', () => {
+    const identities = new IdentityRegistry();
+    identities.challenge('socket');
+    expect(identities.verify('socket', wallet.address, '0x1234')).toEqual({ error: 'That signature could not be read.' });
+  });
+
+  it('lets a session lapse', async () => {
+    const identities = new IdentityRegistry(1000);
+    const result = await signedIn(identities, 0);
+    const token = 'token' in result ? result.token : null;
+    expect(identities.addressOf(token, 999)).toBe(wallet.address.toLowerCase());
+    expect(identities.addressOf(token, 1000)).toBeNull();
+    expect(identities.addressOf('made up', 0)).toBeNull();
+    expect(identities.addressOf(undefined)).toBeNull();
+  });
+
+  it('drops the challenge of a socket that left', () => {
+    const identities = new IdentityRegistry();
+    identities.challenge('socket');
+    identities.forget('socket');
+    expect(identities.verify('socket', wallet.address, '0x')).toEqual({ error: 'Ask for a message to sign first.' });
+  });
+});
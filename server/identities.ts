@@ -0,0 +1,70 @@
+import { randomBytes } from 'node:crypto';
+import { ethers } from 'ethers';
+
+// Who is behind a socket, as far as anything rated goes. A player proves they hold a wallet by signing
+// a one-time message the server made up for their socket, and gets a session token back. Rated games
+// and the ratings they change are keyed on the address the token stands for, never on one a client names.
+
+// how long a session token stands for its address
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+interface Session {
+  address: string;
+  expiresAt: number;
+}
+
+export type SignInResult = { token: string; address: string } | { error: string };
+
+export function signInMessage(nonce: string): string {
+  return `Sign in to Zunno to play rated games.\n\nNonce: ${nonce}`;
+}
+
+export class IdentityRegistry {
+  // the message each socket was given to sign, it can only be used once
+  private challenges = new Map<string, string>();
+  private sessions = new Map<string, Session>();
+
+  constructor(private ttlMs = SESSION_TTL_MS) {}
+
+  challenge(socketId: string): string {
+    const message = signInMessage(randomBytes(16).toString('hex'));
+    this.challenges.set(socketId, message);
+    return message;
+  }
+
+  /**
+   * Check the signature on the socket's challenge, a session for the address that made it when it fits.
+   */
+  verify(socketId: string, address: string, signature: string, now: number = Date.now()): SignInResult {
+    const message = this.challenges.get(socketId);
+    this.challenges.delete(socketId);
+    if (!message) return { error: 'Ask for a message to sign first.' };
+    let signer: string;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch {
+      return { error: 'That signature could not be read.' };
+    }
+    if (signer.toLowerCase() !== address.toLowerCase()) return { error: 'The signature is not from that wallet.' };
+
+    this.dropExpired(now);
+    const token = randomBytes(24).toString('hex');
+    this.sessions.set(token, { address: signer.toLowerCase(), expiresAt: now + this.ttlMs });
+    return { token, address: signer.toLowerCase() };
+  }
+
+  // the address a session token stands for, null when it is unknown or expired
+  addressOf(token: string | null | undefined, now: number = Date.now()): string | null {
+    const session = token ? this.sessions.get(token) : undefined;
+    return session && session.expiresAt > now ? session.address : null;
+  }
+
+  // the socket went away before signing
+  forget(socketId: string) {
+    this.challenges.delete(socketId);
+  }
+
+  private dropExpired(now: number) {
+    this.sessions.forEach((session, token) => session.expiresAt <= now && this.sessions.delete(token));
+  }
+}
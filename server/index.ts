@@ -0,0 +1,528 @@
+/**
+ * Reference socket server
+ *
+ * Owns the game of every room: clients send intents (playCard, drawCard, callUno...),
+ * the server checks them with the rules engine, plays the computer seats and sends every player their
+ * own view of the result: their hand, the others' card counts, the top card and the draw pile size.
+ * Spectators join with `spectate` and get the same updates without a hand, they can chat but not play.
+ * Chat messages are typed text, a phrase from the quick-chat palette or an emote, and anyone in the
+ * room can react to them or report them. The room's chat is kept (in Supabase when NEXT_PUBLIC_SUPABASE_URL
+ * and SUPABASE_SERVICE_ROLE_KEY are set, supabase/migrations has its tables) and replayed to whoever
+ * joins or asks for it, senders are rate limited and blocked words are masked, the list comes from
+ * CHAT_BLOCKED_WORDS or CHAT_BLOCKED_WORDS_FILE.
+ * The server keeps the turn clock too: when a player's time runs out it draws and passes for them,
+ * and after too many timeouts in a row a computer takes over their seat.
+ * Sockets on the play page join the lobby channel and are sent the open tables whenever they change.
+ * They can also queue for a table size once their wallet signed in: the server groups players by rating
+ * and asks the longest waiting one to create the game on chain, then sends its id to the rest of the
+ * group to join it. The ratings of the wallets the table was matched for change when its game ends.
+ * Private tables stay out of the lobby and are found by a short code (and password) instead, joining
+ * one takes the access key the code resolves to.
+ * A game's table is set up by a signed-in wallet, and when GAME_RPC_URL and NEXT_PUBLIC_CONTRACT_ADDRESS
+ * are set only by the wallet the contract logged as the game's creator.
+ * Every event and its payload is declared in src/lib/protocol.ts: clients of another protocol version
+ * are turned away when they connect and messages that don't fit their schema are dropped.
+ * The app can be developed against it without the hosted NEXT_PUBLIC_WEBSOCKET_URL:
+ *
+ *   pnpm server                                      # listens on PORT, 4000 by default
+ *   NEXT_PUBLIC_WEBSOCKET_URL=http://localhost:4000 pnpm dev
+ */
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { Server, Socket } from 'socket.io';
+import { DEFAULT_BOT_LEVEL, BotLevelName } from '../src/lib/bot';
+import { DEFAULT_RULES, GameEvent, GameState, HouseRules, viewEvents, viewFor } from '../src/lib/engine';
+import { INTENTS, IntentPayload } from '../src/lib/intents';
+import { Room, RoomRegistry } from './rooms';
+import { GameTable, roomRules, sanitizeBots } from './games';
+import { Lobby } from './lobby';
+import { Matchmaker } from './matchmaking';
+import { InviteRegistry, InviteResult } from './invites';
+import { IdentityRegistry, SignInResult } from './identities';
+import { createCreatorLookup, creatorError } from './creators';
+import { RoomChat, blockedWords, createChatStore, wordFilter } from './chat';
+import { RateLimiter } from './rateLimiter';
+import { DEFAULT_RATING, MatchFound, isTableSize, rateGame } from '../src/lib/matchmaking';
+import { ChatMessage, chatContent } from '../src/lib/chat';
+import { CLIENT_EVENTS, ClientPayload, PROTOCOL_MISMATCH, PROTOCOL_VERSION, isCompatibleVersion, roomEvent, validate } from '../src/lib/protocol';
+
+const PORT = Number(process.env.PORT) || 4000;
+
+const httpServer = createServer();
+const io = new Server(httpServer, { cors: { origin: process.env.CLIENT_ORIGIN || '*' } });
+
+const rooms = new RoomRegistry(room => seatsChanged(room.id));
+const tables = new Map<string, GameTable>();
+const lobby = new Lobby();
+const invites = new InviteRegistry();
+// codes a socket may try in a minute, so nobody can walk through them
+const inviteLimiter = new RateLimiter(5, 60_000);
+// what is on the line at each table, clients turn hints off where a rating is: tables matchmaking
+// set up are rated. The house rules the creator registered are the ones the game is dealt with,
+// whatever the seats send.
+const tableTerms = new Map<string, { ranked: boolean; rules: HouseRules }>();
+// the wallets each rated table was matched for and the seat each of them took, until its game is recorded
+const ratedTables = new Map<string, { wallets: Set<string>; seats: Record<string, string> }>();
+const identities = new IdentityRegistry();
+// who created each game on chain, null when the server runs without a chain
+const creators = createCreatorLookup();
+
+const chat = new RoomChat(createChatStore());
+const filterWords = wordFilter(blockedWords());
+// messages and reactions a socket may send every 10 seconds
+const CHAT_WINDOW_MS = 10_000;
+const messageLimiter = new RateLimiter(5, CHAT_WINDOW_MS);
+const reactionLimiter = new RateLimiter(10, CHAT_WINDOW_MS);
+const TOO_FAST = 'You are sending messages too fast, wait a moment.';
+
+// what the creator of a room hears back: the code of a private table, or why the room wasn't set up
+type CreateRoomReply = { code: string; access: string } | { error: string };
+
+// the socket.io room of everyone looking at the open tables
+const LOBBY_CHANNEL = 'lobby';
+
+function playersAt(roomId: string): number {
+  const room = rooms.get(roomId);
+  return room ? room.seats.length + room.bots.length : 0;
+}
+
+function publishLobby(socket?: Socket) {
+  (socket || io.to(LOBBY_CHANNEL)).emit('lobbyTables', { tables: lobby.tables(playersAt) });
+}
+
+const QUEUE_TICK_MS = 1000;
+const matchmaker = new Matchmaker();
+// ratings by signed-in wallet address, everyone starts at the default and finished rated games move them
+const ratings = new Map<string, number>();
+let queueTimer: ReturnType<typeof setInterval> | null = null;
+
+// form the groups the queue allows and tell everyone still waiting where they stand
+function runQueue() {
+  matchmaker.match().forEach(match => {
+    const players = match.guests.length + 1;
+    const found = (role: MatchFound['role']): MatchFound => ({ matchId: match.id, role, players });
+    io.to(match.host.socketId).emit('matchFound', found('host'));
+    match.guests.forEach(guest => io.to(guest.socketId).emit('matchFound', found('guest')));
+  });
+  matchmaker.entries.forEach(entry => io.to(entry.socketId).emit('queueStatus', matchmaker.status(entry)));
+  if (matchmaker.size === 0 && queueTimer) {
+    clearInterval(queueTimer);
+    queueTimer = null;
+  }
+}
+
+function leaveQueue(socketId: string) {
+  matchmaker.dequeue(socketId);
+  // a host who leaves before creating the game sends the rest of the group back to the queue
+  const abandoned = matchmaker.abandon(socketId);
+  if (abandoned) {
+    abandoned.guests.forEach(guest => io.to(guest.socketId).emit('matchCancelled'));
+    runQueue();
+  }
+}
+
+function sendRoomData(roomId: string) {
+  const room = rooms.get(roomId);
+  io.to(roomId).emit('roomData', {
+    room: roomId,
+    users: room ? rooms.users(room) : [],
+    spectators: room ? rooms.spectators(room) : [],
+  });
+}
+
+// the socket a seat is connected on
+function socketOf(roomId: string, player: string): string | null {
+  return rooms.get(roomId)?.seats.find(seat => seat.name === player)?.socketId || null;
+}
+
+// computers play their own seats and the seats of players whose grace period ran out
+function computerSeats(roomId: string): Record<string, BotLevelName> {
+  const room = rooms.get(roomId);
+  const table = tables.get(roomId);
+  const bots = Object.fromEntries((room?.bots || []).map(bot => [bot.name, bot.level]));
+  const dropouts = (table?.state?.players || [])
+    .filter(player => !bots[player] && !room?.seats.some(seat => seat.name === player))
+    .map(player => [player, DEFAULT_BOT_LEVEL]);
+  return { ...bots, ...Object.fromEntries(dropouts) };
+}
+
+// every connected seat gets its own view of the game, nobody is sent the cards they can't see,
+// and spectators see no hand at all
+function sendViews(roomId: string, event: string, state: GameState, events?: GameEvent[]) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  [...room.seats, ...room.spectators].forEach(({ name, socketId }) => {
+    if (!socketId) return;
+    const view = viewFor(state, name);
+    io.to(socketId).emit(event, events ? { ...view, events: viewEvents(events, name) } : view);
+  });
+}
+
+function tableOf(roomId: string): GameTable {
+  let table = tables.get(roomId);
+  if (!table) {
+    table = new GameTable(
+      {
+        dealt: state => {
+          sendViews(roomId, 'initGameState', state);
+          // a table that started is no longer open
+          lobby.close(roomId) && publishLobby();
+        },
+        moved: (state, events) => {
+          sendViews(roomId, 'updateGameState', state, events);
+          events.forEach(event => event.type === 'gameOver' && recordResult(roomId, event.winner));
+        },
+        rejected: (player, reason) => {
+          const socketId = socketOf(roomId, player);
+          socketId && io.to(socketId).emit('invalidMove', { reason });
+        },
+        clock: clock => io.to(roomId).emit('turnClock', clock),
+        revealed: reveal => io.to(roomId).emit('serverReveal', reveal),
+      },
+      () => computerSeats(roomId)
+    );
+    tables.set(roomId, table);
+  }
+  return table;
+}
+
+// a rated game ended, the wallets that sat at it win or lose rating, only the first game at the table counts
+function recordResult(roomId: string, winner: string) {
+  const rated = ratedTables.get(roomId);
+  if (!rated) return;
+  ratedTables.delete(roomId);
+  const before = Object.fromEntries(Object.entries(rated.seats).map(([seat, address]) => [seat, ratings.get(address) ?? DEFAULT_RATING]));
+  Object.entries(rateGame(before, winner)).forEach(([seat, rating]) => ratings.set(rated.seats[seat], rating));
+}
+
+function seatsChanged(roomId: string) {
+  sendRoomData(roomId);
+  // the code of a private table stops working once everyone who sat down has left
+  !rooms.get(roomId) && invites.remove(roomId);
+  // and the chat log leaves memory, the store keeps it
+  !rooms.get(roomId) && chat.close(roomId);
+  !rooms.get(roomId) && tableTerms.delete(roomId);
+  !rooms.get(roomId) && ratedTables.delete(roomId);
+  if (lobby.has(roomId)) {
+    // the table is given up once everyone who sat down has left
+    !rooms.get(roomId)?.seats.length && lobby.close(roomId);
+    publishLobby();
+  }
+  const table = tables.get(roomId);
+  if (!table) return;
+  if (rooms.get(roomId)?.seats.length) {
+    table.seatsChanged();
+  } else {
+    // every player left, the game goes with them even if someone is still watching
+    table.stop();
+    tables.delete(roomId);
+  }
+}
+
+function seated(socket: Socket): { room: Room; player: string } | null {
+  const found = rooms.find(socket.id);
+  return found && { room: found.room, player: found.seat.name };
+}
+
+// the room's chat so far, for whoever just joined
+function sendChatHistory(socket: Socket, roomId: string) {
+  chat.history(roomId).then(messages => socket.emit('chatHistory', { messages }));
+}
+
+// spectators can chat, every game event needs a seat
+function watching(socket: Socket): { room: Room; player: string } | null {
+  const found = rooms.findSpectator(socket.id);
+  return found && { room: found.room, player: found.spectator.name };
+}
+
+// a client built against another version of the protocol is told to refresh instead of misbehaving
+io.use((socket, next) => {
+  if (isCompatibleVersion(socket.handshake.auth?.protocol)) return next();
+  const error = new Error(PROTOCOL_MISMATCH) as Error & { data?: unknown };
+  error.data = { serverVersion: PROTOCOL_VERSION };
+  next(error);
+});
+
+io.on('connection', socket => {
+  // messages that don't fit the protocol never reach the handlers, the sender is told why
+  socket.use(([event, ...args], next) => {
+    const payload = typeof args[0] === 'function' ? undefined : args[0];
+    const error = validate(CLIENT_EVENTS, event, payload);
+    if (!error) return next();
+    socket.emit('protocolError', { event, error });
+  });
+
+  socket.on('join', ({ room: roomId, reconnectToken, spectate, access, session }: ClientPayload<'join'>, callback?: (error?: string) => void) => {
+    // a private table only takes people who came through its code, or who already hold a seat there
+    const holdsSeat = !!reconnectToken && !!rooms.get(String(roomId))?.seats.some(seat => seat.token === reconnectToken);
+    if (!holdsSeat && !invites.admits(String(roomId), access)) {
+      callback?.('This table is private');
+      return;
+    }
+    const inviteCode = invites.codeOf(String(roomId));
+    const ranked = !!tableTerms.get(String(roomId))?.ranked;
+    if (spectate) {
+      const spectator = rooms.watch(String(roomId), socket.id);
+      const room = rooms.get(String(roomId))!;
+      socket.join(room.id);
+      socket.emit('currentUserData', { name: spectator.name, spectator: true, authoritative: true, inviteCode, ranked });
+      sendRoomData(room.id);
+      sendChatHistory(socket, room.id);
+      const state = tables.get(room.id)?.state;
+      if (state) {
+        socket.emit('gameSnapshot', { state: viewFor(state, spectator.name), bots: room.bots });
+        socket.emit('turnClock', tables.get(room.id)!.clock);
+      }
+      callback?.();
+      return;
+    }
+    const result = rooms.join(String(roomId), socket.id, reconnectToken, !tables.get(String(roomId))?.running);
+    if ('error' in result) {
+      callback?.(result.error);
+      return;
+    }
+    const room = rooms.get(String(roomId))!;
+    // a seat at a rated table counts for the wallet behind it when that wallet was matched for the table
+    const rated = ratedTables.get(room.id);
+    const address = identities.addressOf(session);
+    if (rated && address && rated.wallets.has(address)) rated.seats[result.seat.name] = address;
+    socket.join(room.id);
+    socket.emit('currentUserData', { name: result.seat.name, reconnectToken: result.seat.token, authoritative: true, inviteCode, ranked });
+    seatsChanged(room.id);
+    sendChatHistory(socket, room.id);
+    // a player back mid-game picks up where the table is now
+    const state = tables.get(room.id)?.state;
+    if (result.resumed && state) {
+      socket.emit('gameSnapshot', { state: viewFor(state, result.seat.name), bots: room.bots });
+      socket.emit('turnClock', tables.get(room.id)!.clock);
+    }
+    callback?.();
+  });
+
+  socket.on('quitRoom', () => {
+    const room = rooms.leave(socket.id);
+    if (!room) return;
+    socket.leave(room.id);
+    seatsChanged(room.id);
+  });
+
+  socket.on('disconnect', () => {
+    leaveQueue(socket.id);
+    identities.forget(socket.id);
+    inviteLimiter.forget(socket.id);
+    messageLimiter.forget(socket.id);
+    reactionLimiter.forget(socket.id);
+    const room = rooms.disconnect(socket.id);
+    room && sendRoomData(room.id);
+  });
+
+  // only the host (the first player still connected) fills the computer seats, and only before the game
+  socket.on('botSeats', (payload: ClientPayload<'botSeats'>) => {
+    const found = seated(socket);
+    if (!found || tables.get(found.room.id)?.running) return;
+    const host = found.room.seats.find(seat => seat.socketId !== null);
+    if (host?.name !== found.player) return;
+    found.room.bots = sanitizeBots(payload?.bots);
+    socket.to(found.room.id).emit('botSeats', { bots: found.room.bots });
+    // the host is only sent the seats back when the server had to rename some
+    const renamed = found.room.bots.some((bot, index) => bot.name !== payload?.bots[index]?.name);
+    renamed && socket.emit('botSeats', { bots: found.room.bots });
+  });
+
+  // the seed ceremony runs between the seats, the server keeps a copy to seed the deal with. Each seat
+  // is told what the server committed its own share to before anyone reveals.
+  socket.on('seedCommit', (payload: ClientPayload<'seedCommit'>) => {
+    const found = seated(socket);
+    if (!found || payload?.player !== found.player) return;
+    const table = tableOf(found.room.id);
+    table.commit(found.player, String(payload.commitment));
+    socket.emit('serverCommitment', { commitment: table.serverCommitment });
+    socket.to(found.room.id).emit('seedCommit', payload);
+  });
+
+  socket.on('seedReveal', (payload: ClientPayload<'seedReveal'>) => {
+    const found = seated(socket);
+    if (!found || payload?.player !== found.player) return;
+    tableOf(found.room.id).reveal(found.player, String(payload.entropy));
+    socket.to(found.room.id).emit('seedReveal', payload);
+  });
+
+  // every seat asks for the deal once its ceremony is over, the first one deals and the rest get the game.
+  // It is dealt with the rules the room was registered with, the defaults for a room nobody registered.
+  socket.on('startGame', (callback?: (error?: string) => void) => {
+    const found = seated(socket);
+    if (!found) return;
+    const table = tableOf(found.room.id);
+    if (table.running) {
+      socket.emit('initGameState', viewFor(table.state!, found.player));
+      socket.emit('turnClock', table.clock);
+      callback?.();
+      return;
+    }
+    const humans = found.room.seats.map(seat => seat.name);
+    const result = table.start(humans, found.room.bots, tableTerms.get(found.room.id)?.rules || DEFAULT_RULES);
+    callback?.('error' in result ? result.error : undefined);
+  });
+
+  INTENTS.forEach(intent =>
+    socket.on(intent, (payload?: IntentPayload) => {
+      const found = seated(socket);
+      found && tables.get(found.room.id)?.play(found.player, intent, payload);
+    })
+  );
+
+  socket.on('sendMessage', ({ message, kind }: ClientPayload<'sendMessage'>, callback?: (error?: string) => void) => {
+    const found = seated(socket) || watching(socket);
+    const content = found && chatContent(kind, message);
+    if (!found || !content) return;
+    if (!messageLimiter.allow(socket.id)) {
+      callback?.(TOO_FAST);
+      return;
+    }
+    const sent: ChatMessage = {
+      id: randomBytes(8).toString('hex'),
+      user: found.player,
+      kind: content.kind,
+      // phrases and emotes come from the palette, only typed text is filtered
+      text: content.kind === 'text' ? filterWords(content.text) : content.text,
+      sentAt: Date.now(),
+      reactions: {},
+    };
+    io.to(found.room.id).emit('message', sent);
+    chat.add(found.room.id, sent).catch(error => console.error('Could not save a chat message:', error));
+    callback?.();
+  });
+
+  // the same reaction from the same player again takes it back
+  socket.on('reactToMessage', ({ messageId, reaction }: ClientPayload<'reactToMessage'>, callback?: (error?: string) => void) => {
+    const found = seated(socket) || watching(socket);
+    if (!found) return;
+    if (!reactionLimiter.allow(socket.id)) {
+      callback?.(TOO_FAST);
+      return;
+    }
+    const roomId = found.room.id;
+    chat
+      .react(roomId, messageId, found.player, reaction)
+      .catch(error => {
+        // the reaction still counts for everyone at the table
+        console.error('Could not save a chat reaction:', error);
+        return true;
+      })
+      .then(reacted => {
+        reacted && io.to(roomId).emit('messageReaction', { messageId, user: found.player, reaction });
+        callback?.();
+      });
+  });
+
+  // the message is recorded with the game it was sent in for moderators to look at
+  socket.on('reportMessage', ({ messageId }: ClientPayload<'reportMessage'>, callback?: (error?: string) => void) => {
+    const found = seated(socket) || watching(socket);
+    if (!found) return;
+    chat
+      .report(found.room.id, messageId, found.player)
+      .then(error => callback?.(error || undefined))
+      .catch(error => {
+        console.error('Could not record a chat report:', error);
+        callback?.('The report could not be sent, try again later.');
+      });
+  });
+
+  socket.on('requestChatHistory', () => {
+    const found = seated(socket) || watching(socket);
+    found && sendChatHistory(socket, found.room.id);
+  });
+
+  socket.on('joinLobby', () => {
+    socket.join(LOBBY_CHANNEL);
+    publishLobby(socket);
+  });
+
+  socket.on('leaveLobby', () => socket.leave(LOBBY_CHANNEL));
+
+  // a wallet proves who it is by signing the message it was given, the session it gets queues it for rated games
+  socket.on('signInChallenge', (callback?: (reply: { message: string }) => void) => {
+    callback?.({ message: identities.challenge(socket.id) });
+  });
+
+  socket.on('signIn', ({ address, signature }: ClientPayload<'signIn'>, callback?: (result: SignInResult) => void) => {
+    callback?.(identities.verify(socket.id, address, signature));
+  });
+
+  // the queue only takes signed-in wallets, every wallet once
+  socket.on('joinQueue', ({ tableSize, session }: ClientPayload<'joinQueue'>, callback?: (error?: string) => void) => {
+    if (!isTableSize(tableSize)) return;
+    const address = identities.addressOf(session);
+    if (!address) {
+      callback?.('Sign in with your wallet to play rated games.');
+      return;
+    }
+    if (matchmaker.entries.some(entry => entry.address === address && entry.socketId !== socket.id)) {
+      callback?.('That wallet is already searching for a game.');
+      return;
+    }
+    matchmaker.enqueue({ socketId: socket.id, address, rating: ratings.get(address) ?? DEFAULT_RATING, tableSize, enqueuedAt: Date.now() });
+    queueTimer = queueTimer || setInterval(runQueue, QUEUE_TICK_MS);
+    runQueue();
+    callback?.();
+  });
+
+  socket.on('leaveQueue', () => leaveQueue(socket.id));
+
+  // a game was created on chain, list it until it starts, hand it to the group it was matched for,
+  // or keep it private and answer with its code
+  socket.on('createGameRoom', (payload: ClientPayload<'createGameRoom'>, callback?: (reply: CreateRoomReply) => void) => {
+    const { gameId, rules, targetScore, turnSeconds, matchId, private: isPrivate, password, session } = payload || {};
+    // a game is set up once, before it starts, and only by the wallet that created it on chain
+    const taken = () =>
+      tables.get(String(gameId))?.running
+        ? 'That game has already started.'
+        : lobby.has(String(gameId)) || invites.isPrivate(String(gameId)) || tableTerms.has(String(gameId))
+          ? 'That game already has a table.'
+          : null;
+    const refusal = !gameId ? 'That game is not on chain.' : taken();
+    if (refusal) {
+      callback?.({ error: refusal });
+      return;
+    }
+    creatorError(creators, String(gameId), identities.addressOf(session)).then(notCreator => {
+      // the table may have been set up while the chain was asked
+      const error = notCreator || taken();
+      if (error) {
+        callback?.({ error });
+        return;
+      }
+      const houseRules = roomRules(rules, targetScore, turnSeconds);
+      tableTerms.set(String(gameId), { ranked: !!matchId, rules: houseRules });
+      if (isPrivate) {
+        const invite = invites.create(String(gameId), password ? String(password) : null);
+        callback?.({ code: invite.code, access: invite.access });
+        return;
+      }
+      if (matchId) {
+        const match = matchmaker.settle(String(matchId), socket.id);
+        match && ratedTables.set(String(gameId), { wallets: new Set([match.host, ...match.guests].map(entry => entry.address)), seats: {} });
+        match?.guests.forEach(guest => io.to(guest.socketId).emit('matchReady', { gameId: String(gameId) }));
+        return;
+      }
+      lobby.open(String(gameId), { rules, targetScore: houseRules.targetScore });
+      publishLobby();
+      io.emit('gameRoomCreated', { gameId: String(gameId) });
+    });
+  });
+
+  // a code from an invite, answered with the game it opens and the key to get in
+  socket.on('resolveInvite', ({ code, password }: ClientPayload<'resolveInvite'>, callback?: (result: InviteResult) => void) => {
+    if (!inviteLimiter.allow(socket.id)) {
+      callback?.({ error: 'Too many tries, wait a minute and try again.' });
+      return;
+    }
+    callback?.(invites.resolve(String(code || ''), password ? String(password) : null));
+  });
+
+  // the on-chain game flow has its own room per game id
+  socket.on('joinRoom', (roomId: ClientPayload<'joinRoom'>) => socket.join(roomId));
+  socket.on('gameStarted', (data: ClientPayload<'gameStarted'>) => io.to(data.roomId).emit(roomEvent('gameStarted', data.roomId), data));
+});
+
+httpServer.listen(PORT, () => console.log(`Socket server listening on port ${PORT}`));
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { INVITE_CODE_LENGTH, InviteRegistry, normalizeCode } from './invites';
+
+describe('InviteRegistry', () => {
+  it('hands out a readable code that opens the game', () => {
+    const invites = new InviteRegistry();
+    const invite = invites.create('7');
+    expect(invite.code).toHaveLength(INVITE_CODE_LENGTH);
+    expect(invites.resolve(invite.code)).toEqual({ gameId: '7', access: invite.access });
+    expect(invites.codeOf('7')).toBe(invite.code);
+  });
+
+  it('takes the code in any case and with spaces', () => {
+    const invites = new InviteRegistry();
+    const { code, access } = invites.create('7');
+    const typed = `${code.slice(0, 3).toLowerCase()} ${code.slice(3)}`;
+    expect(normalizeCode(typed)).toBe(code);
+    expect(invites.resolve(typed)).toEqual({ gameId: '7', access });
+  });
+
+  it('keeps the code of a game that already has one', () => {
+    const invites = new InviteRegistry();
+    expect(invites.create('7', 'secret')).toBe(invites.create('7'));
+  });
+
+  it('asks for the password when the table has one', () => {
+    const invites = new InviteRegistry();
+    const { code, access } = invites.create('7', 'secret');
+    expect(invites.resolve(code)).toEqual({ error: 'Wrong password.' });
+    expect(invites.resolve(code, 'guess')).toEqual({ error: 'Wrong password.' });
+    expect(invites.resolve(code, 'secret')).toEqual({ gameId: '7', access });
+    expect(invites.resolve('NOPE00')).toEqual({ error: 'No table has that code.' });
+  });
+
+  it('only admits whoever holds the access key to a private table', () => {
+    const invites = new InviteRegistry();
+    const { access } = invites.create('7');
+    expect(invites.admits('7', access)).toBe(true);
+    expect(invites.admits('7', 'guess')).toBe(false);
+    expect(invites.admits('7')).toBe(false);
+    expect(invites.admits('8')).toBe(true);
+  });
+
+  it('stops taking the code once the table is removed', () => {
+    const invites = new InviteRegistry();
+    const { code } = invites.create('7');
+    invites.remove('7');
+    expect(invites.isPrivate('7')).toBe(false);
+    expect(invites.resolve(code)).toEqual({ error: 'No table has that code.' });
+  });
+});
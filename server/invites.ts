@@ -0,0 +1,85 @@
+import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+import randomCodeGenerator, { READABLE_CODE_CHARACTERS } from '../src/utils/randomCodeGenerator';
+
+// Private tables. Each one gets a short code to share instead of its game id, and optionally a
+// password. Whoever gives the right code and password gets the table's access key, which the
+// socket server asks for before seating anyone (or letting them watch) at a private table.
+
+export const INVITE_CODE_LENGTH = 6;
+
+export interface Invite {
+  code: string;
+  gameId: string;
+  access: string;
+  // scrypt hash of the password and its salt, null for tables the code alone opens
+  password: { hash: Buffer; salt: Buffer } | null;
+}
+
+export type InviteResult = { gameId: string; access: string } | { error: string };
+
+function hashPassword(password: string, salt: Buffer): Buffer {
+  return scryptSync(password, salt, 32);
+}
+
+// codes are read out loud and typed on phones, case and spaces don't matter
+export function normalizeCode(code: string): string {
+  return code.replace(/\s+/g, '').toUpperCase();
+}
+
+export class InviteRegistry {
+  private byCode = new Map<string, Invite>();
+  private byGame = new Map<string, Invite>();
+
+  /**
+   * Make a game private, a game that already is keeps its code.
+   */
+  create(gameId: string, password?: string | null): Invite {
+    const existing = this.byGame.get(gameId);
+    if (existing) return existing;
+
+    let code = randomCodeGenerator(INVITE_CODE_LENGTH, READABLE_CODE_CHARACTERS);
+    while (this.byCode.has(code)) code = randomCodeGenerator(INVITE_CODE_LENGTH, READABLE_CODE_CHARACTERS);
+    const salt = randomBytes(16);
+    const invite: Invite = {
+      code,
+      gameId,
+      access: randomBytes(16).toString('hex'),
+      password: password ? { hash: hashPassword(password, salt), salt } : null,
+    };
+    this.byCode.set(code, invite);
+    this.byGame.set(gameId, invite);
+    return invite;
+  }
+
+  // the game a code stands for, if the password fits
+  resolve(code: string, password?: string | null): InviteResult {
+    const invite = this.byCode.get(normalizeCode(code));
+    if (!invite) return { error: 'No table has that code.' };
+    if (invite.password) {
+      const given = hashPassword(password || '', invite.password.salt);
+      if (!timingSafeEqual(given, invite.password.hash)) return { error: 'Wrong password.' };
+    }
+    return { gameId: invite.gameId, access: invite.access };
+  }
+
+  isPrivate(gameId: string): boolean {
+    return this.byGame.has(gameId);
+  }
+
+  // public tables admit everyone, private ones whoever holds the access key
+  admits(gameId: string, access?: string | null): boolean {
+    const invite = this.byGame.get(gameId);
+    return !invite || invite.access === access;
+  }
+
+  codeOf(gameId: string): string | null {
+    return this.byGame.get(gameId)?.code || null;
+  }
+
+  remove(gameId: string) {
+    const invite = this.byGame.get(gameId);
+    if (!invite) return;
+    this.byGame.delete(gameId);
+    this.byCode.delete(invite.code);
+  }
+}
@@ -0,0 +1,43 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { Lobby } from './lobby';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('Lobby', () => {
+  it('lists the tables newest first with their seats filled', () => {
+    vi.useFakeTimers();
+    const lobby = new Lobby();
+    vi.setSystemTime(1000);
+    lobby.open('1', { rules: 'party', targetScore: 500 });
+    vi.setSystemTime(2000);
+    lobby.open('2', {});
+    expect(lobby.tables(id => (id === '1' ? 3 : 1))).toMatchObject([
+      { id: '2', preset: 'zunno', targetScore: 0, players: 1 },
+      { id: '1', preset: 'party', targetScore: 500, players: 3 },
+    ]);
+  });
+
+  it('keeps a table where it was listed when it is opened again', () => {
+    vi.useFakeTimers();
+    const lobby = new Lobby();
+    vi.setSystemTime(1000);
+    lobby.open('1', {});
+    vi.setSystemTime(5000);
+    expect(lobby.open('1', { rules: 'party' }).createdAt).toBe(1000);
+  });
+
+  it('takes nothing odd from the creator', () => {
+    const listing = new Lobby().open('1', { rules: 'nonsense', targetScore: -10 });
+    expect(listing).toMatchObject({ preset: 'zunno', targetScore: 0 });
+  });
+
+  it('drops a table once it closes', () => {
+    const lobby = new Lobby();
+    lobby.open('1', {});
+    expect(lobby.close('1')).toBe(true);
+    expect(lobby.has('1')).toBe(false);
+    expect(lobby.close('1')).toBe(false);
+  });
+});
@@ -0,0 +1,39 @@
+import { MAX_PLAYERS, getRulesPreset } from '../src/lib/engine';
+import type { LobbyTable } from '../src/lib/lobby';
+
+// Tables waiting for players. A table is listed from the moment its game is created on the play
+// page until the game starts or everyone who sat down has left again.
+
+export type Listing = Omit<LobbyTable, 'players'>;
+
+export class Lobby {
+  private listings = new Map<string, Listing>();
+
+  // a newly created game, the settings come from the creator's browser
+  open(id: string, settings: { rules?: unknown; targetScore?: unknown }): Listing {
+    const listing: Listing = {
+      id,
+      preset: getRulesPreset(typeof settings.rules === 'string' ? settings.rules : null).name,
+      targetScore: Math.max(Number(settings.targetScore) || 0, 0),
+      createdAt: this.listings.get(id)?.createdAt || Date.now(),
+      maxPlayers: MAX_PLAYERS,
+    };
+    this.listings.set(id, listing);
+    return listing;
+  }
+
+  close(id: string): boolean {
+    return this.listings.delete(id);
+  }
+
+  has(id: string): boolean {
+    return this.listings.has(id);
+  }
+
+  // newest first, with how many seats each table has filled
+  tables(playersAt: (id: string) => number): LobbyTable[] {
+    return Array.from(this.listings.values())
+      .map(listing => ({ ...listing, players: playersAt(listing.id) }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { BASE_RATING_WINDOW, MAX_RATING_WINDOW, Matchmaker, QueueEntry } from './matchmaking';
+
+const entry = (socketId: string, rating: number, enqueuedAt = 0, tableSize = 2): QueueEntry => ({
+  socketId,
+  address: `0x${socketId}`,
+  rating,
+  tableSize,
+  enqueuedAt,
+});
+
+describe('Matchmaker', () => {
+  it('groups players of close rating for the same table size', () => {
+    const matchmaker = new Matchmaker();
+    matchmaker.enqueue(entry('a', 1200));
+    matchmaker.enqueue(entry('b', 1250));
+    matchmaker.enqueue(entry('c', 1210, 0, 3));
+    const [match, ...others] = matchmaker.match(0);
+    expect(others).toEqual([]);
+    expect(match.host.socketId).toBe('a');
+    expect(match.guests.map(guest => guest.socketId)).toEqual(['b']);
+    expect(matchmaker.entries.map(queued => queued.socketId)).toEqual(['c']);
+  });
+
+  it('widens the rating window the longer a player waits', () => {
+    const matchmaker = new Matchmaker();
+    matchmaker.enqueue(entry('a', 1200));
+    matchmaker.enqueue(entry('b', 1500));
+    expect(matchmaker.ratingWindow(matchmaker.entries[0], 0)).toBe(BASE_RATING_WINDOW);
+    expect(matchmaker.match(0)).toEqual([]);
+    expect(matchmaker.match(20_000)).toHaveLength(1);
+    expect(matchmaker.ratingWindow(entry('a', 1200), 10_000_000)).toBe(MAX_RATING_WINDOW);
+  });
+
+  it('keeps one entry per socket', () => {
+    const matchmaker = new Matchmaker();
+    matchmaker.enqueue(entry('a', 1200, 0, 2));
+    matchmaker.enqueue(entry('a', 1200, 0, 3));
+    expect(matchmaker.entries).toEqual([entry('a', 1200, 0, 3)]);
+  });
+
+  it('only lets the host settle a match', () => {
+    const matchmaker = new Matchmaker();
+    matchmaker.enqueue(entry('a', 1200));
+    matchmaker.enqueue(entry('b', 1200));
+    const [match] = matchmaker.match(0);
+    expect(matchmaker.settle(match.id, 'b')).toBeNull();
+    expect(matchmaker.settle(match.id, 'a')).toBe(match);
+    expect(matchmaker.settle(match.id, 'a')).toBeNull();
+  });
+
+  it('sends the guests back into the queue when the host backs out', () => {
+    const matchmaker = new Matchmaker();
+    matchmaker.enqueue(entry('a', 1200));
+    matchmaker.enqueue(entry('b', 1200, 5));
+    matchmaker.match(10);
+    expect(matchmaker.abandon('b')).toBeNull();
+    expect(matchmaker.abandon('a')?.guests).toHaveLength(1);
+    expect(matchmaker.entries).toEqual([entry('b', 1200, 5)]);
+  });
+
+  it('estimates the wait from the latest matches', () => {
+    const matchmaker = new Matchmaker();
+    expect(matchmaker.status(entry('a', 1200), 0).estimatedWaitMs).toBeNull();
+    matchmaker.enqueue(entry('a', 1200, 0));
+    matchmaker.enqueue(entry('b', 1200, 4000));
+    matchmaker.match(10_000);
+    expect(matchmaker.status(entry('c', 1200, 10_000), 12_000)).toMatchObject({ estimatedWaitMs: 6000, waitedMs: 2000, searching: 0 });
+  });
+});
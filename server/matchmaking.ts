@@ -0,0 +1,129 @@
+import { randomBytes } from 'node:crypto';
+import { QueueStatus } from '../src/lib/matchmaking';
+
+// The matchmaking queue. Players wait for a table size, a group forms out of players whose ratings
+// are close enough, and the window of what counts as close grows the longer someone has waited.
+
+export const BASE_RATING_WINDOW = 100;
+// rating points the window grows by for every second in the queue
+export const RATING_WINDOW_GROWTH = 10;
+export const MAX_RATING_WINDOW = 1000;
+// how many of the latest matches per table size the wait estimate is taken from
+const RECENT_MATCHES = 20;
+
+export interface QueueEntry {
+  socketId: string;
+  address: string;
+  rating: number;
+  tableSize: number;
+  enqueuedAt: number;
+}
+
+// a group that formed, waiting for its host to create the game on chain
+export interface Match {
+  id: string;
+  host: QueueEntry;
+  guests: QueueEntry[];
+}
+
+export class Matchmaker {
+  private queue: QueueEntry[] = [];
+  private pending = new Map<string, Match>();
+  private recentWaits: Record<number, number[]> = {};
+
+  get size(): number {
+    return this.queue.length;
+  }
+
+  get entries(): QueueEntry[] {
+    return this.queue;
+  }
+
+  // queueing again replaces the player's earlier entry
+  enqueue(entry: QueueEntry) {
+    this.queue = [...this.queue.filter(queued => queued.socketId !== entry.socketId), entry];
+  }
+
+  dequeue(socketId: string): QueueEntry | null {
+    const entry = this.queue.find(queued => queued.socketId === socketId) || null;
+    this.queue = this.queue.filter(queued => queued !== entry);
+    return entry;
+  }
+
+  ratingWindow(entry: QueueEntry, now: number = Date.now()): number {
+    const waitedSeconds = Math.max(now - entry.enqueuedAt, 0) / 1000;
+    return Math.min(BASE_RATING_WINDOW + RATING_WINDOW_GROWTH * waitedSeconds, MAX_RATING_WINDOW);
+  }
+
+  /**
+   * Form every group the queue allows right now. The longest waiting player goes first and is joined
+   * by the closest rated players who are within both their window and its own.
+   */
+  match(now: number = Date.now()): Match[] {
+    const waiting = [...this.queue].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+    const taken = new Set<QueueEntry>();
+    const matches: Match[] = [];
+
+    waiting.forEach(host => {
+      if (taken.has(host)) return;
+      const distance = (entry: QueueEntry) => Math.abs(entry.rating - host.rating);
+      const guests = waiting
+        .filter(
+          entry =>
+            entry !== host &&
+            !taken.has(entry) &&
+            entry.tableSize === host.tableSize &&
+            distance(entry) <= Math.min(this.ratingWindow(host, now), this.ratingWindow(entry, now))
+        )
+        .sort((a, b) => distance(a) - distance(b))
+        .slice(0, host.tableSize - 1);
+      if (guests.length < host.tableSize - 1) return;
+
+      [host, ...guests].forEach(entry => {
+        taken.add(entry);
+        this.recordWait(entry.tableSize, now - entry.enqueuedAt);
+      });
+      const match = { id: randomBytes(8).toString('hex'), host, guests };
+      this.pending.set(match.id, match);
+      matches.push(match);
+    });
+
+    this.queue = this.queue.filter(entry => !taken.has(entry));
+    return matches;
+  }
+
+  // the host created the game, the match is out of the matchmaker's hands
+  settle(matchId: string, hostSocketId: string): Match | null {
+    const match = this.pending.get(matchId);
+    if (!match || match.host.socketId !== hostSocketId) return null;
+    this.pending.delete(matchId);
+    return match;
+  }
+
+  // the host left before creating the game, the guests go back into the queue with their wait intact
+  abandon(hostSocketId: string): Match | null {
+    const match = Array.from(this.pending.values()).find(pending => pending.host.socketId === hostSocketId);
+    if (!match) return null;
+    this.pending.delete(match.id);
+    this.queue = [...this.queue, ...match.guests];
+    return match;
+  }
+
+  status(entry: QueueEntry, now: number = Date.now()): QueueStatus {
+    const waits = this.recentWaits[entry.tableSize] || [];
+    const waitedMs = Math.max(now - entry.enqueuedAt, 0);
+    const averageWait = waits.length ? waits.reduce((sum, wait) => sum + wait, 0) / waits.length : null;
+    return {
+      tableSize: entry.tableSize,
+      rating: entry.rating,
+      ratingWindow: Math.round(this.ratingWindow(entry, now)),
+      waitedMs,
+      estimatedWaitMs: averageWait === null ? null : Math.max(Math.round(averageWait - waitedMs), 0),
+      searching: this.queue.filter(queued => queued.tableSize === entry.tableSize).length,
+    };
+  }
+
+  private recordWait(tableSize: number, wait: number) {
+    this.recentWaits[tableSize] = [...(this.recentWaits[tableSize] || []), wait].slice(-RECENT_MATCHES);
+  }
+}
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { RateLimiter } from './rateLimiter';
+
+describe('RateLimiter', () => {
+  it('allows as many attempts as the limit within the window', () => {
+    const limiter = new RateLimiter(2, 1000);
+    expect([0, 100, 200].map(at => limiter.allow('socket', at))).toEqual([true, true, false]);
+    // refused attempts don't count against the key
+    expect(limiter.allow('socket', 1000)).toBe(true);
+    expect(limiter.allow('socket', 1099)).toBe(false);
+    expect(limiter.allow('socket', 1100)).toBe(true);
+  });
+
+  it('counts every key on its own', () => {
+    const limiter = new RateLimiter(1, 1000);
+    expect(limiter.allow('a', 0)).toBe(true);
+    expect(limiter.allow('b', 0)).toBe(true);
+    expect(limiter.allow('a', 0)).toBe(false);
+  });
+
+  it('starts over for a key it forgot', () => {
+    const limiter = new RateLimiter(1, 1000);
+    limiter.allow('socket', 0);
+    limiter.forget('socket');
+    expect(limiter.allow('socket', 0)).toBe(true);
+  });
+});
@@ -0,0 +1,18 @@
+// attempts a key (a socket) may make within the window
+export class RateLimiter {
+  private attempts = new Map<string, number[]>();
+
+  constructor(private limit: number, private windowMs: number) {}
+
+  // counts the attempt when it is allowed
+  allow(key: string, now: number = Date.now()): boolean {
+    const recent = (this.attempts.get(key) || []).filter(at => now - at < this.windowMs);
+    const allowed = recent.length < this.limit;
+    this.attempts.set(key, allowed ? [...recent, now] : recent);
+    return allowed;
+  }
+
+  forget(key: string) {
+    this.attempts.delete(key);
+  }
+}
@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Room, RoomRegistry, Seat } from './rooms';
+import { MAX_PLAYERS } from '../src/lib/engine';
+
+const GRACE_MS = 1000;
+
+let expired: [Room, Seat][];
+let rooms: RoomRegistry;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  expired = [];
+  rooms = new RoomRegistry((room, seat) => expired.push([room, seat]), GRACE_MS);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+function seat(roomId: string, socketId: string, token?: string, seatsOpen?: boolean): Seat {
+  const result = rooms.join(roomId, socketId, token, seatsOpen);
+  if ('error' in result) throw new Error(result.error);
+  return result.seat;
+}
+
+describe('RoomRegistry', () => {
+  it('hands out the lowest free seat number', () => {
+    expect(seat('1', 'a').name).toBe('Player 1');
+    const second = seat('1', 'b');
+    expect(second.name).toBe('Player 2');
+    seat('1', 'c');
+    rooms.leave('b');
+    expect(seat('1', 'd').name).toBe('Player 2');
+  });
+
+  it('gives a player who dropped off their seat back with its token', () => {
+    const { token } = seat('1', 'a');
+    seat('1', 'b');
+    rooms.disconnect('a');
+    expect(rooms.users(rooms.get('1')!)[0]).toMatchObject({ name: 'Player 1', connected: false });
+
+    expect(rooms.join('1', 'a2', token)).toMatchObject({ seat: { name: 'Player 1', socketId: 'a2' }, resumed: true });
+    vi.advanceTimersByTime(GRACE_MS);
+    expect(expired).toEqual([]);
+  });
+
+  it('gives the seat up once the grace period runs out', () => {
+    seat('1', 'a');
+    const { token } = seat('1', 'b');
+    rooms.disconnect('b');
+    vi.advanceTimersByTime(GRACE_MS);
+    expect(expired.map(([, gone]) => gone.name)).toEqual(['Player 2']);
+    expect(rooms.join('1', 'b2', token)).toMatchObject({ seat: { name: 'Player 2' }, resumed: false });
+  });
+
+  it('turns players away from a full room, computers count', () => {
+    rooms.join('1', 'a');
+    rooms.get('1')!.bots = Array.from({ length: MAX_PLAYERS - 1 }, (_, index) => ({ name: `Computer ${index + 1}`, level: 'easy' as const }));
+    expect(rooms.join('1', 'b')).toEqual({ error: 'Room full' });
+  });
+
+  it('takes no new players while the game runs, only the ones coming back', () => {
+    seat('1', 'a');
+    const { token } = seat('1', 'b');
+    rooms.disconnect('b');
+    vi.advanceTimersByTime(GRACE_MS);
+
+    // Player 2's hand is played by a computer now, nobody new gets it
+    expect(rooms.join('1', 'c', undefined, false)).toEqual({ error: 'Game in progress' });
+    expect(rooms.join('1', 'c', token, false)).toEqual({ error: 'Game in progress' });
+    expect(rooms.users(rooms.get('1')!).map(user => user.name)).toEqual(['Player 1']);
+
+    const { token: held } = rooms.get('1')!.seats[0];
+    rooms.disconnect('a');
+    expect(rooms.join('1', 'a2', held, false)).toMatchObject({ resumed: true });
+  });
+
+  it('lets anyone watch without a seat and closes the room when the last one leaves', () => {
+    seat('1', 'a');
+    expect(rooms.watch('1', 'w').name).toBe('Spectator 1');
+    expect(rooms.find('w')).toBeNull();
+    rooms.leave('a');
+    expect(rooms.get('1')).toBeDefined();
+    rooms.leave('w');
+    expect(rooms.get('1')).toBeUndefined();
+  });
+});
@@ -0,0 +1,205 @@
+import { randomBytes } from 'node:crypto';
+import { MAX_PLAYERS } from '../src/lib/engine';
+import type { BotSeat } from '../src/lib/bot';
+
+// Rooms and the seats in them. A seat belongs to whoever holds its reconnect token, so a player
+// who refreshes or drops off the network gets the same seat back within the grace period.
+
+export const RECONNECT_GRACE_MS = 60_000;
+
+export interface Seat {
+  name: string;
+  token: string;
+  // null while the player is away
+  socketId: string | null;
+  // when a disconnected seat is given up, null while connected
+  reconnectDeadline: number | null;
+}
+
+// someone watching the game, they hold no cards and can't play
+export interface Spectator {
+  name: string;
+  socketId: string;
+}
+
+export interface Room {
+  id: string;
+  seats: Seat[];
+  spectators: Spectator[];
+  // computer seats the host announced
+  bots: BotSeat[];
+}
+
+// what roomData lists for each seat
+export interface RoomUser {
+  id: string;
+  name: string;
+  room: string;
+  connected: boolean;
+  reconnectDeadline: number | null;
+}
+
+// what roomData lists for each spectator
+export interface RoomSpectator {
+  id: string;
+  name: string;
+}
+
+export type JoinResult = { seat: Seat; resumed: boolean } | { error: string };
+
+function createToken(): string {
+  return randomBytes(16).toString('hex');
+}
+
+// the lowest numbered name nobody in the list has
+function freeName(prefix: string, taken: { name: string }[]): string {
+  const names = new Set(taken.map(({ name }) => name));
+  let number = 1;
+  while (names.has(`${prefix} ${number}`)) number++;
+  return `${prefix} ${number}`;
+}
+
+export class RoomRegistry {
+  private rooms = new Map<string, Room>();
+  private graceTimers = new Map<string, ReturnType<typeof setTimeout>>();
+
+  constructor(private onSeatExpired: (room: Room, seat: Seat) => void, private graceMs = RECONNECT_GRACE_MS) {}
+
+  get(roomId: string): Room | undefined {
+    return this.rooms.get(roomId);
+  }
+
+  // the room a socket watches from the side
+  findSpectator(socketId: string): { room: Room; spectator: Spectator } | null {
+    for (const room of Array.from(this.rooms.values())) {
+      const spectator = room.spectators.find(candidate => candidate.socketId === socketId);
+      if (spectator) return { room, spectator };
+    }
+    return null;
+  }
+
+  // the room and seat a socket sits in
+  find(socketId: string): { room: Room; seat: Seat } | null {
+    for (const room of Array.from(this.rooms.values())) {
+      const seat = room.seats.find(candidate => candidate.socketId === socketId);
+      if (seat) return { room, seat };
+    }
+    return null;
+  }
+
+  /**
+   * Seat a socket, on the seat its reconnect token holds if it still has one. Once the game is running
+   * (`seatsOpen` false) only those come back in: the seat of someone who dropped out is played by a
+   * computer, a newcomer would otherwise get its name and its hand.
+   */
+  join(roomId: string, socketId: string, token?: string | null, seatsOpen = true): JoinResult {
+    const room = this.open(roomId);
+    const current = room.seats.find(seat => seat.socketId === socketId);
+    if (current) return { seat: current, resumed: false };
+
+    const held = token ? room.seats.find(seat => seat.token === token) : undefined;
+    if (held) {
+      this.clearGrace(held);
+      held.socketId = socketId;
+      held.reconnectDeadline = null;
+      return { seat: held, resumed: true };
+    }
+
+    if (!seatsOpen) {
+      return { error: 'Game in progress' };
+    }
+    if (room.seats.length + room.bots.length >= MAX_PLAYERS) {
+      return { error: 'Room full' };
+    }
+    // lowest free seat number, so a new player never takes the name of someone who is away
+    const seat: Seat = { name: freeName('Player', room.seats), token: createToken(), socketId, reconnectDeadline: null };
+    room.seats.push(seat);
+    return { seat, resumed: false };
+  }
+
+  /**
+   * Let a socket watch the room. Spectators don't take a seat, so a full room can still be watched.
+   */
+  watch(roomId: string, socketId: string): Spectator {
+    const room = this.open(roomId);
+    const current = room.spectators.find(spectator => spectator.socketId === socketId);
+    if (current) return current;
+    const spectator = { name: freeName('Spectator', room.spectators), socketId };
+    room.spectators.push(spectator);
+    return spectator;
+  }
+
+  // the socket went away without leaving, its seat is kept for the grace period
+  disconnect(socketId: string): Room | null {
+    const watching = this.stopWatching(socketId);
+    if (watching) return watching;
+    const found = this.find(socketId);
+    if (!found) return null;
+    const { room, seat } = found;
+    seat.socketId = null;
+    seat.reconnectDeadline = Date.now() + this.graceMs;
+    this.graceTimers.set(seat.token, setTimeout(() => {
+      this.graceTimers.delete(seat.token);
+      this.remove(room, seat);
+      this.onSeatExpired(room, seat);
+    }, this.graceMs));
+    return room;
+  }
+
+  // the player left on purpose, the seat is free straight away
+  leave(socketId: string): Room | null {
+    const watching = this.stopWatching(socketId);
+    if (watching) return watching;
+    const found = this.find(socketId);
+    if (!found) return null;
+    this.remove(found.room, found.seat);
+    return found.room;
+  }
+
+  users(room: Room): RoomUser[] {
+    return room.seats.map(seat => ({
+      id: seat.socketId || `away:${seat.name}`,
+      name: seat.name,
+      room: room.id,
+      connected: seat.socketId !== null,
+      reconnectDeadline: seat.reconnectDeadline,
+    }));
+  }
+
+  spectators(room: Room): RoomSpectator[] {
+    return room.spectators.map(spectator => ({ id: spectator.socketId, name: spectator.name }));
+  }
+
+  private open(roomId: string): Room {
+    const room = this.rooms.get(roomId) || { id: roomId, seats: [], spectators: [], bots: [] };
+    this.rooms.set(roomId, room);
+    return room;
+  }
+
+  // spectators have no seat to keep, they are gone as soon as they leave
+  private stopWatching(socketId: string): Room | null {
+    const found = this.findSpectator(socketId);
+    if (!found) return null;
+    found.room.spectators = found.room.spectators.filter(spectator => spectator !== found.spectator);
+    this.closeIfEmpty(found.room);
+    return found.room;
+  }
+
+  private remove(room: Room, seat: Seat) {
+    this.clearGrace(seat);
+    room.seats = room.seats.filter(candidate => candidate !== seat);
+    this.closeIfEmpty(room);
+  }
+
+  private closeIfEmpty(room: Room) {
+    if (room.seats.length === 0 && room.spectators.length === 0) {
+      this.rooms.delete(room.id);
+    }
+  }
+
+  private clearGrace(seat: Seat) {
+    const timer = this.graceTimers.get(seat.token);
+    timer && clearTimeout(timer);
+    this.graceTimers.delete(seat.token);
+  }
+}
@@ -1,31 +1,45 @@
-export default function GameCard({index, gameId, joinGame, joinLoading}: {index: number, gameId: BigInt, joinGame: (gameId: BigInt) => void, joinLoading: boolean}) {
+import { RULES_PRESETS } from "@/lib/engine";
+import { LobbyTable } from "@/lib/lobby";
+
+// "just now", "5m ago", "2h ago"
+function createdAgo(createdAt: number): string {
+  const minutes = Math.floor((Date.now() - createdAt) / 60000);
+  if (minutes < 1) return "just now";
+  return minutes < 60 ? `${minutes}m ago` : `${Math.floor(minutes / 60)}h ago`;
+}
+
+export default function GameCard({ table, joinGame, joinLoading }: { table: LobbyTable, joinGame: (gameId: BigInt) => void, joinLoading: boolean }) {
+  const preset = RULES_PRESETS[table.preset];
 
   return (
     <div
-      key={index}
-      className="bg-gray-700/40 rounded-2xl p-4 flex items-center justify-between hover:bg-gray-700/60 transition-all"
+      className="relative bg-gradient-to-br h-28 from-purple-600/20 to-purple-800/20 backdrop-blur-sm rounded-2xl p-4 cursor-pointer transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] border border-purple-500/30"
+      onClick={() => joinGame(BigInt(table.id))}
     >
-      <div className="flex items-center space-x-4">
-        <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-500 rounded-full flex items-center justify-center">
-          <span className="text-sm font-bold">
-            #{gameId.toString().slice(-2)}
-          </span>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-white font-bold text-lg">#{table.id}</h3>
+        <span className="text-gray-300 text-xs">{createdAgo(table.createdAt)}</span>
+      </div>
+      <div className="text-white/70 text-xs mb-2">
+        {preset.label}
+        {table.targetScore > 0 && ` · to ${table.targetScore}`}
+      </div>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-1 text-white text-sm">
+          <span>👤</span>
+          <span>{table.players}/{table.maxPlayers}</span>
         </div>
-        <div>
-          <h3 className="font-semibold text-lg">Room {gameId.toString()}</h3>
-          <div className="flex items-center text-gray-400 text-sm">
-            <div className="w-2 h-2 bg-green-400 rounded-full mr-2"></div>
-            <span>Waiting for players</span>
-          </div>
+        <div className="text-white">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M9 18L15 12L9 6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+          </svg>
         </div>
       </div>
-      <button
-        onClick={() => joinGame(gameId)}
-        disabled={joinLoading}
-        className={`glossy-button glossy-button-blue transition-all duration-300 ${joinLoading ? 'opacity-70' : ''}`}
-      >
-        {joinLoading ? "Joining..." : "Join"}
-      </button>
+      {joinLoading && (
+        <div className="absolute inset-0 bg-black/50 rounded-2xl flex items-center justify-center">
+          <div className="text-white font-medium">Joining...</div>
+        </div>
+      )}
     </div>
   );
 }
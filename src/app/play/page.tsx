@@ -17,11 +17,22 @@ import { useChains } from 'wagmi'
 import { client } from "@/utils/thirdWebClient";
 import { baseSepolia } from "@/lib/chains";
 import { unoGameABI } from "@/constants/unogameabi";
-import { useReadContract, useActiveAccount, useSendTransaction } from "thirdweb/react";
+import { useActiveAccount, useSendTransaction } from "thirdweb/react";
 import { waitForReceipt, getContract, prepareContractCall } from "thirdweb";
 import ProfileDropdown from "@/components/profileDropdown"
 import { useBalanceCheck } from "@/hooks/useBalanceCheck";
 import { LowBalanceDrawer } from "@/components/LowBalanceDrawer";
+import { RULES_PRESETS, DEFAULT_RULES_PRESET, DEFAULT_TARGET_SCORE, RulesPresetName } from "@/lib/engine";
+import { DEFAULT_LOBBY_FILTERS, LobbyFilters, filterTables, quickMatchTable } from "@/lib/lobby";
+import { useLobby } from "@/hooks/useLobby";
+import { useMatchmaking } from "@/hooks/useMatchmaking";
+import { useWalletSession } from "@/hooks/useWalletSession";
+import { QUEUE_TABLE_SIZES } from "@/lib/matchmaking";
+import { TURN_SECONDS_OPTIONS } from "@/lib/turnClock";
+import QueueModal from "@/components/QueueModal";
+import { saveRoomRules } from "@/utils/roomRules";
+import { PROTOCOL_AUTH, PROTOCOL_MISMATCH, REFRESH_MESSAGE } from "@/lib/protocol";
+import { BOT_LEVELS, DEFAULT_BOT_LEVEL, BotLevelName } from "@/lib/bot";
 
 const CONNECTION =
   process.env.NEXT_PUBLIC_WEBSOCKET_URL ||
@@ -29,6 +40,9 @@ const CONNECTION =
 
 // DIAM wallet integration removed
 
+// how many computer opponents a quick game can have
+const QUICK_GAME_BOT_COUNTS = [1, 2, 3, 4, 5];
+
 export default function PlayGame() {
   const [open, setOpen] = useState(false);
   const [createLoading, setCreateLoading] = useState(false);
@@ -36,6 +50,26 @@ export default function PlayGame() {
   const [joiningGameId, setJoiningGameId] = useState<BigInt | null>(null);
   const [gameId, setGameId] = useState<BigInt | null>(null);
   const [showLowBalanceDrawer, setShowLowBalanceDrawer] = useState(false);
+  const [rulesPreset, setRulesPreset] = useState<RulesPresetName>(DEFAULT_RULES_PRESET);
+  // match mode plays rounds up to the target score instead of a single round
+  const [targetScore, setTargetScore] = useState(RULES_PRESETS[DEFAULT_RULES_PRESET].rules.targetScore);
+  // how long each turn lasts before the server plays it, 0 for no limit
+  const [turnSeconds, setTurnSeconds] = useState(RULES_PRESETS[DEFAULT_RULES_PRESET].rules.turnSeconds);
+  const [botLevel, setBotLevel] = useState<BotLevelName>(DEFAULT_BOT_LEVEL);
+  const [botCount, setBotCount] = useState(1);
+  const [lobbyFilters, setLobbyFilters] = useState<LobbyFilters>(DEFAULT_LOBBY_FILTERS);
+  const [queueTableSize, setQueueTableSize] = useState(QUEUE_TABLE_SIZES[0]);
+  // private tables stay out of the lobby, players get in with the code (and password)
+  const [privateTable, setPrivateTable] = useState(false);
+  const [tablePassword, setTablePassword] = useState("");
+  const [inviteCode, setInviteCode] = useState("");
+  const [invitePassword, setInvitePassword] = useState("");
+
+  const selectRulesPreset = (name: RulesPresetName) => {
+    setRulesPreset(name);
+    setTargetScore(RULES_PRESETS[name].rules.targetScore);
+    setTurnSeconds(RULES_PRESETS[name].rules.turnSeconds);
+  };
   const { checkBalance } = useBalanceCheck();
   const router = useRouter();
   const chains = useChains();
@@ -60,47 +94,46 @@ export default function PlayGame() {
     abi: unoGameABI,
   });
 
-  const { data: activeGames, refetch: refetchGames } = useReadContract({
-    contract,
-    method: "getNotStartedGames",
-  });
-
-  // Auto-refetch active games every 2 seconds
-  useEffect(() => {
-    const interval = setInterval(() => {
-      refetchGames();
-    }, 2000);
-
-    return () => clearInterval(interval);
-  }, [refetchGames]);
-
   useEffect(() => {
     if (!socket.current) {
       socket.current = io(CONNECTION, {
         transports: ["websocket"],
+        auth: PROTOCOL_AUTH,
       }) as any; // Type assertion to fix the type mismatch
+      // an outdated page is turned away by the server, reloading it fetches the current version
+      socket.current?.on("connect_error", (error) => {
+        error.message === PROTOCOL_MISMATCH &&
+          toast({ title: "Update available", description: REFRESH_MESSAGE, variant: "destructive", duration: Infinity });
+      });
 
       console.log("Socket connection established");
     }
   }, [socket]);
 
-  useEffect(() => {
-    if (socket.current) {
-      console.log("Socket connection established");
-      // Add listener for gameRoomCreated event
-      socket.current.on("gameRoomCreated", () => {
-        console.log("Game room created event received");
-        refetchGames();
-      });
+  // open tables, pushed by the server over the lobby channel
+  const lobbyTables = useLobby(socket);
+  const shownTables = filterTables(lobbyTables, lobbyFilters);
+  // matched groups play rated games, the host creates the table and the others join it
+  const matchmaking = useMatchmaking(socket, {
+    onHost: (matchId) => createGame(rulesPreset, matchId),
+    onReady: (gameId) => joinGame(BigInt(gameId)),
+  });
+  const walletSession = useWalletSession(socket);
 
-      // Cleanup function
-      return () => {
-        if (socket.current) {
-          socket.current.off("gameRoomCreated");
-        }
-      };
+  // rated games go by the wallet, it signs in before the player is queued
+  const findMatch = async () => {
+    const failed = (error: string) => toast({ title: "Error", description: error, variant: "destructive", duration: 5000 });
+    try {
+      const session = await walletSession.signIn();
+      matchmaking.join(queueTableSize, session, (error) => {
+        // the session may have expired or the server restarted, the next try signs in again
+        walletSession.forget();
+        failed(error);
+      });
+    } catch (error) {
+      failed(error instanceof Error ? error.message : "Could not sign in with your wallet.");
     }
-  }, [socket, refetchGames]);
+  };
 
   const ISSERVER = typeof window === "undefined";
 
@@ -108,7 +141,9 @@ export default function PlayGame() {
     setOpen(false);
   };
 
-  const createGame = async () => {
+  // quick match opens a table with the preset it was filtering on
+  // matchId is set when matchmaking made this player the host of a group, a failure sends the group back to the queue
+  const createGame = async (preset: RulesPresetName = rulesPreset, matchId?: string) => {
     if (!address) {
       toast({
         title: "Wallet Not Connected",
@@ -116,6 +151,22 @@ export default function PlayGame() {
         variant: "destructive",
         duration: 5000,
       });
+      matchId && matchmaking.cancel();
+      return;
+    }
+
+    // only the wallet that created the game sets up its table, it signs in before paying for the transaction
+    let session: string;
+    try {
+      session = await walletSession.signIn();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Could not sign in with your wallet.",
+        variant: "destructive",
+        duration: 5000,
+      });
+      matchId && matchmaking.cancel();
       return;
     }
 
@@ -123,6 +174,7 @@ export default function PlayGame() {
     const hasSufficientBalance = await checkBalance();
     if (!hasSufficientBalance) {
       setShowLowBalanceDrawer(true);
+      matchId && matchmaking.cancel();
       return;
     }
 
@@ -142,7 +194,7 @@ export default function PlayGame() {
       });
 
       sendTransaction(transaction, {
-        onSuccess: (result) => {
+        onSuccess: async (result) => {
           console.log("Transaction successful:", result);
           toast({
             title: "Game created successfully!",
@@ -150,7 +202,46 @@ export default function PlayGame() {
             duration: 5000,
             variant: "success",
           });
-          refetchGames();
+
+          const receipt = await waitForReceipt({
+            client,
+            chain: baseSepolia,
+            transactionHash: result.transactionHash,
+          });
+
+          const gameCreatedId = receipt.logs.find((log) => log.topics.length == 2 && log.topics[1])?.topics[1]
+
+          if (gameCreatedId) {
+            const gameId = BigInt(gameCreatedId).toString();
+            // remember the house rules so this browser deals the game with them
+            saveRoomRules(gameId, preset, targetScore, turnSeconds);
+            // the server answers with why it wouldn't set the room up
+            const refused = (reply: { code: string; access: string } | { error: string }) => {
+              if (!("error" in reply)) return false;
+              // the session may have expired or the server restarted, the next game signs in again
+              walletSession.forget();
+              toast({ title: "Error", description: reply.error, variant: "destructive", duration: 5000 });
+              return true;
+            };
+            if (socket.current && privateTable && !matchId) {
+              // the server keeps the table out of the lobby and answers with the code to share
+              socket.current.emit(
+                "createGameRoom",
+                { gameId, rules: preset, targetScore, turnSeconds, session, private: true, password: tablePassword || undefined },
+                (reply: { code: string; access: string } | { error: string }) => {
+                  if (refused(reply) || !("code" in reply)) return;
+                  toast({ title: "Private table created", description: `Invite code: ${reply.code}`, duration: 10000, variant: "success" });
+                  router.push(`/game/${gameId}?access=${reply.access}`);
+                }
+              );
+            } else if (socket.current) {
+              socket.current.emit("createGameRoom", { gameId, rules: preset, targetScore, turnSeconds, session, ...(matchId ? { matchId } : {}) }, refused);
+            }
+            matchId && router.push(`/game/${gameId}`);
+          } else {
+            matchId && matchmaking.cancel();
+          }
+
           setCreateLoading(false);
         },
         onError: (error) => {
@@ -161,6 +252,7 @@ export default function PlayGame() {
             variant: "destructive",
             duration: 5000,
           });
+          matchId && matchmaking.cancel();
           setCreateLoading(false);
         }
       });
@@ -172,6 +264,7 @@ export default function PlayGame() {
         variant: "destructive",
         duration: 5000,
       });
+      matchId && matchmaking.cancel();
       setCreateLoading(false);
     }
   };
@@ -235,10 +328,9 @@ export default function PlayGame() {
               }
     
               // Navigate to game room with computer mode flag
-              router.push(`/game/${gameId}?mode=computer`);
+              router.push(`/game/${gameId}?mode=computer&rules=${rulesPreset}&target=${targetScore}&bot=${botLevel}&bots=${botCount}`);
             }
 
-            refetchGames();
             setComputerCreateLoading(false);
           },
           onError: (error) => {
@@ -279,7 +371,8 @@ export default function PlayGame() {
     }
   };
 
-  const joinGame = async (gameId: BigInt) => {
+  // query is added to the room url, e.g. the access key of a private table
+  const joinGame = async (gameId: BigInt, query = "") => {
     if (!address) {
       toast({
         title: "Wallet Not Connected",
@@ -321,10 +414,11 @@ export default function PlayGame() {
             duration: 5000,
             variant: "success",
           });
-          router.push(`/game/${gameId}`);
+          router.push(`/game/${gameId}${query}`);
         },
         onError: (error) => {
           console.error("Transaction failed:", error);
+          setJoiningGameId(null);
           toast({
             title: "Error",
             description: "Failed to join game. Please try again.",
@@ -346,6 +440,32 @@ export default function PlayGame() {
     }
   };
 
+  // the server turns the code into the game id and the key a private table asks for
+  const joinByCode = () => {
+    if (!inviteCode.trim() || !socket.current) return;
+    socket.current.emit(
+      "resolveInvite",
+      { code: inviteCode, password: invitePassword || undefined },
+      (result: { gameId: string; access: string } | { error: string }) => {
+        if ("error" in result) {
+          toast({ title: "Can't join", description: result.error, variant: "destructive", duration: 5000 });
+          return;
+        }
+        joinGame(BigInt(result.gameId), `?access=${result.access}`);
+      }
+    );
+  };
+
+  // the fullest open table that fits the filters, or a new one
+  const quickMatch = () => {
+    const table = quickMatchTable(lobbyTables, lobbyFilters);
+    if (table) {
+      joinGame(BigInt(table.id));
+      return;
+    }
+    createGame(lobbyFilters.preset === "any" ? rulesPreset : lobbyFilters.preset);
+  };
+
   // Handle transaction confirmation
   // useEffect(() => {
   //   if (isConfirmed && hash) {
@@ -448,7 +568,7 @@ export default function PlayGame() {
               style={{
                 background: 'radial-gradient(73.45% 290.46% at 73.45% 17.68%, #9E2B31 0%, #D4D42E 100%)'
               }}
-              onClick={createGame}
+              onClick={() => createGame()}
             >
               <div className="absolute left-0 top-0 opacity-100">
                 <div className="w-24 h-28 rounded-lg flex items-center justify-center relative overflow-hidden">
@@ -505,75 +625,199 @@ export default function PlayGame() {
                 </div>
               )}
             </div>
+            <div className="flex space-x-3">
+              {Object.values(BOT_LEVELS).map((level) => (
+                <button
+                  key={level.name}
+                  className={`flex-1 rounded-xl px-3 py-2 text-left transition-all duration-300 border ${
+                    botLevel === level.name
+                      ? "bg-blue-600/40 border-blue-400"
+                      : "bg-blue-900/20 border-blue-500/30"
+                  }`}
+                  onClick={() => setBotLevel(level.name)}
+                >
+                  <div className="text-white font-bold text-sm">{level.label}</div>
+                  <div className="text-white/60 text-xs">{level.description}</div>
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center space-x-2 text-white/80 text-sm">
+              <span>Computers:</span>
+              {QUICK_GAME_BOT_COUNTS.map((count) => (
+                <button
+                  key={count}
+                  className={`w-8 h-8 rounded-full border transition-all duration-300 ${
+                    botCount === count ? "bg-blue-600/40 border-blue-400" : "bg-blue-900/20 border-blue-500/30"
+                  }`}
+                  onClick={() => setBotCount(count)}
+                >
+                  {count}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* House Rules */}
+          <div className="mb-8">
+            <h4 className="text-white/80 text-sm font-semibold uppercase mb-3">House Rules</h4>
+            <div className="flex space-x-3">
+              {Object.values(RULES_PRESETS).map((preset) => (
+                <button
+                  key={preset.name}
+                  className={`flex-1 rounded-xl px-3 py-2 text-left transition-all duration-300 border ${
+                    rulesPreset === preset.name
+                      ? "bg-purple-600/40 border-purple-400"
+                      : "bg-purple-900/20 border-purple-500/30"
+                  }`}
+                  onClick={() => selectRulesPreset(preset.name)}
+                >
+                  <div className="text-white font-bold text-sm">{preset.label}</div>
+                  <div className="text-white/60 text-xs">{preset.description}</div>
+                </button>
+              ))}
+            </div>
+            <label className="flex items-center space-x-2 mt-3 text-white/80 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={targetScore > 0}
+                onChange={(e) => setTargetScore(e.target.checked ? DEFAULT_TARGET_SCORE : 0)}
+              />
+              <span>Match play: rounds until someone scores {DEFAULT_TARGET_SCORE}</span>
+            </label>
+            <label className="flex items-center space-x-2 mt-3 text-white/80 text-sm">
+              <span>Turn timer:</span>
+              <select
+                className="bg-purple-900/40 border border-purple-500/30 rounded-lg px-2 py-1 text-white"
+                value={turnSeconds}
+                onChange={(e) => setTurnSeconds(Number(e.target.value))}
+              >
+                {TURN_SECONDS_OPTIONS.map((seconds) => (
+                  <option key={seconds} value={seconds}>
+                    {seconds ? `${seconds}s` : "Off"}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center space-x-2 mt-3 text-white/80 text-sm cursor-pointer">
+              <input type="checkbox" checked={privateTable} onChange={(e) => setPrivateTable(e.target.checked)} />
+              <span>Private table: invite only, joined with a code</span>
+            </label>
+            {privateTable && (
+              <input
+                type="password"
+                className="mt-2 w-full bg-purple-900/40 border border-purple-500/30 rounded-lg px-3 py-1 text-white text-sm"
+                placeholder="Password (optional)"
+                value={tablePassword}
+                onChange={(e) => setTablePassword(e.target.value)}
+              />
+            )}
           </div>
 
           {/* Tabs Section */}
-          <div className="mb-6">
-            <div className="flex space-x-8">
+          <div className="mb-4">
+            <div className="flex items-center justify-between">
               <button className="text-white font-semibold text-lg border-b-2 border-white pb-2">
                 ROOMS
               </button>
+              <button
+                className="glossy-button glossy-button-blue px-4 py-1 rounded-full text-sm font-bold"
+                onClick={quickMatch}
+                disabled={createLoading || joiningGameId !== null}
+              >
+                Quick Match
+              </button>
             </div>
           </div>
 
+          {/* Join By Code */}
+          <div className="flex items-center space-x-2 mb-4 text-sm">
+            <input
+              className="w-28 bg-purple-900/40 border border-purple-500/30 rounded-lg px-3 py-1 text-white uppercase tracking-widest"
+              placeholder="Code"
+              value={inviteCode}
+              onChange={(e) => setInviteCode(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && joinByCode()}
+            />
+            <input
+              type="password"
+              className="flex-1 bg-purple-900/40 border border-purple-500/30 rounded-lg px-3 py-1 text-white"
+              placeholder="Password (if any)"
+              value={invitePassword}
+              onChange={(e) => setInvitePassword(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && joinByCode()}
+            />
+            <button
+              className="glossy-button glossy-button-blue px-4 py-1 rounded-full text-sm font-bold"
+              onClick={joinByCode}
+              disabled={!inviteCode.trim()}
+            >
+              Join by code
+            </button>
+          </div>
+
+          {/* Matchmaking Queue */}
+          <div className="flex items-center space-x-2 mb-4 text-sm text-white/80">
+            <span>Rated:</span>
+            {QUEUE_TABLE_SIZES.map((size) => (
+              <button
+                key={size}
+                className={`w-8 h-8 rounded-full border transition-all duration-300 ${
+                  queueTableSize === size ? "bg-purple-600/40 border-purple-400" : "bg-purple-900/20 border-purple-500/30"
+                }`}
+                onClick={() => setQueueTableSize(size)}
+              >
+                {size}
+              </button>
+            ))}
+            <span>players</span>
+            <button
+              className="glossy-button glossy-button-blue px-4 py-1 rounded-full text-sm font-bold"
+              onClick={findMatch}
+              disabled={matchmaking.queue.phase !== "idle"}
+            >
+              Find Match
+            </button>
+          </div>
+
+          {/* Lobby Filters */}
+          <div className="flex items-center space-x-2 mb-4 text-sm">
+            <select
+              className="bg-purple-900/40 border border-purple-500/30 rounded-lg px-2 py-1 text-white"
+              value={lobbyFilters.preset}
+              onChange={(e) => setLobbyFilters({ ...lobbyFilters, preset: e.target.value as LobbyFilters["preset"] })}
+            >
+              <option value="any">Any rules</option>
+              {Object.values(RULES_PRESETS).map((preset) => (
+                <option key={preset.name} value={preset.name}>
+                  {preset.label}
+                </option>
+              ))}
+            </select>
+            <span className="text-white/60">{shownTables.length} open</span>
+          </div>
+
           {/* Room Cards Grid */}
           <div className="grid grid-cols-2 gap-4 mb-24 h-[calc(100vh-500px)] overflow-y-auto grid-rows-[7rem]">
-            {activeGames && activeGames?.length > 0 ? (
-              activeGames.toReversed().map((game, index) => (
-                <div
-                  key={index}
-                  className="bg-gradient-to-br h-28 from-purple-600/20 to-purple-800/20 backdrop-blur-sm rounded-2xl p-4 cursor-pointer transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] border border-purple-500/30"
-                  onClick={() => joinGame(game)}
-                >
-                  <div className="flex items-center justify-between mb-3">
-                    <h3 className="text-white font-bold text-lg">
-                      #{game.toString()}
-                    </h3>
-                    {/* <span className="text-gray-300 text-sm">{Math.floor(Math.random() * 20) + 1}m</span> */}
-                  </div>
-                  <div className="flex items-center justify-between">
-                    <div className="w-8 h-8 bg-red-500 rounded-full flex items-center justify-center">
-                      <span className="text-white text-xs">👤</span>
-                    </div>
-                    <div className="text-white">
-                      <svg
-                        width="20"
-                        height="20"
-                        viewBox="0 0 24 24"
-                        fill="none"
-                        xmlns="http://www.w3.org/2000/svg"
-                      >
-                        <path
-                          d="M9 18L15 12L9 6"
-                          stroke="currentColor"
-                          strokeWidth="2"
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                        />
-                      </svg>
-                    </div>
-                  </div>
-                  {joiningGameId !== null &&
-                    joiningGameId === game && (
-                      <div className="absolute inset-0 bg-black/50 rounded-2xl flex items-center justify-center">
-                        <div className="text-white font-medium">Joining...</div>
-                      </div>
-                    )}
-                </div>
+            {shownTables.length > 0 ? (
+              shownTables.map((table) => (
+                <GameCard
+                  key={table.id}
+                  table={table}
+                  joinGame={joinGame}
+                  joinLoading={joiningGameId !== null && joiningGameId.toString() === table.id}
+                />
               ))
             ) : (
-              // Placeholder rooms when no games available
-              <>
-                    <div className="flex items-center justify-between">
-                      <div className="text-gray-400 text-sm">
-                        No room available
-                      </div>
-                    </div>
-              </>
+              <div className="flex items-center justify-between">
+                <div className="text-gray-400 text-sm">
+                  No room available
+                </div>
+              </div>
             )}
           </div>
         </div>
       )}
+      <QueueModal queue={matchmaking.queue} onCancel={matchmaking.cancel} />
       {/* <BottomNavigation /> */}
       <Toaster />
       <LowBalanceDrawer 
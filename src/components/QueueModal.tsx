@@ -0,0 +1,58 @@
+import React from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from './ui/dialog';
+import type { QueueState } from '@/hooks/useMatchmaking';
+
+interface QueueModalProps {
+    queue: QueueState;
+    onCancel: () => void;
+}
+
+function formatWait(ms: number): string {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// where the player stands in the matchmaking queue, closing it leaves the queue
+const QueueModal: React.FC<QueueModalProps> = ({ queue, onCancel }) => {
+    if (queue.phase === 'idle') return null;
+    const status = queue.phase === 'searching' ? queue.status : null;
+
+    return (
+        <Dialog open onOpenChange={(open) => { if (open == false) { onCancel() } }}>
+            <DialogContent className='w-3/4 bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 border-2 border-indigo-500/50 shadow-xl shadow-indigo-500/20 rounded-xl'>
+                <DialogHeader className='text-center'>
+                    <DialogTitle className='text-base font-bold text-white'>
+                        {queue.phase === 'matched' ? 'Match found!' : `Finding a ${queue.tableSize} player table`}
+                    </DialogTitle>
+                    <DialogDescription className='text-slate-300'>
+                        {queue.phase === 'matched'
+                            ? queue.match.role === 'host'
+                                ? 'Confirm the transaction to create the table for your group.'
+                                : 'Waiting for the table to be created...'
+                            : 'Players close to your rating are matched first, the range widens the longer you wait.'}
+                    </DialogDescription>
+                </DialogHeader>
+                {status && (
+                    <div className="grid grid-cols-2 gap-2 py-2 text-sm text-white font-mono">
+                        <span className="text-slate-400">Waiting</span>
+                        <span>{formatWait(status.waitedMs)}</span>
+                        <span className="text-slate-400">Estimated wait</span>
+                        <span>{status.estimatedWaitMs === null ? 'estimating...' : `~${formatWait(status.estimatedWaitMs)}`}</span>
+                        <span className="text-slate-400">Rating</span>
+                        <span>{status.rating} ± {status.ratingWindow}</span>
+                        <span className="text-slate-400">Searching</span>
+                        <span>{status.searching} player{status.searching === 1 ? '' : 's'}</span>
+                    </div>
+                )}
+                <button
+                    onClick={onCancel}
+                    className="rounded-lg px-4 py-3 bg-red-600/80 text-white font-bold hover:scale-105 transition-all"
+                >
+                    Cancel
+                </button>
+            </DialogContent>
+        </Dialog>
+    );
+};
+
+export default QueueModal;
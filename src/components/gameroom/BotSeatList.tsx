@@ -0,0 +1,62 @@
+import React from "react";
+import { BOT_LEVELS, BotLevelName, BotSeat } from "@/lib/bot";
+
+type BotSeatListProps = {
+  bots: BotSeat[];
+  // seat number of the first computer, they sit after the humans
+  firstSeat: number;
+  seatsLeft: number;
+  // only the host fills and clears computer seats
+  canEdit: boolean;
+  onAdd: (level: BotLevelName) => void;
+  onRemove: (name: string) => void;
+};
+
+//computer seats in the waiting room, listed after the players
+const BotSeatList = ({ bots, firstSeat, seatsLeft, canEdit, onAdd, onRemove }: BotSeatListProps) => (
+  <>
+    {bots.map((bot, index) => (
+      <div key={bot.name} style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "0.75rem",
+        color: "white",
+        fontSize: "1rem",
+        fontFamily: "monospace"
+      }}>
+        <span style={{ fontSize: "1.25rem" }}>{'>'}</span>
+        <span style={{ fontWeight: "bold" }}>{String(firstSeat + index).padStart(2, '0')}.</span>
+        <span style={{ flex: 1 }}>{bot.name} 🤖</span>
+        <span style={{ fontSize: "0.875rem", opacity: 0.8, fontStyle: "italic" }}>
+          {BOT_LEVELS[bot.level].label}
+        </span>
+        {canEdit && (
+          <button onClick={() => onRemove(bot.name)} style={{ opacity: 0.8 }} aria-label={`Remove ${bot.name}`}>
+            ✕
+          </button>
+        )}
+      </div>
+    ))}
+    {canEdit && seatsLeft > 0 && (
+      <div style={{ display: "flex", alignItems: "center", gap: "0.5rem", color: "white", fontSize: "0.875rem", fontFamily: "monospace" }}>
+        <span style={{ opacity: 0.8 }}>+ computer:</span>
+        {Object.values(BOT_LEVELS).map((level) => (
+          <button
+            key={level.name}
+            onClick={() => onAdd(level.name)}
+            style={{
+              padding: "0.125rem 0.625rem",
+              borderRadius: "1rem",
+              border: "1px solid rgba(255, 255, 255, 0.5)",
+              backgroundColor: "rgba(0, 0, 0, 0.2)"
+            }}
+          >
+            {level.label}
+          </button>
+        ))}
+      </div>
+    )}
+  </>
+);
+
+export default BotSeatList;
@@ -1,6 +1,45 @@
 import React from "react";
 
-const CenterInfo = ({ msg }) => {
+//shows which way play is moving around the table (1 = clockwise, -1 = counter-clockwise)
+const DirectionIndicator = ({ direction }) => {
+  const isClockwise = direction !== -1;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: "38%",
+        left: "50%",
+        transform: "translate(-50%, -50%)",
+        display: "flex",
+        alignItems: "center",
+        gap: "0.25rem",
+        padding: "0.25rem 0.75rem",
+        borderRadius: "1rem",
+        backgroundColor: "rgba(15, 23, 42, 0.6)",
+        color: "white",
+        fontSize: "0.75rem",
+        fontFamily: "monospace",
+        pointerEvents: "none",
+        zIndex: 20
+      }}
+    >
+      <span
+        className="material-icons"
+        style={{ fontSize: "1.25rem", transform: isClockwise ? "none" : "scaleX(-1)", transition: "transform 0.3s ease" }}
+      >
+        refresh
+      </span>
+      {isClockwise ? "clockwise" : "counter-clockwise"}
+    </div>
+  );
+};
+
+const CenterInfo = ({ msg = "", direction = 0 }) => {
+  if (!msg) {
+    return direction ? <DirectionIndicator direction={direction} /> : null;
+  }
+
   return (
     <div style={{ position: "absolute", top: "50%", left: "50%", transform: "translate(-50%, -50%)", textAlign: "center" }}>
       <h1 className='topInfoText font-bold text-white'>{msg}</h1>
@@ -2,9 +2,11 @@ import React, { useState } from "react";
 import StyledButton from "../styled-button";
 
 const CommonView = ({
-  playedCardsPile,
+  topCard,
+  drawPileSize = 0,
   onCardDrawnHandler,
   isDrawDisabled,
+  pendingDraw = 0,
   onUnoClicked,
   isUnoDisabled,
 }) => {
@@ -48,12 +50,27 @@ const CommonView = ({
             zIndex: "10"
           }}
           role="button"
+          title={`${drawPileSize} cards left`}
           disabled={isDrawDisabled || isDrawing}
           onClick={handleDrawCard}
         >
           <img src="/images/draw.png" alt="draw" />
+          {/* stacked draw cards waiting to be taken */}
+          {pendingDraw > 0 && (
+            <span style={{
+              marginTop: "0.25rem",
+              padding: "0 0.5rem",
+              borderRadius: "1rem",
+              backgroundColor: "#dc2626",
+              color: "white",
+              fontWeight: "bold",
+              fontSize: "0.875rem"
+            }}>
+              +{pendingDraw}
+            </span>
+          )}
         </button>
-      {playedCardsPile && playedCardsPile.length > 0 && (
+      {topCard && (
         <div style={{
           position: "absolute",
           display: "flex",
@@ -72,8 +89,8 @@ const CommonView = ({
               borderRadius: "0.5rem",
               boxShadow: "0 0 15px rgba(14, 165, 233, 0.5)"
             }}
-            alt={`cards-front ${playedCardsPile[playedCardsPile.length - 1]}`}
-            src={`../assets/cards-front/${playedCardsPile[playedCardsPile.length - 1]}.webp`}
+            alt={`cards-front ${topCard}`}
+            src={`../assets/cards-front/${topCard}.webp`}
           />
         </div>
       )}
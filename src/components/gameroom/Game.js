@@ -1,19 +1,44 @@
-import React, { useEffect, useReducer, useState } from "react";
+import React, { useEffect, useReducer, useRef, useState } from "react";
 import socket from "../../services/socket";
 import MemoizedHeader from "./Header";
 import CenterInfo from "./CenterInfo";
 import GameScreen from "./GameScreen";
 import GameBackground from "./GameBackground";
-import { PACK_OF_CARDS, ACTION_CARDS } from "../../utils/packOfCards";
-import shuffleArray from "../../utils/shuffleArray";
+import {
+  createGame,
+  applyMove,
+  canJumpIn,
+  canPlayCard,
+  swapsHands,
+  rulesOf,
+  canCallUno,
+  catchableUnoPlayer,
+  isWildCard,
+  CLOCKWISE,
+  DEFAULT_RULES,
+  createMatch,
+  UNO_CATCH_WINDOW_MS,
+  viewFor,
+  stateFromView,
+} from "@/lib/engine";
 import { useSoundProvider } from "../../context/SoundProvider";
+import { validated } from "@/lib/protocol";
 import ColourDialog from "./colourDialog";
+import SwapDialog from "./swapDialog";
+import RoundSummary from "./RoundSummary";
+import Messages from "./Messages";
+import ChallengeDialog from "./challengeDialog";
 import { useToast } from "@/components/ui/use-toast";
 import { Toaster } from "@/components/ui/toaster";
 import { useAccount, useWalletClient } from "wagmi";
 // import { addClaimableBalance, claimableBalancesApi } from '@/utils/supabase';
 import { useWalletAddress } from "@/utils/onchainWalletUtils";
 import { useBalanceCheck } from "@/hooks/useBalanceCheck";
+import { useSeedCeremony } from "@/hooks/useSeedCeremony";
+import { useSearchBot } from "@/hooks/useSearchBot";
+import { useChat } from "@/hooks/useChat";
+import { intentOf } from "@/lib/intents";
+import { chooseBotMove, createBotMemory, rememberEvents, getBotLevel, suggestMove, DEFAULT_BOT_LEVEL } from "@/lib/bot";
 import { LowBalanceDrawer } from "@/components/LowBalanceDrawer";
 import { ethers } from "ethers";
 import { useReadContract, useActiveAccount, useSendTransaction } from "thirdweb/react";
@@ -22,23 +47,18 @@ import { waitForReceipt, getContract, prepareContractCall } from "thirdweb";
 //NUMBER CODES FOR ACTION CARDS
 //SKIP - 100
 //DRAW 2 - 200
+//REVERSE - 300
 //WILD - 500
 //DRAW 4 WILD - 400
 
-const checkGameOver = (playerDeck) => {
-  return playerDeck.length === 1;
-};
-
-const checkWinner = (playerDeck, player) => {
-  return playerDeck.length === 1 ? player : "";
-};
-
 const initialGameState = {
   gameOver: false,
+  roundOver: false,
   winner: "",
   turn: "",
-  player1Deck: [],
-  player2Deck: [],
+  players: [],
+  hands: {},
+  direction: CLOCKWISE,
   currentColor: "",
   currentNumber: "",
   playedCardsPile: [],
@@ -46,17 +66,89 @@ const initialGameState = {
   isUnoButtonPressed: false,
   drawButtonPressed: false,
   lastCardPlayedBy: "",
+  rules: DEFAULT_RULES,
+  pendingDraw: 0,
+  drawnCard: "",
+  drawFourChallenge: null,
+  unoCatch: null,
+  match: createMatch([]),
+  seed: "",
+  shuffleCount: 0,
 };
 
 const gameReducer = (state, action) => ({ ...state, ...action });
 
-const Game = ({ room, currentUser, isComputerMode = false }) => {
-  const [gameState, dispatch] = useReducer(gameReducer, initialGameState);
+//rules is only known by the room creator (or from the url in computer mode), everyone else takes them from initGameState
+//players are the human seats, bots the computer seats that sit after them, connected the humans still in the room
+//reconnecting maps the players who dropped off to when their seat is given up
+//snapshot is this player's view of the game in progress when rejoining a seat, hintsEnabled is false in ranked rooms
+//online games are run by the server, clients only send it intents and get back their own view of it
+//a spectator only watches: no hand, no moves, spectators lists everyone watching
+//turnClock is the server's clock for the turn, it plays the turn itself when time runs out
+const Game = ({
+  room,
+  currentUser,
+  players: humanSeats,
+  bots,
+  connected = humanSeats,
+  reconnecting = {},
+  snapshot,
+  rules,
+  isComputerMode = false,
+  spectator = false,
+  spectators,
+  turnClock,
+  hintsEnabled = true,
+}) => {
+  const [gameState, dispatch] = useReducer(gameReducer, snapshot ? { ...initialGameState, ...stateFromView(snapshot) } : initialGameState);
 
   const [isDialogOpen, setIsDialogOpen] = useState(false);
   const [dialogCallback, setDialogCallback] = useState(null);
+  const [swapCallback, setSwapCallback] = useState(null);
+  const [catchTarget, setCatchTarget] = useState(null);
+  //the move the Hint button suggested, until the turn or the hand changes
+  const [hint, setHint] = useState(null);
+  //timers fire after later renders, they play from the latest state
+  const gameStateRef = useRef(gameState);
+  gameStateRef.current = gameState;
+  //the open catch window and when this client saw it open
+  const catchSeenAt = useRef(null);
+  //the catch window's clock: the time of whoever opened it, moved on by the time that passed here
+  const catchClock = () =>
+    catchSeenAt.current ? catchSeenAt.current.openedAt + Date.now() - catchSeenAt.current.seenAt : Date.now();
   const [rewardGiven, setRewardGiven] = useState(false);
   const [computerMoveCounter, setComputerMoveCounter] = useState(0);
+
+  //the first human still in the room sets up the computer seats for the whole table
+  const isHost = isComputerMode || connected[0] === currentUser;
+  //online seats agree on the deck seed first, then the server deals the game from it
+  const seedCeremony = useSeedCeremony({
+    socket,
+    player: currentUser,
+    players: humanSeats,
+    rules,
+    bots: isHost ? bots || [] : null,
+    //a player back in their seat takes the game from the snapshot instead of dealing
+    enabled: !isComputerMode && !snapshot && !spectator,
+  });
+  const tableBots = (!isComputerMode && seedCeremony.bots) || bots || [];
+  const chat = useChat(isComputerMode ? null : socket, currentUser);
+  const seats = [...humanSeats, ...tableBots.map((bot) => bot.name)];
+  //a player who drops out mid-game is played by a computer so the table goes on, once their seat's grace period is over
+  const dropouts = isComputerMode
+    ? []
+    : gameState.players.filter(
+        (player) => !connected.includes(player) && !(player in reconnecting) && !tableBots.some((bot) => bot.name === player)
+      );
+  const botSeats = [...tableBots.map((bot) => bot.name), ...dropouts];
+  const botLevelOf = (seat) => tableBots.find((bot) => bot.name === seat)?.level || DEFAULT_BOT_LEVEL;
+  //online the server plays the computer seats
+  const runsBots = isComputerMode && botSeats.length > 0;
+
+  //what the computers have seen of the game so far, everything they remember is public
+  const botMemory = useRef(createBotMemory());
+  //hard computers search for their move in a worker while the turn delay runs
+  const searchMove = useSearchBot(runsBots && tableBots.some((bot) => bot.level === "hard"));
   const [showLowBalanceDrawer, setShowLowBalanceDrawer] = useState(false);
   const { checkBalance } = useBalanceCheck();
 
@@ -68,10 +160,12 @@ const Game = ({ room, currentUser, isComputerMode = false }) => {
 
   const {
     gameOver,
+    roundOver,
     winner,
     turn,
-    player1Deck,
-    player2Deck,
+    players,
+    hands,
+    direction,
     currentColor,
     currentNumber,
     playedCardsPile,
@@ -79,80 +173,18 @@ const Game = ({ room, currentUser, isComputerMode = false }) => {
     isUnoButtonPressed,
     drawButtonPressed,
     lastCardPlayedBy,
+    pendingDraw,
+    drawFourChallenge,
+    unoCatch,
+    rules: gameRules,
+    match,
   } = gameState;
 
   const { toast } = useToast();
 
-  // Computer AI logic
-  const getValidMoves = (computerDeck, currentColor, currentNumber) => {
-    return computerDeck.filter(card => {
-      // Wild cards can always be played
-      if (card.includes("W") || card.includes("D4W")) return true;
-      
-      // Match color or number
-      const cardColor = card.charAt(1);
-      const cardNumber = card.charAt(0);
-      
-      return cardColor === currentColor || cardNumber === currentNumber;
-    });
-  };
-
-  const computerMakeMove = () => {
-    const validMoves = getValidMoves(player2Deck, currentColor, currentNumber);
-    
-    if (validMoves.length > 0) {
-      // Prioritize special cards if available
-      const specialCards = validMoves.filter(card => 
-        card.includes("skip") || card.includes("D2") || card === "W" || card === "D4W"
-      );
-      
-      if (specialCards.length > 0) {
-        return specialCards[0]; // Play the first special card found
-      }
-      
-      // Otherwise play a regular card
-      return validMoves[0];
-    } else {
-      // Check if draw pile is empty and needs reshuffling
-      if (drawCardPile.length === 0 && playedCardsPile.length > 1) {
-        // Don't need to actually reshuffle here, as that will happen in onCardDrawnHandler
-        console.log('Computer notices draw pile is empty, will trigger reshuffle on draw');
-      }
-      
-      // Draw a card if no valid moves
-      // With new rule, if the drawn card is playable, the computer will play it automatically
-      // This is handled in onCardDrawnHandler with the isPlayable check and setTimeout
-      return "draw";
-    }
-  };
-
-  // Handle computer turn with delay for better UX
   useEffect(() => {
-    if (isComputerMode && turn === "Player 2" && !gameOver) {
-      const computerTurnDelay = setTimeout(() => {
-        // Check if computer should declare UNO (when it has 2 cards and will play one)
-        if (player2Deck.length === 2) {
-          playUnoSound();
-        }
-        
-        const computerMove = computerMakeMove();
-        
-        if (computerMove === "draw") {
-          // Computer draws a card
-          // If the drawn card is playable, the computer will automatically play it
-          // This is handled in onCardDrawnHandler with the isPlayable check and setTimeout
-          onCardDrawnHandler();
-          // Note: We don't need to do anything else here because onCardDrawnHandler
-          // will handle playing the card if it's playable
-        } else {
-          // Computer plays a card from its existing hand
-          onCardPlayedHandler(computerMove);
-        }
-      }, 3000); // 3 second delay for better UX
-
-      return () => clearTimeout(computerTurnDelay);
-    }
-  }, [turn, isComputerMode, gameOver, computerMoveCounter]); // Added computerMoveCounter to re-trigger after special cards
+    setHint(null);
+  }, [turn, (hands[currentUser] || []).join()]);
 
   //handles the sounds with our custom sound provider
   const {
@@ -169,533 +201,307 @@ const Game = ({ room, currentUser, isComputerMode = false }) => {
   const playSoundMap = {
     100: playSkipCardSound,
     200: playDraw2CardSound,
+    300: playSkipCardSound,
     400: playDraw4CardSound,
     500: playWildCardSound,
   };
 
-  //runs once on component mount
+  // Handle computer turns with delay for better UX
   useEffect(() => {
-    console.log('Game component mounted, isComputerMode:', isComputerMode);
-    
-    if (isComputerMode) {
-      console.log('Initializing computer mode game...');
-      // For computer mode, initialize game state directly
-      const shuffledCards = shuffleArray(PACK_OF_CARDS);
-      console.log('Shuffled cards:', shuffledCards.length);
-
-      //extract first 7 elements to player1Deck (standard Uno starting hand)
-      const player1Deck = shuffledCards.splice(0, 5);
-
-      //extract first 7 elements to player2Deck (computer)
-      const player2Deck = shuffledCards.splice(0, 5);
-
-      //extract random card from shuffledCards and check if its not an action card
-      let startingCardIndex = Math.floor(Math.random() * (shuffledCards.length - ACTION_CARDS.length));
-
-      while (ACTION_CARDS.includes(shuffledCards[startingCardIndex])) {
-        startingCardIndex = Math.floor(Math.random() * (shuffledCards.length - ACTION_CARDS.length));
-      }
-
-      //extract the card from that startingCardIndex into the playedCardsPile
-      const playedCardsPile = shuffledCards.splice(startingCardIndex, 1);
-
-      //store all remaining cards into drawCardPile
-      const drawCardPile = [...shuffledCards];
+    if (runsBots && botSeats.includes(turn) && !gameOver && !roundOver) {
+      const seat = turn;
+      const level = botLevelOf(seat);
+      let cancelled = false;
+      const search = level === "hard" ? searchMove(gameState, seat, botMemory.current) : Promise.resolve(null);
+      const computerTurnDelay = setTimeout(async () => {
+        const computerMove = (await search) || chooseBotMove(gameState, seat, level, botMemory.current);
+        if (cancelled) return;
+        if (computerMove.type !== "playCard") {
+          playMove(computerMove);
+          return;
+        }
 
-      console.log('Computer mode game state initialized:', {
-        player1Deck: player1Deck.length,
-        player2Deck: player2Deck.length,
-        playedCard: playedCardsPile[0],
-        drawPile: drawCardPile.length
-      });
+        // Computer declares UNO when it is about to go down to one card, though it forgets every now and then
+        if (hands[seat].length === 2 && Math.random() >= getBotLevel(level).forgetsUno) {
+          const { state: calledState, events } = applyMove(gameState, { type: "callUno", player: seat });
+          playMove(computerMove, calledState, events);
+        } else {
+          playMove(computerMove);
+        }
+      }, 3000); // 3 second delay for better UX
 
-      // Initialize game state directly for computer mode
-      dispatch({
-        gameOver: false,
-        turn: "Player 1",
-        player1Deck: player1Deck,
-        player2Deck: player2Deck,
-        currentColor: playedCardsPile[0].charAt(1),
-        currentNumber: playedCardsPile[0].charAt(0),
-        playedCardsPile: playedCardsPile,
-        drawCardPile: drawCardPile,
-      });
-    } else {
-      //shuffle PACK_OF_CARDS array
-      const shuffledCards = shuffleArray(PACK_OF_CARDS);
+      return () => {
+        cancelled = true;
+        clearTimeout(computerTurnDelay);
+      };
+    }
+  }, [turn, runsBots, botSeats.join(), gameOver, roundOver, computerMoveCounter]); // computerMoveCounter re-triggers when a computer keeps the turn
 
-      //extract first 5 elements to player1Deck
-      const player1Deck = shuffledCards.splice(0, 5);
+  //tell the table when a computer takes over a seat
+  const previousDropouts = useRef([]);
+  useEffect(() => {
+    dropouts
+      .filter((player) => !previousDropouts.current.includes(player))
+      .forEach((player) =>
+        toast({ title: `${player} left`, description: "A computer is playing their seat.", duration: 3000 })
+      );
+    previousDropouts.current = dropouts;
+  }, [dropouts.join()]);
 
-      //extract first 5 elements to player2Deck
-      const player2Deck = shuffledCards.splice(0, 5);
+  //keeps the Catch button up while the catch window is open on an opponent
+  //the window is timed from when this client saw it open, the clock of whoever opened it may be off,
+  //and online the server judges on its own clock whether a catch came in time
+  useEffect(() => {
+    catchSeenAt.current = unoCatch && { openedAt: unoCatch.openedAt, seenAt: Date.now() };
+    const target = spectator ? null : catchableUnoPlayer(gameState, currentUser, catchClock());
+    setCatchTarget(target);
+
+    const windowClose = target && setTimeout(() => setCatchTarget(null), UNO_CATCH_WINDOW_MS);
+
+    // A computer catches a missed UNO after a moment
+    const catcher = runsBots && botSeats.find((seat) => catchableUnoPlayer(gameState, seat, catchClock()));
+    const computerCatch =
+      catcher &&
+      setTimeout(
+        () => playMove({ type: "catchUno", player: catcher }, gameStateRef.current),
+        getBotLevel(botLevelOf(catcher)).catchDelay
+      );
 
-      //extract random card from shuffledCards and check if its not an action card
-      //108-14=94
-      let startingCardIndex = Math.floor(Math.random() * 94);
+    return () => {
+      windowClose && clearTimeout(windowClose);
+      computerCatch && clearTimeout(computerCatch);
+    };
+  }, [unoCatch]);
 
-      while (ACTION_CARDS.includes(shuffledCards[startingCardIndex])) {
-        startingCardIndex = Math.floor(Math.random() * 94);
-      }
+  //runs once on component mount
+  useEffect(() => {
+    console.log('Game component mounted, isComputerMode:', isComputerMode);
 
-      //extract the card from that startingCardIndex into the playedCardsPile
-      const playedCardsPile = shuffledCards.splice(startingCardIndex, 1);
-
-      //store all remaining cards into drawCardPile
-      const drawCardPile = [...shuffledCards];
-
-      //send initial state to server
-      socket.emit("initGameState", {
-        gameOver: false,
-        turn: "Player 1",
-        player1Deck: player1Deck,
-        player2Deck: player2Deck,
-        currentColor: playedCardsPile[0].charAt(1),
-        currentNumber: playedCardsPile[0].charAt(0),
-        playedCardsPile: playedCardsPile,
-        drawCardPile: drawCardPile,
-      });
+    if (isComputerMode) {
+      // For computer mode, initialize game state directly
+      dispatch(createGame({ players: seats, rules: rules || DEFAULT_RULES }));
     }
   }, [isComputerMode]);
 
   useEffect(() => {
-    socket.on(
-      "initGameState",
-      ({
-        gameOver,
-        turn,
-        player1Deck,
-        player2Deck,
-        currentColor,
-        currentNumber,
-        playedCardsPile,
-        drawCardPile,
-      }) => {
-        dispatch({ type: "SET_GAME_OVER", gameOver });
-        dispatch({ type: "SET_TURN", turn });
-        dispatch({ type: "SET_PLAYER1_DECK", player1Deck });
-        dispatch({ type: "SET_PLAYER2_DECK", player2Deck });
-        dispatch({ type: "SET_CURRENT_COLOR", currentColor });
-        dispatch({ type: "SET_CURRENT_NUMBER", currentNumber });
-        dispatch({ type: "SET_PLAYED_CARDS_PILE", playedCardsPile });
-        dispatch({ type: "SET_DRAW_CARD_PILE", drawCardPile });
-        playShufflingSound();
-      }
-    );
+    if (isComputerMode || seedCeremony.status === "pending") return;
+    //the server deals from the seed it saw agreed on, or a fresh one if the ceremony failed,
+    //with the rules the room was created with
+    socket.emit("startGame", (error) => error && alert(error));
+  }, [seedCeremony.status]);
 
-    socket.on(
-      "updateGameState",
-      ({
+  useEffect(() => {
+    //once the game is over the server reveals its share of the seed, the deal can be replayed from it
+    const { audit } = seedCeremony;
+    if (!audit) return;
+    audit.verified
+      ? console.log("The game was dealt from seed", audit.seed)
+      : toast({ title: "Deal not verified", description: "The server's share of the seed doesn't match what it committed to.", variant: "destructive", duration: 5000 });
+  }, [seedCeremony.audit]);
+
+  useEffect(() => {
+    //the server's deal is the game, there is nothing to check
+    socket.on("initGameState", validated("initGameState", (dealt) => {
+      dispatch({ ...initialGameState, ...stateFromView(dealt) });
+      playShufflingSound();
+    }));
+
+    socket.on("updateGameState", validated("updateGameState", (update) => {
+      //the server only sends this player's view, the rest of the table is face down
+      const {
         gameOver,
         winner,
         turn,
-        player1Deck,
-        player2Deck,
+        hands,
+        direction,
         currentColor,
         currentNumber,
         playedCardsPile,
         drawCardPile,
         drawButtonPressed = false,
-      }) => {
-        gameOver && dispatch({ type: "SET_GAME_OVER", gameOver });
-        gameOver && playGameOverSound();
-        winner && dispatch({ type: "SET_WINNER", winner });
-        //check for special card and play their sound else play regular sound
-        currentNumber in playSoundMap ? playSoundMap[currentNumber]() : playCardPlayedSound();
-        turn && dispatch({ type: "SET_TURN", turn });
-        player1Deck && dispatch({ type: "SET_PLAYER1_DECK", player1Deck });
-        player2Deck && dispatch({ type: "SET_PLAYER2_DECK", player2Deck });
-        currentColor && dispatch({ type: "SET_CURRENT_COLOR", currentColor });
-        currentNumber && dispatch({ type: "SET_CURRENT_NUMBER", currentNumber });
-        playedCardsPile && dispatch({ type: "SET_PLAYED_CARDS_PILE", playedCardsPile });
-        drawCardPile && dispatch({ type: "SET_DRAW_CARD_PILE", drawCardPile });
-        dispatch({ type: "SET_UNO_BUTTON_PRESSED", isUnoButtonPressed: false });
-        dispatch({ type: "SET_DRAW_BUTTON_PRESSED", drawButtonPressed });
-      }
-    );
+        lastCardPlayedBy,
+        pendingDraw = 0,
+        drawnCard = "",
+        drawFourChallenge = null,
+        unoCatch = null,
+        isUnoButtonPressed = false,
+        roundOver = false,
+        match,
+        events,
+      } = { ...stateFromView(update), events: update.events };
+      gameOver && dispatch({ type: "SET_GAME_OVER", gameOver });
+      gameOver && playGameOverSound();
+      winner && dispatch({ type: "SET_WINNER", winner });
+      //check for special card and play their sound else play regular sound
+      currentNumber in playSoundMap ? playSoundMap[currentNumber]() : playCardPlayedSound();
+      turn && dispatch({ type: "SET_TURN", turn });
+      hands && dispatch({ type: "SET_HANDS", hands });
+      direction && dispatch({ type: "SET_DIRECTION", direction });
+      currentColor && dispatch({ type: "SET_CURRENT_COLOR", currentColor });
+      currentNumber && dispatch({ type: "SET_CURRENT_NUMBER", currentNumber });
+      playedCardsPile && dispatch({ type: "SET_PLAYED_CARDS_PILE", playedCardsPile });
+      drawCardPile && dispatch({ type: "SET_DRAW_CARD_PILE", drawCardPile });
+      lastCardPlayedBy && dispatch({ type: "SET_LAST_CARD_PLAYED_BY", lastCardPlayedBy });
+      dispatch({ type: "SET_UNO_BUTTON_PRESSED", isUnoButtonPressed });
+      dispatch({ type: "SET_DRAW_BUTTON_PRESSED", drawButtonPressed });
+      dispatch({ type: "SET_PENDING_DRAW", pendingDraw });
+      dispatch({ type: "SET_DRAWN_CARD", drawnCard });
+      dispatch({ type: "SET_DRAW_FOUR_CHALLENGE", drawFourChallenge });
+      dispatch({ type: "SET_UNO_CATCH", unoCatch });
+      dispatch({ type: "SET_ROUND_OVER", roundOver });
+      match && dispatch({ type: "SET_MATCH", match });
+      //the events of the move travel with the state so every client reacts to it the same way
+      events && (botMemory.current = rememberEvents(botMemory.current, gameStateRef.current, events));
+      events && handleGameEventsRef.current(events);
+      //the host's computers may have to move again
+      setComputerMoveCounter((prev) => prev + 1);
+    }));
+
+    //the server turned down one of our intents
+    socket.on("invalidMove", validated("invalidMove", ({ reason }) => alert(reason)));
   }, []);
 
-  //remove the played card from player's deck and add it to playedCardsPile (immutably)
-  //then update turn, currentColor and currentNumber
-  //also checks for the card played and update opponentDeck accordingly
-  //also checks for UNO pressed if not add 2 cards to playerDeck as penalty
-  //play the relevant sound when particular card is played
-  //This is generic helper method and can be used for any player
-  const cardPlayedByPlayer = ({
-    cardPlayedBy,
-    played_card,
-    colorOfPlayedCard,
-    numberOfPlayedCard,
-    isDraw2 = false,
-    isDraw4 = false,
-    toggleTurn = true,
-  }) => {
-    //check who is the current player
-    const playerDeck = cardPlayedBy === "Player 1" ? player1Deck : player2Deck;
-    const opponentDeck = cardPlayedBy === "Player 1" ? player2Deck : player1Deck;
-
-    //remove the played card from player's deck and add it to playedCardsPile and update their deck(immutably)
-    const removeIndex = playerDeck.indexOf(played_card);
-    let updatedPlayerDeck = [...playerDeck.slice(0, removeIndex), ...playerDeck.slice(removeIndex + 1)];
-
-    //make a drawcardpile copy for managing draw2,draw4 and UNO penalty
-    let copiedDrawCardPileArray = [...drawCardPile];
-    let updatedPlayedCardsPile = [...playedCardsPile, played_card];
-    let opponentDeckCopy = [...opponentDeck];
-    
-    // Helper function to draw a card with reshuffle if needed
-    const drawCardWithReshuffle = () => {
-      // Check if draw pile is empty and needs reshuffling
-      if (copiedDrawCardPileArray.length === 0) {
-        // Keep the top card (the one just played)
-        const topCard = updatedPlayedCardsPile[updatedPlayedCardsPile.length - 1];
-        
-        // Take all other cards from the discard pile
-        const cardsToReshuffle = updatedPlayedCardsPile.slice(0, updatedPlayedCardsPile.length - 1);
-        
-        // If we have cards to reshuffle
-        if (cardsToReshuffle.length > 0) {
-          // Shuffle these cards
-          copiedDrawCardPileArray = shuffleArray([...cardsToReshuffle]);
-          updatedPlayedCardsPile = [topCard];
-          
-          // Play shuffling sound
+  //the rules engine reports what happened as events, this turns them into sounds, toasts and alerts
+  //in multiplayer mode card sounds are played by the updateGameState listener instead
+  const handleGameEvents = (events) => {
+    events.forEach((event) => {
+      switch (event.type) {
+        case "invalidMove":
+          event.player === currentUser && alert(event.reason);
+          break;
+        case "unoCalled":
+          playUnoSound();
+          break;
+        case "unoPenalty":
+          event.player === currentUser
+            ? alert(`Oops! ${event.caughtBy} caught you without calling UNO. You drew 2 cards as penalty.`)
+            : toast({
+                title: "Caught!",
+                description: `${event.caughtBy} caught ${event.player} without calling UNO, ${event.count} cards drawn.`,
+                duration: 3000,
+              });
+          break;
+        case "deckReshuffled":
           playShufflingSound();
-          
-          console.log('Reshuffled discard pile into draw pile during penalty. New draw pile size:', copiedDrawCardPileArray.length);
-        }
-      }
-      
-      // Draw a card if possible
-      if (copiedDrawCardPileArray.length > 0) {
-        return copiedDrawCardPileArray.pop();
-      }
-      
-      return null; // No card available
-    };
-    
-    // if it is a draw2 or draw4 move pop cards from drawCardPile
-    // and add them to opponent's deck (immutably)
-    if (isDraw2 || isDraw4) {
-      // Draw 2 cards for Draw 2
-      const card1 = drawCardWithReshuffle();
-      if (card1) opponentDeckCopy.push(card1);
-      
-      const card2 = drawCardWithReshuffle();
-      if (card2) opponentDeckCopy.push(card2);
-      
-      // Draw 2 more cards for Draw 4
-      if (isDraw4) {
-        const card3 = drawCardWithReshuffle();
-        if (card3) opponentDeckCopy.push(card3);
-        
-        const card4 = drawCardWithReshuffle();
-        if (card4) opponentDeckCopy.push(card4);
+          toast({
+            title: "Reshuffling Cards",
+            description: "Draw pile has been replenished with shuffled cards.",
+            variant: "default",
+            duration: 3000,
+          });
+          break;
+        case "drawStacked":
+          event.player === currentUser &&
+            toast({
+              title: `+${event.pendingDraw} coming your way`,
+              description: "Stack a draw card to pass it on, or draw to take them all.",
+              variant: "warning",
+              duration: 3000,
+            });
+          break;
+        case "jumpedIn":
+          toast({ title: "Jump-in!", description: `${event.player} jumped in out of turn.`, duration: 3000 });
+          break;
+        case "handsSwapped":
+          toast({ title: "Hands swapped", description: `${event.player} swapped hands with ${event.target}.`, duration: 3000 });
+          break;
+        case "handsRotated":
+          toast({ title: "Hands rotated", description: "Every hand moved on to the next player.", duration: 3000 });
+          break;
+        case "drawFourPlayed":
+          event.target !== currentUser &&
+            toast({ title: "Wild Draw Four", description: `${event.target} can accept it or challenge it.`, duration: 3000 });
+          break;
+        case "drawFourChallenged":
+          toast({
+            title: event.successful ? "Challenge succeeded" : "Challenge failed",
+            description: event.successful
+              ? `${event.offender} had a playable color and draws 4 cards.`
+              : `${event.offender} played it fair, ${event.player} draws 6 cards.`,
+            variant: event.successful === (event.player === currentUser) ? "success" : "destructive",
+            duration: 3000,
+          });
+          break;
+        case "drawPileEmpty":
+          toast({
+            title: "No Cards Available",
+            description: "There are no more cards to draw.",
+            variant: "warning",
+            duration: 3000,
+          });
+          break;
+        case "cardPlayed":
+          isComputerMode && (event.number in playSoundMap ? playSoundMap[event.number]() : playCardPlayedSound());
+          break;
+        case "roundStarted":
+          playShufflingSound();
+          break;
+        case "gameOver":
+          isComputerMode && playGameOverSound();
+          break;
+        default:
+          break;
       }
-    }
+    });
+  };
 
-    //if it is special card which persists turn like skip, draw4 card don't change the turn
-    //else change turn after every play
-    let turnCopy = cardPlayedBy;
-    if (toggleTurn) {
-      turnCopy = cardPlayedBy === "Player 1" ? "Player 2" : "Player 1";
+  //socket listeners are registered once, this keeps them on the latest handler
+  const handleGameEventsRef = useRef(handleGameEvents);
+  handleGameEventsRef.current = handleGameEvents;
+
+  //apply a move through the rules engine
+  //computer mode keeps the state locally, online the server gets the intent and answers with the new state
+  //priorEvents come from moves already applied to baseState (a computer calling UNO before it plays)
+  const playMove = (move, baseState = gameState, priorEvents = []) => {
+    if (spectator) return baseState;
+    if (!isComputerMode) {
+      const [intent, payload] = intentOf(move);
+      socket.emit(intent, payload);
+      return baseState;
     }
-
-    //did player press UNO when 2 cards were remaining in their deck
-    //if not then add 2 cards as penalty else continue
-    // In computer mode, computer (Player 2) automatically calls UNO, so skip penalty for computer
-    const isComputerPlayer = isComputerMode && cardPlayedBy === "Player 2";
-    if (playerDeck.length === 2 && !isUnoButtonPressed && !isComputerPlayer) {
-      alert("Oops! You forgot to press UNO. You drew 2 cards as penalty.");
-      //pull out last two cards from draw card pile and add them to player's deck
-      const penaltyCard1 = drawCardWithReshuffle();
-      if (penaltyCard1) updatedPlayerDeck.push(penaltyCard1);
-      
-      const penaltyCard2 = drawCardWithReshuffle();
-      if (penaltyCard2) updatedPlayerDeck.push(penaltyCard2);
-    } 
-    
-    // Reset Uno button after checking for penalty
-    // This ensures the penalty check sees the correct UNO button state
-    dispatch({ type: "SET_UNO_BUTTON_PRESSED", isUnoButtonPressed: false }); 
-    
-    // Create a more explicit update of player decks to prevent card transfer issues
-    let newPlayer1Deck, newPlayer2Deck;
-  
-    if (cardPlayedBy === "Player 1") {
-      newPlayer1Deck = updatedPlayerDeck; // Player 1's updated deck after playing a card
-      newPlayer2Deck = opponentDeckCopy; // Player 2's deck, possibly with added cards from Draw 2/4
-    } else { 
-      newPlayer1Deck = opponentDeckCopy; // Player 1's deck, possibly with added cards from Draw 2/4
-      newPlayer2Deck = updatedPlayerDeck; // Player 2's updated deck after playing a card
+    const { state: newGameState, events: moveEvents } = applyMove(baseState, move, { now: catchClock });
+    const events = [...priorEvents, ...moveEvents];
+    if (newGameState === baseState) {
+      handleGameEvents(events);
+      return baseState;
     }
-      
-    console.log('Deck changes:', {
-      cardPlayedBy,
-      originalPlayer1Deck: player1Deck.length,
-      originalPlayer2Deck: player2Deck.length,
-      newPlayer1Deck: newPlayer1Deck.length,
-      newPlayer2Deck: newPlayer2Deck.length
-        });
 
-    //Update state locally for computer mode or send to server for multiplayer
-    const newGameState = {
-      gameOver: checkGameOver(playerDeck),
-      winner: checkWinner(playerDeck, cardPlayedBy),
-      turn: turnCopy,
-      playedCardsPile: updatedPlayedCardsPile, // This now reflects any reshuffling
-      player1Deck: newPlayer1Deck,
-      player2Deck: newPlayer2Deck,
-      currentColor: colorOfPlayedCard,
-      currentNumber: numberOfPlayedCard,
-      drawCardPile: copiedDrawCardPileArray, // This now reflects any reshuffling
-    };
+    botMemory.current = rememberEvents(botMemory.current, baseState, events);
+    handleGameEvents(events);
+    dispatch(newGameState);
 
-    if (isComputerMode) {
-      // Handle locally for computer mode
-      dispatch(newGameState);
-      
-      // Play appropriate sound
-      numberOfPlayedCard in playSoundMap ? playSoundMap[numberOfPlayedCard]() : playCardPlayedSound();
-      
-      // Check for game over
-      if (newGameState.gameOver) {
-        playGameOverSound();
-      }
-    } else {
-      // Send new state to server for multiplayer mode
-      socket.emit("updateGameState", newGameState);
+    // Trigger another computer move when a computer keeps the turn (skip, draw 2, playable drawn card...)
+    if (botSeats.includes(baseState.turn) && newGameState.turn === baseState.turn && !newGameState.gameOver) {
+      setComputerMoveCounter(prev => prev + 1);
     }
+    return newGameState;
   };
 
   //driver functions
-  const onCardPlayedHandler = (played_card) => {
-    // This function handles playing a card, either from the player's hand or a card that was just drawn
-    // With the new rule, if a player draws a card that matches the current color, number, or is a wild card,
-    // they can play it immediately and this function will be called
-    
-    //extract player who played the card
-    const cardPlayedBy = turn;
-
-    // Update the last player who played a card
-    dispatch({
-      lastCardPlayedBy: cardPlayedBy
-    });
-
-    //extract the card played
-    const cardPlayed = played_card;
-    switch (played_card) {
-      //if card played was a skip card
-      case "skipR":
-      case "skipG":
-      case "skipB":
-      case "skipY": {
-        //extract color of played skip card
-        const colorOfPlayedCard = played_card.charAt(4);
-        const numberOfPlayedCard = 100;
-        // Normalize the values for comparison
-        const normalizedCurrentNumber = String(currentNumber);
-        const normalizedPlayedNumber = String(numberOfPlayedCard);
-        
-        // Check for color match or number match
-        const isColorMatch = currentColor === colorOfPlayedCard;
-        const isNumberMatch = normalizedCurrentNumber === normalizedPlayedNumber;
-        
-        if (isColorMatch || isNumberMatch) {
-          console.log('Valid skip card move:', { isColorMatch, isNumberMatch });
-          cardPlayedByPlayer({
-            cardPlayedBy,
-            played_card,
-            colorOfPlayedCard,
-            numberOfPlayedCard,
-            toggleTurn: false,
-          });
-          
-          // Trigger another computer move after playing skip (turn stays with computer)
-          if (isComputerMode && cardPlayedBy === "Player 2") {
-            setComputerMoveCounter(prev => prev + 1);
-          }
-        }
-        //if no color or number match, invalid move - do not update state
-        else {
-          console.log('Invalid skip card move:', { isColorMatch, isNumberMatch });
-          alert("Invalid Move! Skip cards must match either the color or number of the current card.");
-        }
-        break;
-      }
-      case "_R":
-      case "_G":
-      case "_B":
-      case "_Y": {
-        //extract color of played skip card
-        const colorOfPlayedCard = played_card.charAt(1);
-        const numberOfPlayedCard = 100;
-        // Normalize the values for comparison
-        const normalizedCurrentNumber = String(currentNumber);
-        const normalizedPlayedNumber = String(numberOfPlayedCard);
-        
-        // Check for color match or number match
-        const isColorMatch = currentColor === colorOfPlayedCard;
-        const isNumberMatch = normalizedCurrentNumber === normalizedPlayedNumber;
-        
-        if (isColorMatch || isNumberMatch) {
-          console.log('Valid reverse card move:', { isColorMatch, isNumberMatch });
-          cardPlayedByPlayer({
-            cardPlayedBy,
-            played_card,
-            colorOfPlayedCard,
-            numberOfPlayedCard,
-            toggleTurn: false,
-          });
-          
-          // Trigger another computer move after playing reverse (turn stays with computer)
-          if (isComputerMode && cardPlayedBy === "Player 2") {
-            setComputerMoveCounter(prev => prev + 1);
-          }
-        }
-        //if no color or number match, invalid move - do not update state
-        else {
-          console.log('Invalid reverse card move:', { isColorMatch, isNumberMatch });
-          alert("Invalid Move! reverse cards must match either the color or number of the current card.");
-        }
-        break;
-      }
-      //if card played was a draw 2 card
-      case "D2R":
-      case "D2G":
-      case "D2B":
-      case "D2Y": {
-        //extract color of played skip card
-        const colorOfPlayedCard = played_card.charAt(2);
-        const numberOfPlayedCard = 200;
-        // Normalize the values for comparison
-        const normalizedCurrentNumber = String(currentNumber);
-        const normalizedPlayedNumber = String(numberOfPlayedCard);
-        
-        // Check for color match or number match
-        const isColorMatch = currentColor === colorOfPlayedCard;
-        const isNumberMatch = normalizedCurrentNumber === normalizedPlayedNumber;
-        
-        if (isColorMatch || isNumberMatch) {
-          console.log('Valid draw 2 card move:', { isColorMatch, isNumberMatch });
-          cardPlayedByPlayer({
-            cardPlayedBy,
-            played_card,
-            colorOfPlayedCard,
-            numberOfPlayedCard,
-            isDraw2: true,
-            toggleTurn: false,
-          });
-          
-          // Trigger another computer move after playing +2 (turn stays with computer)
-          if (isComputerMode && cardPlayedBy === "Player 2") {
-            setComputerMoveCounter(prev => prev + 1);
-          }
-        }
-        //if no color or number match, invalid move - do not update state
-        else {
-          console.log('Invalid draw 2 card move:', { isColorMatch, isNumberMatch });
-          alert("Invalid Move! Draw 2 cards must match either the color or number of the current card.");
-        }
-        break;
-      }
-      //if card played was a wild card
-      case "W":
-      case "D4W":
-        {
-          // For computer player, randomly select a color
-          if (isComputerMode && cardPlayedBy === "Player 2") {
-            // Available colors: R, G, B, Y
-            const colors = ['R', 'G', 'B', 'Y'];
-            const randomColor = colors[Math.floor(Math.random() * colors.length)];
-            
-            const cardDetails = {
-              cardPlayedBy,
-              played_card,
-              colorOfPlayedCard: randomColor,
-              numberOfPlayedCard: played_card === 'W' ? 500 : 400,
-              isDraw4: played_card === 'D4W',
-              toggleTurn: played_card !== 'D4W',
-            };
-            cardPlayedByPlayer(cardDetails);
-            
-            // Trigger another computer move after playing +4 (turn stays with computer)
-            if (played_card === 'D4W') {
-              setComputerMoveCounter(prev => prev + 1);
-            }
-          } else {
-            //ask for new color via dialog for human players
-            setIsDialogOpen(true);
-            setDialogCallback(() => (colorOfPlayedCard) => {
-              if (!colorOfPlayedCard) return;
-              const cardDetails = {
-                cardPlayedBy,
-                played_card,
-                colorOfPlayedCard,
-                numberOfPlayedCard: played_card === 'W' ? 500 : 400,
-                isDraw4: played_card === 'D4W',
-                toggleTurn: played_card !== 'D4W',
-              };
-              cardPlayedByPlayer(cardDetails);
-            });
-          }
-          break;
-        }
-      //if card played was a draw four wild card
-      // case "D4W": {
-      //   //ask for new color
-      //   const colorOfPlayedCard = prompt("Enter first letter of new color (r/g/b/y)")?.toUpperCase();
-      //   if (!colorOfPlayedCard) return;
-      //   cardPlayedByPlayer({
-      //     cardPlayedBy,
-      //     played_card,
-      //     colorOfPlayedCard,
-      //     numberOfPlayedCard: 400,
-      //     isDraw4: true,
-      //     toggleTurn: false,
-      //   });
-      //   break;
-      // }
-      default: {
-        //extract number and color of played card
-        const numberOfPlayedCard = played_card.charAt(0);
-        const colorOfPlayedCard = played_card.charAt(1);
-
-        // Debug log to check the values being compared
-        console.log('Card matching debug:', {
-          played_card,
-          numberOfPlayedCard,
-          colorOfPlayedCard,
-          currentNumber,
-          currentColor,
-          numberMatch: currentNumber === numberOfPlayedCard,
-          colorMatch: currentColor === colorOfPlayedCard,
-          numberType: typeof numberOfPlayedCard,
-          currentNumberType: typeof currentNumber
-        });
-
-        // Normalize the values for comparison (ensure they're both strings)
-        const normalizedCurrentNumber = String(currentNumber);
-        const normalizedPlayedNumber = String(numberOfPlayedCard);
-        
-        // Check for color match or number match
-        // A card can always be played if it has the same number and color as the current card
-        const isSameCard = normalizedCurrentNumber === normalizedPlayedNumber && currentColor === colorOfPlayedCard;
-        const isColorMatch = currentColor === colorOfPlayedCard;
-        const isNumberMatch = normalizedCurrentNumber === normalizedPlayedNumber;
-        
-        if (isColorMatch || isNumberMatch || isSameCard) {
-          console.log('Valid move:', { isColorMatch, isNumberMatch, isSameCard });
-          cardPlayedByPlayer({ cardPlayedBy, played_card, colorOfPlayedCard, numberOfPlayedCard });
-        }
-        // If no color or number match, invalid move - do not update state
-        else {
-          console.log('Invalid move:', { isColorMatch, isNumberMatch, isSameCard });
-          alert("Invalid Move! You must play a card that matches either the color or number of the current card.");
-        }
-        break;
+  const onCardPlayedHandler = (played_card, baseState = gameState) => {
+    const player = currentUser;
+    if (isWildCard(played_card) && canPlayCard(baseState, player, played_card)) {
+      //ask for new color via dialog, the card is only played once it has one
+      setIsDialogOpen(true);
+      setDialogCallback(() => (colorOfPlayedCard) => {
+        if (!colorOfPlayedCard) return;
+        playMove({ type: "playCard", player, card: played_card, color: colorOfPlayedCard }, baseState);
+      });
+      return;
+    }
+    if (swapsHands(baseState, player, played_card) && canPlayCard(baseState, player, played_card)) {
+      const opponents = baseState.players.filter((seat) => seat !== player);
+      if (opponents.length === 1) {
+        playMove({ type: "playCard", player, card: played_card, target: opponents[0] }, baseState);
+        return;
       }
+      //ask who to swap hands with
+      setSwapCallback(() => (target) => {
+        playMove({ type: "playCard", player, card: played_card, target }, baseState);
+      });
+      return;
     }
+    playMove({ type: "playCard", player, card: played_card }, baseState);
   };
 
   const handleDialogSubmit = (colorOfPlayedCard) => {
@@ -705,184 +511,49 @@ const Game = ({ room, currentUser, isComputerMode = false }) => {
     setIsDialogOpen(false);
   };
 
-  // Function to reshuffle the discard pile when draw pile is empty
-  const reshuffleDiscardPile = () => {
-    // Make sure we have played cards to reshuffle (at least 2, since we keep the top card)
-    if (playedCardsPile.length < 2) {
-      return null; // Not enough cards to reshuffle
+  const onCardDrawnHandler = () => {
+    //drawing from the pile with a Wild Draw Four waiting takes the four cards
+    if (gameState.drawFourChallenge) {
+      playMove({ type: "acceptDrawFour" });
+      return;
+    }
+    const newGameState = playMove({ type: "drawCard" });
+    //forced play: a playable drawn card goes straight onto the pile
+    if (newGameState.drawnCard && rulesOf(newGameState).forcedPlay) {
+      onCardPlayedHandler(newGameState.drawnCard, newGameState);
     }
-    
-    // Keep the top card of the discard pile
-    const topCard = playedCardsPile[playedCardsPile.length - 1];
-    
-    // Take all other cards from the discard pile
-    const cardsToReshuffle = playedCardsPile.slice(0, playedCardsPile.length - 1);
-    
-    // Shuffle these cards
-    const newDrawPile = shuffleArray([...cardsToReshuffle]);
-    
-    // Play shuffling sound
-    playShufflingSound();
-    
-    // Show toast notification
-    toast({
-      title: "Reshuffling Cards",
-      description: "Draw pile has been replenished with shuffled cards.",
-      variant: "default",
-      duration: 3000,
-    });
-    
-    // Return an object with the new draw pile and the updated discard pile (just the top card)
-    return {
-      newDrawPile,
-      newPlayedCardsPile: [topCard]
-    };
   };
 
-  const onCardDrawnHandler = () => {
-    //extract player who drew the card
-    let drawButtonPressed = false; // Always set to false to disable draw button after drawing
-    //remove 1 new card from drawCardPile and send it to playerDrawn method
-    let copiedDrawCardPileArray = [...drawCardPile];
-    let updatedPlayedCardsPile = [...playedCardsPile];
-    
-    // Check if there are cards left in the draw pile
-    if (copiedDrawCardPileArray.length === 0) {
-      // Try to reshuffle the discard pile
-      const reshuffleResult = reshuffleDiscardPile();
-      
-      if (reshuffleResult) {
-        // Update the draw and discard piles
-        copiedDrawCardPileArray = reshuffleResult.newDrawPile;
-        updatedPlayedCardsPile = reshuffleResult.newPlayedCardsPile;
-        
-        console.log('Reshuffled discard pile into draw pile. New draw pile size:', copiedDrawCardPileArray.length);
-      } else {
-        // Handle case where there aren't enough cards to reshuffle
-        console.warn('Draw card pile is empty and not enough cards to reshuffle!');
-        toast({
-          title: "No Cards Available",
-          description: "There are no more cards to draw.",
-          variant: "warning",
-          duration: 3000,
-        });
-        
-        // Skip turn without drawing
-        const turnCopy = turn === "Player 1" ? "Player 2" : "Player 1";
-        
-        if (isComputerMode) {
-          dispatch({
-            turn: turnCopy,
-            drawButtonPressed: false,
-          });
-        } else {
-          socket.emit("updateGameState", {
-            turn: turnCopy,
-            drawButtonPressed: false,
-          });
-        }
-        return;
-      }
+  //online the drawn card only shows up with its state update
+  useEffect(() => {
+    if (!isComputerMode && gameState.drawnCard && turn === currentUser && gameRules.forcedPlay) {
+      onCardPlayedHandler(gameState.drawnCard);
     }
-    
-    //pull out last element from it
-    const drawCard = copiedDrawCardPileArray.pop();
-    
-    // Safety check for undefined card
-    if (!drawCard) {
-      console.error('Undefined card drawn from pile');
+  }, [gameState.drawnCard]);
+
+  const onSkipButtonHandler = () => {
+    if (gameState.drawnCard && rulesOf(gameState).forcedPlay) {
+      onCardPlayedHandler(gameState.drawnCard);
       return;
     }
-    
-    //add the drawn card to player's deck
-    let numberOfDrawnCard = drawCard.charAt(0);
-    let colorOfDrawnCard = drawCard.charAt(1);
-
-    //check if the card drawn is a skip card
-    if (drawCard === "skipR" || drawCard === "skipG" || drawCard === "skipB" || drawCard === "skipY") {
-      colorOfDrawnCard = drawCard.charAt(4);
-      numberOfDrawnCard = 100;
-    }
-    //if it is draw 2 card
-    if (drawCard === "D2R" || drawCard === "D2G" || drawCard === "D2B" || drawCard === "D2Y") {
-      colorOfDrawnCard = drawCard.charAt(2);
-      numberOfDrawnCard = 200;
-    }
+    playMove({ type: "pass" });
+  };
 
-    // NEW RULE: Check if the drawn card is playable
-    // A card is playable if it matches the current color, number, or is a wild card
-    const isWildCard = drawCard === "W" || drawCard === "D4W";
-    
-    // Normalize the values for comparison (ensure they're both strings)
-    const normalizedCurrentNumber = String(currentNumber);
-    const normalizedDrawnNumber = String(numberOfDrawnCard);
-    
-    // Check if the drawn card matches the current card's color or number
-    const isColorMatch = currentColor === colorOfDrawnCard;
-    const isNumberMatch = normalizedCurrentNumber === normalizedDrawnNumber;
-    const isPlayable = isWildCard || isColorMatch || isNumberMatch;
-    
-    console.log('Card drawn:', drawCard, 'Playable:', isPlayable, { isWildCard, isColorMatch, isNumberMatch });
-    // Only change turn if the drawn card is NOT playable
-    const turnCopy = isPlayable ? turn : (turn === "Player 1" ? "Player 2" : "Player 1");
-    
-    // Show toast notification if the card is playable
-    // if (isPlayable) {
-    //   toast({
-    //     title: "Playable Card",
-    //     description: "You drew a playable card! You can play it now.",
-    //     variant: "default",
-    //     duration: 3000,
-    //   });
-    // }
+  const onUnoClicked = () => {
+    playMove({ type: "callUno", player: currentUser });
+  };
 
-    if (isComputerMode) {
-      // Handle locally for computer mode
-      dispatch({
-        turn: turnCopy,
-        player1Deck: turn === "Player 1" ? [...player1Deck, drawCard] : player1Deck,
-        player2Deck: turn === "Player 2" ? [...player2Deck, drawCard] : player2Deck,
-        drawCardPile: copiedDrawCardPileArray,
-        playedCardsPile: updatedPlayedCardsPile, // Include updated played cards pile
-        drawButtonPressed,
-      });
-      
-      // For computer mode, if computer draws a playable card, trigger another move
-      // Use computerMoveCounter to ensure fresh state instead of setTimeout with stale closure
-      if (isPlayable && turn === "Player 2") {
-        console.log('Computer drew playable card:', drawCard, 'Will play on next turn cycle');
-        setTimeout(() => {
-          setComputerMoveCounter(prev => prev + 1);
-        }, 1000);
-      }
-    } else {
-      //send new state to server for multiplayer mode
-      socket.emit("updateGameState", {
-        turn: turnCopy,
-        player1Deck: turn === "Player 1" ? [...player1Deck, drawCard] : player1Deck,
-        player2Deck: turn === "Player 2" ? [...player2Deck, drawCard] : player2Deck,
-        drawCardPile: copiedDrawCardPileArray,
-        playedCardsPile: updatedPlayedCardsPile, // Include updated played cards pile
-        drawButtonPressed,
-      });
-    }
+  const onNextRound = () => {
+    playMove({ type: "nextRound", player: currentUser });
   };
 
-  const onSkipButtonHandler = () => {
-    //extract player who skipped
-    const cardPlayedBy = turn;
-    const newState = {
-      turn: cardPlayedBy === "Player 1" ? "Player 2" : "Player 1",
-      drawButtonPressed: false,
-    };
+  const onCatchClicked = () => {
+    playMove({ type: "catchUno", player: currentUser });
+  };
 
-    if (isComputerMode) {
-      // Handle locally for computer mode
-      dispatch(newState);
-    } else {
-      // Send new state to server for multiplayer mode
-      socket.emit("updateGameState", newState);
-    }
+  //asks the hard computer what it would do in this seat
+  const onHintClicked = () => {
+    setHint(suggestMove(gameState, currentUser, botMemory.current));
   };
 
   const handleWinnerReward = async (winnerName) => {
@@ -912,9 +583,7 @@ const Game = ({ room, currentUser, isComputerMode = false }) => {
 
 
       // Only create a claimable balance if the current user is the winner
-      const isCurrentUserWinner =
-        (winnerPlayer === "Player 1" && currentUser === "Player 1") ||
-        (winnerPlayer === "Player 2" && currentUser === "Player 2");
+      const isCurrentUserWinner = winnerPlayer === currentUser;
 
       console.log(currentUser, winnerPlayer, isCurrentUserWinner)
 
@@ -957,7 +626,7 @@ const Game = ({ room, currentUser, isComputerMode = false }) => {
             winnerAddress: currentUserAddress,
             winnerPlayer: winnerPlayer,
             // loserAddresses: [opponentAddress], 
-            loserPlayers: ["Player 1", "Player 2"].filter(player => player !== winnerPlayer),
+            loserPlayers: players.filter(player => player !== winnerPlayer),
             gameId: room,
             timestamp: Date.now()
           };
@@ -1047,31 +716,61 @@ const Game = ({ room, currentUser, isComputerMode = false }) => {
 
   const cleanedTurn = turn == currentUser ? "current" : "opponent"
 
+  //match mode keeps score over several rounds
+  const isMatch = gameRules.targetScore > 0;
+
+  //what this player gets to see of the table
+  const view = viewFor(gameState, currentUser);
+
+  //cards this player may slap down out of turn (jump-in house rule)
+  const jumpInCards = view.hand.filter((card) => canJumpIn(gameState, currentUser, card));
+
   return (
     <div style={{ position: 'relative', width: '100vw', height: '100vh', overflow: 'hidden' }}>
       <GameBackground turn={turn} currentColor={currentColor} currentUser={currentUser} />
-      {/* <MemoizedHeader roomCode={room} /> */}
-      {!gameOver ? (
+      {isMatch && (
+        <div style={{ position: "absolute", top: 0, left: 0, right: 0, zIndex: 40, pointerEvents: "none" }}>
+          <MemoizedHeader roomCode={room} scores={match.scores} targetScore={gameRules.targetScore} currentUser={currentUser} />
+        </div>
+      )}
+      {roundOver ? (
+        <RoundSummary
+          match={match}
+          players={players}
+          currentUser={currentUser}
+          targetScore={gameRules.targetScore}
+          onNextRound={spectator ? null : onNextRound}
+        />
+      ) : !gameOver ? (
         <>
           <GameScreen
             currentUser={currentUser}
             turn={turn}
-            player1Deck={player1Deck}
-            player2Deck={player2Deck}
+            players={players}
+            hand={view.hand}
+            handCounts={view.handCounts}
+            jumpInCards={jumpInCards}
+            pendingDraw={pendingDraw}
+            canCallUno={canCallUno(gameState, currentUser)}
+            catchTarget={catchTarget}
+            onCatchClicked={onCatchClicked}
             onCardDrawnHandler={onCardDrawnHandler}
             onCardPlayedHandler={onCardPlayedHandler}
-            playedCardsPile={playedCardsPile}
+            topCard={view.topCard}
+            drawPileSize={view.drawPileSize}
             drawButtonPressed={drawButtonPressed}
             onSkipButtonHandler={onSkipButtonHandler}
-            isComputerMode={isComputerMode}
-            onUnoClicked={() => {
-              // Only allow setting Uno to true if it's not already pressed
-              if (!isUnoButtonPressed) {
-                playUnoSound();
-                dispatch({ type: "SET_UNO_BUTTON_PRESSED", isUnoButtonPressed: true });
-              }
-            }}
+            botSeats={botSeats}
+            reconnecting={reconnecting}
+            onUnoClicked={onUnoClicked}
+            hint={hint}
+            onHintClicked={hintsEnabled && !spectator ? onHintClicked : null}
+            spectator={spectator}
+            spectators={spectators}
+            turnClock={turnClock}
+            emotes={chat.emotes}
           />
+          {players.length > 2 && <CenterInfo direction={direction} />}
           {isDialogOpen && (
             <ColourDialog
               onSubmit={handleDialogSubmit}
@@ -1079,10 +778,44 @@ const Game = ({ room, currentUser, isComputerMode = false }) => {
               isDialogOpen={isDialogOpen}
             />
           )}
+          {drawFourChallenge && drawFourChallenge.target === currentUser && turn === currentUser && (
+            <ChallengeDialog
+              offender={drawFourChallenge.player}
+              onAccept={() => playMove({ type: "acceptDrawFour" })}
+              onChallenge={() => playMove({ type: "challengeDrawFour" })}
+              isDialogOpen
+            />
+          )}
+          {swapCallback && (
+            <SwapDialog
+              opponents={players.filter((player) => player !== currentUser)}
+              handCounts={view.handCounts}
+              onSubmit={(target) => swapCallback(target)}
+              onClose={() => setSwapCallback(null)}
+              isDialogOpen={!!swapCallback}
+            />
+          )}
         </>
+      ) : isMatch ? (
+        <RoundSummary match={match} players={players} currentUser={currentUser} targetScore={gameRules.targetScore} matchOver />
       ) : (
         <CenterInfo msg={`Game Over: ${winner} wins!!`} />
       )}
+      {!isComputerMode && (
+        <Messages
+          mainPlayer={currentUser}
+          messages={chat.messages}
+          muted={chat.muted}
+          open={chat.open}
+          unread={chat.unread}
+          notice={chat.notice}
+          onToggle={chat.toggleOpen}
+          onSend={chat.send}
+          onReact={chat.react}
+          onReport={chat.report}
+          onToggleMute={chat.toggleMute}
+        />
+      )}
       <Toaster />
       <LowBalanceDrawer 
         open={showLowBalanceDrawer} 
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useEffect, useState } from "react";
 import PlayerViewofOpponent from "./PlayerViewofOpponent";
 import CommonView from "./CommonView";
 import MainPlayerView from "./MainPlayerView";
@@ -7,45 +7,57 @@ import useSound from "use-sound";
 import { useSoundProvider } from "../../context/SoundProvider";
 import StyledButton from "../styled-button";
 import { useRouter } from "next/navigation";
+import { TIMEOUTS_BEFORE_FORFEIT, secondsLeft } from "@/lib/turnClock";
+import { EMOTES } from "@/lib/chat";
 
 const GameScreen = ({
   currentUser,
   turn,
-  player1Deck,
-  player2Deck,
+  players,
+  // this player's cards and how many everyone holds, the other hands are never sent to the browser
+  hand = [],
+  handCounts = {},
+  jumpInCards = [],
+  pendingDraw = 0,
+  canCallUno = false,
+  catchTarget = null,
+  onCatchClicked,
   onUnoClicked,
-  playedCardsPile,
+  topCard,
+  drawPileSize = 0,
   onCardPlayedHandler,
   onCardDrawnHandler,
   drawButtonPressed,
   onSkipButtonHandler,
-  isComputerMode = false,
+  botSeats = [],
+  reconnecting = {},
+  hint = null,
+  onHintClicked = null,
+  // watching without a seat, every player at the table is shown as an opponent
+  spectator = false,
+  spectators = [],
+  // the server's turn clock and when it arrived, null when nobody is timed (computer games)
+  turnClock = null,
+  // the emote each player just sent, floating over their avatar
+  emotes = {},
 }) => {
-  const playerDeck = currentUser === "Player 1" ? player1Deck : player2Deck;
-  const opponentDeck = currentUser === "Player 1" ? player2Deck : player1Deck;
+  const playerDeck = hand;
+  // everyone else at the table, in play order starting after the current user
+  const seatIndex = players.indexOf(currentUser);
+  const opponents = spectator ? players : [...players.slice(seatIndex + 1), ...players.slice(0, seatIndex)];
   const { isSoundMuted, toggleMute } = useSoundProvider();
   const [isMusicMuted, setMusicMuted] = useState(true);
   const [playBBgMusic, { pause }] = useSound(bgMusic, { loop: true });
   const [pulseAnimation, setPulseAnimation] = useState(false);
-  const [skipTimer, setSkipTimer] = useState(null);
-  const [skipTimeRemaining, setSkipTimeRemaining] = useState(10);
-  const skipTimerRef = useRef(null);
-  
-  // Turn timer state
-  const [turnTimeRemaining, setTurnTimeRemaining] = useState(10);
-  const turnTimerRef = useRef(null);
-  const [unoClicked, setUnoClicked] = useState(false);
+  // seconds left on the turn clock, counted down here between the server's updates
+  const [turnTimeRemaining, setTurnTimeRemaining] = useState(null);
+  const timedPlayer = turnClock?.clock.player || null;
+  const turnSeconds = turnClock ? turnClock.clock.durationMs / 1000 : 0;
+  const ownTimeouts = turnClock?.clock.timeouts[currentUser] || 0;
+  // players a computer took over from after they ran out of time too often
+  const forfeited = turnClock?.clock.forfeited || [];
   const router = useRouter();
 
-  // Calculate opponent name and avatar
-  const opponentName = currentUser === "Player 1" ? "Player 2" : "Player 1";
-  const opponentDisplayName =
-    isComputerMode && opponentName === "Player 2"
-      ? "Computer"
-      : opponentName === "Player 1"
-      ? "You"
-      : "Opponent";
-      
   // Effect for turn animation
   useEffect(() => {
     setPulseAnimation(true);
@@ -53,92 +65,17 @@ const GameScreen = ({
     return () => clearTimeout(timer);
   }, [turn]);
   
-  // Effect for turn timer
-  useEffect(() => {
-    // Reset timer when turn changes
-    setTurnTimeRemaining(10);
-    setUnoClicked(false); // Reset uno clicked state when turn changes
-    
-    // Clear any existing timer
-    if (turnTimerRef.current) {
-      clearInterval(turnTimerRef.current);
-      turnTimerRef.current = null;
-    }
-    
-    // Start new timer
-    turnTimerRef.current = setInterval(() => {
-      setTurnTimeRemaining(prev => {
-        if (prev <= 1) {
-          // Time's up - auto change turn
-          clearInterval(turnTimerRef.current);
-          turnTimerRef.current = null;
-          
-          // Only execute timeout actions if Uno button wasn't clicked
-          if (!unoClicked) {
-            // If it's the current user's turn and they've drawn a card, skip
-            if (turn === currentUser && drawButtonPressed) {
-              onSkipButtonHandler();
-            } 
-            // Otherwise, draw a card and potentially skip
-            else if (turn === currentUser) {
-              onCardDrawnHandler();
-            }
-          }
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
-    
-    // Cleanup function
-    return () => {
-      if (turnTimerRef.current) {
-        clearInterval(turnTimerRef.current);
-        turnTimerRef.current = null;
-      }
-    };
-  // Only reset timer when turn or game state changes, not when Uno button is clicked
-  }, [turn, currentUser, drawButtonPressed, unoClicked]);  // Added unoClicked to dependencies
-
-  // Effect for skip timer
+  // the server plays the turn when the clock runs out, this only shows how long is left
   useEffect(() => {
-    // Start timer when draw button is pressed and it's the current user's turn
-    if (turn === currentUser && drawButtonPressed) {
-      setSkipTimer(true);
-      setSkipTimeRemaining(10);
-      
-      // Clear any existing timer
-      if (skipTimerRef.current) clearInterval(skipTimerRef.current);
-      
-      // Start countdown
-      skipTimerRef.current = setInterval(() => {
-        setSkipTimeRemaining(prev => {
-          if (prev <= 1) {
-            // Time's up - auto skip
-            clearInterval(skipTimerRef.current);
-            onSkipButtonHandler();
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
-    } else {
-      // Clear timer when it's not the user's turn or draw button is not pressed
-      setSkipTimer(false);
-      if (skipTimerRef.current) {
-        clearInterval(skipTimerRef.current);
-        skipTimerRef.current = null;
-      }
+    if (!turnClock || !turnClock.clock.player) {
+      setTurnTimeRemaining(null);
+      return;
     }
-    
-    // Cleanup function
-    return () => {
-      if (skipTimerRef.current) {
-        clearInterval(skipTimerRef.current);
-        skipTimerRef.current = null;
-      }
-    };
-  }, [turn, currentUser, drawButtonPressed, onSkipButtonHandler]);
+    const tick = () => setTurnTimeRemaining(secondsLeft(turnClock.clock, turnClock.receivedAt));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [turnClock]);
 
   return (
     <div className="game-container" style={{
@@ -184,6 +121,15 @@ const GameScreen = ({
           {/* Back */}
         </button>
 
+        {spectators.length > 0 && (
+          <span
+            title={spectators.join(", ")}
+            style={{ marginLeft: "0.75rem", color: "white", fontSize: "0.8rem", fontFamily: "monospace", opacity: 0.8 }}
+          >
+            👁 {spectators.length} watching
+          </span>
+        )}
+
         {/* <span>
           <StyledButton className="bg-green-500 mr-2" onClick={toggleMute}>
             <span className="material-icons">
@@ -216,88 +162,35 @@ const GameScreen = ({
         }}
       >
         <div
-          className="opponent-info"
+          className="opponent-strip"
           style={{
             display: "flex",
-            flexDirection: "column",
-            alignItems: "center",
-            position: "relative",
+            justifyContent: "center",
+            alignItems: "flex-start",
+            flexWrap: "wrap",
+            gap: "0.75rem",
+            width: "100%",
             marginBottom: "24px",
             marginTop: "1rem"
           }}
         >
-          <div
-            className="avatar-container"
-            style={{
-              width: "2.5rem",
-              height: "2.5rem",
-              position: "relative",
-              marginBottom: "0.5rem",
-            }}
-          >
-            {turn === opponentName && (
-              <svg 
-                width="2.5rem" 
-                height="2.5rem" 
-                viewBox="0 0 100 100"
-                style={{
-                  position: "absolute",
-                  top: 0,
-                  left: 0,
-                  transform: "rotate(-90deg)",
-                  zIndex: 1
-                }}
-              >
-                <circle
-                  cx="50"
-                  cy="50"
-                  r="48"
-                  fill="none"
-                  stroke="rgba(4, 81, 214, 0.8)"
-                  strokeWidth="8"
-                  strokeDasharray={`${(turnTimeRemaining/10) * 301.6} 301.6`} // 301.6 is approx 2*PI*48 (circumference)
-                  strokeLinecap="round"
-                />
-              </svg>
-            )}
-            <div
-              className="avatar"
-              style={{
-                width: "2.5rem",
-                height: "2.5rem",
-                borderRadius: "50%",
-                overflow: "hidden",
-                position: "relative",
-                boxShadow: turn === opponentName ? "0 0 15px 5px rgba(14, 165, 233, 0.7)" : "none",
-                transform: turn === opponentName && pulseAnimation ? "scale(1.1)" : "scale(1)",
-                transition: "all 0.3s ease",
-                zIndex: 2
-              }}
-            >
-            <img
-              src="https://api.dicebear.com/9.x/micah/svg?seed=game"
-              alt="Opponent Avatar"
-              style={{ width: "100%", height: "100%", objectFit: "cover" }}
+          {opponents.map((opponent) => (
+            <PlayerViewofOpponent
+              key={opponent}
+              turn={turn}
+              opponent={opponent}
+              cardCount={handCounts[opponent] || 0}
+              isComputer={botSeats.includes(opponent) || forfeited.includes(opponent)}
+              reconnectDeadline={reconnecting[opponent]}
+              turnTimeRemaining={timedPlayer === opponent ? turnTimeRemaining : null}
+              turnSeconds={turnSeconds}
+              pulseAnimation={pulseAnimation}
+              compact={opponents.length > 1}
+              canCatch={opponent === catchTarget}
+              onCatch={onCatchClicked}
+              emote={emotes[opponent]}
             />
-            <div
-              style={{
-                color: "#94a3b8",
-                fontSize: "0.875rem",
-                visibility: turn === opponentName ? "visible" : "hidden",
-              }}
-            >
-              {isComputerMode && opponentName === "Player 2"
-                ? `Computing move... (${turnTimeRemaining}s)`
-                : `Thinking... (${turnTimeRemaining}s)`}
-            </div>
-            </div>
-          </div>
-
-          <PlayerViewofOpponent
-            turn={turn}
-            opponent={opponentName}
-            opponentDeck={opponentDeck}
-          />
+          ))}
         </div>
 
         {/* Game Board */}
@@ -326,19 +219,13 @@ const GameScreen = ({
             }}
           >
             <CommonView
-              isDrawDisabled={turn !== currentUser}
-              playedCardsPile={playedCardsPile}
+              isDrawDisabled={spectator || turn !== currentUser || drawButtonPressed}
+              pendingDraw={pendingDraw}
+              topCard={topCard}
+              drawPileSize={drawPileSize}
               onCardDrawnHandler={onCardDrawnHandler}
-              isUnoDisabled={turn !== currentUser || playerDeck.length !== 2}
-              onUnoClicked={() => {
-                setUnoClicked(true);
-                // Clear the turn timer when Uno is clicked
-                if (turnTimerRef.current) {
-                  clearInterval(turnTimerRef.current);
-                  turnTimerRef.current = null;
-                }
-                onUnoClicked();
-              }}
+              isUnoDisabled={!canCallUno}
+              onUnoClicked={onUnoClicked}
             />
           </div>
         </div>
@@ -363,25 +250,14 @@ const GameScreen = ({
             <img src="/images/skip.png" className="w-20" alt="Skip" />
           </button> */}
           
-          {skipTimer && (
-            <div 
-              // className="skip-timer"
-              // style={{
-              //   marginTop: "8px",
-              //   fontSize: "1rem",
-              //   fontWeight: "bold",
-              //   color: skipTimeRemaining <= 5 ? "#ef4444" : "#10b981",
-              //   animation: skipTimeRemaining <= 5 ? "pulse 1s infinite" : "none",
-              // }}
-            >
-              {/* Auto-skip in {skipTimeRemaining}s
-              <style jsx>{`
-                @keyframes pulse {
-                  0% { opacity: 0.7; }
-                  50% { opacity: 1; }
-                  100% { opacity: 0.7; }
-                }
-              `}</style> */}
+          {timedPlayer === currentUser && ownTimeouts > 0 && (
+            <div style={{ marginTop: "8px", fontSize: "0.875rem", fontWeight: "bold", color: "#ef4444" }}>
+              {ownTimeouts}/{TIMEOUTS_BEFORE_FORFEIT} turns timed out, a computer takes your seat after {TIMEOUTS_BEFORE_FORFEIT}
+            </div>
+          )}
+          {forfeited.includes(currentUser) && (
+            <div style={{ marginTop: "8px", fontSize: "0.875rem", color: "#f59e0b" }}>
+              You ran out of time too often, a computer is playing your seat
             </div>
           )}
         </div>
@@ -404,6 +280,11 @@ const GameScreen = ({
               transform: "translateX(-50%)"
             }}
           >
+            {emotes[currentUser] && (
+              <span key={emotes[currentUser].key} className="emote-float">
+                {EMOTES[emotes[currentUser].name].symbol}
+              </span>
+            )}
             <div style={{ display: "flex", alignItems: "center" }}>
               {/* <div
                 className="avatar-container"
@@ -473,7 +354,7 @@ const GameScreen = ({
                     fontFamily: "monospace",
                     textAlign: "center",
                     minWidth: "80px",
-                    visibility: turn === currentUser ? "visible" : "hidden",
+                    visibility: timedPlayer === currentUser && turnTimeRemaining !== null ? "visible" : "hidden",
                   }}
                 >
                   {Math.floor(turnTimeRemaining / 60).toString().padStart(2, '0')}:{(turnTimeRemaining % 60).toString().padStart(2, '0')}
@@ -481,14 +362,23 @@ const GameScreen = ({
               </div>
             </div>
           </div>
+          {spectator ? (
+            <div style={{ textAlign: "center", color: "white", fontFamily: "monospace", opacity: 0.8 }}>
+              spectating · hands stay hidden
+            </div>
+          ) : (
           <MainPlayerView
             turn={turn}
             mainPlayer={currentUser}
             playerDeck={playerDeck}
+            jumpInCards={jumpInCards}
             onCardPlayedHandler={onCardPlayedHandler}
             isSkipButtonDisabled={turn !== currentUser || !drawButtonPressed}
             onSkipButtonHandler={onSkipButtonHandler}
+            hint={hint}
+            onHintClicked={onHintClicked}
           />
+          )}
         </div>
       </div>
     </div>
@@ -4,9 +4,32 @@ import { useAccount } from "wagmi";
 import {WalletConnection} from "../WalletConnection";
 import { useWalletAddress } from "@/utils/onchainWalletUtils";
 
-function Header({ roomCode }) {
+//cumulative match scores, shown instead of the logo row while a match is being played
+const MatchScores = ({ scores, targetScore, currentUser }) => (
+  <div className="flex items-center justify-center flex-wrap gap-2 w-full px-4">
+    {Object.entries(scores).map(([player, score]) => (
+      <span
+        key={player}
+        className={`rounded-full px-3 py-1 text-xs font-mono text-white ${player === currentUser ? "bg-indigo-600/80" : "bg-slate-800/70"}`}
+      >
+        {player}: {score}
+      </span>
+    ))}
+    <span className="text-xs font-mono text-white/70">/ {targetScore}</span>
+  </div>
+);
+
+function Header({ roomCode, scores, targetScore = 0, currentUser = "" }) {
     const { address, isConnected } = useWalletAddress();
 
+  if (scores) {
+    return (
+      <div className="topInfo" style={{ height: "auto", padding: "0.75rem 0 0" }}>
+        <MatchScores scores={scores} targetScore={targetScore} currentUser={currentUser} />
+      </div>
+    );
+  }
+
   return (
     <div className="topInfo">
       <div className="flex items-center justify-between px-4 w-full">
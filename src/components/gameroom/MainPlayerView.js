@@ -4,13 +4,59 @@ import StyledButton from "../styled-button";
 const MainPlayerView = ({
   turn,
   playerDeck,
+  jumpInCards = [],
   onCardPlayedHandler,
   mainPlayer,
   isSkipButtonDisabled,
   onSkipButtonHandler,
+  hint = null,
+  // left out in ranked rooms, which hides the Hint button
+  onHintClicked = null,
 }) => {
+  // a hand can hold the same card twice, only the first one lights up
+  const hintIndex = hint?.card ? playerDeck.indexOf(hint.card) : -1;
+
   return (
     <>
+      {onHintClicked && (
+        <div style={{
+          display: "flex",
+          justifyContent: "center",
+          alignItems: "center",
+          gap: "0.5rem",
+          marginBottom: "0.25rem"
+        }}>
+          <button
+            onClick={onHintClicked}
+            disabled={turn !== mainPlayer}
+            style={{
+              padding: "0.125rem 0.75rem",
+              borderRadius: "1rem",
+              border: "1px solid rgba(250, 204, 21, 0.7)",
+              backgroundColor: "rgba(0, 0, 0, 0.4)",
+              color: "white",
+              fontSize: "0.75rem",
+              fontFamily: "monospace",
+              opacity: turn !== mainPlayer ? 0.5 : 1,
+              cursor: turn !== mainPlayer ? "default" : "pointer"
+            }}
+          >
+            💡 Hint
+          </button>
+          {hint && (
+            <span style={{
+              maxWidth: "16rem",
+              padding: "0.25rem 0.75rem",
+              borderRadius: "0.75rem",
+              backgroundColor: "rgba(0, 0, 0, 0.6)",
+              color: "rgb(253, 230, 138)",
+              fontSize: "0.75rem"
+            }}>
+              {hint.explanation}
+            </span>
+          )}
+        </div>
+      )}
       <div style={{
         display: "flex",
         justifyContent: "center",
@@ -25,6 +71,9 @@ const MainPlayerView = ({
           const fanAngle = Math.min(40, totalCards * 5); // Max 40 degrees total fan
           const cardAngle = (fanAngle / (totalCards - 1)) * (i - (totalCards - 1) / 2);
           const isPlayable = turn === mainPlayer;
+          // off turn only cards that can jump in stay clickable
+          const isClickable = isPlayable || jumpInCards.includes(item);
+          const isHinted = i === hintIndex;
           
           return (
             <div 
@@ -35,28 +84,30 @@ const MainPlayerView = ({
                 transform: `rotate(${cardAngle}deg)`,
                 transformOrigin: "bottom center",
                 transition: "transform 0.2s ease-in-out",
-                zIndex: i,
+                zIndex: isHinted ? 100 : i,
                 ':hover': {
                   transform: isPlayable ? `rotate(${cardAngle}deg) translateY(-10px)` : `rotate(${cardAngle}deg)`,
                   zIndex: 100 + i
                 },
                 zoom: turn != mainPlayer ? "0.85":"1.04",
-                filter: turn != mainPlayer ? "brightness(0.75)": ""
+                translate: isHinted ? "0 -12px" : "none",
+                filter: !isClickable ? "brightness(0.75)": ""
               }}
             >
               <img
                 style={{
-                  pointerEvents: turn !== mainPlayer ? "none" : "auto",
+                  pointerEvents: !isClickable ? "none" : "auto",
                   width: "3.5rem",
                   height: "5.5rem",
                   borderRadius: "0.5rem",
                   // boxShadow: "0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)",
-                  cursor: turn === mainPlayer ? "pointer" : "default",
-                  border: turn === mainPlayer ? "2px solid rgba(14, 165, 233, 0.3)" : "none"
+                  cursor: isClickable ? "pointer" : "default",
+                  border: isHinted ? "2px solid rgb(250, 204, 21)" : isClickable ? "2px solid rgba(14, 165, 233, 0.3)" : "none",
+                  boxShadow: isHinted ? "0 0 12px 4px rgba(250, 204, 21, 0.8)" : "none"
                 }}
                 alt={`cards-front ${item}`}
-                className={turn === mainPlayer ? "glow" : ""}
-                onClick={() => turn === mainPlayer ? onCardPlayedHandler(item) : null}
+                className={isClickable ? "glow" : ""}
+                onClick={() => isClickable ? onCardPlayedHandler(item) : null}
                 src={`../assets/cards-front/${item}.webp`}
               />
             </div>
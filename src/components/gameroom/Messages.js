@@ -1,97 +1,161 @@
-import React, {useState, useEffect} from "react";
-import socket from "../../services/socket";
+import React, { useEffect, useRef, useState } from "react";
+import { EMOTES, EMOTE_NAMES, MAX_MESSAGE_LENGTH, QUICK_PHRASES, REACTIONS, messageText } from "@/lib/chat";
 
-function Messages({mainPlayer}) {
-  //to focus on the input field once the box is opened
-  const inputRef = React.createRef();
-
-  const [message, setMessage] = useState("");
-  const [messages, setMessages] = useState([]);
-  const [isChatBoxVisible, setChatBoxVisible] = useState(false);
-  const [isMessageReceived, setMessageReceived] = useState(false);
+//the table chat, everything it shows comes from its props (see useChat)
+//messages is the log without muted players, muted the players this player muted, unread what came in while closed
+//onSend(text, kind) sends typed text, a quick phrase or an emote, onReact(messageId, reaction) toggles a reaction
+//notice is what the server last answered (sending too fast, a report that went through)
+function Messages({ mainPlayer, messages, muted = [], open, unread = 0, notice = null, onToggle, onSend, onReact, onReport, onToggleMute }) {
+  const [draft, setDraft] = useState("");
+  const [isPaletteOpen, setPaletteOpen] = useState(false);
+  //the message whose reaction picker is showing
+  const [reactingTo, setReactingTo] = useState(null);
+  const inputRef = useRef(null);
+  const logRef = useRef(null);
 
+  //keep the newest message in view
   useEffect(() => {
-    socket.on("message", (message) => {
-      setMessages((messages) => [...messages, message]);
+    if (open && logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+  }, [open, messages.length]);
 
-      // Scroll to bottom of chat and show chat box upon message
-      const chatBody = document.querySelector(".chat-body");
-      chatBody.scrollTop = chatBody.scrollHeight;
-      setMessageReceived(true);
-    });
-  }, []);
+  useEffect(() => {
+    open && inputRef.current?.focus();
+  }, [open]);
 
-  const toggleChatBox = () => {
-    const chatBody = document.querySelector(".chat-body");
-    if (!isChatBoxVisible) {
-      chatBody.style.display = "block";
-      inputRef.current.focus();
-      setChatBoxVisible(true);
-    } else {
-      chatBody.style.display = "none";
-      setChatBoxVisible(false);
-      setMessageReceived(false);
-    }
+  const sendDraft = (event) => {
+    event?.preventDefault();
+    if (!draft.trim()) return;
+    onSend(draft, "text");
+    setDraft("");
   };
 
-  const sendMessage = (event) => {
-    if (event) {
-      event.preventDefault();
-    }
-    if (!message) return;
-    socket.emit("sendMessage", {message: message}, () => {
-      setMessage("");
-      setMessageReceived(false);
-    });
+  const sendFromPalette = (text, kind) => {
+    onSend(text, kind);
+    setPaletteOpen(false);
   };
 
   return (
-    <>
-      <div className='chatBoxWrapper'>
-        <div className={`chat-box chat-box-${mainPlayer === "Player 1" ? "player1" : "player2"}`}>
-          <div
-            className='chat-head'
-            style={{backgroundColor: `${isMessageReceived ? "#0066a2" : "#2c3e50"}`}}
-          >
-            <h2 className="font-bold p-3">{isMessageReceived ? "New Message(s)" : "Chat Box"}</h2>
-            <span onClick={toggleChatBox} className='material-icons'>
-              {isChatBoxVisible ? "keyboard_arrow_down" : "keyboard_arrow_up"}
-            </span>
-          </div>
-          <div className='chat-body'>
-            <div className='msg-insert'>
-              {messages.map((msg, i) => (
-                <div key={msg.text + i} className={`msg-${msg.user === mainPlayer ? "send" : "receive"}`}>
-                  {msg.text}
-                </div>
+    <div className="chatBoxWrapper">
+      <div className={`chat-box chat-box-${mainPlayer === "Player 1" ? "player1" : "player2"}`}>
+        <div className="chat-head" style={{ backgroundColor: unread > 0 ? "#0066a2" : "#2c3e50" }}>
+          <h2 className="font-bold p-3">{unread > 0 ? `New Message(s) · ${unread}` : "Chat Box"}</h2>
+          <span onClick={onToggle} className="material-icons">
+            {open ? "keyboard_arrow_down" : "keyboard_arrow_up"}
+          </span>
+        </div>
+        {open && isPaletteOpen && (
+          <div className="chat-palette">
+            <div className="flex flex-wrap gap-1">
+              {QUICK_PHRASES.map((phrase) => (
+                <button key={phrase} className="chat-phrase" onClick={() => sendFromPalette(phrase, "phrase")}>
+                  {phrase}
+                </button>
               ))}
             </div>
-            <div className='chat-text' style={{display: "flex"}}>
-              <input
-                ref={inputRef}
-                type='text'
-                placeholder='Type a message...'
-                value={message}
-                onChange={(event) => setMessage(event.target.value)}
-                onKeyPress={(event) => event.key === "Enter" && sendMessage(event)}
-              />
-              <span
-                onClick={() => sendMessage()}
-                className='material-icons'
-                style={{
-                  margin: "auto",
-                  padding: "0.5rem",
-                  color: "darkblue",
-                  backgroundColor: "white",
-                }}
-              >
-                send
-              </span>
+            <div className="mt-2 flex flex-wrap gap-1">
+              {EMOTE_NAMES.map((name) => (
+                <button key={name} className="chat-emote" onClick={() => sendFromPalette(name, "emote")} title={EMOTES[name].label}>
+                  {EMOTES[name].symbol}
+                </button>
+              ))}
             </div>
           </div>
-        </div>
+        )}
+        {open && (
+          <div className="chat-body" ref={logRef}>
+            {muted.length > 0 && (
+              <div className="flex flex-wrap gap-1 px-2 pt-2 text-xs text-slate-600">
+                <span>Muted:</span>
+                {muted.map((user) => (
+                  <button key={user} className="rounded bg-slate-200 px-1" onClick={() => onToggleMute(user)} title="Unmute">
+                    {user} ✕
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="msg-insert">
+              {messages.map((msg) => {
+                const own = msg.user === mainPlayer;
+                const reactions = REACTIONS.filter((reaction) => msg.reactions[reaction]?.length);
+                return (
+                  <div key={msg.id} className={`msg-${own ? "send" : "receive"}`}>
+                    {!own && (
+                      <div className="flex items-center justify-between text-xs opacity-80">
+                        <span>{msg.user}</span>
+                        <span>
+                          <button onClick={() => onReport(msg.id)} title="Report message">
+                            🚩
+                          </button>
+                          <button onClick={() => onToggleMute(msg.user)} title={`Mute ${msg.user}`}>
+                            🔇
+                          </button>
+                        </span>
+                      </div>
+                    )}
+                    <div className={msg.kind === "emote" ? "text-lg" : ""}>{messageText(msg)}</div>
+                    <div className="flex items-center gap-1 text-xs">
+                      {reactions.map((reaction) => (
+                        <button
+                          key={reaction}
+                          className={`msg-reaction ${msg.reactions[reaction].includes(mainPlayer) ? "msg-reaction-own" : ""}`}
+                          onClick={() => onReact(msg.id, reaction)}
+                          title={msg.reactions[reaction].join(", ")}
+                        >
+                          {reaction} {msg.reactions[reaction].length}
+                        </button>
+                      ))}
+                      <button className="msg-reaction" onClick={() => setReactingTo(reactingTo === msg.id ? null : msg.id)} title="React">
+                        +
+                      </button>
+                      {reactingTo === msg.id &&
+                        REACTIONS.map((reaction) => (
+                          <button
+                            key={reaction}
+                            onClick={() => {
+                              onReact(msg.id, reaction);
+                              setReactingTo(null);
+                            }}
+                          >
+                            {reaction}
+                          </button>
+                        ))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            {notice && <div className="chat-notice">{notice}</div>}
+          </div>
+        )}
+        {open && (
+          <form className="chat-text" style={{ display: "flex" }} onSubmit={sendDraft}>
+            <span
+              onClick={() => setPaletteOpen(!isPaletteOpen)}
+              className="material-icons"
+              style={{ margin: "auto", padding: "0.5rem", color: "darkblue", backgroundColor: "white", cursor: "pointer" }}
+              title="Quick chat"
+            >
+              mood
+            </span>
+            <input
+              ref={inputRef}
+              type="text"
+              placeholder="Type a message..."
+              maxLength={MAX_MESSAGE_LENGTH}
+              value={draft}
+              onChange={(event) => setDraft(event.target.value)}
+            />
+            <span
+              onClick={sendDraft}
+              className="material-icons"
+              style={{ margin: "auto", padding: "0.5rem", color: "darkblue", backgroundColor: "white", cursor: "pointer" }}
+            >
+              send
+            </span>
+          </form>
+        )}
       </div>
-    </>
+    </div>
   );
 }
 
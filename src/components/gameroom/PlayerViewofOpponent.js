@@ -1,41 +1,185 @@
 import React from "react";
 import MemoizedSpinner from "./Spinner";
+import ReconnectingBadge from "./ReconnectingBadge";
+import { EMOTES } from "@/lib/chat";
+
+//with several opponents at the table only a few card backs are fanned out next to a card count
+const COMPACT_VISIBLE_CARDS = 3;
+
+const PlayerViewofOpponent = ({
+  // only the number of cards the opponent holds is known
+  cardCount,
+  turn,
+  opponent,
+  isComputer = false,
+  // set while the opponent's connection is down
+  reconnectDeadline,
+  // seconds left on the server's turn clock, null while the opponent isn't timed
+  turnTimeRemaining = null,
+  turnSeconds = 0,
+  pulseAnimation = false,
+  compact = false,
+  canCatch = false,
+  onCatch,
+  // the emote the opponent just sent, floats over their avatar
+  emote = null,
+}) => {
+  const isOpponentTurn = turn === opponent;
+  const timed = turnTimeRemaining !== null && turnSeconds > 0;
+  const visibleCards = compact ? Math.min(cardCount, COMPACT_VISIBLE_CARDS) : cardCount;
 
-const PlayerViewofOpponent = ({ opponentDeck, turn, opponent }) => {
   return (
-    <div style={{
-      display: "flex",
-      justifyContent: "center",
-      alignItems: "center",
-      padding: "0.5rem",
-      width: "100%",
-      maxWidth: "400px"
-    }}>
-      {opponentDeck.map((item, i) => (
-        <div 
-          key={item + i}
+    <div
+      className="opponent-info"
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        position: "relative",
+      }}
+    >
+      <div
+        className="avatar-container"
+        style={{
+          width: "2.5rem",
+          height: "2.5rem",
+          position: "relative",
+          marginBottom: "0.5rem",
+        }}
+      >
+        {emote && (
+          <span key={emote.key} className="emote-float">
+            {EMOTES[emote.name].symbol}
+          </span>
+        )}
+        {isOpponentTurn && (
+          <svg
+            width="2.5rem"
+            height="2.5rem"
+            viewBox="0 0 100 100"
+            style={{
+              position: "absolute",
+              top: 0,
+              left: 0,
+              transform: "rotate(-90deg)",
+              zIndex: 1
+            }}
+          >
+            <circle
+              cx="50"
+              cy="50"
+              r="48"
+              fill="none"
+              stroke="rgba(4, 81, 214, 0.8)"
+              strokeWidth="8"
+              strokeDasharray={`${(timed ? turnTimeRemaining / turnSeconds : 1) * 301.6} 301.6`} // 301.6 is approx 2*PI*48 (circumference)
+              strokeLinecap="round"
+            />
+          </svg>
+        )}
+        <div
+          className="avatar"
           style={{
+            width: "2.5rem",
+            height: "2.5rem",
+            borderRadius: "50%",
+            overflow: "hidden",
             position: "relative",
-            margin: "0 -10px",
-            transform: `rotate(${i % 2 === 0 ? '-5' : '5'}deg)`,
-            zIndex: i
+            boxShadow: isOpponentTurn ? "0 0 15px 5px rgba(14, 165, 233, 0.7)" : "none",
+            transform: isOpponentTurn && pulseAnimation ? "scale(1.1)" : "scale(1)",
+            transition: "all 0.3s ease",
+            zIndex: 2
           }}
         >
-          <img
-            style={{ 
-              pointerEvents: "none",
-              width: "2.5rem",
-              height: "4rem",
-              borderRadius: "0.5rem",
-              // boxShadow: "0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)"
-            }}
-            alt={`opponent-cards-back`}
-            className={turn === opponent ? "glow" : ""}
-            src={`../assets/card-back.png`}
-          />
+        <img
+          src={`https://api.dicebear.com/9.x/micah/svg?seed=${encodeURIComponent(opponent)}`}
+          alt="Opponent Avatar"
+          style={{ width: "100%", height: "100%", objectFit: "cover" }}
+        />
+        <div
+          style={{
+            color: "#94a3b8",
+            fontSize: "0.875rem",
+            visibility: isOpponentTurn ? "visible" : "hidden",
+          }}
+        >
+          {isComputer ? "Computing move..." : "Thinking..."}
+          {timed && ` (${turnTimeRemaining}s)`}
+        </div>
+        </div>
+      </div>
+
+      {compact && (
+        <div style={{ color: "white", fontSize: "0.75rem", fontFamily: "monospace", opacity: 0.8 }}>
+          {opponent}
         </div>
-      ))}
-      {turn === opponent ? <MemoizedSpinner /> : null}
+      )}
+
+      {reconnectDeadline !== undefined && <ReconnectingBadge deadline={reconnectDeadline} />}
+
+      <div style={{
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        padding: "0.5rem",
+        width: "100%",
+        maxWidth: compact ? "140px" : "400px"
+      }}>
+        {Array.from({ length: visibleCards }, (_, i) => (
+          <div
+            key={i}
+            style={{
+              position: "relative",
+              margin: "0 -10px",
+              transform: `rotate(${i % 2 === 0 ? '-5' : '5'}deg)`,
+              zIndex: i
+            }}
+          >
+            <img
+              style={{
+                pointerEvents: "none",
+                width: compact ? "1.75rem" : "2.5rem",
+                height: compact ? "2.75rem" : "4rem",
+                borderRadius: "0.5rem",
+                // boxShadow: "0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)"
+              }}
+              alt={`opponent-cards-back`}
+              className={isOpponentTurn ? "glow" : ""}
+              src={`../assets/card-back.png`}
+            />
+          </div>
+        ))}
+        {compact && (
+          <span
+            style={{
+              marginLeft: "1rem",
+              color: "white",
+              fontWeight: "bold",
+              fontSize: "0.875rem",
+            }}
+          >
+            {cardCount}
+          </span>
+        )}
+        {isOpponentTurn ? <MemoizedSpinner /> : null}
+      </div>
+
+      {/* opponent went down to one card without calling UNO */}
+      {canCatch && (
+        <button
+          className="glossy-button glossy-button-red"
+          style={{
+            padding: "0.25rem 0.75rem",
+            borderRadius: "1rem",
+            fontSize: "0.8rem",
+            fontWeight: "bold",
+            zIndex: 30
+          }}
+          onClick={onCatch}
+        >
+          Catch!
+        </button>
+      )}
     </div>
   );
 };
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from "react";
+
+type ReconnectingBadgeProps = {
+  // when the seat is given up and a computer takes over
+  deadline: number;
+};
+
+//shown on a player who lost their connection, counts down their seat's grace period
+const ReconnectingBadge = ({ deadline }: ReconnectingBadgeProps) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const secondsLeft = Math.max(0, Math.ceil((deadline - now) / 1000));
+
+  return (
+    <div style={{
+      padding: "0.125rem 0.5rem",
+      borderRadius: "1rem",
+      backgroundColor: "rgba(234, 88, 12, 0.9)",
+      color: "white",
+      fontSize: "0.7rem",
+      fontFamily: "monospace",
+      whiteSpace: "nowrap",
+      zIndex: 30
+    }}>
+      reconnecting… {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, "0")}
+    </div>
+  );
+};
+
+export default ReconnectingBadge;
@@ -11,6 +11,13 @@ import { useUserAccount } from '@/userstate/useUserAccount';
 import { getContractNew } from '../../lib/web3'
 import { applyActionToOffChainState, hashAction, startGame, storePlayerHand, getPlayerHand, createDeck, hashCard, initializeOffChainState } from '../../lib/gameLogic'
 import { updateGlobalCardHashMap } from '../../lib/globalState';
+import { seatNames, getRulesPreset, MAX_PLAYERS, PlayerView } from '../../lib/engine';
+import { loadRoomRules, withTargetScore } from '@/utils/roomRules';
+import { clearRoomSession, loadRoomSession, saveRoomSession } from '@/utils/roomSession';
+import { loadWalletSession } from '@/utils/walletSession';
+import { getBotLevel, createBotSeats, addBotSeat, enoughSeats, BotSeat, BotLevelName, hintsAllowed } from '@/lib/bot';
+import BotSeatList from './BotSeatList';
+import SpectatorList from './SpectatorList';
 import { useWriteContract, useWaitForTransactionReceipt, useAccount } from 'wagmi';
 import UnoGameABI from '@/constants/UnoGame.json';
 import { unoGameABI } from "@/constants/unogameabi";
@@ -23,24 +30,78 @@ import { Toaster } from "@/components/ui/toaster";
 import { useWalletAddress } from "@/utils/onchainWalletUtils";
 import { useBalanceCheck } from "@/hooks/useBalanceCheck";
 import { LowBalanceDrawer } from "@/components/LowBalanceDrawer";
+import { useSoundProvider } from "@/context/SoundProvider";
+import { PROTOCOL_MISMATCH, REFRESH_MESSAGE, SERVER_REQUIRED, roomEvent, validated } from "@/lib/protocol";
+import type { TurnClock } from "@/lib/turnClock";
 
 type User = { 
   id: string;
   name: string;
   room: string;
+  // false while the player's seat waits for them to reconnect, until reconnectDeadline
+  connected?: boolean;
+  reconnectDeadline?: number | null;
+};
+
+// someone watching the room, they have no seat
+type Spectator = {
+  id: string;
+  name: string;
+};
+
+// the player's view of a game in progress, sent when they rejoin their seat
+type GameSnapshot = {
+  state: PlayerView;
+  bots?: BotSeat[];
 };
 
 const Room = () => {
   const { id } = useParams()
   const searchParams = useSearchParams()
   const isComputerMode = searchParams.get('mode') === 'computer'
+  // a shared ?spectate=1 link watches the game without a seat
+  const spectating = !isComputerMode && searchParams.get('spectate') === '1'
+  // the key a private table's invite code resolved to on the play page
+  const access = searchParams.get('access')
+  const botLevel = getBotLevel(searchParams.get('bot')).name
+  const botCount = Math.min(Math.max(Number(searchParams.get('bots')) || 1, 1), MAX_PLAYERS - 1)
   
   //initialize socket state
   const [room] = useState(id);
-  const [roomFull, setRoomFull] = useState(false);
+  // computer games carry the preset in the url, online rooms remember it in the creator's browser
+  const [rulesPreset] = useState(() =>
+    isComputerMode
+      ? withTargetScore(getRulesPreset(searchParams.get('rules')), searchParams.has('target') ? Number(searchParams.get('target')) : null)
+      : loadRoomRules(String(id))
+  );
+  // why the server wouldn't let us in, e.g. the room is full or private
+  const [joinError, setJoinError] = useState<string | null>(null);
+  const roomFull = joinError === 'Room full';
+  // a game that is already being played takes no new players, they can watch it
+  const canWatch = roomFull || joinError === 'Game in progress';
+  // the code to share when this is a private table
+  const [inviteCode, setInviteCode] = useState<string | null>(null);
   const [users, setUsers] = useState<User[]>([]);
+  const [spectators, setSpectators] = useState<Spectator[]>([]);
   const [currentUser, setCurrentUser] = useState<User["name"]>("");
   const [gameStarted, setGameStarted] = useState(false);
+  // computer seats, picked on the play page in computer mode and by the host in online rooms
+  const [bots, setBots] = useState<BotSeat[]>(() => (isComputerMode ? createBotSeats(botCount, botLevel) : []));
+  // the human seats are fixed once the game starts, players leaving after that are replaced by bots
+  const [tableSeats, setTableSeats] = useState<string[] | null>(null);
+  const [snapshot, setSnapshot] = useState<GameSnapshot["state"] | null>(null);
+  // the server's turn clock, kept here so it isn't missed while the game screen mounts
+  const [turnClock, setTurnClock] = useState<{ clock: TurnClock; receivedAt: number } | null>(null);
+  // what the server says is on the line at this table, computer games have nothing
+  const [tableTerms, setTableTerms] = useState<{ ranked?: boolean }>({});
+  // no hints where a rating is on the line
+  const hintsEnabled = hintsAllowed(tableTerms)
+  const connectedUsers = users.filter(user => user.connected !== false);
+  // seats kept for players who dropped off, with the time they have to come back
+  const reconnecting = Object.fromEntries(
+    users.filter(user => user.connected === false).map(user => [user.name, user.reconnectDeadline || 0])
+  );
+  const isHost = connectedUsers[0]?.name === currentUser;
   const { account, bytesAddress } = useUserAccount();
   const { address } = useWalletAddress();
   const [contract, setContract] = useState<UnoGameContract | null>(null)
@@ -50,6 +111,7 @@ const Room = () => {
   const { writeContract, data: hash, error: txError, isPending } = useWriteContract();
 
   const { toast } = useToast();
+  const { playShufflingSound } = useSoundProvider();
 
   const [offChainGameState, setOffChainGameState] = useState<OffChainGameState | null>(null)
   const [error, setError] = useState<string | null>(null)
@@ -136,17 +198,27 @@ const Room = () => {
   useEffect(() => {
     if (isComputerMode) {
       // For computer mode, simulate having 2 players immediately
-      setUsers([
-        { id: "player1", name: "Player 1", room: room as string },
-        { id: "computer", name: "Computer", room: room as string }
-      ]);
+      setUsers([{ id: "player1", name: "Player 1", room: room as string }]);
       setCurrentUser("Player 1");
       
       // We'll initialize the computer game after contract setup
       console.log('Computer mode detected, will initialize after contract setup');
     } else {
-      socket.emit("join", { room: room }, (error: any) => {
-        if (error) setRoomFull(true);
+      //the reconnect token takes back our seat after a refresh, and after the socket reconnects
+      //the wallet session counts our seat for our rating when matchmaking set the table up
+      const join = () => {
+        const payload = spectating
+          ? { room: room, spectate: true, access }
+          : { room: room, reconnectToken: loadRoomSession(String(room))?.token, access, session: loadWalletSession()?.token };
+        socket.emit("join", payload, (error: any) => {
+          if (error) setJoinError(String(error));
+        });
+      };
+      join();
+      socket.on("connect", join);
+      //the server turns away clients built for another protocol version, a refresh loads the current one
+      socket.on("connect_error", (error: Error) => {
+        error.message === PROTOCOL_MISMATCH && setJoinError(REFRESH_MESSAGE);
       });
     }
 
@@ -154,9 +226,10 @@ const Room = () => {
       if (!isComputerMode) {
         socket.emit("quitRoom");
         socket.off();
+        clearRoomSession(String(room));
       }
     };
-  }, [room, isComputerMode]);
+  }, [room, isComputerMode, spectating, access]);
 
   useEffect(() => {
     const setup = async () => {
@@ -237,7 +310,7 @@ const Room = () => {
     socket.emit("joinRoom", roomId);
 
     if (socket) {
-      socket.on(`gameStarted-${roomId}`, (data: { newState: OffChainGameState; cardHashMap: any; }) => {
+      socket.on(roomEvent('gameStarted', roomId), validated(roomEvent('gameStarted', roomId), (data: { newState: OffChainGameState; cardHashMap: any; }) => {
         console.log(`Game started event received for room ${roomId}:`, data);
         
         try {
@@ -293,10 +366,10 @@ const Room = () => {
         } catch (error) {
           console.error('Error handling gameStarted event:', error);
         }
-      });
+      }));
 
       // Listen for cardPlayed event
-      socket.on(`cardPlayed-${roomId}`, (data: { action: any; newState: OffChainGameState; }) => {
+      socket.on(roomEvent('cardPlayed', roomId), validated(roomEvent('cardPlayed', roomId), (data: { action: any; newState: OffChainGameState; }) => {
         const { action, newState } = data;
 
         setOffChainGameState(newState);
@@ -304,20 +377,79 @@ const Room = () => {
         if (account && newState.playerHands[account]) {
           setPlayerHand(newState.playerHands[account]);
         }
-      });
+      }));
     }
   }, [id, socket]);
 
   useEffect(() => {
-    socket.on("roomData", ({ users }: { users: User[] }) => {
+    socket.on("roomData", validated("roomData", ({ users, spectators = [] }: { users: User[]; spectators?: Spectator[] }) => {
       setUsers(users);
-    });
+      setSpectators(spectators);
+    }));
 
-    socket.on("currentUserData", ({ name }: { name: User["name"] }) => {
+    socket.on("currentUserData", validated("currentUserData", ({ name, reconnectToken, authoritative, inviteCode, ranked }: { name: User["name"]; reconnectToken?: string; authoritative?: boolean; inviteCode?: string | null; ranked?: boolean }) => {
+      // a server that only relays messages would have every client send its whole state, hands and deck
+      // included, to the rest of the table
+      if (!authoritative) {
+        setJoinError(SERVER_REQUIRED);
+        return;
+      }
       setCurrentUser(name);
-    });
+      setInviteCode(inviteCode || null);
+      setTableTerms({ ranked });
+      reconnectToken && saveRoomSession(String(room), { token: reconnectToken, seat: name });
+    }));
+
+    //back in our seat mid-game, carry on from the table's current state
+    socket.on("gameSnapshot", validated("gameSnapshot", ({ state, bots: tableBots = [] }: GameSnapshot) => {
+      setBots(tableBots);
+      setTableSeats(state.players.filter(player => !tableBots.some(bot => bot.name === player)));
+      setSnapshot(state);
+      setGameStarted(true);
+    }));
+
+    socket.on("turnClock", validated("turnClock", (clock: TurnClock) => setTurnClock({ clock, receivedAt: Date.now() })));
   }, []);
 
+  // spectators take no part in starting the game, they come in once it is dealt
+  useEffect(() => {
+    if (!spectating || gameStarted) return;
+    const onDealt = validated("initGameState", (state: PlayerView) => {
+      setTableSeats(state.players.filter(player => !bots.some(bot => bot.name === player)));
+      setSnapshot(state);
+      setGameStarted(true);
+    });
+    socket.on("initGameState", onDealt);
+    return () => {
+      socket.off("initGameState", onDealt);
+    };
+  }, [spectating, gameStarted, bots]);
+
+  // the host shares its computer seats with the room, again whenever someone joins
+  useEffect(() => {
+    if (isComputerMode || !isHost || gameStarted) return;
+    const seated = bots.slice(0, Math.max(MAX_PLAYERS - users.length, 0));
+    seated.length !== bots.length ? setBots(seated) : socket.emit("botSeats", { bots });
+  }, [isHost, bots, users.length, gameStarted]);
+
+  useEffect(() => {
+    if (isComputerMode) return;
+    const onBotSeats = validated("botSeats", ({ bots }: { bots: BotSeat[] }) => setBots(bots));
+    socket.on("botSeats", onBotSeats);
+    return () => {
+      socket.off("botSeats", onBotSeats);
+    };
+  }, [isComputerMode]);
+
+  useEffect(() => {
+    if (gameStarted && !tableSeats) {
+      setTableSeats(users.map(user => user.name));
+    }
+  }, [gameStarted]);
+
+  const addBot = (level: BotLevelName) => setBots(addBotSeat(bots, level));
+  const removeBot = (name: string) => setBots(bots.filter(bot => bot.name !== name));
+
   const fetchGameState = async (contract: UnoGameContract, gameId: bigint, account: string) => {
     try {
       console.log('Fetching game state for game ID:', gameId.toString());
@@ -359,6 +491,7 @@ const Room = () => {
         lastActionTimestamp: startTime,
         turnCount: BigInt(0), // Initialize to 0
         directionClockwise: true, // Default direction
+        rules: rulesPreset?.rules,
         playerHandsHash: {},
         playerHands: {},
         deckHash: '',
@@ -498,6 +631,19 @@ const Room = () => {
   //   }
   // }, [isConfirmed, hash])
 
+  // the on-chain state counts its reshuffles, announce each new one like the engine's deckReshuffled event
+  const reshuffleCount = offChainGameState?.reshuffleCount || 0;
+  useEffect(() => {
+    if (reshuffleCount === 0) return;
+    playShufflingSound();
+    toast({
+      title: "Reshuffling Cards",
+      description: "Draw pile has been replenished with shuffled cards.",
+      variant: "default",
+      duration: 3000,
+    });
+  }, [reshuffleCount])
+
   // Handle transaction error
   useEffect(() => {
     if (txError) {
@@ -506,7 +652,14 @@ const Room = () => {
     }
   }, [txError])
 
-  return !roomFull ? (
+  // shown in the waiting room of a private table so players can pass the code on
+  const inviteLine = inviteCode && (
+    <p style={{ color: "white", textAlign: "center", fontFamily: "monospace", marginTop: "-1rem", marginBottom: "1.5rem" }}>
+      private table · invite code <span style={{ fontWeight: "bold", letterSpacing: "0.15em" }}>{inviteCode}</span>
+    </p>
+  );
+
+  return !joinError ? (
     <div
       className={`Game`}
       style={{
@@ -525,7 +678,7 @@ const Room = () => {
         (() => {
           console.log('Rendering computer mode, gameStarted:', gameStarted, 'currentUser:', currentUser);
           return gameStarted ? (
-            <Game room={room} currentUser={currentUser} isComputerMode={isComputerMode} />
+            <Game room={room} currentUser={currentUser} players={seatNames(1)} bots={bots} snapshot={null} spectators={[]} turnClock={null} rules={rulesPreset?.rules} isComputerMode={isComputerMode} hintsEnabled={hintsEnabled} />
           ) : (
             <div style={{ position: "absolute", top: "50%", left: "50%", transform: "translate(-50%, -50%)", textAlign: "center" }}>
               <h1 className='topInfoText text-white font-2xl font-bold'>Starting game against Computer 🤖</h1>
@@ -535,7 +688,7 @@ const Room = () => {
           );
         })()
       ) : (
-        users.length < 2 ? (
+        !enoughSeats(users.length, bots) && !gameStarted ? (
           <div style={{ 
             position: "absolute", 
             top: "50%", 
@@ -601,6 +754,14 @@ const Room = () => {
                 }}>
                   PLAYERS
                 </h2>
+                {inviteLine}
+                {rulesPreset && (
+                  <p style={{ color: "rgba(255, 255, 255, 0.8)", textAlign: "center", marginTop: "-1.5rem", marginBottom: "1.5rem" }}>
+                    {rulesPreset.label} rules · {rulesPreset.description}
+                    {rulesPreset.rules.targetScore > 0 && ` · match to ${rulesPreset.rules.targetScore}`}
+                    {rulesPreset.rules.turnSeconds > 0 && ` · ${rulesPreset.rules.turnSeconds}s turns`}
+                  </p>
+                )}
 
                 {/* Players List */}
                 <div style={{
@@ -637,8 +798,22 @@ const Room = () => {
                           (you)
                         </span>
                       )}
+                      {user.connected === false && (
+                        <span style={{ fontSize: "0.875rem", opacity: 0.8, fontStyle: "italic" }}>
+                          reconnecting…
+                        </span>
+                      )}
                     </div>
                   ))}
+                  <BotSeatList
+                    bots={bots}
+                    firstSeat={users.length + 1}
+                    seatsLeft={MAX_PLAYERS - users.length - bots.length}
+                    canEdit={isHost}
+                    onAdd={addBot}
+                    onRemove={removeBot}
+                  />
+                  <SpectatorList spectators={spectators} currentUser={currentUser} />
                 </div>
 
                 {/* Waiting Message */}
@@ -650,8 +825,10 @@ const Room = () => {
                   marginBottom: "2rem",
                   fontStyle: "italic"
                 }}>
-                  {currentUser === "Player 2" 
-                    ? "Player 1 has left the game." 
+                  {spectating
+                    ? "waiting for the game to start."
+                    : currentUser === "Player 2"
+                    ? "Player 1 has left the game."
                     : "waiting for other players to join\nthe room."}
                 </div>
               </div>
@@ -725,6 +902,7 @@ const Room = () => {
                     }}>
                       PLAYERS
                     </h2>
+                    {inviteLine}
 
                     {/* Players List */}
                     <div style={{
@@ -750,7 +928,7 @@ const Room = () => {
                             textOverflow: "ellipsis",
                             whiteSpace: "nowrap"
                           }}>
-                            {user.name === currentUser ? `${address?.slice(0, 20)}...` : `${users[index === 0 ? 1 : 0].name}`}
+                            {user.name === currentUser ? `${address?.slice(0, 20)}...` : `${user.name}`}
                           </span>
                           {user.name === currentUser && (
                             <span style={{ 
@@ -761,8 +939,22 @@ const Room = () => {
                               (you)
                             </span>
                           )}
+                          {user.connected === false && (
+                            <span style={{ fontSize: "0.875rem", opacity: 0.8, fontStyle: "italic" }}>
+                              reconnecting…
+                            </span>
+                          )}
                         </div>
                       ))}
+                      <BotSeatList
+                        bots={bots}
+                        firstSeat={users.length + 1}
+                        seatsLeft={MAX_PLAYERS - users.length - bots.length}
+                        canEdit={isHost}
+                        onAdd={addBot}
+                        onRemove={removeBot}
+                      />
+                      <SpectatorList spectators={spectators} currentUser={currentUser} />
                     </div>
 
                     {/* Waiting Message */}
@@ -774,12 +966,12 @@ const Room = () => {
                       marginBottom: "2rem",
                       fontStyle: "italic"
                     }}>
-                      waiting for other players to join<br />the room.
+                      {spectating ? "waiting for the game to start." : <>waiting for other players to join<br />the room.</>}
                     </div>
                   </div>
 
                   {/* Start Game Button */}
-                  <button 
+                  {!spectating && <button 
                     onClick={() => handleStartGame()}
                     disabled={isPending}
                     style={{
@@ -809,12 +1001,26 @@ const Room = () => {
                     }}
                   >
                     {isPending ? "starting..." : "start game"}
-                  </button>
+                  </button>}
                 </div>
               </div>
             )
             : (
-              <Game room={room} currentUser={currentUser} isComputerMode={false} />
+              <Game
+                room={room}
+                currentUser={currentUser}
+                players={tableSeats || users.map(user => user.name)}
+                bots={bots}
+                connected={connectedUsers.map(user => user.name)}
+                reconnecting={reconnecting}
+                snapshot={snapshot}
+                spectator={spectating}
+                spectators={spectators.map(spectator => spectator.name)}
+                turnClock={turnClock}
+                rules={rulesPreset?.rules}
+                isComputerMode={false}
+                hintsEnabled={hintsEnabled}
+              />
             )
         )
       )}
@@ -825,7 +1031,17 @@ const Room = () => {
     </div>
   ) : (
     <>
-      <CenterInfo msg='Room is full' />
+      <CenterInfo msg={roomFull ? 'Room is full' : joinError} />
+      {canWatch && !spectating && (
+        <a href={`?spectate=1${access ? `&access=${access}` : ''}`} className="glossy-button glossy-button-blue" style={{ position: "absolute", top: "60%", left: "50%", transform: "translateX(-50%)", padding: "0.5rem 1.5rem", borderRadius: "1.5rem", color: "white" }}>
+          watch instead
+        </a>
+      )}
+      {joinError === REFRESH_MESSAGE && (
+        <button onClick={() => window.location.reload()} className="glossy-button glossy-button-blue" style={{ position: "absolute", top: "60%", left: "50%", transform: "translateX(-50%)", padding: "0.5rem 1.5rem", borderRadius: "1.5rem", color: "white" }}>
+          refresh
+        </button>
+      )}
       <Toaster />
       <LowBalanceDrawer 
         open={showLowBalanceDrawer} 
@@ -0,0 +1,72 @@
+import React from "react";
+
+//shown between the rounds of a match and once the match is over
+const RoundSummary = ({ match, players, currentUser, targetScore, matchOver = false, onNextRound }) => {
+  const lastRound = match.history[match.history.length - 1];
+  if (!lastRound) return null;
+
+  const standings = [...players].sort((a, b) => (match.scores[b] || 0) - (match.scores[a] || 0));
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: "50%",
+        left: "50%",
+        transform: "translate(-50%, -50%)",
+        width: "90%",
+        maxWidth: "420px",
+        padding: "1.5rem",
+        borderRadius: "1.5rem",
+        backgroundColor: "rgba(15, 23, 42, 0.9)",
+        border: "2px solid rgba(99, 102, 241, 0.5)",
+        color: "white",
+        textAlign: "center",
+        zIndex: 60
+      }}
+    >
+      <h1 className="topInfoText font-bold">
+        {matchOver ? `${lastRound.winner} wins the match!` : `Round ${lastRound.round}`}
+      </h1>
+      <p style={{ opacity: 0.8, margin: "0.5rem 0 1rem" }}>
+        {lastRound.winner === currentUser ? "You" : lastRound.winner} scored {lastRound.points} points
+        {targetScore > 0 && ` · first to ${targetScore}`}
+      </p>
+
+      <table style={{ width: "100%", fontFamily: "monospace", fontSize: "0.9rem" }}>
+        <thead>
+          <tr style={{ opacity: 0.7 }}>
+            <th style={{ textAlign: "left" }}>Player</th>
+            <th>In hand</th>
+            <th style={{ textAlign: "right" }}>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {standings.map((player) => (
+            <tr key={player} style={{ fontWeight: player === currentUser ? "bold" : "normal" }}>
+              <td style={{ textAlign: "left" }}>{player}</td>
+              <td>{lastRound.handPoints[player] || 0}</td>
+              <td style={{ textAlign: "right" }}>{match.scores[player] || 0}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: "1.5rem" }}>
+        {matchOver ? (
+          <a href="/play">
+            <button className="game-button red">QUIT</button>
+          </a>
+        ) : onNextRound ? (
+          <button className="game-button green" onClick={onNextRound}>
+            NEXT ROUND
+          </button>
+        ) : (
+          <span style={{ color: "white", opacity: 0.8 }}>waiting for the next round…</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoundSummary;
@@ -0,0 +1,17 @@
+import React from "react";
+
+type SpectatorListProps = {
+  spectators: { id: string; name: string }[];
+  currentUser: string;
+};
+
+//people watching the room, listed apart from the seats
+const SpectatorList = ({ spectators, currentUser }: SpectatorListProps) =>
+  spectators.length > 0 ? (
+    <div style={{ color: "white", fontSize: "0.875rem", fontFamily: "monospace", opacity: 0.8 }}>
+      <span style={{ fontWeight: "bold" }}>👁 watching:</span>{" "}
+      {spectators.map((spectator) => (spectator.name === currentUser ? `${spectator.name} (you)` : spectator.name)).join(", ")}
+    </div>
+  ) : null;
+
+export default SpectatorList;
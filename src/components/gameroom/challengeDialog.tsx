@@ -0,0 +1,42 @@
+import React from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '../ui/dialog';
+
+interface ChallengeDialogProps {
+    offender: string;
+    onAccept: () => void;
+    onChallenge: () => void;
+    isDialogOpen: boolean;
+}
+
+// shown to the victim of a Wild Draw Four; it can't be dismissed without answering
+const ChallengeDialog: React.FC<ChallengeDialogProps> = ({ offender, onAccept, onChallenge, isDialogOpen }) => {
+    return (
+        <Dialog open={isDialogOpen}>
+            <DialogContent className='w-3/4 bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 border-2 border-indigo-500/50 shadow-xl shadow-indigo-500/20 rounded-xl'>
+                <DialogHeader className='text-center'>
+                    <DialogTitle className='text-base font-bold text-white'>Wild Draw Four!</DialogTitle>
+                    <DialogDescription className='text-slate-300'>
+                        {offender} played a Wild Draw Four on you. Challenge it if you think they held a card of the color in play:
+                        if they did they draw 4, if not you draw 6.
+                    </DialogDescription>
+                </DialogHeader>
+                <div className="grid grid-cols-2 gap-4 py-2">
+                    <button
+                        onClick={onAccept}
+                        className="rounded-lg px-4 py-3 bg-slate-700/60 text-white font-bold hover:scale-105 transition-all"
+                    >
+                        Accept (+4)
+                    </button>
+                    <button
+                        onClick={onChallenge}
+                        className="rounded-lg px-4 py-3 bg-red-600/80 text-white font-bold hover:scale-105 transition-all"
+                    >
+                        Challenge
+                    </button>
+                </div>
+            </DialogContent>
+        </Dialog>
+    );
+};
+
+export default ChallengeDialog;
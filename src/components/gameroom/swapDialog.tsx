@@ -0,0 +1,42 @@
+import React from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '../ui/dialog';
+
+interface SwapDialogProps {
+    opponents: string[];
+    handCounts: Record<string, number>;
+    onSubmit: (target: string) => void;
+    onClose: () => void;
+    isDialogOpen: boolean;
+}
+
+// 7-0 house rule: pick who to swap hands with after playing a 7
+const SwapDialog: React.FC<SwapDialogProps> = ({ opponents, handCounts, onSubmit, onClose, isDialogOpen }) => {
+    const handleTargetSelect = (target: string) => {
+        onSubmit(target);
+        onClose();
+    };
+
+    return (
+        <Dialog open={isDialogOpen} onOpenChange={(open) => { if (open == false) { onClose() } }}>
+            <DialogContent className='w-3/4 bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 border-2 border-indigo-500/50 shadow-xl shadow-indigo-500/20 rounded-xl'>
+                <DialogHeader className='text-center'>
+                    <DialogTitle className='text-base font-bold text-white'>Swap Hands With</DialogTitle>
+                </DialogHeader>
+                <div className="grid gap-3 py-2">
+                    {opponents.map((opponent) => (
+                        <button
+                            key={opponent}
+                            onClick={() => handleTargetSelect(opponent)}
+                            className="flex items-center justify-between rounded-lg px-4 py-3 bg-slate-700/60 text-white hover:scale-105 transition-all"
+                        >
+                            <span className="font-medium">{opponent}</span>
+                            <span className="text-sm text-slate-300">{handCounts[opponent] || 0} cards</span>
+                        </button>
+                    ))}
+                </div>
+            </DialogContent>
+        </Dialog>
+    );
+};
+
+export default SwapDialog;
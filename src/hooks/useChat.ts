@@ -0,0 +1,130 @@
+/**
+ * Hook that keeps the table chat
+ *
+ * Messages and reactions come from the server. The room's chat so far is asked for once the listeners
+ * are up, the chat only mounts with the game and whatever was sent on join is gone by then. An emote
+ * floats over its sender's avatar for a moment, and players this player muted are left out of the log
+ * and the emotes (only for this player). What the server answers to a message, reaction or report
+ * (sending too fast, a report that went through) shows as a notice for a few seconds.
+ */
+import { useEffect, useRef, useState } from 'react';
+import { ChatMessage, EMOTE_FLOAT_MS, EmoteName, MAX_CHAT_HISTORY, MessageKind, Reaction, isEmoteName, toggleReaction } from '@/lib/chat';
+import { ServerPayload, validated } from '@/lib/protocol';
+
+// the emote over a player's avatar, key tells two of the same emote in a row apart
+export interface FloatingEmote {
+  name: EmoteName;
+  key: string;
+}
+
+// how long a notice from the server stays up
+const NOTICE_MS = 4000;
+
+export function useChat(socket: any, player: string) {
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [muted, setMuted] = useState<string[]>([]);
+  const [open, setOpen] = useState(false);
+  const [unread, setUnread] = useState(0);
+  const [emotes, setEmotes] = useState<Record<string, FloatingEmote>>({});
+  const [notice, setNotice] = useState<string | null>(null);
+  const noticeTimer = useRef<ReturnType<typeof setTimeout>>();
+  // the listeners are registered once, these keep them on the latest values
+  const mutedRef = useRef(muted);
+  mutedRef.current = muted;
+  const openRef = useRef(open);
+  openRef.current = open;
+
+  useEffect(() => {
+    if (!socket) return;
+    const timers = new Set<ReturnType<typeof setTimeout>>();
+
+    const float = (user: string, emote: FloatingEmote) => {
+      setEmotes(current => ({ ...current, [user]: emote }));
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        setEmotes(current => {
+          if (current[user]?.key !== emote.key) return current;
+          const { [user]: _done, ...rest } = current;
+          return rest;
+        });
+      }, EMOTE_FLOAT_MS);
+      timers.add(timer);
+    };
+
+    const onMessage = validated('message', (incoming: ServerPayload<'message'>) => {
+      const message: ChatMessage = {
+        // the hosted relay sends bare text without an id
+        id: incoming.id || `${incoming.user}:${Date.now()}:${Math.random()}`,
+        user: incoming.user,
+        kind: incoming.kind || 'text',
+        text: incoming.text,
+        sentAt: incoming.sentAt || Date.now(),
+        reactions: {},
+      };
+      setMessages(current => [...current, message].slice(-MAX_CHAT_HISTORY));
+      if (mutedRef.current.includes(message.user)) return;
+      message.kind === 'emote' && isEmoteName(message.text) && float(message.user, { name: message.text, key: message.id });
+      !openRef.current && message.user !== player && setUnread(count => count + 1);
+    });
+
+    const onReaction = validated('messageReaction', ({ messageId, user, reaction }: ServerPayload<'messageReaction'>) =>
+      setMessages(current => current.map(message => (message.id === messageId ? toggleReaction(message, user, reaction) : message)))
+    );
+
+    // messages that came in while the history was on its way stay after it
+    const onHistory = validated('chatHistory', ({ messages: history }: ServerPayload<'chatHistory'>) =>
+      setMessages(current =>
+        [...history, ...current.filter(message => !history.some(logged => logged.id === message.id))].slice(-MAX_CHAT_HISTORY)
+      )
+    );
+
+    socket.on('message', onMessage);
+    socket.on('messageReaction', onReaction);
+    socket.on('chatHistory', onHistory);
+    socket.emit('requestChatHistory');
+    return () => {
+      socket.off('message', onMessage);
+      socket.off('messageReaction', onReaction);
+      socket.off('chatHistory', onHistory);
+      timers.forEach(timer => clearTimeout(timer));
+      clearTimeout(noticeTimer.current);
+    };
+  }, [socket, player]);
+
+  const showNotice = (text: string) => {
+    setNotice(text);
+    clearTimeout(noticeTimer.current);
+    noticeTimer.current = setTimeout(() => setNotice(null), NOTICE_MS);
+  };
+
+  const answered = (error?: string) => error && showNotice(error);
+
+  const toggleOpen = () => {
+    setOpen(!open);
+    setUnread(0);
+  };
+
+  const send = (text: string, kind: MessageKind = 'text') => socket?.emit('sendMessage', { message: text, kind }, answered);
+
+  const react = (messageId: string, reaction: Reaction) => socket?.emit('reactToMessage', { messageId, reaction }, answered);
+
+  const report = (messageId: string) =>
+    socket?.emit('reportMessage', { messageId }, (error?: string) => showNotice(error || 'Thanks, the message was reported.'));
+
+  const toggleMute = (user: string) =>
+    setMuted(current => (current.includes(user) ? current.filter(name => name !== user) : [...current, user]));
+
+  return {
+    messages: messages.filter(message => !muted.includes(message.user)),
+    emotes: Object.fromEntries(Object.entries(emotes).filter(([user]) => !muted.includes(user))),
+    muted,
+    open,
+    unread,
+    notice,
+    toggleOpen,
+    send,
+    react,
+    report,
+    toggleMute,
+  };
+}
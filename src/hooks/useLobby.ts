@@ -0,0 +1,33 @@
+/**
+ * Hook that follows the open tables on the server's lobby channel
+ *
+ * The server pushes the whole list whenever a table opens, fills up or starts, so nothing is polled.
+ * The channel is joined again after a reconnect, since the server forgets it with the old connection.
+ * Call it after the effect that connects the socket, it reads the ref when its own effect runs.
+ */
+import { MutableRefObject, useEffect, useState } from 'react';
+import type { LobbyTable } from '@/lib/lobby';
+import { validated } from '@/lib/protocol';
+
+export function useLobby(socketRef: MutableRefObject<any>): LobbyTable[] {
+  const [tables, setTables] = useState<LobbyTable[]>([]);
+
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!socket) return;
+
+    const onTables = validated('lobbyTables', ({ tables }: { tables: LobbyTable[] }) => setTables(tables));
+    const join = () => socket.emit('joinLobby');
+    socket.on('lobbyTables', onTables);
+    socket.on('connect', join);
+    join();
+
+    return () => {
+      socket.emit('leaveLobby');
+      socket.off('lobbyTables', onTables);
+      socket.off('connect', join);
+    };
+  }, [socketRef]);
+
+  return tables;
+}
@@ -0,0 +1,74 @@
+/**
+ * Hook that queues the player for a rated table
+ *
+ * While searching the server sends a queue status every second. Once a group forms the host is asked
+ * to create the game (onHost) and everyone else gets its id when it exists (onReady). If the host
+ * backs out, the guests are put back into the queue with their wait kept. Only a wallet that signed in
+ * (useWalletSession) is queued.
+ */
+import { MutableRefObject, useEffect, useRef, useState } from 'react';
+import type { MatchFound, QueueStatus } from '@/lib/matchmaking';
+import { validated } from '@/lib/protocol';
+
+export type QueueState =
+  | { phase: 'idle' }
+  | { phase: 'searching'; tableSize: number; status: QueueStatus | null }
+  | { phase: 'matched'; tableSize: number; match: MatchFound };
+
+interface MatchmakingHandlers {
+  onHost: (matchId: string) => void;
+  onReady: (gameId: string) => void;
+}
+
+export function useMatchmaking(socketRef: MutableRefObject<any>, handlers: MatchmakingHandlers) {
+  const [queue, setQueue] = useState<QueueState>({ phase: 'idle' });
+  // listeners are registered once, this keeps them on the latest handlers
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!socket) return;
+
+    const onStatus = validated('queueStatus', (status: QueueStatus) => setQueue({ phase: 'searching', tableSize: status.tableSize, status }));
+    const onFound = validated('matchFound', (match: MatchFound) => {
+      setQueue(current => (current.phase === 'idle' ? current : { phase: 'matched', tableSize: current.tableSize, match }));
+      match.role === 'host' && handlersRef.current.onHost(match.matchId);
+    });
+    const onCancelled = validated('matchCancelled', () =>
+      setQueue(current => (current.phase === 'idle' ? current : { phase: 'searching', tableSize: current.tableSize, status: null }))
+    );
+    const onReady = validated('matchReady', ({ gameId }: { gameId: string }) => {
+      setQueue({ phase: 'idle' });
+      handlersRef.current.onReady(gameId);
+    });
+
+    socket.on('queueStatus', onStatus);
+    socket.on('matchFound', onFound);
+    socket.on('matchCancelled', onCancelled);
+    socket.on('matchReady', onReady);
+    return () => {
+      socket.off('queueStatus', onStatus);
+      socket.off('matchFound', onFound);
+      socket.off('matchCancelled', onCancelled);
+      socket.off('matchReady', onReady);
+    };
+  }, [socketRef]);
+
+  // session is the wallet session token, the server only queues signed-in wallets and says why otherwise
+  const join = (tableSize: number, session: string, onRefused: (error: string) => void) => {
+    socketRef.current?.emit('joinQueue', { tableSize, session }, (error?: string) => {
+      if (!error) return;
+      setQueue({ phase: 'idle' });
+      onRefused(error);
+    });
+    setQueue({ phase: 'searching', tableSize, status: null });
+  };
+
+  const cancel = () => {
+    socketRef.current?.emit('leaveQueue');
+    setQueue({ phase: 'idle' });
+  };
+
+  return { queue, join, cancel };
+}
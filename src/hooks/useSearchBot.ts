@@ -0,0 +1,54 @@
+/**
+ * Hook that runs the hard computer's move search in a Web Worker
+ *
+ * `search` resolves with the move the search picked, or null when the worker isn't available
+ * (disabled, unsupported, crashed) so the caller can fall back to the heuristic bot.
+ */
+import { useCallback, useEffect, useRef } from 'react';
+import type { GameState, Move } from '@/lib/engine';
+import { BotMemory, SEARCH_TIME_BUDGET_MS } from '@/lib/bot';
+
+type Resolve = (move: Move | null) => void;
+
+export function useSearchBot(enabled: boolean) {
+  const worker = useRef<Worker | null>(null);
+  const pending = useRef(new Map<number, Resolve>());
+  const nextId = useRef(0);
+
+  useEffect(() => {
+    if (!enabled || typeof Worker === 'undefined') return;
+
+    const settleAll = () => {
+      pending.current.forEach(resolve => resolve(null));
+      pending.current.clear();
+    };
+
+    const searchWorker = new Worker(new URL('../lib/bot/search.worker.ts', import.meta.url));
+    searchWorker.onmessage = ({ data: { id, move } }) => {
+      pending.current.get(id)?.(move);
+      pending.current.delete(id);
+    };
+    searchWorker.onerror = (error) => {
+      console.error('Search bot worker failed:', error.message);
+      settleAll();
+    };
+    worker.current = searchWorker;
+
+    return () => {
+      searchWorker.terminate();
+      worker.current = null;
+      settleAll();
+    };
+  }, [enabled]);
+
+  const search = useCallback((state: GameState, player: string, memory: BotMemory, timeBudget = SEARCH_TIME_BUDGET_MS) => {
+    if (!worker.current) return Promise.resolve(null);
+    const id = nextId.current++;
+    return new Promise<Move | null>(resolve => {
+      pending.current.set(id, resolve);
+      worker.current!.postMessage({ id, state, player, memory, timeBudget });
+    });
+  }, []);
+
+  return search;
+}
@@ -0,0 +1,148 @@
+/**
+ * Hook that agrees on the seed of an online game through commit-reveal
+ *
+ * Every seat commits to private entropy, reveals it once all commitments are in, and the
+ * game seed is the hash of all reveals, so no single client can pick the deck order.
+ * Commitments and reveals are re-sent whenever a new one shows up so seats that mount late catch up.
+ * Only human seats take part, the host's entropy stands in for the computer seats it runs.
+ * The server deals from that seed mixed with a secret of its own. It answers every commitment with its
+ * commitment to the secret and reveals the secret when the game is over, the audit then holds the
+ * seed the game was dealt from and whether the secret matched what the server committed to.
+ */
+import { useEffect, useState } from 'react';
+import { SERVER_ENTROPY, combineEntropy, commitEntropy, createEntropy, verifyReveal, withServerEntropy } from '@/lib/shuffle';
+import type { HouseRules } from '@/lib/engine';
+import type { BotSeat } from '@/lib/bot';
+import { validated } from '@/lib/protocol';
+
+// the ceremony gives up after this long (e.g. when the server doesn't relay its events)
+const CEREMONY_TIMEOUT_MS = 4000;
+
+export type SeedCeremonyStatus = 'pending' | 'done' | 'failed';
+
+interface SeedCommit {
+  player: string;
+  commitment: string;
+  // the room creator announces the house rules along with its commitment
+  rules?: HouseRules;
+  // ...and the host the computer seats it added
+  bots?: BotSeat[];
+}
+
+interface SeedReveal {
+  player: string;
+  entropy: string;
+}
+
+// a finished game checked against what the server committed to, seed is null when the ceremony failed
+export interface DealAudit {
+  seed: string | null;
+  verified: boolean;
+}
+
+interface SeedCeremonyOptions {
+  socket: any;
+  player: string;
+  players: string[];
+  rules?: HouseRules | null;
+  bots?: BotSeat[] | null;
+  enabled: boolean;
+}
+
+export function useSeedCeremony({ socket, player, players, rules, bots, enabled }: SeedCeremonyOptions) {
+  const [status, setStatus] = useState<SeedCeremonyStatus>('pending');
+  const [seed, setSeed] = useState<string | null>(null);
+  const [agreedRules, setAgreedRules] = useState<HouseRules | null>(rules || null);
+  const [agreedBots, setAgreedBots] = useState<BotSeat[] | null>(bots || null);
+  const [audit, setAudit] = useState<DealAudit | null>(null);
+
+  useEffect(() => {
+    if (!enabled || !player || players.length === 0) return;
+
+    const entropy = createEntropy();
+    const ownCommit: SeedCommit = {
+      player,
+      commitment: commitEntropy(player, entropy),
+      ...(rules ? { rules } : {}),
+      ...(bots ? { bots } : {}),
+    };
+    const ownReveal: SeedReveal = { player, entropy };
+    const commitments: Record<string, string> = { [player]: ownCommit.commitment };
+    const reveals: Record<string, string> = {};
+    let revealed = false;
+    let finished = false;
+    // what the server committed its share to before anyone revealed
+    let serverCommitment: string | null = null;
+
+    const finish = (result: SeedCeremonyStatus, agreedSeed: string | null = null) => {
+      if (finished) return;
+      finished = true;
+      setSeed(agreedSeed);
+      setStatus(result);
+    };
+
+    const everyone = (entries: Record<string, string>) => players.every(seat => entries[seat]);
+
+    const tryReveal = () => {
+      if (revealed || !everyone(commitments)) return;
+      revealed = true;
+      reveals[player] = entropy;
+      socket.emit('seedReveal', ownReveal);
+      tryFinish();
+    };
+
+    const tryFinish = () => {
+      if (!everyone(reveals)) return;
+      const cheater = players.find(seat => !verifyReveal(commitments[seat], seat, reveals[seat]));
+      if (cheater) {
+        console.error(`Seed reveal from ${cheater} doesn't match its commitment`);
+        finish('failed');
+        return;
+      }
+      finish('done', combineEntropy(reveals));
+    };
+
+    const onCommit = validated('seedCommit', ({ player: from, commitment, rules: announcedRules, bots: announcedBots }: SeedCommit) => {
+      if (!players.includes(from) || commitments[from]) return;
+      commitments[from] = commitment;
+      announcedRules && setAgreedRules(announcedRules);
+      announcedBots && setAgreedBots(announcedBots);
+      socket.emit('seedCommit', ownCommit);
+      tryReveal();
+    });
+
+    const onReveal = validated('seedReveal', ({ player: from, entropy: revealedEntropy }: SeedReveal) => {
+      if (!players.includes(from) || reveals[from]) return;
+      reveals[from] = revealedEntropy;
+      revealed && socket.emit('seedReveal', ownReveal);
+      tryFinish();
+    });
+
+    const onServerCommitment = validated('serverCommitment', ({ commitment }: { commitment: string }) => {
+      serverCommitment = serverCommitment || commitment;
+    });
+
+    const onServerReveal = validated('serverReveal', ({ commitment, secret }: { commitment: string; secret: string }) => {
+      const verified = commitment === serverCommitment && verifyReveal(commitment, SERVER_ENTROPY, secret);
+      setAudit({ seed: everyone(reveals) ? withServerEntropy(combineEntropy(reveals), secret) : null, verified });
+    });
+
+    socket.on('seedCommit', onCommit);
+    socket.on('seedReveal', onReveal);
+    socket.on('serverCommitment', onServerCommitment);
+    socket.on('serverReveal', onServerReveal);
+    socket.emit('seedCommit', ownCommit);
+
+    const timeout = setTimeout(() => finish('failed'), CEREMONY_TIMEOUT_MS);
+
+    return () => {
+      clearTimeout(timeout);
+      socket.off('seedCommit', onCommit);
+      socket.off('seedReveal', onReveal);
+      socket.off('serverCommitment', onServerCommitment);
+      socket.off('serverReveal', onServerReveal);
+    };
+  }, [enabled, player, players.join()]);
+
+  return { status, seed, rules: agreedRules, bots: agreedBots, audit };
+}
@@ -0,0 +1,33 @@
+/**
+ * Hook that signs the connected wallet in to the game server
+ *
+ * The server hands out a one-time message, the wallet signs it and the server answers with a session
+ * token for the address. Ratings, the rated queue and setting up a game's table only go by that token, so
+ * a player can't queue, be rated or claim a game as a wallet they don't hold. The token is saved and reused until the server turns it down.
+ */
+import { MutableRefObject, useCallback } from 'react';
+import { useActiveAccount } from 'thirdweb/react';
+import { clearWalletSession, loadWalletSession, saveWalletSession } from '@/utils/walletSession';
+
+type SignInReply = { token: string; address: string } | { error: string };
+
+export function useWalletSession(socketRef: MutableRefObject<any>) {
+  const account = useActiveAccount();
+
+  // the session token of the connected wallet, it asks the wallet to sign when none is saved
+  const signIn = useCallback(async (): Promise<string> => {
+    const socket = socketRef.current;
+    if (!account || !socket) throw new Error('Connect your wallet first.');
+    const saved = loadWalletSession(account.address);
+    if (saved) return saved.token;
+
+    const { message } = await new Promise<{ message: string }>(resolve => socket.emit('signInChallenge', resolve));
+    const signature = await account.signMessage({ message });
+    const reply = await new Promise<SignInReply>(resolve => socket.emit('signIn', { address: account.address, signature }, resolve));
+    if ('error' in reply) throw new Error(reply.error);
+    saveWalletSession(reply);
+    return reply.token;
+  }, [account, socketRef]);
+
+  return { signIn, forget: clearWalletSession };
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { GameState, createGame, seatNames } from '../engine';
+import { hintsAllowed, suggestMove } from './hint';
+
+const [ONE, TWO, THREE] = seatNames(3);
+
+function table(hands: GameState['hands'], overrides: Partial<GameState> = {}): GameState {
+  return {
+    ...createGame({ players: [ONE, TWO, THREE], seed: `0x${'99'.repeat(32)}` }),
+    currentColor: 'R',
+    currentNumber: '5',
+    playedCardsPile: ['5R'],
+    hands,
+    ...overrides,
+  };
+}
+
+describe('hintsAllowed', () => {
+  it('keeps hints to tables where nothing is on the line', () => {
+    expect(hintsAllowed({})).toBe(true);
+    expect(hintsAllowed({ ranked: false })).toBe(true);
+    expect(hintsAllowed({ ranked: true })).toBe(false);
+  });
+});
+
+describe('suggestMove', () => {
+  it('points at the last card', () => {
+    expect(suggestMove(table({ [ONE]: ['9R'], [TWO]: ['1Y', '2Y'], [THREE]: ['3Y', '4Y'] }), ONE)).toMatchObject({
+      card: '9R',
+      reason: 'goOut',
+    });
+  });
+
+  it('slows down a player close to going out', () => {
+    const hint = suggestMove(table({ [ONE]: ['skipR', '1R', '7G'], [TWO]: ['1Y', '2Y'], [THREE]: ['3Y', '4Y', '6Y'] }), ONE);
+    expect(hint).toMatchObject({ card: 'skipR', reason: 'stopOpponent' });
+  });
+
+  it('says to draw when nothing fits', () => {
+    const hint = suggestMove(table({ [ONE]: ['1G', '2B'], [TWO]: ['1Y'], [THREE]: ['3Y'] }), ONE);
+    expect(hint).toMatchObject({ move: { type: 'drawCard' }, card: null, reason: 'draw' });
+  });
+});
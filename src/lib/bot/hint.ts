@@ -0,0 +1,125 @@
+import {
+  CARD_COLORS,
+  CardCode,
+  CardColor,
+  DRAW_FOUR,
+  DRAW_TWO,
+  GameState,
+  Move,
+  REVERSE,
+  SKIP,
+  WILD,
+  cardPoints,
+  getHand,
+  isWildCard,
+  nextSeat,
+  parseCard,
+  swapsHands,
+} from '../engine';
+import { BotMemory, chooseBotMove, createBotMemory, getValidMoves } from './strategy';
+
+// The Hint button: the move the hard computer would make in the player's seat, and why.
+
+export type HintReason =
+  | 'goOut'
+  | 'stopOpponent'
+  | 'swapHands'
+  | 'onlyWild'
+  | 'dumpPoints'
+  | 'colorControl'
+  | 'saveWild'
+  | 'holdDrawFour'
+  | 'draw'
+  | 'pass'
+  | 'challenge'
+  | 'accept';
+
+export interface Hint {
+  move: Move;
+  // the card to highlight, null when the hint is to draw, pass or answer a Draw 4
+  card: CardCode | null;
+  reason: HintReason;
+  explanation: string;
+}
+
+const COLOR_NAMES: Record<CardColor, string> = { R: 'red', G: 'green', B: 'blue', Y: 'yellow' };
+
+// hints are a training aid, they stay off wherever a rating is on the line
+export function hintsAllowed(room: { ranked?: boolean }): boolean {
+  return !room.ranked;
+}
+
+function hint(move: Move, reason: HintReason, explanation: string): Hint {
+  return { move, card: move.type === 'playCard' ? move.card : null, reason, explanation };
+}
+
+function explainPlay(state: GameState, player: string, move: Extract<Move, { type: 'playCard' }>): Hint {
+  const { card } = move;
+  const { color, number } = parseCard(card);
+  const hand = getHand(state, player);
+  const rest = [...hand];
+  rest.splice(rest.indexOf(card), 1);
+  const next = nextSeat(state, player);
+  const nextHandSize = getHand(state, next).length;
+  const playable = getValidMoves(state, player);
+
+  if (rest.length <= 1) {
+    return hint(move, 'goOut', rest.length ? 'Down to your last card, remember to call UNO.' : 'Play it and you are out!');
+  }
+  if (number === DRAW_FOUR) {
+    const closeToOut = state.players.some(seat => seat !== player && getHand(state, seat).length <= 2);
+    return closeToOut
+      ? hint(move, 'stopOpponent', `Someone is close to going out, make ${next} draw four.`)
+      : hint(move, 'onlyWild', `Nothing else fits, make ${next} draw four and switch to ${COLOR_NAMES[move.color!]}.`);
+  }
+  if ((number === SKIP || number === REVERSE || number === DRAW_TWO) && nextHandSize <= 2) {
+    return hint(move, 'stopOpponent', `${next} has ${nextHandSize} card${nextHandSize === 1 ? '' : 's'} left, slow them down.`);
+  }
+  if (move.target && swapsHands(state, player, card)) {
+    return hint(move, 'swapHands', `Swap your ${rest.length} cards for ${move.target}'s ${getHand(state, move.target).length}.`);
+  }
+  if (number === WILD) {
+    return hint(move, 'onlyWild', `Nothing else fits, switch the color to ${COLOR_NAMES[move.color!]}.`);
+  }
+
+  const sameColor = rest.filter(held => !isWildCard(held) && parseCard(held).color === color).length;
+  const mostOfAColor = Math.max(...CARD_COLORS.map(
+    other => rest.filter(held => !isWildCard(held) && parseCard(held).color === other).length
+  ));
+  if (color !== state.currentColor && sameColor > 0 && sameColor === mostOfAColor) {
+    return hint(move, 'colorControl', `Switch to ${COLOR_NAMES[color as CardColor]}, you hold ${sameColor} more of it.`);
+  }
+  const others = playable.filter(other => other !== card && !isWildCard(other));
+  if (cardPoints(card) >= 7 && others.every(other => cardPoints(other) <= cardPoints(card))) {
+    return hint(move, 'dumpPoints', `Get rid of a ${cardPoints(card)} point card before someone goes out.`);
+  }
+  if (playable.some(isWildCard)) {
+    return hint(move, 'saveWild', 'Save your wild for when nothing else fits.');
+  }
+  return hint(move, 'colorControl', `Follow ${COLOR_NAMES[color as CardColor]} and keep your other colors for later.`);
+}
+
+/**
+ * Suggest a move for `player` using the hard computer's strategy, with a short explanation.
+ */
+export function suggestMove(state: GameState, player: string, memory: BotMemory = createBotMemory()): Hint {
+  const move = chooseBotMove(state, player, 'hard', memory);
+
+  switch (move.type) {
+    case 'playCard':
+      return explainPlay(state, player, move);
+    case 'challengeDrawFour':
+      return hint(move, 'challenge', `${state.drawFourChallenge!.player} probably had a card they could play, challenge it.`);
+    case 'acceptDrawFour':
+      return hint(move, 'accept', 'The Draw 4 was likely fair, challenging would cost you two more cards.');
+    case 'pass':
+      return hint(move, 'pass', 'Nothing to play, pass the turn.');
+    default:
+      if (state.pendingDraw) {
+        return hint(move, 'draw', `Nothing to stack on it, take the ${state.pendingDraw} cards.`);
+      }
+      return getValidMoves(state, player).some(card => parseCard(card).number === DRAW_FOUR)
+        ? hint(move, 'holdDrawFour', 'Keep your Draw 4 for when someone is about to go out, draw instead.')
+        : hint(move, 'draw', 'None of your cards match, draw one.');
+  }
+}
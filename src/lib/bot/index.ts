@@ -0,0 +1,5 @@
+export * from './levels';
+export * from './strategy';
+export * from './search';
+export * from './seats';
+export * from './hint';
@@ -0,0 +1,14 @@
+import { describe, expect, it } from 'vitest';
+import { BOT_LEVELS, DEFAULT_BOT_LEVEL, getBotLevel } from './levels';
+
+describe('getBotLevel', () => {
+  it('finds the known levels', () => {
+    expect(getBotLevel('hard')).toBe(BOT_LEVELS.hard);
+  });
+
+  it('plays anything else at the default level, inherited property names included', () => {
+    ['__proto__', 'constructor', 'toString', 'expert', null, undefined].forEach(name =>
+      expect(getBotLevel(name)).toBe(BOT_LEVELS[DEFAULT_BOT_LEVEL])
+    );
+  });
+});
@@ -0,0 +1,45 @@
+// Difficulty levels of the computer opponent, picked next to the Quick Game button
+
+export type BotLevelName = 'easy' | 'normal' | 'hard';
+
+export interface BotLevel {
+  name: BotLevelName;
+  label: string;
+  description: string;
+  // chance of forgetting to call UNO before going down to one card
+  forgetsUno: number;
+  // how long it takes to catch a player who forgot to call UNO
+  catchDelay: number;
+}
+
+export const BOT_LEVELS: Record<BotLevelName, BotLevel> = {
+  easy: {
+    name: 'easy',
+    label: 'Easy',
+    description: 'Plays any card it can',
+    forgetsUno: 0.4,
+    catchDelay: 2500,
+  },
+  normal: {
+    name: 'normal',
+    label: 'Normal',
+    description: 'Leads with action cards',
+    forgetsUno: 0.2,
+    catchDelay: 1500,
+  },
+  hard: {
+    name: 'hard',
+    label: 'Hard',
+    description: 'Counts cards, saves its Draw 4s',
+    forgetsUno: 0,
+    catchDelay: 800,
+  },
+};
+
+export const DEFAULT_BOT_LEVEL: BotLevelName = 'normal';
+
+export function getBotLevel(name?: string | null): BotLevel {
+  // names like __proto__ are not levels even though every object has them
+  const known = typeof name === 'string' && Object.prototype.hasOwnProperty.call(BOT_LEVELS, name);
+  return known ? BOT_LEVELS[name as BotLevelName] : BOT_LEVELS[DEFAULT_BOT_LEVEL];
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { GameState, applyMove, createGame, seatNames } from '../engine';
+import { searchBotMove } from './search';
+
+const [ONE, TWO, THREE] = seatNames(3);
+
+function table(hands: GameState['hands']): GameState {
+  return {
+    ...createGame({ players: [ONE, TWO, THREE], seed: `0x${'88'.repeat(32)}` }),
+    currentColor: 'R',
+    currentNumber: '5',
+    playedCardsPile: ['5R'],
+    hands,
+  };
+}
+
+describe('searchBotMove', () => {
+  it('picks a move the engine takes within the playout limit', () => {
+    const state = table({ [ONE]: ['1R', '5G', 'skipR', 'W'], [TWO]: ['3Y', '4Y'], [THREE]: ['6Y', '7Y'] });
+    const { move, playouts } = searchBotMove(state, ONE, { maxPlayouts: 40 });
+    expect(playouts).toBeLessThanOrEqual(40);
+    const { events } = applyMove(state, move, { now: () => 0 });
+    expect(events.some(event => event.type === 'invalidMove')).toBe(false);
+  });
+
+  it('draws without searching when nothing can be played', () => {
+    const state = table({ [ONE]: ['1G', '2B'], [TWO]: ['3Y'], [THREE]: ['4Y'] });
+    expect(searchBotMove(state, ONE)).toEqual({ move: { type: 'drawCard', player: ONE }, winRate: 0, playouts: 0 });
+  });
+
+  it('goes out when it can', () => {
+    const state = table({ [ONE]: ['9R'], [TWO]: ['3Y', '4Y'], [THREE]: ['6Y', '7Y'] });
+    expect(searchBotMove(state, ONE, { maxPlayouts: 10 }).move).toMatchObject({ type: 'playCard', card: '9R' });
+  });
+});
@@ -0,0 +1,158 @@
+import {
+  ApplyMoveOptions,
+  CARD_COLORS,
+  GameState,
+  Move,
+  applyMove,
+  getHand,
+  isWildCard,
+  legalMoves,
+  parseCard,
+  swapsHands,
+} from '../engine';
+import { BotMemory, chooseBotMove, createBotMemory, drawOrPass, getValidMoves, unseenCards } from './strategy';
+
+// Search bot for hard mode: deal the cards the bot can't see into plausible opponent hands,
+// play every candidate move out to the end of the round many times and keep the move that won most.
+
+export const SEARCH_TIME_BUDGET_MS = 2000;
+// playouts that run longer than this count as a draw
+const MAX_PLAYOUT_MOVES = 400;
+// standard errors a move has to beat the heuristic move by before the search overrides it
+const OVERRIDE_MARGIN = 2;
+
+export interface SearchOptions {
+  memory?: BotMemory;
+  timeBudget?: number;
+  // stop after this many playouts even if there's time left, mainly for tests and simulations
+  maxPlayouts?: number;
+}
+
+export interface SearchResult {
+  move: Move;
+  winRate: number;
+  playouts: number;
+}
+
+function shuffle<T>(items: T[]): T[] {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// one guess at the hidden cards: opponents keep their hand sizes and get the colors they drew on last
+function determinize(state: GameState, player: string, memory: BotMemory): GameState {
+  const hidden = shuffle(unseenCards(state, player, memory));
+  const hands = { ...state.hands };
+
+  state.players
+    .filter(seat => seat !== player)
+    .forEach(seat => {
+      const missing = memory.missingColors[seat] || [];
+      const likely = hidden.filter(card => isWildCard(card) || !missing.includes(parseCard(card).color));
+      const unlikely = hidden.filter(card => !likely.includes(card));
+      const hand = [...likely, ...unlikely].slice(0, getHand(state, seat).length);
+      hand.forEach(card => hidden.splice(hidden.indexOf(card), 1));
+      hands[seat] = hand;
+    });
+
+  // whether a pending Wild Draw Four was a bluff depends on the guessed hand too
+  const challenge = state.drawFourChallenge;
+  const drawFourChallenge = challenge && {
+    ...challenge,
+    bluffed: hands[challenge.player].some(card => !isWildCard(card) && parseCard(card).color === challenge.previousColor),
+  };
+
+  return { ...state, hands, drawCardPile: hidden, drawFourChallenge, unoCatch: null };
+}
+
+// cheap playout policy: a random playable card, wilds last
+function playoutMove(state: GameState): Move {
+  const player = state.turn;
+  if (state.drawFourChallenge) {
+    return { type: 'acceptDrawFour', player };
+  }
+  const validMoves = getValidMoves(state, player);
+  if (validMoves.length === 0) {
+    return drawOrPass(state, player);
+  }
+  const colored = validMoves.filter(card => !isWildCard(card));
+  const card = (colored.length ? colored : validMoves)[Math.floor(Math.random() * (colored.length || validMoves.length))];
+  const color = isWildCard(card) ? CARD_COLORS[Math.floor(Math.random() * CARD_COLORS.length)] : undefined;
+  const target = swapsHands(state, player, card)
+    ? state.players.filter(seat => seat !== player)[Math.floor(Math.random() * (state.players.length - 1))]
+    : undefined;
+  return { type: 'playCard', player, card, color, target };
+}
+
+// 1 for a win, 0 for a loss, 0.5 when the playout gets nowhere
+function playout(state: GameState, player: string, options: ApplyMoveOptions): number {
+  for (let moves = 0; moves < MAX_PLAYOUT_MOVES; moves++) {
+    if (state.roundOver || state.gameOver) {
+      return state.winner === player ? 1 : 0;
+    }
+    // the playout player always remembers to call UNO
+    if (getHand(state, state.turn).length === 2) {
+      state = applyMove(state, { type: 'callUno', player: state.turn }, options).state;
+    }
+    const next = applyMove(state, playoutMove(state), options).state;
+    if (next === state) return 0.5;
+    state = next;
+  }
+  return 0.5;
+}
+
+// everything the player could do on their turn, apart from calling and catching UNO
+function candidateMoves(state: GameState, player: string): Move[] {
+  return legalMoves(state, player).filter(move => move.type !== 'callUno' && move.type !== 'catchUno');
+}
+
+function sameMove(a: Move, b: Move): boolean {
+  return a.type === b.type && (a.type !== 'playCard' || (b.type === 'playCard' && a.card === b.card && a.color === b.color && a.target === b.target));
+}
+
+/**
+ * Pick the move with the best win rate over as many playouts as fit in the time budget.
+ * Random playouts are noisy, so the hard heuristic's move stands unless another move clearly wins more.
+ */
+export function searchBotMove(state: GameState, player: string, options: SearchOptions = {}): SearchResult {
+  const { memory = createBotMemory(), timeBudget = SEARCH_TIME_BUDGET_MS, maxPlayouts = Infinity } = options;
+  const candidates = candidateMoves(state, player);
+  if (candidates.length === 0) {
+    return { move: drawOrPass(state, player), winRate: 0, playouts: 0 };
+  }
+  const wins = candidates.map(() => 0);
+  const visits = candidates.map(() => 0);
+  const startedAt = Date.now();
+  const deadline = startedAt + timeBudget;
+  // playouts shuffle with Math.random, they never need to be replayed
+  const moveOptions: ApplyMoveOptions = { shuffle: cards => shuffle(cards), now: () => startedAt };
+
+  let playouts = 0;
+  if (candidates.length > 1) {
+    while (playouts < maxPlayouts && (playouts < candidates.length || Date.now() < deadline)) {
+      const index = playouts % candidates.length;
+      const guess = determinize(state, player, memory);
+      const { state: next } = applyMove(guess, candidates[index], moveOptions);
+      wins[index] += playout(next, player, moveOptions);
+      visits[index]++;
+      playouts++;
+    }
+  }
+
+  const winRates = candidates.map((_, index) => (visits[index] ? wins[index] / visits[index] : 0));
+  const best = winRates.indexOf(Math.max(...winRates));
+  const heuristicMove = chooseBotMove(state, player, 'hard', memory);
+  const heuristic = candidates.findIndex(move => sameMove(move, heuristicMove));
+  if (heuristic === -1 || heuristic === best) {
+    return { move: candidates[best], winRate: winRates[best], playouts };
+  }
+
+  const standardError = (index: number) => Math.sqrt((winRates[index] * (1 - winRates[index])) / Math.max(visits[index], 1));
+  const margin = OVERRIDE_MARGIN * Math.hypot(standardError(best), standardError(heuristic));
+  const chosen = winRates[best] - winRates[heuristic] > margin ? best : heuristic;
+  return { move: candidates[chosen], winRate: winRates[chosen], playouts };
+}
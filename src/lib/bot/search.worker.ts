@@ -0,0 +1,8 @@
+import { searchBotMove } from './search';
+
+// runs the search bot off the main thread so the computer's turn delay doesn't stutter
+const worker = self as unknown as Worker;
+
+worker.onmessage = ({ data: { id, state, player, memory, timeBudget } }) => {
+  worker.postMessage({ id, ...searchBotMove(state, player, { memory, timeBudget }) });
+};
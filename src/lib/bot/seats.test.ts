@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { addBotSeat, createBotSeats, enoughSeats } from './seats';
+
+describe('bot seats', () => {
+  it('names the computers after their seat', () => {
+    expect(createBotSeats(2, 'hard')).toEqual([
+      { name: 'Computer 1', level: 'hard' },
+      { name: 'Computer 2', level: 'hard' },
+    ]);
+  });
+
+  it('fills the first free computer seat', () => {
+    const bots = [{ name: 'Computer 2', level: 'easy' as const }];
+    expect(addBotSeat(bots, 'normal')).toEqual([...bots, { name: 'Computer 1', level: 'normal' }]);
+  });
+
+  it('counts the computers toward the players a game needs', () => {
+    expect(enoughSeats(1, [])).toBe(false);
+    expect(enoughSeats(1, createBotSeats(1, 'easy'))).toBe(true);
+    expect(enoughSeats(2, [])).toBe(true);
+  });
+});
@@ -0,0 +1,30 @@
+import { MIN_PLAYERS } from '../engine';
+import { BotLevelName } from './levels';
+
+// Computer seats at a table. Bots sit after the humans under their own seat names, so they
+// never clash with the "Player N" names the server hands out to people joining the room.
+
+export interface BotSeat {
+  name: string;
+  level: BotLevelName;
+}
+
+export function botSeatName(index: number): string {
+  return `Computer ${index + 1}`;
+}
+
+export function createBotSeats(count: number, level: BotLevelName): BotSeat[] {
+  return Array.from({ length: count }, (_, index) => ({ name: botSeatName(index), level }));
+}
+
+// a bot in the first free computer seat
+export function addBotSeat(bots: BotSeat[], level: BotLevelName): BotSeat[] {
+  let index = 0;
+  while (bots.some(bot => bot.name === botSeatName(index))) index++;
+  return [...bots, { name: botSeatName(index), level }];
+}
+
+// whether the humans and computers seated are enough for a game
+export function enoughSeats(humans: number, bots: BotSeat[]): boolean {
+  return humans + bots.length >= MIN_PLAYERS;
+}
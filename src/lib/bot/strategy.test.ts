@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_RULES, GameState, HouseRules, applyMove, createGame, seatNames } from '../engine';
+import { BotLevelName } from './levels';
+import { chooseBotMove, chooseWildColor, createBotMemory, rememberEvents } from './strategy';
+
+const LEVELS: BotLevelName[] = ['easy', 'normal', 'hard'];
+const [ONE, TWO, THREE] = seatNames(3);
+
+// plays a whole game between computers of one level, failing on the first move the engine turns down
+function playOut(level: BotLevelName, seed: string, rules: Partial<HouseRules> = {}): GameState {
+  let state = createGame({ players: seatNames(3), seed, rules: { ...DEFAULT_RULES, ...rules } });
+  let memory = createBotMemory();
+  for (let moves = 0; !state.gameOver && moves < 2000; moves++) {
+    const player = state.drawFourChallenge ? state.drawFourChallenge.target : state.turn;
+    const result = applyMove(state, chooseBotMove(state, player, level, memory), { now: () => 0 });
+    expect(result.events.filter(event => event.type === 'invalidMove')).toEqual([]);
+    memory = rememberEvents(memory, state, result.events);
+    state = result.state;
+  }
+  return state;
+}
+
+describe('chooseBotMove', () => {
+  LEVELS.forEach(level => {
+    it(`only makes legal moves on ${level}`, () => {
+      expect(playOut(level, `0x${'44'.repeat(32)}`).gameOver).toBe(true);
+    });
+
+    it(`plays by the house rules on ${level}`, () => {
+      const rules = { stackDrawCards: true, sevenZero: true, drawUntilPlayable: true, challengeDrawFour: true };
+      expect(playOut(level, `0x${'55'.repeat(32)}`, rules).gameOver).toBe(true);
+    });
+  });
+
+  const table = (hands: GameState['hands'], overrides: Partial<GameState> = {}): GameState => ({
+    ...createGame({ players: [ONE, TWO, THREE], seed: `0x${'66'.repeat(32)}` }),
+    currentColor: 'R',
+    currentNumber: '5',
+    playedCardsPile: ['5R'],
+    hands,
+    ...overrides,
+  });
+
+  it('draws when nothing in hand can be played, and passes once it has', () => {
+    const state = table({ [ONE]: ['1G', '2B'], [TWO]: ['3Y'], [THREE]: ['4Y'] });
+    LEVELS.forEach(level => {
+      expect(chooseBotMove(state, ONE, level)).toEqual({ type: 'drawCard', player: ONE });
+      expect(chooseBotMove({ ...state, drawButtonPressed: true }, ONE, level)).toEqual({ type: 'pass', player: ONE });
+    });
+  });
+
+  it('keeps its Draw 4 on hard while nobody is close to going out', () => {
+    const state = table({ [ONE]: ['D4W', '1G', '2B'], [TWO]: ['3Y', '4Y', '5Y'], [THREE]: ['6Y', '7Y', '8Y'] });
+    expect(chooseBotMove(state, ONE, 'hard')).toEqual({ type: 'drawCard', player: ONE });
+    const onUno = { ...state.hands, [TWO]: ['3Y'] };
+    expect(chooseBotMove({ ...state, hands: onUno }, ONE, 'hard')).toMatchObject({ type: 'playCard', card: 'D4W' });
+  });
+});
+
+describe('chooseWildColor', () => {
+  it('names the color it holds most of', () => {
+    const state = createGame({ players: [ONE, TWO], seed: `0x${'77'.repeat(32)}` });
+    expect(chooseWildColor({ ...state, hands: { [ONE]: ['W', '1G', '2G', '3B'], [TWO]: ['4Y'] } }, ONE)).toBe('G');
+  });
+});
@@ -0,0 +1,281 @@
+import { PACK_OF_CARDS } from '../../utils/packOfCards';
+import {
+  CARD_COLORS,
+  CardCode,
+  CardColor,
+  DRAW_FOUR,
+  DRAW_TWO,
+  GameEvent,
+  GameState,
+  Move,
+  REVERSE,
+  SKIP,
+  WILD,
+  canPlayCard,
+  cardPoints,
+  getHand,
+  isWildCard,
+  nextSeat,
+  parseCard,
+  swapsHands,
+} from '../engine';
+import { BotLevelName, DEFAULT_BOT_LEVEL } from './levels';
+
+// The computer opponent. Every level only looks at what a player at the table could know:
+// its own hand, the cards that went onto the discard pile and how many cards everyone holds.
+
+// cards of each color in the pack
+const COLOR_CARDS = PACK_OF_CARDS.filter(card => !isWildCard(card)).length / CARD_COLORS.length;
+
+export interface BotMemory {
+  // cards seen going onto the discard pile since the last reshuffle
+  played: CardCode[];
+  // colors each player had to draw on, so they probably don't hold any
+  missingColors: Record<string, string[]>;
+}
+
+export function createBotMemory(): BotMemory {
+  return { played: [], missingColors: {} };
+}
+
+/**
+ * Learn from the events of a move, `state` is the state the move was applied to.
+ */
+export function rememberEvents(memory: BotMemory, state: GameState, events: GameEvent[]): BotMemory {
+  let { played, missingColors } = memory;
+  let currentColor = state.currentColor;
+
+  events.forEach(event => {
+    switch (event.type) {
+      case 'cardPlayed':
+        played = [...played, event.card];
+        currentColor = event.color;
+        missingColors = { ...missingColors, [event.player]: (missingColors[event.player] || []).filter(color => color !== event.color) };
+        break;
+      case 'cardDrawn':
+        if (!event.playable && !(missingColors[event.player] || []).includes(currentColor)) {
+          missingColors = { ...missingColors, [event.player]: [...(missingColors[event.player] || []), currentColor] };
+        }
+        break;
+      case 'handsSwapped':
+        missingColors = { ...missingColors, [event.player]: missingColors[event.target] || [], [event.target]: missingColors[event.player] || [] };
+        break;
+      case 'handsRotated':
+        missingColors = {};
+        break;
+      case 'deckReshuffled':
+        played = played.slice(-1);
+        break;
+      case 'roundStarted':
+        played = [];
+        missingColors = {};
+        break;
+    }
+  });
+
+  return { played, missingColors };
+}
+
+// cards the bot hasn't seen: not in its hand and not on the discard pile
+export function unseenCards(state: GameState, player: string, memory: BotMemory): CardCode[] {
+  const topCard = state.playedCardsPile[state.playedCardsPile.length - 1];
+  const seen = memory.played[memory.played.length - 1] === topCard ? memory.played : [...memory.played, topCard];
+  const unseen = [...PACK_OF_CARDS];
+  [...getHand(state, player), ...seen].forEach(card => {
+    const index = unseen.indexOf(card);
+    index !== -1 && unseen.splice(index, 1);
+  });
+  return unseen;
+}
+
+function colorCounts(cards: CardCode[]): Record<string, number> {
+  const counts: Record<string, number> = Object.fromEntries(CARD_COLORS.map(color => [color, 0]));
+  cards.filter(card => !isWildCard(card)).forEach(card => counts[parseCard(card).color]++);
+  return counts;
+}
+
+function opponentsOf(state: GameState, player: string): string[] {
+  return state.players.filter(seat => seat !== player);
+}
+
+function fewestCards(state: GameState, player: string): string {
+  return opponentsOf(state, player).sort((a, b) => getHand(state, a).length - getHand(state, b).length)[0];
+}
+
+function randomItem<T>(items: T[]): T {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+interface Context {
+  state: GameState;
+  player: string;
+  memory: BotMemory;
+  hand: CardCode[];
+  unseen: Record<string, number>;
+  unseenTotal: number;
+  nextPlayer: string;
+  // some opponent is down to their last two cards
+  opponentOnUno: boolean;
+}
+
+function createContext(state: GameState, player: string, memory: BotMemory): Context {
+  const unseen = unseenCards(state, player, memory);
+  return {
+    state,
+    player,
+    memory,
+    hand: getHand(state, player),
+    unseen: colorCounts(unseen),
+    unseenTotal: unseen.length,
+    nextPlayer: nextSeat(state, player),
+    opponentOnUno: opponentsOf(state, player).some(seat => getHand(state, seat).length <= 2),
+  };
+}
+
+function missingColor(ctx: Context, player: string, color: string): boolean {
+  return (ctx.memory.missingColors[player] || []).includes(color);
+}
+
+// the color the hard bot calls with a wild: the one it holds most of, and that the next player can't follow
+export function chooseWildColor(state: GameState, player: string, memory: BotMemory = createBotMemory(), playing?: CardCode): CardColor {
+  const ctx = createContext(state, player, memory);
+  const hand = [...ctx.hand];
+  playing && hand.splice(hand.indexOf(playing), 1);
+  const counts = colorCounts(hand);
+  const points = Object.fromEntries(CARD_COLORS.map(color => [
+    color,
+    hand.filter(card => parseCard(card).color === color).reduce((total, card) => total + cardPoints(card), 0),
+  ]));
+
+  const score = (color: CardColor) =>
+    counts[color] * 4 +
+    points[color] / 20 +
+    (missingColor(ctx, ctx.nextPlayer, color) ? 3 : 0) +
+    (COLOR_CARDS - ctx.unseen[color]) / 5;
+
+  return [...CARD_COLORS].sort((a, b) => score(b) - score(a))[0];
+}
+
+// how good a card is to play right now, higher is better
+function scoreCard(ctx: Context, card: CardCode): number {
+  const { state, hand, nextPlayer, opponentOnUno } = ctx;
+  const { color, number } = parseCard(card);
+  const rest = [...hand];
+  rest.splice(rest.indexOf(card), 1);
+  // playing out the last cards beats holding anything back
+  const goingOut = rest.length <= 1;
+  const nextHandSize = getHand(state, nextPlayer).length;
+  let score = cardPoints(card) / 10;
+
+  if (number === DRAW_FOUR) {
+    const bluff = hand.some(held => !isWildCard(held) && parseCard(held).color === state.currentColor);
+    return score + (opponentOnUno ? 30 : goingOut ? 5 : -25) - (bluff && !opponentOnUno ? 10 : 0);
+  }
+  if (number === WILD) {
+    return score + (goingOut ? 5 : -15);
+  }
+
+  // stay in the color the hand is strongest in
+  const counts = colorCounts(rest);
+  const strongest = CARD_COLORS.reduce((best, candidate) => (counts[candidate] > counts[best] ? candidate : best));
+  score += counts[color] * 3;
+  if (color !== state.currentColor && state.currentColor === strongest && counts[strongest] > counts[color]) {
+    score -= 5;
+  }
+
+  // colors the others are short of
+  score += missingColor(ctx, nextPlayer, color) ? 6 : 0;
+  score += (COLOR_CARDS - ctx.unseen[color]) / 5;
+
+  // action cards matter most against a player about to go out
+  if (number === SKIP || number === REVERSE || number === DRAW_TWO) {
+    score += nextHandSize <= 2 ? 12 : number === DRAW_TWO ? 2 : 1;
+  }
+
+  // 7-0: only swap for a smaller hand
+  if (swapsHands(state, ctx.player, card)) {
+    score += (rest.length - getHand(state, fewestCards(state, ctx.player)).length) * 2;
+  }
+
+  return score;
+}
+
+// chance that the player of a Wild Draw Four held a card of the color in play, from the unseen cards
+function bluffChance(ctx: Context): number {
+  const { player: offender, previousColor } = ctx.state.drawFourChallenge!;
+  if (missingColor(ctx, offender, previousColor)) return 0.1;
+
+  const { unseenTotal } = ctx;
+  const unseenOfColor = ctx.unseen[previousColor] || 0;
+  const handSize = getHand(ctx.state, offender).length;
+  let noneOfColor = 1;
+  for (let i = 0; i < handSize && unseenTotal - i > 0; i++) {
+    noneOfColor *= Math.max(0, unseenTotal - unseenOfColor - i) / (unseenTotal - i);
+  }
+  return 1 - noneOfColor;
+}
+
+function playMove(ctx: Context, card: CardCode, level: BotLevelName): Move {
+  const { state, player, memory } = ctx;
+  const color = isWildCard(card)
+    ? level === 'hard' ? chooseWildColor(state, player, memory, card) : randomItem(CARD_COLORS)
+    : undefined;
+  const target = swapsHands(state, player, card)
+    ? level === 'easy' ? randomItem(opponentsOf(state, player)) : fewestCards(state, player)
+    : undefined;
+  return { type: 'playCard', player, card, color, target };
+}
+
+// the distinct cards in the player's hand it could put down right now
+export function getValidMoves(state: GameState, player: string): CardCode[] {
+  return Array.from(new Set(getHand(state, player))).filter(card => canPlayCard(state, player, card));
+}
+
+export function drawOrPass(state: GameState, player: string): Move {
+  return state.drawButtonPressed ? { type: 'pass', player } : { type: 'drawCard', player };
+}
+
+/**
+ * The move the computer makes on its turn.
+ */
+export function chooseBotMove(
+  state: GameState,
+  player: string,
+  level: BotLevelName = DEFAULT_BOT_LEVEL,
+  memory: BotMemory = createBotMemory()
+): Move {
+  const ctx = createContext(state, player, memory);
+
+  if (state.drawFourChallenge) {
+    const challenge = level === 'hard' ? bluffChance(ctx) > 0.3 : Math.random() < (level === 'easy' ? 0.1 : 0.3);
+    return { type: challenge ? 'challengeDrawFour' : 'acceptDrawFour', player };
+  }
+
+  const validMoves = getValidMoves(state, player);
+  if (validMoves.length === 0) {
+    return drawOrPass(state, player);
+  }
+
+  switch (level) {
+    case 'easy':
+      return playMove(ctx, randomItem(validMoves), level);
+    case 'hard': {
+      const [best] = validMoves
+        .map(card => ({ card, score: scoreCard(ctx, card) }))
+        .sort((a, b) => b.score - a.score);
+      // rather draw than waste a Draw 4 while nobody is close to going out
+      const holdDrawFour =
+        parseCard(best.card).number === DRAW_FOUR &&
+        !ctx.opponentOnUno &&
+        ctx.hand.length > 2 &&
+        !state.pendingDraw &&
+        !state.drawButtonPressed;
+      return holdDrawFour ? drawOrPass(state, player) : playMove(ctx, best.card, level);
+    }
+    default: {
+      // leads with special cards, otherwise plays the first card it can
+      const specialCards = validMoves.filter(card => card.includes('skip') || card.includes('D2') || isWildCard(card));
+      return playMove(ctx, specialCards[0] || validMoves[0], level);
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { ChatMessage, MAX_MESSAGE_LENGTH, QUICK_PHRASES, chatContent, isEmoteName, messageText, toggleReaction } from './chat';
+
+const message = (overrides: Partial<ChatMessage> = {}): ChatMessage => ({
+  id: '1',
+  user: 'Player 1',
+  kind: 'text',
+  text: 'hello',
+  sentAt: 0,
+  reactions: {},
+  ...overrides,
+});
+
+describe('chatContent', () => {
+  it('trims typed text and cuts it to the longest message', () => {
+    expect(chatContent('text', '  hi  ')).toEqual({ kind: 'text', text: 'hi' });
+    expect(chatContent(undefined, 'x'.repeat(MAX_MESSAGE_LENGTH + 10))!.text).toHaveLength(MAX_MESSAGE_LENGTH);
+    expect(chatContent('text', '   ')).toBeNull();
+  });
+
+  it('only sends the phrases on the palette', () => {
+    expect(chatContent('phrase', QUICK_PHRASES[0])).toEqual({ kind: 'phrase', text: QUICK_PHRASES[0] });
+    expect(chatContent('phrase', 'Anything I like')).toBeNull();
+  });
+
+  it('only sends known emotes', () => {
+    expect(chatContent('emote', 'uno')).toEqual({ kind: 'emote', text: 'uno' });
+    expect(chatContent('emote', 'toString')).toBeNull();
+    expect(isEmoteName('fire')).toBe(true);
+    expect(isEmoteName(7)).toBe(false);
+  });
+});
+
+describe('toggleReaction', () => {
+  it('adds the player to the reaction and takes them off the second time', () => {
+    const reacted = toggleReaction(message(), 'Player 2', '👍');
+    expect(reacted.reactions).toEqual({ '👍': ['Player 2'] });
+    expect(toggleReaction(toggleReaction(reacted, 'Player 3', '👍'), 'Player 2', '👍').reactions).toEqual({ '👍': ['Player 3'] });
+  });
+
+  it('leaves the message it was given alone', () => {
+    const original = message({ reactions: { '😂': ['Player 2'] } });
+    toggleReaction(original, 'Player 3', '😂');
+    expect(original.reactions).toEqual({ '😂': ['Player 2'] });
+  });
+});
+
+describe('messageText', () => {
+  it('reads emotes out with their symbol and the rest as they were sent', () => {
+    expect(messageText(message({ kind: 'emote', text: 'uno' }))).toBe('☝️ UNO!');
+    expect(messageText(message({ kind: 'phrase', text: 'Good game!' }))).toBe('Good game!');
+    expect(messageText(message())).toBe('hello');
+  });
+});
@@ -0,0 +1,82 @@
+// Table chat. Besides typed text players can send a quick phrase or an emote from the palette, emotes
+// float over the sender's avatar for a moment. Everyone at the table can react to a message, and
+// each player can mute the others for themselves.
+
+export const MAX_MESSAGE_LENGTH = 200;
+// messages kept in the chat log, older ones drop off
+export const MAX_CHAT_HISTORY = 100;
+
+// how long an emote floats over the sender's avatar
+export const EMOTE_FLOAT_MS = 2500;
+
+export const QUICK_PHRASES = [
+  'Good game!',
+  'Nice move!',
+  'Well played',
+  'Hurry up!',
+  'Oops...',
+  'Thanks!',
+  'Sorry!',
+  'Rematch?',
+] as const;
+
+export const EMOTES = {
+  uno: { symbol: '☝️', label: 'UNO!' },
+  draw4: { symbol: '+4', label: 'Draw four' },
+  skip: { symbol: '🚫', label: 'Skipped' },
+  reverse: { symbol: '🔄', label: 'Reverse' },
+  wild: { symbol: '🌈', label: 'Wild' },
+  fire: { symbol: '🔥', label: 'On fire' },
+  laugh: { symbol: '😂', label: 'Laugh' },
+  cry: { symbol: '😭', label: 'Cry' },
+} as const;
+
+export type EmoteName = keyof typeof EMOTES;
+
+export const EMOTE_NAMES = Object.keys(EMOTES) as EmoteName[];
+
+export const REACTIONS = ['👍', '😂', '😮', '😡', '❤️'] as const;
+
+export type Reaction = (typeof REACTIONS)[number];
+
+export const MESSAGE_KINDS = ['text', 'phrase', 'emote'] as const;
+
+export type MessageKind = (typeof MESSAGE_KINDS)[number];
+
+export interface ChatMessage {
+  id: string;
+  user: string;
+  kind: MessageKind;
+  // what was typed, the phrase, or the name of the emote
+  text: string;
+  sentAt: number;
+  // who reacted with what
+  reactions: Partial<Record<Reaction, string[]>>;
+}
+
+export function isEmoteName(name: unknown): name is EmoteName {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(EMOTES, name);
+}
+
+/**
+ * What a player sent as it goes out to the table, null when it isn't something they can send: empty
+ * text, a phrase that isn't on the palette or an unknown emote.
+ */
+export function chatContent(kind: MessageKind = 'text', text: string): { kind: MessageKind; text: string } | null {
+  if (kind === 'phrase') return (QUICK_PHRASES as readonly string[]).includes(text) ? { kind, text } : null;
+  if (kind === 'emote') return isEmoteName(text) ? { kind, text } : null;
+  const trimmed = text.trim().slice(0, MAX_MESSAGE_LENGTH);
+  return trimmed ? { kind: 'text', text: trimmed } : null;
+}
+
+// reacting again with the same reaction takes it back
+export function toggleReaction(message: ChatMessage, user: string, reaction: Reaction): ChatMessage {
+  const users = message.reactions[reaction] || [];
+  const next = users.includes(user) ? users.filter(name => name !== user) : [...users, user];
+  return { ...message, reactions: { ...message.reactions, [reaction]: next } };
+}
+
+// how a message reads in the chat log
+export function messageText(message: ChatMessage): string {
+  return message.kind === 'emote' && isEmoteName(message.text) ? `${EMOTES[message.text].symbol} ${EMOTES[message.text].label}` : message.text;
+}
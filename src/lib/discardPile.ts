@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { Card } from './types';
+import { reshuffleDiscards, shuffleWithSeed } from './shuffle';
 
 export class HashedDiscardPile {
   private discardPile: Card[] = [];
@@ -60,11 +61,11 @@ export class HashedDiscardPile {
     );
   }
 
-  public reShuffleDiscardPile(): Card[] {
-    for (let i = this.discardPile.length; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [this.discardPile[i], this.discardPile[j]] = [this.discardPile[j], this.discardPile[i]];
-      }
-    return this.discardPile
+  // keeps the top card and returns the rest, shuffled, as the new draw pile
+  public reShuffleDiscardPile(seed: string): Card[] {
+    const { drawPile, discardPile } = reshuffleDiscards(this.discardPile, cards => shuffleWithSeed(cards, seed));
+    this.discardPile = discardPile;
+    this.discardPileHashes = discardPile.map(card => this.hashCard(card));
+    return drawPile;
   }
 }
\ No newline at end of file
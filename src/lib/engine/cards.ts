@@ -0,0 +1,48 @@
+import { ACTION_CARDS } from '../../utils/packOfCards';
+
+// Cards use the string codes from packOfCards.js ("5R", "skipG", "_B", "D2Y", "W", "D4W")
+export type CardCode = string;
+export type CardColor = 'R' | 'G' | 'B' | 'Y';
+
+export const CARD_COLORS: CardColor[] = ['R', 'G', 'B', 'Y'];
+
+//NUMBER CODES FOR ACTION CARDS
+//SKIP - 100
+//DRAW 2 - 200
+//REVERSE - 300
+//DRAW 4 WILD - 400
+//WILD - 500
+export const SKIP = '100';
+export const DRAW_TWO = '200';
+export const REVERSE = '300';
+export const DRAW_FOUR = '400';
+export const WILD = '500';
+
+export interface ParsedCard {
+  color: string; // empty for wild cards until a color is chosen
+  number: string;
+}
+
+export function parseCard(card: CardCode): ParsedCard {
+  if (card === 'W') return { color: '', number: WILD };
+  if (card === 'D4W') return { color: '', number: DRAW_FOUR };
+  if (card.startsWith('skip')) return { color: card.charAt(4), number: SKIP };
+  if (card.startsWith('D2')) return { color: card.charAt(2), number: DRAW_TWO };
+  if (card.startsWith('_')) return { color: card.charAt(1), number: REVERSE };
+  return { color: card.charAt(1), number: card.charAt(0) };
+}
+
+export function isWildCard(card: CardCode): boolean {
+  return card === 'W' || card === 'D4W';
+}
+
+export function isActionCard(card: CardCode): boolean {
+  return ACTION_CARDS.includes(card);
+}
+
+// A card can be played on top of the discard pile if it is wild or matches its color or number
+export function isPlayable(card: CardCode, currentColor: string, currentNumber: string): boolean {
+  if (isWildCard(card)) return true;
+  const { color, number } = parseCard(card);
+  return color === currentColor || number === String(currentNumber);
+}
@@ -0,0 +1,424 @@
+import { describe, expect, it } from 'vitest';
+import {
+  CLOCKWISE,
+  COUNTER_CLOCKWISE,
+  GameState,
+  MAX_HAND_SIZE,
+  MAX_PLAYERS,
+  Move,
+  UNO_CATCH_WINDOW_MS,
+  applyMove,
+  createGame,
+  legalMoves,
+  nextSeat,
+  seatNames,
+} from './engine';
+import { DEFAULT_RULES, HouseRules } from './rules';
+import { isActionCard } from './cards';
+
+const SEED = `0x${'11'.repeat(32)}`;
+const [ONE, TWO, THREE] = seatNames(3);
+
+// a game with the hands and piles a test needs, the rest as dealt from SEED
+function table({ rules, ...overrides }: Partial<Omit<GameState, 'rules'>> & { rules?: Partial<HouseRules> } = {}): GameState {
+  const players = overrides.players || [ONE, TWO];
+  return {
+    ...createGame({ players, seed: SEED, rules: { ...DEFAULT_RULES, ...rules } }),
+    currentColor: 'R',
+    currentNumber: '5',
+    playedCardsPile: ['5R'],
+    drawCardPile: ['1B', '2B', '3B', '4B', '5B', '6B', '7B', '8B'],
+    ...overrides,
+  };
+}
+
+function play(state: GameState, move: Move) {
+  return applyMove(state, move, { now: () => 0 });
+}
+
+describe('createGame', () => {
+  it('deals every seat a hand and turns up a number card', () => {
+    const state = createGame({ players: seatNames(4), seed: SEED });
+    Object.values(state.hands).forEach(hand => expect(hand).toHaveLength(DEFAULT_RULES.handSize));
+    expect(isActionCard(state.playedCardsPile[0])).toBe(false);
+    expect(state.drawCardPile).toHaveLength(108 - 4 * DEFAULT_RULES.handSize - 1);
+    expect(state.turn).toBe('Player 1');
+  });
+
+  it('only seats 2 to 10 players', () => {
+    expect(() => createGame({ players: [ONE] })).toThrow();
+    expect(() => createGame({ players: seatNames(MAX_PLAYERS + 1) })).toThrow();
+  });
+});
+
+describe('playing a card', () => {
+  it('puts a matching card on the pile and hands the turn on', () => {
+    const { state, events } = play(table({ hands: { [ONE]: ['5G', '9B'], [TWO]: ['1Y'] } }), { type: 'playCard', card: '5G' });
+    expect(state.playedCardsPile.at(-1)).toBe('5G');
+    expect(state.hands[ONE]).toEqual(['9B']);
+    expect(state.currentColor).toBe('G');
+    expect(state.turn).toBe(TWO);
+    expect(events[0]).toMatchObject({ type: 'cardPlayed', player: ONE, card: '5G' });
+  });
+
+  it('leaves the state alone for a card that does not match', () => {
+    const before = table({ hands: { [ONE]: ['9B', '1G'], [TWO]: ['1Y'] } });
+    const { state, events } = play(before, { type: 'playCard', card: '9B' });
+    expect(state).toBe(before);
+    expect(events).toEqual([expect.objectContaining({ type: 'invalidMove', player: ONE })]);
+  });
+
+  it('refuses cards the player does not hold and moves out of turn', () => {
+    const before = table({ hands: { [ONE]: ['5G', '1G'], [TWO]: ['5B'] } });
+    expect(play(before, { type: 'playCard', card: '5Y' }).events[0].type).toBe('invalidMove');
+    expect(play(before, { type: 'playCard', player: TWO, card: '5B' }).events[0].type).toBe('invalidMove');
+    expect(play(before, { type: 'drawCard', player: TWO }).events[0].type).toBe('invalidMove');
+  });
+
+  it('asks for a color with a wild card and plays on in it', () => {
+    const before = table({ hands: { [ONE]: ['W', '1G'], [TWO]: ['1Y'] } });
+    expect(play(before, { type: 'playCard', card: 'W' }).events[0].type).toBe('invalidMove');
+    const { state } = play(before, { type: 'playCard', card: 'W', color: 'B' });
+    expect(state.currentColor).toBe('B');
+    expect(state.turn).toBe(TWO);
+  });
+
+  it('skips the next seat with a skip', () => {
+    const players = [ONE, TWO, THREE];
+    const { state } = play(table({ players, hands: { [ONE]: ['skipR', '1G'], [TWO]: ['1Y'], [THREE]: ['2Y'] } }), {
+      type: 'playCard',
+      card: 'skipR',
+    });
+    expect(state.turn).toBe(THREE);
+  });
+
+  it('makes the next seat draw two and lose their turn', () => {
+    const players = [ONE, TWO, THREE];
+    const { state, events } = play(table({ players, hands: { [ONE]: ['D2R', '1G'], [TWO]: ['1Y'], [THREE]: ['2Y'] } }), {
+      type: 'playCard',
+      card: 'D2R',
+    });
+    expect(state.hands[TWO]).toHaveLength(3);
+    expect(state.turn).toBe(THREE);
+    expect(events).toContainEqual({ type: 'cardsDrawn', player: TWO, count: 2, reason: 'drawTwo' });
+  });
+
+  it('ends a single round game when a hand is emptied', () => {
+    const { state, events } = play(table({ hands: { [ONE]: ['5G'], [TWO]: ['1Y', 'W'] } }), { type: 'playCard', card: '5G' });
+    expect(state.gameOver).toBe(true);
+    expect(state.winner).toBe(ONE);
+    expect(events).toContainEqual({ type: 'gameOver', winner: ONE });
+    expect(play(state, { type: 'drawCard', player: TWO }).events[0].type).toBe('invalidMove');
+  });
+});
+
+describe('drawing and passing', () => {
+  it('hands the turn on when the drawn card does not fit', () => {
+    const { state, events } = play(table({ hands: { [ONE]: ['1G'], [TWO]: ['1Y'] }, drawCardPile: ['9B'] }), { type: 'drawCard' });
+    expect(state.hands[ONE]).toEqual(['1G', '9B']);
+    expect(state.turn).toBe(TWO);
+    expect(events).toContainEqual({ type: 'cardDrawn', player: ONE, card: '9B', playable: false });
+  });
+
+  it('keeps the turn for a playable card, which can then be played or passed on', () => {
+    const { state } = play(table({ hands: { [ONE]: ['1G'], [TWO]: ['1Y'] }, drawCardPile: ['9R'] }), { type: 'drawCard' });
+    expect(state.turn).toBe(ONE);
+    expect(state.drawnCard).toBe('9R');
+    expect(play(state, { type: 'drawCard' }).events[0].type).toBe('invalidMove');
+    expect(play(state, { type: 'pass' }).state.turn).toBe(TWO);
+    expect(play(state, { type: 'playCard', card: '9R' }).state.playedCardsPile.at(-1)).toBe('9R');
+  });
+
+  it('only passes after drawing', () => {
+    expect(play(table({ hands: { [ONE]: ['1G'], [TWO]: ['1Y'] } }), { type: 'pass' }).events[0].type).toBe('invalidMove');
+  });
+});
+
+describe('legalMoves', () => {
+  it('lists the playable cards, a wild once per color, and drawing', () => {
+    const moves = legalMoves(table({ hands: { [ONE]: ['5G', '1G', 'W'], [TWO]: ['1Y'] } }), ONE, 0);
+    expect(moves).toContainEqual({ type: 'playCard', player: ONE, card: '5G' });
+    expect(moves).not.toContainEqual(expect.objectContaining({ card: '1G' }));
+    expect(moves.filter(move => move.type === 'playCard' && move.card === 'W')).toHaveLength(4);
+    expect(moves).toContainEqual({ type: 'drawCard', player: ONE });
+  });
+
+  it('only offers moves that applyMove takes', () => {
+    let state = createGame({ players: seatNames(3), seed: SEED });
+    for (let turn = 0; turn < 40 && !state.gameOver; turn++) {
+      const moves = legalMoves(state, state.turn, 0).filter(move => move.type !== 'callUno');
+      const { state: next, events } = play(state, moves[0]);
+      expect(events.some(event => event.type === 'invalidMove')).toBe(false);
+      state = next;
+    }
+  });
+});
+
+describe('seats', () => {
+  it('goes round every seat of a full table and wraps back to the first', () => {
+    const state = createGame({ players: seatNames(MAX_PLAYERS), seed: SEED });
+    expect(Object.keys(state.hands)).toEqual(seatNames(MAX_PLAYERS));
+    expect(nextSeat(state, 'Player 10')).toBe('Player 1');
+    expect(nextSeat(state, 'Player 9', 2)).toBe('Player 1');
+  });
+});
+
+describe('direction of play', () => {
+  const players = [ONE, TWO, THREE];
+  const hands = { [ONE]: ['_R', '1G'], [TWO]: ['1Y'], [THREE]: ['2Y'] };
+
+  it('turns play around with a reverse', () => {
+    const { state, events } = play(table({ players, hands }), { type: 'playCard', card: '_R' });
+    expect(state.direction).toBe(COUNTER_CLOCKWISE);
+    expect(state.turn).toBe(THREE);
+    expect(events).toContainEqual({ type: 'directionChanged', direction: COUNTER_CLOCKWISE });
+    expect(nextSeat(state, THREE)).toBe(TWO);
+  });
+
+  it('works like a skip with two players', () => {
+    const { state } = play(table({ hands: { [ONE]: ['_R', '1G'], [TWO]: ['1Y'] } }), { type: 'playCard', card: '_R' });
+    expect(state.direction).toBe(CLOCKWISE);
+    expect(state.turn).toBe(ONE);
+  });
+});
+
+describe('house rules', () => {
+  const players = [ONE, TWO, THREE];
+
+  it('stacks draw cards until someone takes the whole penalty', () => {
+    const rules = { stackDrawCards: true };
+    const hands = { [ONE]: ['D2R', '1G'], [TWO]: ['D2B', '5R', '2G'], [THREE]: ['3Y'] };
+    const first = play(table({ players, rules, hands }), { type: 'playCard', card: 'D2R' }).state;
+    expect(first.pendingDraw).toBe(2);
+    expect(first.turn).toBe(TWO);
+    // anything but a draw card is refused while the penalty is on
+    expect(play(first, { type: 'playCard', card: '5R' }).events[0].type).toBe('invalidMove');
+
+    const second = play(first, { type: 'playCard', card: 'D2B' }).state;
+    expect(second.pendingDraw).toBe(4);
+    const { state, events } = play(second, { type: 'drawCard' });
+    expect(state.hands[THREE]).toHaveLength(5);
+    expect(state.pendingDraw).toBe(0);
+    expect(state.turn).toBe(ONE);
+    expect(events).toContainEqual({ type: 'cardsDrawn', player: THREE, count: 4, reason: 'stack' });
+  });
+
+  it('swaps hands with the chosen player on a 7 and passes every hand along on a 0', () => {
+    const rules = { sevenZero: true };
+    const hands = { [ONE]: ['7R', '0R', '1G'], [TWO]: ['2Y'], [THREE]: ['3Y', '4Y'] };
+    expect(play(table({ players, rules, hands }), { type: 'playCard', card: '7R' }).events[0].type).toBe('invalidMove');
+
+    const swapped = play(table({ players, rules, hands }), { type: 'playCard', card: '7R', target: THREE }).state;
+    expect(swapped.hands[ONE]).toEqual(['3Y', '4Y']);
+    expect(swapped.hands[THREE]).toEqual(['0R', '1G']);
+
+    const rotated = play(table({ players, rules, hands }), { type: 'playCard', card: '0R' }).state;
+    expect(rotated.hands[TWO]).toEqual(['7R', '1G']);
+    expect(rotated.hands[THREE]).toEqual(['2Y']);
+    expect(rotated.hands[ONE]).toEqual(['3Y', '4Y']);
+  });
+
+  it('lets a player jump in with the card on top of the pile and plays on from them', () => {
+    const hands = { [ONE]: ['1G'], [TWO]: ['2Y'], [THREE]: ['5R', '6G'] };
+    expect(play(table({ players, hands }), { type: 'playCard', player: THREE, card: '5R' }).events[0].type).toBe('invalidMove');
+
+    const { state, events } = play(table({ players, hands, rules: { jumpIn: true } }), { type: 'playCard', player: THREE, card: '5R' });
+    expect(events).toContainEqual({ type: 'jumpedIn', player: THREE, card: '5R' });
+    expect(state.turn).toBe(ONE);
+  });
+
+  it('makes a player play the card they drew under forced play', () => {
+    const hands = { [ONE]: ['1G', '5G'], [TWO]: ['2Y'] };
+    const drawn = play(table({ hands, rules: { forcedPlay: true }, drawCardPile: ['9R'] }), { type: 'drawCard' }).state;
+    expect(play(drawn, { type: 'pass' }).events[0].type).toBe('invalidMove');
+    expect(play(drawn, { type: 'playCard', card: '5G' }).events[0].type).toBe('invalidMove');
+    expect(play(drawn, { type: 'playCard', card: '9R' }).state.turn).toBe(TWO);
+  });
+
+  it('keeps drawing until a card fits when drawing until playable', () => {
+    const hands = { [ONE]: ['1G'], [TWO]: ['2Y'] };
+    const { state } = play(table({ hands, rules: { drawUntilPlayable: true }, drawCardPile: ['9R', '2B', '3B'] }), { type: 'drawCard' });
+    expect(state.hands[ONE]).toEqual(['1G', '3B', '2B', '9R']);
+    expect(state.drawnCard).toBe('9R');
+  });
+});
+
+describe('Wild Draw Four challenges', () => {
+  const players = [ONE, TWO, THREE];
+  const drawFour = (heldRed: boolean) =>
+    play(table({ players, hands: { [ONE]: ['D4W', heldRed ? '1R' : '1G'], [TWO]: ['2Y'], [THREE]: ['3Y'] } }), {
+      type: 'playCard',
+      card: 'D4W',
+      color: 'B',
+    }).state;
+
+  it('waits for its victim to accept or challenge it', () => {
+    const state = drawFour(false);
+    expect(state.turn).toBe(TWO);
+    expect(state.drawFourChallenge).toMatchObject({ player: ONE, target: TWO, previousColor: 'R', bluffed: false });
+    expect(play(state, { type: 'drawCard' }).events[0].type).toBe('invalidMove');
+    // besides catching the player who went down to one card without calling UNO
+    expect(legalMoves(state, TWO, 0).map(move => move.type)).toEqual(['acceptDrawFour', 'challengeDrawFour', 'catchUno']);
+  });
+
+  it('gives the victim four cards and skips them when accepted', () => {
+    const { state } = play(drawFour(false), { type: 'acceptDrawFour' });
+    expect(state.hands[TWO]).toHaveLength(5);
+    expect(state.turn).toBe(THREE);
+    expect(state.drawFourChallenge).toBeNull();
+  });
+
+  it('costs the challenger six cards when the Draw Four was legal', () => {
+    const { state, events } = play(drawFour(false), { type: 'challengeDrawFour' });
+    expect(events[0]).toEqual({ type: 'drawFourChallenged', player: TWO, offender: ONE, successful: false });
+    expect(state.hands[TWO]).toHaveLength(7);
+    expect(state.turn).toBe(THREE);
+  });
+
+  it('makes a bluffing player draw the four and lets the challenger play on', () => {
+    const { state, events } = play(drawFour(true), { type: 'challengeDrawFour' });
+    expect(events[0]).toMatchObject({ successful: true });
+    expect(state.hands[ONE]).toHaveLength(5);
+    expect(state.hands[TWO]).toHaveLength(1);
+    expect(state.turn).toBe(TWO);
+  });
+});
+
+describe('UNO catch window', () => {
+  const players = [ONE, TWO, THREE];
+  const missed = (calledUno: boolean) =>
+    applyMove(
+      table({ players, isUnoButtonPressed: calledUno, hands: { [ONE]: ['5G', '1G'], [TWO]: ['2Y', '3Y'], [THREE]: ['4Y'] } }),
+      { type: 'playCard', card: '5G' },
+      { now: () => 1000 }
+    ).state;
+
+  it('opens when a player goes down to one card without calling UNO', () => {
+    expect(missed(true).unoCatch).toBeNull();
+    expect(missed(false).unoCatch).toEqual({ player: ONE, openedAt: 1000 });
+  });
+
+  it('makes the caught player draw two while the window is open', () => {
+    const { state, events } = applyMove(missed(false), { type: 'catchUno', player: THREE }, { now: () => 1000 + UNO_CATCH_WINDOW_MS });
+    expect(state.hands[ONE]).toHaveLength(3);
+    expect(state.unoCatch).toBeNull();
+    expect(events).toContainEqual({ type: 'unoPenalty', player: ONE, count: 2, caughtBy: THREE });
+  });
+
+  it('turns down a catch after the window closed', () => {
+    const { events } = applyMove(missed(false), { type: 'catchUno', player: THREE }, { now: () => 1001 + UNO_CATCH_WINDOW_MS });
+    expect(events[0]).toMatchObject({ type: 'invalidMove', reason: 'Too late, the catch window has closed.' });
+  });
+
+  it('closes when the player calls UNO late', () => {
+    const { state } = applyMove(missed(false), { type: 'callUno', player: ONE }, { now: () => 1000 });
+    expect(state.unoCatch).toBeNull();
+    expect(applyMove(state, { type: 'catchUno', player: THREE }, { now: () => 1000 }).events[0].type).toBe('invalidMove');
+  });
+});
+
+describe('match mode', () => {
+  const lastCard = (scores: Record<string, number>, targetScore: number) =>
+    play(
+      table({
+        rules: { targetScore },
+        hands: { [ONE]: ['5G'], [TWO]: ['W', '9B'] },
+        match: { round: 1, scores, history: [] },
+      }),
+      { type: 'playCard', card: '5G' }
+    );
+
+  it('scores the round and waits for the next one below the target', () => {
+    const { state, events } = lastCard({ [ONE]: 0, [TWO]: 0 }, 500);
+    expect(state.roundOver).toBe(true);
+    expect(state.gameOver).toBeFalsy();
+    expect(state.match!.scores[ONE]).toBe(59);
+    expect(events).toContainEqual({ type: 'roundOver', winner: ONE, round: 1, points: 59 });
+    expect(legalMoves(state, TWO)).toEqual([{ type: 'nextRound', player: TWO }]);
+  });
+
+  it('ends the match once the winner reaches the target', () => {
+    const { state, events } = lastCard({ [ONE]: 450, [TWO]: 0 }, 500);
+    expect(state.gameOver).toBe(true);
+    expect(events).toContainEqual({ type: 'gameOver', winner: ONE });
+  });
+
+  it('deals the next round with the scores kept and the first turn moved on', () => {
+    const { state } = play(lastCard({ [ONE]: 0, [TWO]: 0 }, 500).state, { type: 'nextRound' });
+    expect(state.match!.round).toBe(2);
+    expect(state.match!.scores).toEqual({ [ONE]: 59, [TWO]: 0 });
+    expect(state.turn).toBe(TWO);
+    expect(state.hands[ONE]).toHaveLength(DEFAULT_RULES.handSize);
+  });
+
+  it('ends a single round game when the hand is emptied', () => {
+    expect(lastCard({ [ONE]: 0, [TWO]: 0 }, 0).state.gameOver).toBe(true);
+  });
+});
+
+describe('seeded games', () => {
+  it('deals the same game from the same seed', () => {
+    const players = seatNames(3);
+    expect(createGame({ players, seed: SEED }).hands).toEqual(createGame({ players, seed: SEED }).hands);
+    expect(createGame({ players, seed: SEED }).hands).not.toEqual(createGame({ players, seed: `0x${'33'.repeat(32)}` }).hands);
+  });
+
+  it('reshuffles the same way wherever the state is passed on to', () => {
+    const state = table({
+      hands: { [ONE]: ['9G'], [TWO]: ['1Y'] },
+      drawCardPile: [],
+      playedCardsPile: ['1R', '2R', '3R', '4R', '5R', '6R', '7R', '5R'],
+      shuffleCount: 2,
+    });
+    // what the other clients get over the relay
+    const relayed: GameState = JSON.parse(JSON.stringify(state));
+    const here = play(state, { type: 'drawCard' }).state;
+    const there = play(relayed, { type: 'drawCard' }).state;
+    expect(there.drawCardPile).toEqual(here.drawCardPile);
+    expect(there.hands).toEqual(here.hands);
+    expect(here.shuffleCount).toBe(3);
+  });
+});
+
+describe('reshuffling the discard pile', () => {
+  it('turns the discards under the top card into the draw pile when it runs out', () => {
+    const state = table({ hands: { [ONE]: ['9G'], [TWO]: ['1Y'] }, drawCardPile: [], playedCardsPile: ['1R', '2R', '3R', '5R'] });
+    const { state: next, events } = play(state, { type: 'drawCard' });
+    expect(next.playedCardsPile).toEqual(['5R']);
+    expect(next.hands[ONE]).toHaveLength(2);
+    expect([...next.drawCardPile, next.hands[ONE][1]].sort()).toEqual(['1R', '2R', '3R']);
+    expect(events).toContainEqual({ type: 'deckReshuffled', drawPileSize: 3 });
+  });
+
+  it('reshuffles in the middle of a penalty', () => {
+    const state = table({
+      turn: TWO,
+      pendingDraw: 2,
+      currentNumber: '200',
+      hands: { [ONE]: ['9G'], [TWO]: ['1Y'] },
+      drawCardPile: ['4B'],
+      playedCardsPile: ['1R', '2R', 'D2R'],
+    });
+    const { state: next } = play(state, { type: 'drawCard', player: TWO });
+    expect(next.hands[TWO]).toHaveLength(3);
+    expect(next.playedCardsPile).toEqual(['D2R']);
+  });
+
+  it('draws nothing when there is nothing to reshuffle', () => {
+    const state = table({ hands: { [ONE]: ['9G'], [TWO]: ['1Y'] }, drawCardPile: [], playedCardsPile: ['5R'] });
+    const { state: next } = play(state, { type: 'drawCard' });
+    expect(next.hands[ONE]).toEqual(['9G']);
+    expect(next.playedCardsPile).toEqual(['5R']);
+  });
+});
+
+describe('dealing', () => {
+  it("throws when the deck can't deal the hands", () => {
+    expect(() => createGame({ players: seatNames(MAX_PLAYERS), rules: { ...DEFAULT_RULES, handSize: MAX_HAND_SIZE + 1 } })).toThrow(
+      `The deck can't deal ${MAX_PLAYERS} hands of ${MAX_HAND_SIZE + 1} cards`
+    );
+    expect(() => createGame({ rules: { ...DEFAULT_RULES, handSize: 1.5 } })).toThrow();
+    const full = createGame({ players: seatNames(MAX_PLAYERS), rules: { ...DEFAULT_RULES, handSize: MAX_HAND_SIZE } });
+    expect(full.hands['Player 10']).toHaveLength(MAX_HAND_SIZE);
+  });
+});
@@ -0,0 +1,683 @@
+import { PACK_OF_CARDS } from '../../utils/packOfCards';
+import { deriveSeed, randomSeed, reshuffleDiscards, shuffleWithSeed } from '../shuffle';
+import {
+  CardCode,
+  CardColor,
+  CARD_COLORS,
+  DRAW_FOUR,
+  DRAW_TWO,
+  REVERSE,
+  SKIP,
+  isActionCard,
+  isPlayable,
+  isWildCard,
+  parseCard,
+} from './cards';
+import { DEFAULT_RULES, HouseRules } from './rules';
+import { MatchState, createMatch, scoreRound } from './scoring';
+
+// Pure UNO rules: no React, sounds, toasts or sockets in here so the same code
+// runs in the browser, in a Node socket server and in unit tests.
+
+export const PLAYER_ONE = 'Player 1';
+export const PLAYER_TWO = 'Player 2';
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 10;
+// the biggest hand a full table can be dealt with a starting card left over
+export const MAX_HAND_SIZE = Math.floor((PACK_OF_CARDS.length - 1) / MAX_PLAYERS);
+
+export const CLOCKWISE = 1;
+export const COUNTER_CLOCKWISE = -1;
+export type Direction = typeof CLOCKWISE | typeof COUNTER_CLOCKWISE;
+
+export interface GameState {
+  // the match is over (in a single round game that is the end of the round)
+  gameOver: boolean;
+  // the round is over and the next one can be dealt
+  roundOver: boolean;
+  // winner of the last round, or of the match once it's over
+  winner: string;
+  turn: string;
+  // seat names in clockwise order
+  players: string[];
+  hands: Record<string, CardCode[]>;
+  direction: Direction;
+  currentColor: string;
+  currentNumber: string;
+  playedCardsPile: CardCode[];
+  drawCardPile: CardCode[];
+  // UNO called by the player on turn before playing their second to last card
+  isUnoButtonPressed: boolean;
+  drawButtonPressed: boolean;
+  lastCardPlayedBy: string;
+  rules: HouseRules;
+  // cards owed by the next player while Draw 2/Draw 4 cards are being stacked
+  pendingDraw: number;
+  // playable card drawn this turn, the only card allowed under forced play
+  drawnCard: CardCode;
+  // a Wild Draw Four waiting for its victim to accept or challenge it
+  drawFourChallenge: DrawFourChallenge | null;
+  // a player who went down to one card without calling UNO and can still be caught
+  unoCatch: UnoCatchWindow | null;
+  match: MatchState;
+  // every shuffle of the game is derived from this seed, so it can be replayed
+  seed: string;
+  // reshuffles so far, each one uses its own seed derived from `seed`
+  shuffleCount: number;
+}
+
+export interface UnoCatchWindow {
+  player: string;
+  // clock time of the move that opened the window, set by whoever applies moves
+  openedAt: number;
+}
+
+export interface DrawFourChallenge {
+  player: string;
+  target: string;
+  // the color in play before the Wild Draw Four went down
+  previousColor: string;
+  // whether the player held a card of that color, which makes the Wild Draw Four illegal
+  bluffed: boolean;
+}
+
+export type Move =
+  // target is the player to swap hands with when a 7 is played under the 7-0 rule
+  | { type: 'playCard'; player?: string; card: CardCode; color?: CardColor; target?: string }
+  | { type: 'drawCard'; player?: string }
+  | { type: 'pass'; player?: string }
+  | { type: 'callUno'; player?: string }
+  | { type: 'catchUno'; player?: string }
+  | { type: 'acceptDrawFour'; player?: string }
+  | { type: 'challengeDrawFour'; player?: string }
+  | { type: 'nextRound'; player?: string };
+
+export type GameEvent =
+  | { type: 'cardPlayed'; player: string; card: CardCode; color: string; number: string }
+  | { type: 'cardDrawn'; player: string; card: CardCode; playable: boolean }
+  | { type: 'cardsDrawn'; player: string; count: number; reason: 'drawTwo' | 'drawFour' | 'stack' | 'challenge' }
+  | { type: 'drawFourPlayed'; player: string; target: string }
+  | { type: 'drawFourChallenged'; player: string; offender: string; successful: boolean }
+  | { type: 'drawStacked'; player: string; pendingDraw: number }
+  | { type: 'jumpedIn'; player: string; card: CardCode }
+  | { type: 'handsSwapped'; player: string; target: string }
+  | { type: 'handsRotated'; direction: Direction }
+  | { type: 'directionChanged'; direction: Direction }
+  | { type: 'unoCalled'; player: string }
+  | { type: 'unoMissed'; player: string }
+  | { type: 'unoPenalty'; player: string; count: number; caughtBy: string }
+  | { type: 'deckReshuffled'; drawPileSize: number }
+  | { type: 'drawPileEmpty'; player: string }
+  | { type: 'turnPassed'; player: string }
+  | { type: 'roundOver'; winner: string; round: number; points: number }
+  | { type: 'roundStarted'; round: number }
+  | { type: 'gameOver'; winner: string }
+  | { type: 'invalidMove'; player: string; reason: string };
+
+export interface MoveResult {
+  state: GameState;
+  events: GameEvent[];
+}
+
+export type Shuffle = (cards: CardCode[]) => CardCode[];
+
+export interface CreateGameOptions {
+  players?: string[];
+  rules?: HouseRules;
+  firstTurn?: string;
+  seed?: string;
+  // replaces the seeded shuffle, for tests and simulations
+  shuffle?: Shuffle;
+  // scores carried over from the previous rounds of a match
+  match?: MatchState;
+}
+
+export interface ApplyMoveOptions {
+  // replaces the seeded shuffle, for tests and simulations
+  shuffle?: Shuffle;
+  // clock used to judge the UNO catch window, the server's clock when moves go through a server
+  now?: () => number;
+}
+
+const UNO_PENALTY_CARDS = 2;
+// how long opponents have to catch a player who didn't call UNO
+export const UNO_CATCH_WINDOW_MS = 3000;
+// a lost Wild Draw Four challenge costs the challenger the four cards plus two more
+const FAILED_CHALLENGE_CARDS = 6;
+
+// "Player 1", "Player 2", ... for the given number of seats
+export function seatNames(count: number): string[] {
+  return Array.from({ length: count }, (_, i) => `Player ${i + 1}`);
+}
+
+export function getHand(state: GameState, player: string): CardCode[] {
+  return state.hands[player] || [];
+}
+
+// the seat `steps` places after `player` in the current direction of play
+export function nextSeat(state: GameState, player: string, steps = 1): string {
+  const { players, direction = CLOCKWISE } = state;
+  const count = players.length;
+  const index = players.indexOf(player);
+  return players[(((index + steps * direction) % count) + count) % count];
+}
+
+export function createGame({
+  players = [PLAYER_ONE, PLAYER_TWO],
+  rules = DEFAULT_RULES,
+  firstTurn = players[0],
+  seed = randomSeed(),
+  shuffle,
+  match = createMatch(players),
+}: CreateGameOptions = {}): GameState {
+  if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+    throw new Error(`UNO needs between ${MIN_PLAYERS} and ${MAX_PLAYERS} players`);
+  }
+  if (!Number.isInteger(rules.handSize) || rules.handSize < 1 || rules.handSize * players.length >= PACK_OF_CARDS.length) {
+    throw new Error(`The deck can't deal ${players.length} hands of ${rules.handSize} cards`);
+  }
+
+  const shuffledCards = shuffle ? shuffle(PACK_OF_CARDS) : shuffleWithSeed(PACK_OF_CARDS, deriveSeed(seed, 'deal'));
+  const hands: Record<string, CardCode[]> = {};
+  players.forEach(player => {
+    hands[player] = shuffledCards.splice(0, rules.handSize);
+  });
+
+  // the starting card must not be an action card
+  const startingCardIndex = shuffledCards.findIndex(card => !isActionCard(card));
+  const playedCardsPile = shuffledCards.splice(startingCardIndex, 1);
+  const { color, number } = parseCard(playedCardsPile[0]);
+
+  return {
+    gameOver: false,
+    roundOver: false,
+    winner: '',
+    turn: firstTurn,
+    players: [...players],
+    hands,
+    direction: CLOCKWISE,
+    currentColor: color,
+    currentNumber: number,
+    playedCardsPile,
+    drawCardPile: shuffledCards,
+    isUnoButtonPressed: false,
+    drawButtonPressed: false,
+    lastCardPlayedBy: '',
+    rules: { ...rules },
+    pendingDraw: 0,
+    drawnCard: '',
+    drawFourChallenge: null,
+    unoCatch: null,
+    match,
+    seed,
+    shuffleCount: 0,
+  };
+}
+
+// states pushed by older clients may not carry rules yet
+export function rulesOf(state: GameState): HouseRules {
+  return state.rules || DEFAULT_RULES;
+}
+
+export function matchOf(state: GameState): MatchState {
+  return state.match || createMatch(state.players);
+}
+
+// working copy whose arrays can be mutated without touching the previous state
+function cloneState(state: GameState): GameState {
+  return {
+    ...state,
+    hands: Object.fromEntries(Object.entries(state.hands).map(([player, hand]) => [player, [...hand]])),
+    playedCardsPile: [...state.playedCardsPile],
+    drawCardPile: [...state.drawCardPile],
+  };
+}
+
+function reject(state: GameState, player: string, reason: string): MoveResult {
+  return { state, events: [{ type: 'invalidMove', player, reason }] };
+}
+
+// Move every discard except the top card back into the draw pile
+function reshuffleDiscardPile(state: GameState, events: GameEvent[], shuffle: Shuffle | undefined) {
+  if (state.playedCardsPile.length < 2) return;
+  const { drawPile, discardPile } = reshuffleDiscards(state.playedCardsPile, cards => {
+    if (shuffle) return shuffle(cards);
+    state.shuffleCount = (state.shuffleCount || 0) + 1;
+    return shuffleWithSeed(cards, deriveSeed(state.seed || randomSeed(), `reshuffle:${state.shuffleCount}`));
+  });
+  state.drawCardPile = drawPile;
+  state.playedCardsPile = discardPile;
+  events.push({ type: 'deckReshuffled', drawPileSize: state.drawCardPile.length });
+}
+
+function drawFromPile(state: GameState, events: GameEvent[], shuffle: Shuffle | undefined): CardCode | null {
+  if (state.drawCardPile.length === 0) {
+    reshuffleDiscardPile(state, events, shuffle);
+  }
+  return state.drawCardPile.pop() ?? null;
+}
+
+function drawInto(state: GameState, player: string, count: number, events: GameEvent[], shuffle: Shuffle | undefined): number {
+  let drawn = 0;
+  for (let i = 0; i < count; i++) {
+    const card = drawFromPile(state, events, shuffle);
+    if (!card) break;
+    state.hands[player].push(card);
+    drawn++;
+  }
+  return drawn;
+}
+
+const isDrawCard = (number: string) => number === DRAW_TWO || number === DRAW_FOUR;
+
+// a Draw 4 can go on any stacked draw card, a Draw 2 only on another Draw 2
+function canStack(state: GameState, card: CardCode): boolean {
+  const { number } = parseCard(card);
+  return number === DRAW_FOUR || (number === DRAW_TWO && state.currentNumber === DRAW_TWO);
+}
+
+// reason the player on turn can't play this card right now, or '' when they can
+function playBlocker(state: GameState, card: CardCode): string {
+  if (state.pendingDraw > 0) {
+    return canStack(state, card) ? '' : `Stack a draw card or take the ${state.pendingDraw} cards.`;
+  }
+  if (rulesOf(state).forcedPlay && state.drawnCard && card !== state.drawnCard) {
+    return 'You must play the card you drew.';
+  }
+  if (!isPlayable(card, state.currentColor, state.currentNumber)) {
+    return 'Invalid Move! You must play a card that matches either the color or number of the current card.';
+  }
+  return '';
+}
+
+// jump-in: a card identical to the top of the discard pile may be played out of turn
+export function canJumpIn(state: GameState, player: string, card: CardCode): boolean {
+  return (
+    rulesOf(state).jumpIn &&
+    player !== state.turn &&
+    !state.gameOver &&
+    !state.roundOver &&
+    !state.pendingDraw &&
+    !state.drawFourChallenge &&
+    !isWildCard(card) &&
+    card === state.playedCardsPile[state.playedCardsPile.length - 1] &&
+    getHand(state, player).includes(card)
+  );
+}
+
+// whether the player could put this card down right now, on their turn or by jumping in
+export function canPlayCard(state: GameState, player: string, card: CardCode): boolean {
+  if (state.gameOver || state.roundOver || state.drawFourChallenge || !getHand(state, player).includes(card)) return false;
+  return player === state.turn ? !playBlocker(state, card) : canJumpIn(state, player, card);
+}
+
+// with the 7-0 rule a 7 that isn't the player's last card swaps hands with someone
+export function swapsHands(state: GameState, player: string, card: CardCode): boolean {
+  return rulesOf(state).sevenZero && parseCard(card).number === '7' && getHand(state, player).length > 1;
+}
+
+// ...and a 0 passes every hand to the next player in the direction of play
+function rotatesHands(state: GameState, player: string, card: CardCode): boolean {
+  return rulesOf(state).sevenZero && parseCard(card).number === '0' && getHand(state, player).length > 1;
+}
+
+function playCard(state: GameState, player: string, move: Extract<Move, { type: 'playCard' }>, shuffle: Shuffle | undefined, now: number): MoveResult {
+  const { card, color: chosenColor, target } = move;
+  const rules = rulesOf(state);
+  const hand = getHand(state, player);
+  const jumpingIn = player !== state.turn;
+
+  if (!hand.includes(card)) {
+    return reject(state, player, "You don't have that card.");
+  }
+  if (jumpingIn && !canJumpIn(state, player, card)) {
+    return reject(state, player, "It's not your turn.");
+  }
+  const blocker = jumpingIn ? '' : playBlocker(state, card);
+  if (blocker) {
+    return reject(state, player, blocker);
+  }
+  if (isWildCard(card) && (!chosenColor || !CARD_COLORS.includes(chosenColor))) {
+    return reject(state, player, 'Choose a color for the wild card.');
+  }
+  const swapping = swapsHands(state, player, card);
+  if (swapping && (!target || target === player || !state.players.includes(target))) {
+    return reject(state, player, 'Choose a player to swap hands with.');
+  }
+
+  const { color: cardColor, number } = parseCard(card);
+  const color = isWildCard(card) ? chosenColor! : cardColor;
+  const nextPlayer = nextSeat(state, player);
+  const events: GameEvent[] = [{ type: 'cardPlayed', player, card, color, number }];
+  const next = cloneState(state);
+
+  if (jumpingIn) {
+    events.push({ type: 'jumpedIn', player, card });
+  }
+
+  const playerHand = next.hands[player];
+  playerHand.splice(playerHand.indexOf(card), 1);
+  next.playedCardsPile.push(card);
+
+  const stacking = isDrawCard(number) && rules.stackDrawCards;
+  // official rule: an unstacked Wild Draw Four (that doesn't end the game) can be challenged by its victim,
+  // it is only legal when the player had no card of the color in play
+  const challengeable = number === DRAW_FOUR && !stacking && hand.length > 1;
+  if (challengeable) {
+    const bluffed = hand.some(held => !isWildCard(held) && parseCard(held).color === state.currentColor);
+    next.drawFourChallenge = { player, target: nextPlayer, previousColor: state.currentColor, bluffed };
+    events.push({ type: 'drawFourPlayed', player, target: nextPlayer });
+  } else if (stacking) {
+    // the next player can pass the penalty on or take all of it
+    next.pendingDraw = (state.pendingDraw || 0) + (number === DRAW_TWO ? 2 : 4);
+    events.push({ type: 'drawStacked', player: nextPlayer, pendingDraw: next.pendingDraw });
+  } else if (isDrawCard(number)) {
+    const count = drawInto(next, nextPlayer, number === DRAW_TWO ? 2 : 4, events, shuffle);
+    events.push({ type: 'cardsDrawn', player: nextPlayer, count, reason: number === DRAW_TWO ? 'drawTwo' : 'drawFour' });
+  }
+
+  const rotating = rotatesHands(state, player, card);
+
+  if (swapping) {
+    [next.hands[player], next.hands[target!]] = [next.hands[target!], next.hands[player]];
+    events.push({ type: 'handsSwapped', player, target: target! });
+  }
+  if (rotating) {
+    const rotated: Record<string, CardCode[]> = {};
+    next.players.forEach(seat => {
+      rotated[nextSeat(next, seat)] = next.hands[seat];
+    });
+    next.hands = rotated;
+    events.push({ type: 'handsRotated', direction: next.direction });
+  }
+
+  // reverse flips the direction of play, with only two players it works like a skip
+  const reverses = number === REVERSE && state.players.length > 2;
+  if (reverses) {
+    next.direction = state.direction === COUNTER_CLOCKWISE ? CLOCKWISE : COUNTER_CLOCKWISE;
+    events.push({ type: 'directionChanged', direction: next.direction });
+  }
+
+  // skip and (unstacked) draw cards take the next player's turn away,
+  // a challengeable Wild Draw Four hands the turn to its victim to accept or challenge it
+  const skipsNext =
+    number === SKIP || (isDrawCard(number) && !stacking && !challengeable) || (number === REVERSE && !reverses);
+
+  next.turn = nextSeat(next, player, skipsNext ? 2 : 1);
+  next.currentColor = color;
+  next.currentNumber = number;
+  next.lastCardPlayedBy = player;
+  next.isUnoButtonPressed = false;
+  next.drawButtonPressed = false;
+  next.drawnCard = '';
+
+  // going down to one card without calling UNO leaves the player open to being caught for a while
+  const calledUno = !jumpingIn && state.isUnoButtonPressed;
+  if (next.hands[player].length === 1 && !calledUno) {
+    next.unoCatch = { player, openedAt: now };
+    events.push({ type: 'unoMissed', player });
+  }
+
+  // emptying a hand ends the round, the match ends once someone reaches the target score
+  if (hand.length === 1) {
+    next.match = scoreRound(matchOf(state), player, next.hands);
+    const { targetScore } = rules;
+    const { points } = next.match.history[next.match.history.length - 1];
+    next.winner = player;
+    events.push({ type: 'roundOver', winner: player, round: next.match.round, points });
+
+    if (!targetScore || next.match.scores[player] >= targetScore) {
+      next.gameOver = true;
+      events.push({ type: 'gameOver', winner: player });
+    } else {
+      next.roundOver = true;
+    }
+  }
+
+  return { state: next, events };
+}
+
+function drawCard(state: GameState, player: string, shuffle: Shuffle | undefined): MoveResult {
+  if (state.drawButtonPressed) {
+    return reject(state, player, 'You have already drawn a card this turn.');
+  }
+
+  const events: GameEvent[] = [];
+  const next = cloneState(state);
+  next.isUnoButtonPressed = false;
+
+  // taking a stacked penalty ends the turn
+  if (state.pendingDraw > 0) {
+    const count = drawInto(next, player, state.pendingDraw, events, shuffle);
+    events.push({ type: 'cardsDrawn', player, count, reason: 'stack' });
+    next.pendingDraw = 0;
+    next.turn = nextSeat(state, player);
+    return { state: next, events };
+  }
+
+  let card: CardCode | null = null;
+  let playable = false;
+  do {
+    card = drawFromPile(next, events, shuffle);
+    if (!card) break;
+    next.hands[player].push(card);
+    playable = isPlayable(card, state.currentColor, state.currentNumber);
+    events.push({ type: 'cardDrawn', player, card, playable });
+  } while (rulesOf(state).drawUntilPlayable && !playable);
+
+  if (!events.some(event => event.type === 'cardDrawn')) {
+    events.push({ type: 'drawPileEmpty', player });
+  }
+
+  // a playable drawn card keeps the turn so it can be played right away
+  next.turn = playable ? player : nextSeat(state, player);
+  next.drawButtonPressed = playable;
+  next.drawnCard = playable ? card! : '';
+
+  return { state: next, events };
+}
+
+function pass(state: GameState, player: string): MoveResult {
+  if (!state.drawButtonPressed) {
+    return reject(state, player, 'You can only pass after drawing a card.');
+  }
+  if (rulesOf(state).forcedPlay && state.drawnCard) {
+    return reject(state, player, 'You must play the card you drew.');
+  }
+  return {
+    state: { ...state, turn: nextSeat(state, player), drawButtonPressed: false, isUnoButtonPressed: false, drawnCard: '' },
+    events: [{ type: 'turnPassed', player }],
+  };
+}
+
+function acceptDrawFour(state: GameState, player: string, shuffle: Shuffle | undefined): MoveResult {
+  const events: GameEvent[] = [];
+  const next = cloneState(state);
+  const count = drawInto(next, player, 4, events, shuffle);
+  events.push({ type: 'cardsDrawn', player, count, reason: 'drawFour' });
+  next.drawFourChallenge = null;
+  next.turn = nextSeat(state, player);
+  return { state: next, events };
+}
+
+function challengeDrawFour(state: GameState, player: string, shuffle: Shuffle | undefined): MoveResult {
+  const { player: offender, bluffed } = state.drawFourChallenge!;
+  const events: GameEvent[] = [{ type: 'drawFourChallenged', player, offender, successful: bluffed }];
+  const next = cloneState(state);
+  next.drawFourChallenge = null;
+
+  if (bluffed) {
+    // caught: the offender takes the four cards and the challenger plays on
+    const count = drawInto(next, offender, 4, events, shuffle);
+    events.push({ type: 'cardsDrawn', player: offender, count, reason: 'challenge' });
+  } else {
+    const count = drawInto(next, player, FAILED_CHALLENGE_CARDS, events, shuffle);
+    events.push({ type: 'cardsDrawn', player, count, reason: 'challenge' });
+    next.turn = nextSeat(state, player);
+  }
+  return { state: next, events };
+}
+
+// deal the next round of a match, the first turn moves one seat along each round
+function nextRound(state: GameState, shuffle: Shuffle | undefined): MoveResult {
+  const match = { ...matchOf(state), round: matchOf(state).round + 1 };
+  const next = createGame({
+    players: state.players,
+    rules: rulesOf(state),
+    firstTurn: state.players[(match.round - 1) % state.players.length],
+    seed: deriveSeed(state.seed || randomSeed(), `round:${match.round}`),
+    shuffle,
+    match,
+  });
+  return { state: next, events: [{ type: 'roundStarted', round: match.round }] };
+}
+
+// whether the catch window on `player` is still open at clock time `now`
+function isCatchable(state: GameState, now: number): boolean {
+  const { unoCatch } = state;
+  return !!unoCatch && now - unoCatch.openedAt <= UNO_CATCH_WINDOW_MS && getHand(state, unoCatch.player).length === 1;
+}
+
+export function canCallUno(state: GameState, player: string): boolean {
+  const hand = getHand(state, player);
+  if (state.unoCatch?.player === player && hand.length === 1) return true;
+  return player === state.turn && hand.length === 2 && !state.isUnoButtonPressed;
+}
+
+// the player that `player` could catch right now, if any
+export function catchableUnoPlayer(state: GameState, player: string, now: number = Date.now()): string | null {
+  if (!isCatchable(state, now) || state.unoCatch!.player === player) return null;
+  return state.unoCatch!.player;
+}
+
+// UNO can be called before playing the second to last card, or right after going down to one card
+function callUno(state: GameState, player: string): MoveResult {
+  if (!canCallUno(state, player)) {
+    return reject(state, player, 'UNO can only be called when you are down to your last cards.');
+  }
+  const called = state.unoCatch?.player === player
+    ? { ...state, unoCatch: null }
+    : { ...state, isUnoButtonPressed: true };
+  return { state: called, events: [{ type: 'unoCalled', player }] };
+}
+
+function catchUno(state: GameState, player: string, shuffle: Shuffle | undefined, now: number): MoveResult {
+  const target = catchableUnoPlayer(state, player, now);
+  if (!target) {
+    return reject(state, player, state.unoCatch ? 'Too late, the catch window has closed.' : 'Nobody to catch.');
+  }
+  const events: GameEvent[] = [];
+  const next = cloneState(state);
+  const count = drawInto(next, target, UNO_PENALTY_CARDS, events, shuffle);
+  events.push({ type: 'unoPenalty', player: target, count, caughtBy: player });
+  next.unoCatch = null;
+  return { state: next, events };
+}
+
+/**
+ * Apply a move for the player whose turn it is (or a jump-in when the rules allow it).
+ * Illegal moves leave the state untouched and report an `invalidMove` event.
+ */
+export function applyMove(
+  state: GameState,
+  move: Move,
+  { shuffle, now = Date.now }: ApplyMoveOptions = {}
+): MoveResult {
+  const player = move.player ?? state.turn;
+  const clock = now();
+
+  if (state.gameOver) {
+    return reject(state, player, 'The game is over.');
+  }
+  if (state.roundOver) {
+    return move.type === 'nextRound' ? nextRound(state, shuffle) : reject(state, player, 'The round is over.');
+  }
+  if (move.type === 'nextRound') {
+    return reject(state, player, 'The round is still being played.');
+  }
+  // UNO calls and catches don't wait for a turn
+  if (move.type === 'callUno') {
+    return callUno(state, player);
+  }
+  if (move.type === 'catchUno') {
+    return catchUno(state, player, shuffle, clock);
+  }
+  if (player !== state.turn && move.type !== 'playCard') {
+    return reject(state, player, "It's not your turn.");
+  }
+  const resolvesDrawFour = move.type === 'acceptDrawFour' || move.type === 'challengeDrawFour';
+  if (state.drawFourChallenge && !resolvesDrawFour) {
+    return player === state.turn
+      ? reject(state, player, 'Accept or challenge the Wild Draw Four first.')
+      : reject(state, player, "It's not your turn.");
+  }
+  if (!state.drawFourChallenge && resolvesDrawFour) {
+    return reject(state, player, 'There is no Wild Draw Four to answer.');
+  }
+
+  switch (move.type) {
+    case 'playCard':
+      return playCard(state, player, move, shuffle, clock);
+    case 'drawCard':
+      return drawCard(state, player, shuffle);
+    case 'pass':
+      return pass(state, player);
+    case 'acceptDrawFour':
+      return acceptDrawFour(state, player, shuffle);
+    case 'challengeDrawFour':
+      return challengeDrawFour(state, player, shuffle);
+    default:
+      return reject(state, player, 'Unknown move.');
+  }
+}
+
+/**
+ * Every move the given player could make right now.
+ * Wild cards are listed once per color they can be played as and 7-0 swaps once per target.
+ */
+export function legalMoves(state: GameState, player: string = state.turn, now: number = Date.now()): Move[] {
+  if (state.gameOver) return [];
+  if (state.roundOver) return [{ type: 'nextRound', player }];
+
+  // calling and catching UNO is open to everyone, whoever's turn it is
+  const unoMoves: Move[] = [];
+  if (canCallUno(state, player)) {
+    unoMoves.push({ type: 'callUno', player });
+  }
+  if (catchableUnoPlayer(state, player, now)) {
+    unoMoves.push({ type: 'catchUno', player });
+  }
+
+  if (state.drawFourChallenge) {
+    return player === state.turn
+      ? [{ type: 'acceptDrawFour', player }, { type: 'challengeDrawFour', player }, ...unoMoves]
+      : unoMoves;
+  }
+
+  const hand = getHand(state, player);
+  const uniqueCards = Array.from(new Set(hand));
+  const moves: Move[] = [];
+
+  uniqueCards.forEach(card => {
+    if (!canPlayCard(state, player, card)) return;
+    if (isWildCard(card)) {
+      CARD_COLORS.forEach(color => moves.push({ type: 'playCard', player, card, color }));
+    } else if (swapsHands(state, player, card)) {
+      state.players
+        .filter(target => target !== player)
+        .forEach(target => moves.push({ type: 'playCard', player, card, target }));
+    } else {
+      moves.push({ type: 'playCard', player, card });
+    }
+  });
+
+  if (player !== state.turn) return [...moves, ...unoMoves];
+
+  if (!state.drawButtonPressed) {
+    moves.push({ type: 'drawCard', player });
+  } else if (!(rulesOf(state).forcedPlay && state.drawnCard)) {
+    moves.push({ type: 'pass', player });
+  }
+
+  return [...moves, ...unoMoves];
+}
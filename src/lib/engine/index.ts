@@ -0,0 +1,5 @@
+export * from './cards';
+export * from './rules';
+export * from './scoring';
+export * from './engine';
+export * from './views';
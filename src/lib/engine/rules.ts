@@ -0,0 +1,86 @@
+import { DEFAULT_TARGET_SCORE } from './scoring';
+
+// House rules are picked when a room is created and travel with the game state
+
+export interface HouseRules {
+  handSize: number;
+  // a Draw 2 can be answered with another Draw 2 (or a Draw 4) to pass the penalty on
+  stackDrawCards: boolean;
+  // playing a 7 swaps hands with a chosen player, playing a 0 passes every hand along
+  sevenZero: boolean;
+  // a card identical to the top of the discard pile can be played out of turn
+  jumpIn: boolean;
+  // keep drawing until a playable card turns up instead of drawing a single card
+  drawUntilPlayable: boolean;
+  // a playable drawn card has to be played straight away
+  forcedPlay: boolean;
+  // match mode plays rounds until someone reaches this score, 0 plays a single round
+  targetScore: number;
+  // how long a player has for their turn before the server plays it for them, 0 for no limit
+  turnSeconds: number;
+}
+
+export type RulesPresetName = 'zunno' | 'classic' | 'party';
+
+export interface RulesPreset {
+  name: RulesPresetName;
+  label: string;
+  description: string;
+  rules: HouseRules;
+}
+
+export const RULES_PRESETS: Record<RulesPresetName, RulesPreset> = {
+  zunno: {
+    name: 'zunno',
+    label: 'Zunno',
+    description: 'Quick 5 card hands',
+    rules: {
+      handSize: 5,
+      stackDrawCards: false,
+      sevenZero: false,
+      jumpIn: false,
+      drawUntilPlayable: false,
+      forcedPlay: false,
+      targetScore: 0,
+      turnSeconds: 15,
+    },
+  },
+  classic: {
+    name: 'classic',
+    label: 'Classic',
+    description: 'Official rules, 7 card hands',
+    rules: {
+      handSize: 7,
+      stackDrawCards: false,
+      sevenZero: false,
+      jumpIn: false,
+      drawUntilPlayable: false,
+      forcedPlay: false,
+      targetScore: DEFAULT_TARGET_SCORE,
+      turnSeconds: 30,
+    },
+  },
+  party: {
+    name: 'party',
+    label: 'Party',
+    description: 'Stacking, 7-0 swaps and jump-ins',
+    rules: {
+      handSize: 7,
+      stackDrawCards: true,
+      sevenZero: true,
+      jumpIn: true,
+      drawUntilPlayable: true,
+      forcedPlay: true,
+      targetScore: 0,
+      turnSeconds: 20,
+    },
+  },
+};
+
+export const DEFAULT_RULES_PRESET: RulesPresetName = 'zunno';
+export const DEFAULT_RULES: HouseRules = RULES_PRESETS[DEFAULT_RULES_PRESET].rules;
+
+// unknown or missing preset names fall back to the default preset
+export function getRulesPreset(name?: string | null): RulesPreset {
+  return RULES_PRESETS[name as RulesPresetName] || RULES_PRESETS[DEFAULT_RULES_PRESET];
+}
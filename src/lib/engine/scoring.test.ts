@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { cardPoints, createMatch, handPoints, scoreRound } from './scoring';
+
+describe('cardPoints', () => {
+  it('scores number cards at face value, actions at 20 and wilds at 50', () => {
+    expect(cardPoints('0R')).toBe(0);
+    expect(cardPoints('7G')).toBe(7);
+    expect(['skipB', '_Y', 'D2R'].map(cardPoints)).toEqual([20, 20, 20]);
+    expect(['W', 'D4W'].map(cardPoints)).toEqual([50, 50]);
+  });
+
+  it('adds up a hand', () => {
+    expect(handPoints(['9R', 'D2G', 'W'])).toBe(79);
+    expect(handPoints([])).toBe(0);
+  });
+});
+
+describe('scoreRound', () => {
+  it('credits the winner with the points left in the other hands', () => {
+    const match = scoreRound(createMatch(['a', 'b', 'c']), 'a', { a: [], b: ['3R', 'W'], c: ['skipB'] });
+    expect(match.scores).toEqual({ a: 73, b: 0, c: 0 });
+    expect(match.history).toEqual([{ round: 1, winner: 'a', points: 73, handPoints: { a: 0, b: 53, c: 20 } }]);
+  });
+
+  it('carries the scores over from round to round', () => {
+    const first = scoreRound(createMatch(['a', 'b']), 'a', { a: [], b: ['5R'] });
+    const second = scoreRound({ ...first, round: 2 }, 'b', { a: ['D4W'], b: [] });
+    expect(second.scores).toEqual({ a: 5, b: 50 });
+    expect(second.history.map(result => result.round)).toEqual([1, 2]);
+  });
+});
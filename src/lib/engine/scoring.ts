@@ -0,0 +1,64 @@
+import { CardCode, DRAW_FOUR, DRAW_TWO, REVERSE, SKIP, WILD, parseCard } from './cards';
+
+// Official UNO scoring: the round winner scores the cards left in everyone else's hand,
+// the first player to reach the target score wins the match.
+
+export const DEFAULT_TARGET_SCORE = 500;
+
+const ACTION_CARD_POINTS = 20;
+const WILD_CARD_POINTS = 50;
+
+export interface RoundResult {
+  round: number;
+  winner: string;
+  points: number;
+  // points left in each player's hand when the round ended
+  handPoints: Record<string, number>;
+}
+
+export interface MatchState {
+  round: number;
+  scores: Record<string, number>;
+  history: RoundResult[];
+}
+
+export function cardPoints(card: CardCode): number {
+  const { number } = parseCard(card);
+  switch (number) {
+    case SKIP:
+    case REVERSE:
+    case DRAW_TWO:
+      return ACTION_CARD_POINTS;
+    case WILD:
+    case DRAW_FOUR:
+      return WILD_CARD_POINTS;
+    default:
+      return Number(number);
+  }
+}
+
+export function handPoints(hand: CardCode[]): number {
+  return hand.reduce((total, card) => total + cardPoints(card), 0);
+}
+
+export function createMatch(players: string[]): MatchState {
+  return {
+    round: 1,
+    scores: Object.fromEntries(players.map(player => [player, 0])),
+    history: [],
+  };
+}
+
+// credit the round winner with the points left in the other hands
+export function scoreRound(match: MatchState, winner: string, hands: Record<string, CardCode[]>): MatchState {
+  const pointsByPlayer = Object.fromEntries(Object.entries(hands).map(([player, hand]) => [player, handPoints(hand)]));
+  const points = Object.entries(pointsByPlayer)
+    .filter(([player]) => player !== winner)
+    .reduce((total, [, handTotal]) => total + handTotal, 0);
+
+  return {
+    ...match,
+    scores: { ...match.scores, [winner]: (match.scores[winner] || 0) + points },
+    history: [...match.history, { round: match.round, winner, points, handPoints: pointsByPlayer }],
+  };
+}
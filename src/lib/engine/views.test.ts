@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { applyMove, createGame, seatNames } from './engine';
+import { DEFAULT_RULES } from './rules';
+import { HIDDEN_CARD, stateFromView, viewEvents, viewFor } from './views';
+
+const [ONE, TWO, THREE] = seatNames(3);
+const SEED = `0x${'aa'.repeat(32)}`;
+
+describe('viewFor', () => {
+  const state = createGame({ players: [ONE, TWO, THREE], seed: SEED });
+
+  it('shows a seat its own hand and only the size of the rest', () => {
+    const view = viewFor(state, TWO);
+    expect(view.hand).toEqual(state.hands[TWO]);
+    const { handSize } = DEFAULT_RULES;
+    expect(view.handCounts).toEqual({ [ONE]: handSize, [TWO]: handSize, [THREE]: handSize });
+    expect(view.topCard).toBe(state.playedCardsPile.at(-1));
+    expect(view.drawPileSize).toBe(state.drawCardPile.length);
+  });
+
+  it('leaves out the other hands, the piles and the seed', () => {
+    const sent = JSON.stringify(viewFor(state, TWO));
+    expect(sent).not.toContain(SEED);
+    [ONE, THREE].forEach(seat => expect(sent).not.toContain(JSON.stringify(state.hands[seat])));
+    expect(sent).not.toContain(JSON.stringify(state.drawCardPile));
+    expect(Object.keys(viewFor(state, TWO))).not.toEqual(expect.arrayContaining(['hands', 'drawCardPile', 'playedCardsPile', 'seed']));
+  });
+
+  it('keeps a drawn card and a Draw 4 bluff secret', () => {
+    const drawn = { ...state, drawnCard: '5G', drawFourChallenge: { player: ONE, target: TWO, previousColor: 'R', bluffed: true } };
+    expect(viewFor(drawn, ONE).drawnCard).toBe('5G');
+    expect(viewFor(drawn, TWO).drawnCard).toBe(HIDDEN_CARD);
+    expect(viewFor(drawn, TWO).drawFourChallenge).toEqual({ player: ONE, target: TWO, previousColor: 'R' });
+  });
+
+  it('shows a spectator no hand at all', () => {
+    const view = viewFor({ ...state, drawnCard: '5G' }, 'Spectator 1');
+    expect(view.hand).toEqual([]);
+    expect(view.drawnCard).toBe(HIDDEN_CARD);
+    expect(stateFromView(view).hands[ONE]).toEqual(Array(DEFAULT_RULES.handSize).fill(HIDDEN_CARD));
+  });
+
+  it('turns the card someone else drew face down', () => {
+    const { events } = applyMove({ ...state, hands: { ...state.hands, [ONE]: ['9Y'] }, currentColor: 'R', currentNumber: '5' }, { type: 'drawCard' });
+    const drawn = events.find(event => event.type === 'cardDrawn')!;
+    expect(viewEvents(events, ONE)).toContainEqual(drawn);
+    expect(viewEvents(events, TWO)).toContainEqual({ ...drawn, card: HIDDEN_CARD });
+  });
+});
+
+describe('stateFromView', () => {
+  it('builds a state the engine checks run on, with the hidden cards counted', () => {
+    const state = createGame({ players: [ONE, TWO, THREE], seed: SEED });
+    const seen = stateFromView(viewFor(state, ONE));
+    expect(seen.hands[ONE]).toEqual(state.hands[ONE]);
+    expect(seen.hands[TWO]).toEqual(Array(DEFAULT_RULES.handSize).fill(HIDDEN_CARD));
+    expect(seen.drawCardPile).toHaveLength(state.drawCardPile.length);
+    expect(seen.playedCardsPile).toEqual([state.playedCardsPile.at(-1)]);
+    expect(seen.seed).toBe('');
+  });
+});
@@ -0,0 +1,63 @@
+import { CardCode } from './cards';
+import { DrawFourChallenge, GameEvent, GameState } from './engine';
+
+// What one seat is allowed to see of the game. The server sends every player their own hand, how many
+// cards the others hold, the top of the discard pile and the size of the draw pile, never the piles
+// themselves or the seed they were shuffled from.
+
+// stands in for a card the player can't see
+export const HIDDEN_CARD = '';
+
+export interface PlayerView
+  extends Omit<GameState, 'hands' | 'playedCardsPile' | 'drawCardPile' | 'drawFourChallenge' | 'seed' | 'shuffleCount'> {
+  // whose view this is
+  player: string;
+  hand: CardCode[];
+  handCounts: Record<string, number>;
+  topCard: CardCode;
+  drawPileSize: number;
+  // whether the Wild Draw Four was a bluff stays secret until it is challenged
+  drawFourChallenge: Omit<DrawFourChallenge, 'bluffed'> | null;
+}
+
+export function viewFor(state: GameState, player: string): PlayerView {
+  const { hands, playedCardsPile, drawCardPile, drawFourChallenge, seed: _seed, shuffleCount: _shuffleCount, ...rest } = state;
+  const ownsDrawnCard = state.turn === player;
+  return {
+    ...rest,
+    player,
+    hand: hands[player] || [],
+    handCounts: Object.fromEntries(state.players.map(seat => [seat, (hands[seat] || []).length])),
+    topCard: playedCardsPile[playedCardsPile.length - 1] || HIDDEN_CARD,
+    drawPileSize: drawCardPile.length,
+    drawnCard: ownsDrawnCard ? state.drawnCard : HIDDEN_CARD,
+    drawFourChallenge: drawFourChallenge && {
+      player: drawFourChallenge.player,
+      target: drawFourChallenge.target,
+      previousColor: drawFourChallenge.previousColor,
+    },
+  };
+}
+
+// the events of a move as a player sees them: the card someone else drew stays face down
+export function viewEvents(events: GameEvent[], player: string): GameEvent[] {
+  return events.map(event => (event.type === 'cardDrawn' && event.player !== player ? { ...event, card: HIDDEN_CARD } : event));
+}
+
+/**
+ * A game state built from a view, with hidden cards in the other hands and the draw pile, so the
+ * engine's checks (canPlayCard, canCallUno, catchableUnoPlayer...) and the hint run on the client.
+ */
+export function stateFromView(view: PlayerView): GameState {
+  const { player, hand, handCounts, topCard, drawPileSize, drawFourChallenge, ...rest } = view;
+  const hidden = (count: number) => Array<CardCode>(count).fill(HIDDEN_CARD);
+  return {
+    ...rest,
+    hands: Object.fromEntries(view.players.map(seat => [seat, seat === player ? hand : hidden(handCounts[seat] || 0)])),
+    playedCardsPile: topCard ? [topCard] : [],
+    drawCardPile: hidden(drawPileSize),
+    drawFourChallenge: drawFourChallenge && { ...drawFourChallenge, bluffed: false },
+    seed: '',
+    shuffleCount: 0,
+  };
+}
@@ -0,0 +1,75 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { applyActionToOffChainState, createDeck, hashCard, initializeOffChainState, shuffleDeck, startGame } from './gameLogic';
+import { updateGlobalCardHashMap } from './globalState';
+import { DEFAULT_RULES, HouseRules } from './engine';
+import { deriveSeed } from './shuffle';
+import { Card, OffChainGameState } from './types';
+
+const PLAYERS = ['alice', 'bob', 'carol'];
+
+const card = (color: Card['color'], value: Card['value']): Card => ({ color, value });
+
+function offChainGame(rules: Partial<HouseRules>, overrides: Partial<OffChainGameState> = {}): OffChainGameState {
+  return { ...initializeOffChainState(BigInt(1), PLAYERS, { ...DEFAULT_RULES, ...rules }), isStarted: true, ...overrides };
+}
+
+beforeEach(() => {
+  // the off-chain state logs every card lookup and hash
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  updateGlobalCardHashMap(Object.fromEntries(createDeck().map(deckCard => [hashCard(deckCard), deckCard])));
+});
+
+describe('stacked draw cards', () => {
+  const owing = (hand: Card[]) =>
+    offChainGame(
+      { stackDrawCards: true },
+      {
+        currentPlayerIndex: 1,
+        pendingDraw: 2,
+        currentColor: 'red',
+        currentValue: 'draw2',
+        playerHands: { alice: [], bob: hand.map(hashCard), carol: [] },
+      }
+    );
+
+  it('only lets the player who owes the penalty pass it on with a draw card', () => {
+    const state = owing([card('red', '5'), card('blue', 'draw2')]);
+    expect(applyActionToOffChainState(state, { type: 'playCard', player: 'bob', cardHash: hashCard(card('red', '5')) })).toBe(state);
+
+    const stacked = applyActionToOffChainState(state, { type: 'playCard', player: 'bob', cardHash: hashCard(card('blue', 'draw2')) });
+    expect(stacked.pendingDraw).toBe(4);
+    expect(stacked.currentPlayerIndex).toBe(2);
+  });
+
+  it('takes a Draw 4 on top of a Draw 2 but no jump-ins', () => {
+    const state = { ...owing([card('wild', 'wild_draw4')]), rules: { ...DEFAULT_RULES, stackDrawCards: true, jumpIn: true } };
+    expect(applyActionToOffChainState(state, { type: 'playCard', player: 'bob', cardHash: hashCard(card('wild', 'wild_draw4')) }).pendingDraw).toBe(6);
+    expect(applyActionToOffChainState(state, { type: 'playCard', player: 'carol', cardHash: hashCard(card('red', 'draw2')) })).toBe(state);
+  });
+});
+
+describe('forced play', () => {
+  // a seed whose first draw after the deal is a skip
+  function skipOnTop(): { seed: string; drawn: Card } {
+    for (let i = 0; ; i++) {
+      const seed = ethers.id(`seed ${i}`);
+      const deck = shuffleDeck(createDeck(), deriveSeed(seed, 'deal'));
+      const drawn = deck[deck.length - 2];
+      if (drawn.value === 'skip') return { seed, drawn };
+    }
+  }
+
+  it('plays a drawn card with its effect', () => {
+    const { seed, drawn } = skipOnTop();
+    const dealt = startGame(offChainGame({ forcedPlay: true }, { seed }));
+    const state = { ...dealt, currentPlayerIndex: 0, currentColor: drawn.color, currentValue: '5' as const };
+
+    const next = applyActionToOffChainState(state, { type: 'drawCard', player: 'alice' });
+    expect(next.lastPlayedCardHash).toBe(hashCard(drawn));
+    expect(next.playerHands.alice).toEqual(state.playerHands.alice);
+    // the skip goes past bob
+    expect(next.currentPlayerIndex).toBe(2);
+  });
+});
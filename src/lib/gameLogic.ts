@@ -3,12 +3,16 @@ import { Card, CardColor, CardValue, OffChainGameState, Action } from './types';
 import CryptoJS from 'crypto-js';
 import { updateGlobalCardHashMap, getGlobalCardHashMap, getCardFromGlobalHashMap } from './globalState';
 import { HashedDiscardPile } from './discardPile';
+import { DEFAULT_RULES, HouseRules } from './engine';
+import { createRandom, deriveSeed, randomSeed, shuffleWithSeed } from './shuffle';
+import { roomEvent } from './protocol';
 import { hash } from 'crypto';
 
 
 const COLORS: CardColor[] = ['red', 'blue', 'green', 'yellow'];
 const VALUES: CardValue[] = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'skip', 'reverse', 'draw2'];
 let deck: Card[] = []
+const discardPile = new HashedDiscardPile()
 
 export function isValidPlay(cardHash: string, { currentColor, currentValue }: { currentColor: CardColor; currentValue: CardValue }): boolean {
   const card = getCardFromHash(cardHash);
@@ -47,29 +51,18 @@ export function createDeck(): Card[] {
   return deck;
 }
 
-export function shuffleDeck(deck: Card[], seed: number): Card[] {
-  const shuffled = [...deck];
-  let currentIndex = shuffled.length;
-  let temporaryValue, randomIndex;
-
-  // Seed the random number generator
-  let random = () => {
-    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
-    return seed / 0x7fffffff;
-  };
-
-  while (0 !== currentIndex) {
-    randomIndex = Math.floor(random() * currentIndex);
-    currentIndex -= 1;
-    temporaryValue = shuffled[currentIndex];
-    shuffled[currentIndex] = shuffled[randomIndex];
-    shuffled[randomIndex] = temporaryValue;
-  }
+export function shuffleDeck(deck: Card[], seed: string): Card[] {
+  const shuffled = shuffleWithSeed(deck, seed);
   console.log('Card count shuffled deck: ', shuffled.length);
   return shuffled;
 }
 
-export function initializeOffChainState(gameId: bigint, players: string[]): OffChainGameState {
+export function initializeOffChainState(
+  gameId: bigint,
+  players: string[],
+  rules: HouseRules = DEFAULT_RULES,
+  seed: string = randomSeed()
+): OffChainGameState {
   const initialState: OffChainGameState = {
     id: gameId,
     players,
@@ -78,6 +71,10 @@ export function initializeOffChainState(gameId: bigint, players: string[]): OffC
     lastActionTimestamp: BigInt(Math.floor(Date.now() / 1000)),
     turnCount: BigInt(0),
     directionClockwise: true,
+    rules,
+    pendingDraw: 0,
+    seed,
+    reshuffleCount: 0,
     playerHandsHash: {},
     playerHands: {},
     deckHash: '',
@@ -107,8 +104,8 @@ export function convertBigIntsToStrings(obj: any): any {
 }
 
 export function startGame(state: OffChainGameState, socket?: any): OffChainGameState {
-  const newState = { ...state };
-  deck = shuffleDeck(createDeck(), Number(state.id));
+  const newState = { ...state, seed: state.seed || randomSeed(), reshuffleCount: 0 };
+  deck = shuffleDeck(createDeck(), deriveSeed(newState.seed, 'deal'));
   console.log(deck)
   console.log(deck.length)
   let tempCardHashMap: Map<string, Card> = new Map();
@@ -124,8 +121,9 @@ export function startGame(state: OffChainGameState, socket?: any): OffChainGameS
   // Deal hands
   newState.playerHandsHash = {};
   newState.playerHands = {};
+  const { handSize } = state.rules || DEFAULT_RULES;
   state.players.forEach(player => {
-    const hand = deck.splice(0, 7);
+    const hand = deck.splice(0, handSize);
     const handHashes = hand.map(card => {
       const hash = hashCard(card);
       //tempCardHashMap.set(hash, card);
@@ -140,7 +138,9 @@ export function startGame(state: OffChainGameState, socket?: any): OffChainGameS
   const firstCard = deck.pop()!;
   const firstCardHash = hashCard(firstCard);
   //tempCardHashMap.set(firstCardHash, firstCard);
-  newState.discardPileHash = hashCards([firstCard]);
+  discardPile.reset();
+  discardPile.addCard(firstCard);
+  newState.discardPileHash = discardPile.getDiscardPileHash();
   newState.currentColor = firstCard.color;
   newState.currentValue = firstCard.value;
   newState.lastPlayedCardHash = firstCardHash;
@@ -148,8 +148,8 @@ export function startGame(state: OffChainGameState, socket?: any): OffChainGameS
   // Hash remaining deck
   newState.deckHash = hashCards(deck);
  
-  // Randomly choose first player
-  newState.currentPlayerIndex = Math.floor(Math.random() * state.players.length);
+  // Randomly choose first player, from the game seed so replays agree
+  newState.currentPlayerIndex = createRandom(deriveSeed(newState.seed, 'firstPlayer')).nextInt(state.players.length);
 
   newState.isStarted = true;
   newState.stateHash = hashState(newState);
@@ -166,7 +166,7 @@ export function startGame(state: OffChainGameState, socket?: any): OffChainGameS
     });
 
     // Also emit the event with the room-specific name to ensure all listeners receive it
-    socket.emit(`gameStarted-${roomId}`, {
+    socket.emit(roomEvent('gameStarted', roomId), {
       newState: convertBigIntsToStrings(newState),
       cardHashMap: cardHashMapObject
     });
@@ -180,121 +180,184 @@ export function startGame(state: OffChainGameState, socket?: any): OffChainGameS
   return newState;
 }
 
+// index of the player `steps` seats away in the current direction of play
+export function nextPlayerIndex(state: OffChainGameState, steps: number = 1): number {
+  const playerCount = state.players.length;
+  const offset = state.directionClockwise ? steps : -steps;
+  return (((state.currentPlayerIndex + offset) % playerCount) + playerCount) % playerCount;
+}
+
+// take the top card of the deck, reshuffling the discard pile (minus its top card) into
+// a new deck first when it has run out. null when there is nothing left to draw
+function drawFromDeck(state: OffChainGameState): Card | null {
+  if (deck.length === 0) {
+    const reshuffleCount = (state.reshuffleCount || 0) + 1;
+    deck = discardPile.reShuffleDiscardPile(deriveSeed(state.seed || randomSeed(), `reshuffle:${reshuffleCount}`));
+    if (deck.length > 0) {
+      state.reshuffleCount = reshuffleCount;
+      state.discardPileHash = discardPile.getDiscardPileHash();
+    }
+  }
+  const card = deck.pop() ?? null;
+  state.deckHash = hashCards(deck);
+  return card;
+}
+
+// deal `count` cards from the top of the deck into a player's hand
+function dealToPlayer(state: OffChainGameState, player: string, count: number) {
+  const dealt: Card[] = [];
+  for (let i = 0; i < count; i++) {
+    const card = drawFromDeck(state);
+    if (!card) break;
+    dealt.push(card);
+  }
+  state.playerHands[player] = [...state.playerHands[player], ...dealt.map(hashCard)];
+  state.playerHandsHash[player] = hashCards(
+    state.playerHands[player].map(getCardFromHash).filter((card): card is Card => card !== undefined)
+  );
+}
+
+// while draw cards are being stacked the player on turn can only pass the penalty on:
+// a Draw 4 goes on anything, a Draw 2 only on another Draw 2
+export function canStackOnPenalty(card: Card, currentValue: CardValue | null): boolean {
+  return card.value === 'wild_draw4' || (card.value === 'draw2' && currentValue === 'draw2');
+}
+
+// what a card does once it is on the discard pile, played from the hand or auto-played after a draw
+// under forced play. Returns how many seats the turn moves on
+function applyCardEffects(state: OffChainGameState, card: Card, player: string, targetPlayer: string | undefined, rules: HouseRules): number {
+  let turnSteps = 1;
+
+  // reverse flips the direction of play, with only two players it acts like a skip
+  if (card.value === 'reverse') {
+    if (state.players.length > 2) {
+      state.directionClockwise = !state.directionClockwise;
+    } else {
+      turnSteps = 2;
+    }
+  }
+
+  if (card.value === 'skip') {
+    turnSteps = 2;
+  }
+
+  // draw cards are either stacked onto the next player or dealt to them right away
+  if (card.value === 'draw2' || card.value === 'wild_draw4') {
+    const count = card.value === 'draw2' ? 2 : 4;
+    if (rules.stackDrawCards) {
+      state.pendingDraw = (state.pendingDraw || 0) + count;
+    } else {
+      dealToPlayer(state, state.players[nextPlayerIndex(state)], count);
+      turnSteps = 2;
+    }
+  }
+
+  // 7-0: a 7 swaps hands with the chosen player, a 0 passes every hand along
+  if (rules.sevenZero && state.playerHands[player].length > 0) {
+    if (card.value === '7' && targetPlayer && state.playerHands[targetPlayer]) {
+      [state.playerHands[player], state.playerHands[targetPlayer]] = [state.playerHands[targetPlayer], state.playerHands[player]];
+      [state.playerHandsHash[player], state.playerHandsHash[targetPlayer]] = [state.playerHandsHash[targetPlayer], state.playerHandsHash[player]];
+    } else if (card.value === '0') {
+      const hands = { ...state.playerHands };
+      const handsHash = { ...state.playerHandsHash };
+      state.players.forEach((seat, index) => {
+        const receiver = state.players[nextPlayerIndex({ ...state, currentPlayerIndex: index })];
+        state.playerHands[receiver] = hands[seat];
+        state.playerHandsHash[receiver] = handsHash[seat];
+      });
+    }
+  }
+
+  return turnSteps;
+}
+
 export function applyActionToOffChainState(state: OffChainGameState, action: Action): OffChainGameState {
   
-  const newState = { ...state };
-
-  const discardPile = new HashedDiscardPile()
+  const newState = { ...state, playerHands: { ...state.playerHands }, playerHandsHash: { ...state.playerHandsHash } };
+  const rules = state.rules || DEFAULT_RULES;
+  let turnSteps = 1;
 
   switch (action.type) {
     case 'startGame':
       return startGame(state);
     case 'playCard':
       if (action.cardHash) {
-        const playerHand = newState.playerHands[action.player];
+        const playedCard = getCardFromHash(action.cardHash);
+        if (!playedCard) {
+          console.error(`Played card with hash ${action.cardHash} not found in global card hash map`);
+          break;
+        }
+        const playerIndex = newState.players.indexOf(action.player);
+        const onTurn = playerIndex === state.currentPlayerIndex;
+        // a stacked penalty has to be passed on with another draw card or taken
+        if (state.pendingDraw && (!onTurn || !canStackOnPenalty(playedCard, state.currentValue))) {
+          console.error(`Stack a draw card or take the ${state.pendingDraw} cards.`);
+          return state;
+        }
+        // jump-in: an identical card played out of turn continues play from that player
+        if (rules.jumpIn && playerIndex !== -1 && !onTurn && action.cardHash === state.lastPlayedCardHash) {
+          newState.currentPlayerIndex = playerIndex;
+        }
+
+        const playerHand = [...newState.playerHands[action.player]];
+        newState.playerHands[action.player] = playerHand;
         const cardIndex = playerHand.indexOf(action.cardHash);
         if (cardIndex !== -1) {
           playerHand.splice(cardIndex, 1);
         }
         // Update discard pile
-        const playedCard = getCardFromHash(action.cardHash);
-        if (playedCard) {
-          discardPile.addCard(playedCard);
-          newState.discardPileHash = discardPile.getDiscardPileHash()
-          newState.lastPlayedCardHash = action.cardHash;
-          newState.currentColor = playedCard.color;
-          newState.currentValue = playedCard.value;
-        } else {
-          console.error(`Played card with hash ${action.cardHash} not found in global card hash map`);
-        }
+        discardPile.addCard(playedCard);
+        newState.discardPileHash = discardPile.getDiscardPileHash()
+        newState.lastPlayedCardHash = action.cardHash;
+        newState.currentColor = playedCard.color;
+        newState.currentValue = playedCard.value;
+        turnSteps = applyCardEffects(newState, playedCard, action.player, action.targetPlayer, rules);
       }
       break;
     case 'drawCard':
       if (action.player === state.players[state.currentPlayerIndex]) {
-        try {
-          //const { topCard, newDeckHash } = decodeTopCardFromDeck(state.deckHash);
-          const topCard = deck.pop()!
-          newState.deckHash = hashCards(deck)
+        newState.playerHands[action.player] = [...newState.playerHands[action.player]];
+
+        // taking a stacked penalty ends the turn
+        if (state.pendingDraw) {
+          dealToPlayer(newState, action.player, state.pendingDraw);
+          newState.pendingDraw = 0;
+          break;
+        }
+
+        let playable = false;
+        do {
+          const topCard = drawFromDeck(newState);
+          if (!topCard) {
+            console.error("No cards left to draw");
+            break;
+          }
           const drawnCardHash = hashCard(topCard);
-          if (isValidPlay(drawnCardHash, { currentColor: newState.currentColor!, currentValue: newState.currentValue! })) {
-            // Play the card
-            //const currentDiscardPile = decodeHashedDiscardPile(state.discardPileHash);
-            //const currentDiscardPile = discardPile.
-            //currentDiscardPile.push(topCard);
+          playable = isValidPlay(drawnCardHash, { currentColor: newState.currentColor!, currentValue: newState.currentValue! });
+          if (playable && rules.forcedPlay) {
+            // Play the card, it has the same effect as one played from the hand
             discardPile.addCard(topCard)
             newState.discardPileHash = discardPile.getDiscardPileHash()
             newState.lastPlayedCardHash = drawnCardHash;
             newState.currentColor = topCard.color;
             newState.currentValue = topCard.value;
+            turnSteps = applyCardEffects(newState, topCard, action.player, undefined, rules);
           } else {
             // Add the card to the player's hand
             newState.playerHands[action.player].push(drawnCardHash);
-            newState.playerHandsHash[action.player] = hashCards(newState.playerHands[action.player].map(getCardFromHash).filter((card): card is Card => card !== undefined))             
-          }
-      
-         // Update the global card hash map
-        //updateGlobalCardHashMap({ [drawnCardHash]: topCard });
-      
-        // Move to the next player only if the drawn card wasn't played
-        if (newState.lastPlayedCardHash !== drawnCardHash) {
-          newState.currentPlayerIndex = (newState.currentPlayerIndex + 1) % newState.players.length;
-        }
-      } catch (err) {
-          if ( err instanceof Error) {
-            if (err.message === "Deck is empty") {
-              // Handle empty deck (e.g., reshuffle discard pile)
-              //const newDeck = reshuffleDiscardPile(state.discardPileHash);
-              const newDeck = discardPile.reShuffleDiscardPile()
-              newState.deckHash = hashCards(newDeck);
-              newState.discardPileHash = hashCards([]);
-              
-              try {
-                //const { topCard, newDeckHash } = decodeTopCardFromDeck(newState.deckHash);
-                const topCard = newDeck.pop()!
-                newState.deckHash = hashCards(newDeck)
-                const drawnCardHash = hashCard(topCard);
-                
-                if (isValidPlay(drawnCardHash, { currentColor: newState.currentColor!, currentValue: newState.currentValue! })) {
-                  // Play the card
-                  discardPile.addCard(topCard)
-                  //const currentDiscardPile = decodeHashedDiscardPile(newState.discardPileHash);
-                  //currentDiscardPile.push(topCard);
-                  newState.discardPileHash = discardPile.getDiscardPileHash()
-                  newState.lastPlayedCardHash = drawnCardHash;
-                  newState.currentColor = topCard.color;
-                  newState.currentValue = topCard.value;
-                } else {
-                  // Add the card to the player's hand
-                  newState.playerHands[action.player].push(drawnCardHash);
-                  newState.playerHandsHash[action.player] = hashCards(
-                    newState.playerHands[action.player]
-                      .map(getCardFromHash)
-                      .filter((card): card is Card => card !== undefined)
-                  );
-                }
-                
-                // Update the global card hash map
-                //updateGlobalCardHashMap({ [drawnCardHash]: topCard });
-                
-                console.log("Draw action retry successful.");
-              } catch (retryErr) {
-                  console.error("Error during draw action retry:", retryErr);
-                  throw new Error("Failed to draw card after reshuffling");
-              }
-            } else {
-              console.error("Error during draw card action:", err.message);
-              throw err              
-            }
-          } else {
-            console.error("An unknown error occurred during draw card action");
-            throw new Error("Unknown error during draw card action");
+            newState.playerHandsHash[action.player] = hashCards(newState.playerHands[action.player].map(getCardFromHash).filter((card): card is Card => card !== undefined))
           }
+        } while (rules.drawUntilPlayable && !playable);
+
+        // a playable card kept in hand keeps the turn so it can be played next
+        if (playable && !rules.forcedPlay) {
+          turnSteps = 0;
         }
       }
       break;
   }
 
-  newState.currentPlayerIndex = (newState.currentPlayerIndex + 1) % newState.players.length;
+  newState.currentPlayerIndex = nextPlayerIndex(newState, turnSteps);
   newState.turnCount++;
   newState.lastActionTimestamp = BigInt(Math.floor(Date.now() / 1000));
 
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { Move } from './engine';
+import { INTENTS, intentOf, isIntentName, moveOf } from './intents';
+
+describe('intents', () => {
+  it('sends a wild with its color in one intent', () => {
+    const move: Move = { type: 'playCard', player: 'Player 1', card: 'D4W', color: 'G' };
+    expect(intentOf(move)).toEqual(['playCard', { card: 'D4W', color: 'G' }]);
+    expect(moveOf('playCard', 'Player 1', { card: 'D4W', color: 'G' })).toEqual({ ...move, target: undefined });
+  });
+
+  it('carries the target of a 7-0 swap', () => {
+    expect(intentOf({ type: 'playCard', card: '7R', target: 'Player 3' })).toEqual(['playCard', { card: '7R', target: 'Player 3' }]);
+  });
+
+  it('plays the move as whoever sent it and drops colors that are not one', () => {
+    expect(moveOf('drawCard', 'Player 2', { card: '5R' })).toEqual({ type: 'drawCard', player: 'Player 2' });
+    expect(moveOf('playCard', 'Player 2', { card: 'W', color: 'purple' as never })).toMatchObject({ color: undefined });
+    expect(moveOf('playCard', 'Player 2', {})).toBeNull();
+  });
+
+  it('only knows the intents it declares', () => {
+    expect(INTENTS.every(isIntentName)).toBe(true);
+    expect(isIntentName('chooseColor')).toBe(false);
+  });
+});
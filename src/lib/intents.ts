@@ -0,0 +1,55 @@
+import { CARD_COLORS, CardCode, CardColor, Move } from './engine';
+
+// What a client asks the server to do on its turn. The server works out who is asking from the
+// socket, checks the intent with the rules engine and sends everyone the resulting state.
+
+export const INTENTS = [
+  'playCard',
+  'drawCard',
+  'pass',
+  'callUno',
+  'catchUno',
+  'acceptDrawFour',
+  'challengeDrawFour',
+  'nextRound',
+] as const;
+
+export type IntentName = (typeof INTENTS)[number];
+
+export interface IntentPayload {
+  card?: CardCode;
+  // the color a wild card is played as, it travels with the card
+  color?: CardColor;
+  // the player to swap hands with when a 7 is played under the 7-0 rule
+  target?: string;
+}
+
+export function isIntentName(name: string): name is IntentName {
+  return (INTENTS as readonly string[]).includes(name);
+}
+
+/**
+ * The intent a move is sent as.
+ */
+export function intentOf(move: Move): [IntentName, IntentPayload] {
+  if (move.type === 'playCard') {
+    const { card, color, target } = move;
+    return ['playCard', { card, ...(color ? { color } : {}), ...(target ? { target } : {}) }];
+  }
+  return [move.type, {}];
+}
+
+/**
+ * The move `player` makes with an intent, null when the payload makes no sense.
+ */
+export function moveOf(intent: IntentName, player: string, payload: IntentPayload = {}): Move | null {
+  const color = payload.color && CARD_COLORS.includes(payload.color) ? payload.color : undefined;
+  const target = typeof payload.target === 'string' ? payload.target : undefined;
+
+  switch (intent) {
+    case 'playCard':
+      return typeof payload.card === 'string' ? { type: 'playCard', player, card: payload.card, color, target } : null;
+    default:
+      return { type: intent, player };
+  }
+}
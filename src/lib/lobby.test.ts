@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_LOBBY_FILTERS, LobbyTable, filterTables, hasOpenSeat, quickMatchTable } from './lobby';
+
+function listed(id: string, overrides: Partial<LobbyTable> = {}): LobbyTable {
+  return { id, preset: 'classic', targetScore: 0, createdAt: 0, players: 1, maxPlayers: 10, ...overrides };
+}
+
+describe('lobby', () => {
+  const tables = [listed('1'), listed('2', { targetScore: 500 }), listed('3', { preset: 'party' })];
+
+  it('filters on the rules preset', () => {
+    expect(filterTables(tables, DEFAULT_LOBBY_FILTERS)).toEqual(tables);
+    expect(filterTables(tables, { preset: 'classic' }).map(table => table.id)).toEqual(['1', '2']);
+    expect(filterTables(tables, { preset: 'party' }).map(table => table.id)).toEqual(['3']);
+  });
+
+  it('seats quick match at the fullest open table, the oldest of those', () => {
+    const open = [listed('a', { players: 2, createdAt: 2 }), listed('b', { players: 3, createdAt: 3 }), listed('c', { players: 3, createdAt: 1 })];
+    expect(quickMatchTable(open, DEFAULT_LOBBY_FILTERS)?.id).toBe('c');
+    expect(quickMatchTable([listed('full', { players: 10 })], DEFAULT_LOBBY_FILTERS)).toBeNull();
+    expect(hasOpenSeat(listed('x', { players: 9 }))).toBe(true);
+  });
+});
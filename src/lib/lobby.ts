@@ -0,0 +1,39 @@
+import { MAX_PLAYERS, RulesPresetName } from './engine';
+
+// Open tables as the lobby lists them. The server keeps the list and pushes it to everyone on the
+// lobby channel whenever a table is created, someone sits down or leaves, or a game starts.
+
+export interface LobbyTable {
+  // the on-chain game id, which is also the socket room
+  id: string;
+  preset: RulesPresetName;
+  // 0 for a single round
+  targetScore: number;
+  createdAt: number;
+  // seated players and computers
+  players: number;
+  maxPlayers: number;
+}
+
+export interface LobbyFilters {
+  preset: RulesPresetName | 'any';
+}
+
+export const DEFAULT_LOBBY_FILTERS: LobbyFilters = { preset: 'any' };
+
+export function hasOpenSeat(table: LobbyTable): boolean {
+  return table.players < Math.min(table.maxPlayers, MAX_PLAYERS);
+}
+
+export function filterTables(tables: LobbyTable[], filters: LobbyFilters): LobbyTable[] {
+  return tables.filter(table => filters.preset === 'any' || table.preset === filters.preset);
+}
+
+/**
+ * The table Quick Match seats you at: the fullest one with a seat left, so games fill up and start,
+ * and the oldest of those. Null when nothing matches and a new table has to be created.
+ */
+export function quickMatchTable(tables: LobbyTable[], filters: LobbyFilters): LobbyTable | null {
+  const open = filterTables(tables, filters).filter(hasOpenSeat);
+  return [...open].sort((a, b) => b.players - a.players || a.createdAt - b.createdAt)[0] || null;
+}
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_RATING, RATING_K, expectedScore, isTableSize, rateGame } from './matchmaking';
+
+describe('isTableSize', () => {
+  it('takes the table sizes the engine can deal for', () => {
+    expect([1, 2, 4, 10, 11, 2.5, '2'].map(isTableSize)).toEqual([false, true, true, true, false, false, false]);
+  });
+});
+
+describe('expectedScore', () => {
+  it('gives even players an even chance and the stronger player the better one', () => {
+    expect(expectedScore(1200, 1200)).toBe(0.5);
+    expect(expectedScore(1600, 1200)).toBeCloseTo(10 / 11);
+    expect(expectedScore(1200, 1600) + expectedScore(1600, 1200)).toBeCloseTo(1);
+  });
+});
+
+describe('rateGame', () => {
+  it('moves even players by half of K', () => {
+    expect(rateGame({ alice: DEFAULT_RATING, bob: DEFAULT_RATING }, 'alice')).toEqual({
+      alice: DEFAULT_RATING + RATING_K / 2,
+      bob: DEFAULT_RATING - RATING_K / 2,
+    });
+  });
+
+  it('has the winner beat every other player at the table', () => {
+    expect(rateGame({ alice: 1200, bob: 1200, carol: 1200 }, 'alice')).toEqual({ alice: 1232, bob: 1184, carol: 1184 });
+  });
+
+  it('moves the ratings less when the favourite wins than when they lose', () => {
+    const favourite = rateGame({ alice: 1600, bob: 1200 }, 'alice');
+    const upset = rateGame({ alice: 1600, bob: 1200 }, 'bob');
+    expect(favourite.alice - 1600).toBe(3);
+    expect(upset.bob - 1200).toBe(29);
+  });
+
+  it('leaves the ratings alone when the winner was not rated', () => {
+    const ratings = { alice: 1200, bob: 1300 };
+    expect(rateGame(ratings, 'computer')).toBe(ratings);
+  });
+});
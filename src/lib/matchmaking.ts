@@ -0,0 +1,54 @@
+import { MAX_PLAYERS, MIN_PLAYERS } from './engine';
+
+// The matchmaking queue as the play page sees it. Players queue for a table size, the server groups
+// players of similar rating and widens the rating window the longer someone waits.
+
+// table sizes offered on the play page
+export const QUEUE_TABLE_SIZES = [2, 3, 4];
+
+export const DEFAULT_RATING = 1200;
+// the most a rating moves against one opponent in one game
+export const RATING_K = 32;
+
+// sent to every queued player about once a second
+export interface QueueStatus {
+  tableSize: number;
+  rating: number;
+  // how far from their rating opponents may be right now
+  ratingWindow: number;
+  waitedMs: number;
+  // null until enough matches were made to guess
+  estimatedWaitMs: number | null;
+  // everyone queued for the same table size, this player included
+  searching: number;
+}
+
+// a group formed: the host creates the game on chain, the guests wait for its id
+export interface MatchFound {
+  matchId: string;
+  role: 'host' | 'guest';
+  players: number;
+}
+
+export function isTableSize(size: unknown): size is number {
+  return Number.isInteger(size) && (size as number) >= MIN_PLAYERS && (size as number) <= MAX_PLAYERS;
+}
+
+// the chance Elo gives a player rated `rating` of beating one rated `opponent`
+export function expectedScore(rating: number, opponent: number): number {
+  return 1 / (1 + 10 ** ((opponent - rating) / 400));
+}
+
+/**
+ * The ratings after a rated game: the winner beat every other player at the table, the others only
+ * lost to the winner. Every player's change is rounded, the ratings not in `ratings` aren't touched.
+ */
+export function rateGame(ratings: Record<string, number>, winner: string): Record<string, number> {
+  if (!(winner in ratings)) return ratings;
+  const losers = Object.keys(ratings).filter(player => player !== winner);
+  const changes = losers.map(loser => RATING_K * (1 - expectedScore(ratings[winner], ratings[loser])));
+  return {
+    ...Object.fromEntries(losers.map((loser, index) => [loser, Math.round(ratings[loser] - changes[index])])),
+    [winner]: Math.round(ratings[winner] + changes.reduce((total, change) => total + change, 0)),
+  };
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it, vi } from 'vitest';
+import { CLIENT_EVENTS, PROTOCOL_VERSION, SERVER_EVENTS, isCompatibleVersion, roomEvent, validate, validated } from './protocol';
+
+describe('isCompatibleVersion', () => {
+  it('only takes the current version', () => {
+    expect(isCompatibleVersion(PROTOCOL_VERSION)).toBe(true);
+    expect(isCompatibleVersion(PROTOCOL_VERSION - 1)).toBe(false);
+    expect(isCompatibleVersion(String(PROTOCOL_VERSION))).toBe(false);
+    expect(isCompatibleVersion(undefined)).toBe(false);
+  });
+});
+
+describe('validate', () => {
+  it('lets payloads that fit through, extra fields included', () => {
+    expect(validate(CLIENT_EVENTS, 'join', { room: 12, reconnectToken: 'token', somethingElse: true })).toBeNull();
+    expect(validate(CLIENT_EVENTS, 'playCard', { card: 'red 5' })).toBeNull();
+    expect(validate(CLIENT_EVENTS, 'drawCard', undefined)).toBeNull();
+    expect(validate(CLIENT_EVENTS, 'leaveQueue', null)).toBeNull();
+  });
+
+  it('names the first field that does not fit', () => {
+    expect(validate(CLIENT_EVENTS, 'join', { room: {} })).toBe('join.room should be a game id');
+    expect(validate(CLIENT_EVENTS, 'join', 'room 12')).toBe('join should be an object');
+    expect(validate(CLIENT_EVENTS, 'playCard', { color: 'purple' })).toBe('playCard.color should be one of R, G, B, Y');
+    expect(validate(CLIENT_EVENTS, 'botSeats', { bots: [{ name: 'Bot 1' }, { level: 'easy' }] })).toBe('botSeats.bots[1].name should be a string');
+    expect(validate(CLIENT_EVENTS, 'joinQueue', { tableSize: Infinity, session: 'token' })).toBe('joinQueue.tableSize should be a number');
+    expect(validate(CLIENT_EVENTS, 'leaveQueue', { now: true })).toBe('leaveQueue should be empty');
+  });
+
+  it('turns down events the side does not send', () => {
+    expect(validate(CLIENT_EVENTS, 'initGameState', {})).toBe('unknown event initGameState');
+    expect(validate(SERVER_EVENTS, 'sendMessage', { message: 'hi' })).toBe('unknown event sendMessage');
+    expect(validate(CLIENT_EVENTS, 'toString', undefined)).toBe('unknown event toString');
+  });
+
+  it('checks room events whatever room they are for', () => {
+    expect(roomEvent('cardPlayed', 12)).toBe('cardPlayed-12');
+    expect(validate(CLIENT_EVENTS, roomEvent('cardPlayed', 12), { action: {}, newState: {} })).toBeNull();
+    expect(validate(SERVER_EVENTS, roomEvent('gameStarted', 'abc'), {})).toBe('gameStarted-abc.newState is missing');
+    expect(validate(SERVER_EVENTS, 'chatter-12', {})).toBe('unknown event chatter-12');
+  });
+
+  it('checks what the server sends', () => {
+    const clock = { player: null, durationMs: 30_000, remainingMs: 0, timeouts: { alice: 1 }, forfeited: [] };
+    expect(validate(SERVER_EVENTS, 'turnClock', clock)).toBeNull();
+    expect(validate(SERVER_EVENTS, 'turnClock', { ...clock, timeouts: { alice: 'one' } })).toBe('turnClock.timeouts.alice should be a number');
+    expect(validate(SERVER_EVENTS, 'matchFound', { matchId: 'm', role: 'guest', players: 2 })).toBeNull();
+    expect(validate(SERVER_EVENTS, 'matchFound', { matchId: 'm', role: 'owner', players: 2 })).toBe('matchFound.role should be one of host, guest');
+  });
+});
+
+describe('validated', () => {
+  it('only passes payloads that fit on to the listener', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const listener = vi.fn();
+    const onReason = validated('invalidMove', listener);
+    onReason({ reason: 'Not your turn.' }, 'extra');
+    onReason({ reason: 42 });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ reason: 'Not your turn.' }, 'extra');
+    expect(warn).toHaveBeenCalledWith('Dropped a invalidMove message from the server: invalidMove.reason should be a string');
+    warn.mockRestore();
+  });
+});
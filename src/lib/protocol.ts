@@ -0,0 +1,280 @@
+import { CARD_COLORS } from './engine';
+import { INTENTS, IntentName, IntentPayload } from './intents';
+import { MESSAGE_KINDS, REACTIONS } from './chat';
+
+// The socket protocol between the game clients and the server: every event either side sends, the
+// schema of its payload and the version of the whole set. The server checks the version when a client
+// connects and every message it receives against these schemas, clients check what they are sent.
+
+// bump whenever an event is added, removed or its payload changes in a way older clients can't read
+export const PROTOCOL_VERSION = 12;
+
+// the connect error an outdated client gets, and what it tells the player
+export const PROTOCOL_MISMATCH = 'protocol-mismatch';
+export const REFRESH_MESSAGE = 'A new version of the game is out, please refresh the page.';
+// what a player sees when NEXT_PUBLIC_WEBSOCKET_URL points at a server that doesn't run the games
+export const SERVER_REQUIRED = 'Online games need the game server (server/index.ts), this one only passes messages on.';
+
+// what a client sends in the socket.io handshake
+export interface ProtocolAuth {
+  protocol: number;
+}
+
+export const PROTOCOL_AUTH: ProtocolAuth = { protocol: PROTOCOL_VERSION };
+
+export function isCompatibleVersion(version: unknown): boolean {
+  return version === PROTOCOL_VERSION;
+}
+
+// a payload check, the error names the first part of the payload that doesn't fit
+export type Schema<T> = ((value: unknown, path: string) => string | null) & { readonly type?: T };
+
+export type Infer<S> = S extends Schema<infer T> ? T : never;
+
+function schema<T>(check: (value: unknown, path: string) => string | null): Schema<T> {
+  return check as Schema<T>;
+}
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+const str = schema<string>((value, path) => (typeof value === 'string' ? null : `${path} should be a string`));
+const num = schema<number>((value, path) => (Number.isFinite(value) ? null : `${path} should be a number`));
+const bool = schema<boolean>((value, path) => (typeof value === 'boolean' ? null : `${path} should be a boolean`));
+const anything = schema<unknown>(() => null);
+const present = schema<unknown>((value, path) => (value === undefined ? `${path} is missing` : null));
+// events that carry nothing
+const none = schema<undefined>((value, path) => (value === undefined || value === null ? null : `${path} should be empty`));
+
+function oneOf<T extends string>(values: readonly T[]): Schema<T> {
+  return schema((value, path) => (values.includes(value as T) ? null : `${path} should be one of ${values.join(', ')}`));
+}
+
+function optional<T>(inner: Schema<T>): Schema<T | undefined> {
+  return schema((value, path) => (value === undefined ? null : inner(value, path)));
+}
+
+function nullable<T>(inner: Schema<T>): Schema<T | null> {
+  return schema((value, path) => (value === null ? null : inner(value, path)));
+}
+
+function arrayOf<T>(item: Schema<T>): Schema<T[]> {
+  return schema((value, path) => {
+    if (!Array.isArray(value)) return `${path} should be a list`;
+    for (let index = 0; index < value.length; index++) {
+      const error = item(value[index], `${path}[${index}]`);
+      if (error) return error;
+    }
+    return null;
+  });
+}
+
+function record<T>(value: Schema<T>): Schema<Record<string, T>> {
+  return schema((input, path) => {
+    if (!isObject(input)) return `${path} should be an object`;
+    for (const key of Object.keys(input)) {
+      const error = value(input[key], `${path}.${key}`);
+      if (error) return error;
+    }
+    return null;
+  });
+}
+
+type Fields = Record<string, Schema<any>>;
+type OptionalKeys<F extends Fields> = { [K in keyof F]: undefined extends Infer<F[K]> ? K : never }[keyof F];
+type Shape<F extends Fields> = { [K in Exclude<keyof F, OptionalKeys<F>>]: Infer<F[K]> } & { [K in OptionalKeys<F>]?: Infer<F[K]> };
+
+// an object with at least these fields, anything else it carries is let through
+function shape<F extends Fields>(fields: F): Schema<Shape<F>> {
+  return schema((value, path) => {
+    if (!isObject(value)) return `${path} should be an object`;
+    for (const key of Object.keys(fields)) {
+      const error = fields[key](value[key], `${path}.${key}`);
+      if (error) return error;
+    }
+    return null;
+  });
+}
+
+// game ids come from the chain and are sent as strings or numbers
+const roomId = schema<string | number>((value, path) =>
+  typeof value === 'string' || Number.isFinite(value) ? null : `${path} should be a game id`
+);
+
+const botSeat = shape({ name: str, level: optional(str) });
+const botSeats = shape({ bots: arrayOf(botSeat) });
+// the room creator announces its house rules with the commitment, the host its computer seats
+const seedCommit = shape({ player: str, commitment: str, rules: optional(anything), bots: optional(arrayOf(botSeat)) });
+const seedReveal = shape({ player: str, entropy: str });
+
+const chatMessage = shape({
+  id: str,
+  user: str,
+  kind: oneOf(MESSAGE_KINDS),
+  text: str,
+  sentAt: num,
+  reactions: record(arrayOf(str)),
+});
+
+const intentPayload: Schema<IntentPayload | undefined> = optional(
+  shape({ card: optional(str), color: optional(oneOf(CARD_COLORS)), target: optional(str) })
+);
+
+// the view the server sends one seat
+const dealtState = shape({ players: arrayOf(str), turn: str, gameOver: bool });
+const movedState = shape({ players: arrayOf(str), turn: str, gameOver: bool, events: optional(arrayOf(shape({ type: str }))) });
+
+/**
+ * Events sent with the room id appended, `gameStarted-<roomId>`. The on-chain game flow uses them and
+ * both sides send them, so they are checked the same way in either direction.
+ */
+export const ROOM_EVENTS = {
+  gameStarted: shape({ newState: present, cardHashMap: optional(anything) }),
+  cardPlayed: shape({ action: anything, newState: present }),
+};
+
+export type RoomEventName = keyof typeof ROOM_EVENTS;
+
+export function roomEvent<N extends RoomEventName>(name: N, room: string | number): `${N}-${string}` {
+  return `${name}-${room}`;
+}
+
+// what clients send
+export const CLIENT_EVENTS = {
+  // session is the wallet session token, it ties a seat at a rated table to the player's rating
+  join: shape({
+    room: roomId,
+    reconnectToken: optional(str),
+    spectate: optional(bool),
+    access: optional(nullable(str)),
+    session: optional(nullable(str)),
+  }),
+  quitRoom: none,
+  botSeats,
+  seedCommit,
+  seedReveal,
+  // the game is dealt with the rules the room was registered with, the ack carries why it couldn't be
+  startGame: none,
+  ...(Object.fromEntries(INTENTS.map(intent => [intent, intentPayload])) as Record<IntentName, typeof intentPayload>),
+  // message is the text, the quick phrase or the emote name depending on kind, text when it's left out
+  sendMessage: shape({ message: str, kind: optional(oneOf(MESSAGE_KINDS)) }),
+  reactToMessage: shape({ messageId: str, reaction: oneOf(REACTIONS) }),
+  reportMessage: shape({ messageId: str }),
+  // the chat asks for the room's log once it is listening, it only mounts with the game
+  requestChatHistory: none,
+  joinLobby: none,
+  leaveLobby: none,
+  // a wallet signs the message signInChallenge answers with, signIn answers with a session token
+  signInChallenge: none,
+  signIn: shape({ address: str, signature: str }),
+  joinQueue: shape({ tableSize: num, session: str }),
+  leaveQueue: none,
+  createGameRoom: shape({
+    gameId: roomId,
+    // the preset name, with the creator's target score and turn length
+    rules: optional(str),
+    targetScore: optional(num),
+    turnSeconds: optional(num),
+    // set when matchmaking made the sender the host of a group
+    matchId: optional(str),
+    private: optional(bool),
+    password: optional(str),
+    // the wallet session token, only the wallet that created the game on chain sets up its table
+    session: str,
+  }),
+  createComputerGame: shape({ gameId: str, playerAddress: optional(nullable(str)) }),
+  resolveInvite: shape({ code: str, password: optional(str) }),
+  // the on-chain game flow has its own room per game id
+  joinRoom: str,
+  gameStarted: shape({ roomId: str, newState: present, cardHashMap: optional(anything) }),
+};
+
+// what the server sends
+export const SERVER_EVENTS = {
+  currentUserData: shape({
+    name: str,
+    reconnectToken: optional(str),
+    spectator: optional(bool),
+    authoritative: optional(bool),
+    inviteCode: optional(nullable(str)),
+    // a rating is on the line at the table, hints are off
+    ranked: optional(bool),
+  }),
+  roomData: shape({ users: arrayOf(shape({ name: str })), spectators: optional(arrayOf(shape({ name: str }))) }),
+  gameSnapshot: shape({ state: dealtState, bots: optional(arrayOf(botSeat)) }),
+  initGameState: dealtState,
+  updateGameState: movedState,
+  invalidMove: shape({ reason: str }),
+  turnClock: shape({
+    player: nullable(str),
+    durationMs: num,
+    remainingMs: num,
+    timeouts: record(num),
+    forfeited: arrayOf(str),
+  }),
+  botSeats,
+  seedCommit,
+  seedReveal,
+  // the server's share of the deal's seed: committed to during the ceremony, revealed when the game is over
+  serverCommitment: shape({ commitment: str }),
+  serverReveal: shape({ commitment: str, secret: str }),
+  // the hosted relay only sends user and text
+  message: shape({ user: str, text: str, id: optional(str), kind: optional(oneOf(MESSAGE_KINDS)), sentAt: optional(num) }),
+  messageReaction: shape({ messageId: str, user: str, reaction: oneOf(REACTIONS) }),
+  // the room's chat so far, sent to whoever joins
+  chatHistory: shape({ messages: arrayOf(chatMessage) }),
+  lobbyTables: shape({ tables: arrayOf(shape({ id: str, players: num, maxPlayers: num })) }),
+  queueStatus: shape({
+    tableSize: num,
+    rating: num,
+    ratingWindow: num,
+    waitedMs: num,
+    estimatedWaitMs: nullable(num),
+    searching: num,
+  }),
+  matchFound: shape({ matchId: str, role: oneOf(['host', 'guest'] as const), players: num }),
+  matchCancelled: none,
+  matchReady: shape({ gameId: str }),
+  gameRoomCreated: shape({ gameId: str }),
+  // a message the server dropped because it didn't fit its schema
+  protocolError: shape({ event: str, error: str }),
+};
+
+export type ClientEventName = keyof typeof CLIENT_EVENTS;
+export type ServerEventName = keyof typeof SERVER_EVENTS;
+export type ClientPayload<E extends ClientEventName> = Infer<(typeof CLIENT_EVENTS)[E]>;
+export type ServerPayload<E extends ServerEventName> = Infer<(typeof SERVER_EVENTS)[E]>;
+
+function schemaOf(events: Record<string, Schema<unknown>>, event: string): Schema<unknown> | null {
+  if (Object.prototype.hasOwnProperty.call(events, event)) return events[event];
+  const separator = event.indexOf('-');
+  const base = separator > 0 ? event.slice(0, separator) : '';
+  return Object.prototype.hasOwnProperty.call(ROOM_EVENTS, base) ? ROOM_EVENTS[base as RoomEventName] : null;
+}
+
+/**
+ * Why a message doesn't fit the protocol, null when it does. `events` is the side that sends it,
+ * CLIENT_EVENTS or SERVER_EVENTS.
+ */
+export function validate(events: Record<string, Schema<unknown>>, event: string, payload: unknown): string | null {
+  const check = schemaOf(events, event);
+  return check ? check(payload, event) : `unknown event ${event}`;
+}
+
+/**
+ * A listener for a server event that only hears payloads fitting its schema. Keep the returned
+ * function to take the listener off again.
+ */
+export function validated<E extends ServerEventName | `${RoomEventName}-${string}`>(
+  event: E,
+  listener: (payload: any, ...rest: any[]) => void
+): (payload: unknown, ...rest: any[]) => void {
+  return (payload, ...rest) => {
+    const error = validate(SERVER_EVENTS, event, payload);
+    if (error) {
+      console.warn(`Dropped a ${event} message from the server: ${error}`);
+      return;
+    }
+    listener(payload, ...rest);
+  };
+}
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { combineEntropy, commitEntropy, createEntropy, createRandom, deriveSeed, reshuffleDiscards, shuffleWithSeed, verifyReveal } from './shuffle';
+
+const SEED = `0x${'22'.repeat(32)}`;
+const CARDS = Array.from({ length: 20 }, (_, i) => i);
+
+describe('seeded shuffle', () => {
+  it('orders the cards the same way for the same seed', () => {
+    const shuffled = shuffleWithSeed(CARDS, SEED);
+    expect(shuffleWithSeed(CARDS, SEED)).toEqual(shuffled);
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(CARDS);
+    expect(shuffled).not.toEqual(CARDS);
+  });
+
+  it('leaves the cards it was given alone', () => {
+    const cards = [...CARDS];
+    shuffleWithSeed(cards, SEED);
+    expect(cards).toEqual(CARDS);
+  });
+
+  it('gives each label its own seed', () => {
+    expect(deriveSeed(SEED, 'deal')).toBe(deriveSeed(SEED, 'deal'));
+    expect(deriveSeed(SEED, 'deal')).not.toBe(deriveSeed(SEED, 'reshuffle:1'));
+    expect(shuffleWithSeed(CARDS, deriveSeed(SEED, 'reshuffle:1'))).not.toEqual(shuffleWithSeed(CARDS, deriveSeed(SEED, 'reshuffle:2')));
+  });
+
+  it('draws integers in range', () => {
+    const random = createRandom(SEED);
+    for (let i = 0; i < 200; i++) {
+      const value = random.nextInt(7);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(7);
+    }
+  });
+});
+
+describe('reshuffleDiscards', () => {
+  it('keeps the top card face up and shuffles the rest into the draw pile', () => {
+    const { drawPile, discardPile } = reshuffleDiscards(['1R', '2R', '3R', '9G'], cards => [...cards].reverse());
+    expect(discardPile).toEqual(['9G']);
+    expect(drawPile).toEqual(['3R', '2R', '1R']);
+  });
+
+  it('has nothing to reshuffle under a single card', () => {
+    expect(reshuffleDiscards(['9G'], cards => cards)).toEqual({ drawPile: [], discardPile: ['9G'] });
+    expect(reshuffleDiscards([], cards => cards)).toEqual({ drawPile: [], discardPile: [] });
+  });
+});
+
+describe('commit-reveal', () => {
+  it('only accepts the entropy a player committed to', () => {
+    const entropy = createEntropy();
+    const commitment = commitEntropy('Player 1', entropy);
+    expect(verifyReveal(commitment, 'Player 1', entropy)).toBe(true);
+    expect(verifyReveal(commitment, 'Player 2', entropy)).toBe(false);
+    expect(verifyReveal(commitment, 'Player 1', createEntropy())).toBe(false);
+    expect(verifyReveal(commitment, 'Player 1', 'not hex')).toBe(false);
+  });
+
+  it('combines the reveals the same way whatever order they came in', () => {
+    const [a, b] = [createEntropy(), createEntropy()];
+    expect(combineEntropy({ 'Player 1': a, 'Player 2': b })).toBe(combineEntropy({ 'Player 2': b, 'Player 1': a }));
+    expect(combineEntropy({ 'Player 1': a, 'Player 2': b })).not.toBe(combineEntropy({ 'Player 1': b, 'Player 2': a }));
+  });
+});
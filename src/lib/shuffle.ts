@@ -0,0 +1,109 @@
+import { ethers } from 'ethers';
+
+// Every shuffle in the client goes through here. Shuffles are driven by a keccak256 based
+// generator, so a 32 byte seed reproduces exactly the same card order on every machine and
+// a finished game can be replayed and audited from its seed.
+//
+// The seed of an online game is not picked by any one client: each player commits to some
+// private entropy, reveals it once every commitment is in, and the seed is the hash of all reveals.
+// The server mixes in a secret of its own, committed to before anyone reveals and published when the
+// game is over, so nobody can work out the other hands from the reveals while the game runs.
+
+export type Seed = string;
+
+const UINT32_RANGE = 2 ** 32;
+
+// deterministic stream of uint32s: keccak256(seed, block counter), 8 words per block
+export function createRandom(seed: Seed) {
+  let counter = 0;
+  let words: number[] = [];
+
+  const nextUint32 = (): number => {
+    if (words.length === 0) {
+      const block = ethers.getBytes(ethers.solidityPackedKeccak256(['bytes32', 'uint256'], [seed, counter++]));
+      for (let i = 0; i < block.length; i += 4) {
+        words.push(((block[i] << 24) | (block[i + 1] << 16) | (block[i + 2] << 8) | block[i + 3]) >>> 0);
+      }
+    }
+    return words.shift()!;
+  };
+
+  // uniform integer in [0, max), rejection sampling keeps it free of modulo bias
+  const nextInt = (max: number): number => {
+    const limit = UINT32_RANGE - (UINT32_RANGE % max);
+    let value = nextUint32();
+    while (value >= limit) {
+      value = nextUint32();
+    }
+    return value % max;
+  };
+
+  return { nextUint32, nextInt };
+}
+
+// Fisher-Yates shuffle of a copy of `items`
+export function shuffleWithSeed<T>(items: T[], seed: Seed): T[] {
+  const random = createRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = random.nextInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// the one reshuffle every draw path uses when the draw pile runs out: the top of the discard
+// pile stays face up, everything under it is shuffled into the new draw pile
+export function reshuffleDiscards<T>(discardPile: T[], shuffle: (cards: T[]) => T[]): { drawPile: T[]; discardPile: T[] } {
+  if (discardPile.length < 2) return { drawPile: [], discardPile: [...discardPile] };
+  return {
+    drawPile: shuffle(discardPile.slice(0, -1)),
+    discardPile: discardPile.slice(-1),
+  };
+}
+
+// independent seeds for the deal, each reshuffle, each round... all derived from the game seed
+export function deriveSeed(seed: Seed, label: string): Seed {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'string'], [seed, label]));
+}
+
+export function randomSeed(): Seed {
+  return ethers.hexlify(ethers.randomBytes(32));
+}
+
+// commit-reveal
+
+export function createEntropy(): string {
+  return randomSeed();
+}
+
+export function commitEntropy(player: string, entropy: string): string {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['string', 'bytes32'], [player, entropy]));
+}
+
+export function verifyReveal(commitment: string, player: string, entropy: string): boolean {
+  try {
+    return commitEntropy(player, entropy) === commitment;
+  } catch {
+    return false;
+  }
+}
+
+// the name the server commits to its share of an online game's seed under
+export const SERVER_ENTROPY = 'server';
+
+// the seed an online game is dealt from, the players' agreed seed mixed with the server's secret
+export function withServerEntropy(seed: Seed, secret: string): Seed {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'bytes32'], [seed, secret]));
+}
+
+// the game seed: every player's revealed entropy hashed together in seat-name order
+export function combineEntropy(reveals: Record<string, string>): Seed {
+  const players = Object.keys(reveals).sort();
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ['string[]', 'bytes32[]'],
+      [players, players.map(player => reveals[player])]
+    )
+  );
+}
@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { STOPPED_CLOCK, secondsLeft } from './turnClock';
+
+describe('secondsLeft', () => {
+  const clock = { ...STOPPED_CLOCK, player: 'Player 1', durationMs: 10_000, remainingMs: 8000 };
+
+  it('counts down from when the clock was received, in whole seconds', () => {
+    expect(secondsLeft(clock, 1000, 1000)).toBe(8);
+    expect(secondsLeft(clock, 1000, 1001)).toBe(8);
+    expect(secondsLeft(clock, 1000, 2000)).toBe(7);
+  });
+
+  it('stops at zero', () => {
+    expect(secondsLeft(clock, 1000, 20_000)).toBe(0);
+    expect(secondsLeft(STOPPED_CLOCK, 0, 0)).toBe(0);
+  });
+});
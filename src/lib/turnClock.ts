@@ -0,0 +1,29 @@
+// The turn clock the server keeps for every online game. The player on turn has the room's
+// turnSeconds to move, when the time runs out the server draws and passes for them, and a player
+// who runs out of time too many turns in a row forfeits their seat to a computer.
+
+// turns in a row a player may let run out before they forfeit
+export const TIMEOUTS_BEFORE_FORFEIT = 3;
+
+// turn lengths offered on the play page, 0 turns the clock off
+export const TURN_SECONDS_OPTIONS = [10, 15, 20, 30, 60, 0];
+
+// sent to the room whenever the clock is restarted or stopped
+export interface TurnClock {
+  // the player the clock runs for, null while nobody is timed (computers, between rounds, no limit)
+  player: string | null;
+  durationMs: number;
+  // time left when the clock was sent, clients count down from when they got it
+  remainingMs: number;
+  // turns in a row each player let run out
+  timeouts: Record<string, number>;
+  // players a computer plays for after they ran out of time too often
+  forfeited: string[];
+}
+
+export const STOPPED_CLOCK: TurnClock = { player: null, durationMs: 0, remainingMs: 0, timeouts: {}, forfeited: [] };
+
+// whole seconds left on a clock received at `receivedAt`
+export function secondsLeft(clock: TurnClock, receivedAt: number, now: number = Date.now()): number {
+  return Math.max(Math.ceil((clock.remainingMs - (now - receivedAt)) / 1000), 0);
+}
@@ -1,4 +1,5 @@
 import { ethers } from "ethers";
+import { HouseRules } from "./engine";
 
 export type CardColor = 'red' | 'blue' | 'green' | 'yellow' | 'wild';
 export type CardValue = '0' | '1' | '2' | '3' | '4' | '5' | '6' | '7' | '8' | '9' | 'skip' | 'reverse' | 'draw2' | 'wild' | 'wild_draw4';
@@ -25,6 +26,13 @@ export interface OffChainGameState {
     lastPlayedCardHash: string | null;
     stateHash: string;
     isStarted: boolean;
+    // house rules picked for the room, DEFAULT_RULES when missing
+    rules?: HouseRules;
+    // cards owed by the current player while draw cards are being stacked
+    pendingDraw?: number;
+    // seed agreed through commit-reveal, every shuffle of the game is derived from it
+    seed?: string;
+    reshuffleCount?: number;
   }
 
 export interface OnChainGameState {
@@ -43,6 +51,8 @@ export interface Action {
   type: ActionType;
   player: string;
   cardHash?: string;
+  // player to swap hands with when a 7 is played under the 7-0 rule
+  targetPlayer?: string;
 }
 
 export interface UnoGameContract {
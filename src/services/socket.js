@@ -1,4 +1,5 @@
 import io from "socket.io-client";
+import { PROTOCOL_AUTH } from "@/lib/protocol";
 
 const ENDPOINT = process.env.NEXT_PUBLIC_WEBSOCKET_URL;
 
@@ -7,7 +8,12 @@ const connectionOptions = {
   reconnectionAttempts: "Infinity",
   timeout: 10000,
   transports: ["websocket"],
+  //the server checks the protocol version before it takes the connection
+  auth: PROTOCOL_AUTH,
 };
 const socket = io.connect(ENDPOINT, connectionOptions);
 
+//a message the server dropped because it didn't fit the protocol
+socket.on("protocolError", ({ event, error }) => console.warn(`The server dropped ${event}: ${error}`));
+
 export default socket;
\ No newline at end of file
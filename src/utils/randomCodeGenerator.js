@@ -1,6 +1,8 @@
-function randomCodeGenerator(n) {
+// letters and digits nobody mixes up when reading a code out loud: no 0/O or 1/I/L
+export const READABLE_CODE_CHARACTERS = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function randomCodeGenerator(n, possible = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789") {
   var randomCode = "";
-  var possible = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
 
   for (var i = 0; i < n; i++) {
     randomCode += possible.charAt(Math.floor(Math.random() * possible.length));
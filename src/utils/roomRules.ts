@@ -0,0 +1,45 @@
+import { getRulesPreset, RulesPreset, RulesPresetName } from '@/lib/engine';
+
+// The room creator picks a house-rules preset on the play page, and the match target and turn
+// timer to go with it; they are kept per room so the creator's client can deal the game with them
+// when the room fills up.
+
+const STORAGE_KEY = 'zunno:roomRules';
+
+interface StoredRoomRules {
+  preset: RulesPresetName;
+  targetScore?: number;
+  turnSeconds?: number;
+}
+
+function readAll(): Record<string, StoredRoomRules> {
+  if (typeof window === 'undefined') return {};
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+// a preset with its match target score swapped for the one picked on the play page
+export function withTargetScore(preset: RulesPreset, targetScore?: number | null): RulesPreset {
+  if (targetScore == null || Number.isNaN(targetScore)) return preset;
+  return { ...preset, rules: { ...preset.rules, targetScore } };
+}
+
+// ...and with the turn timer picked there
+export function withTurnSeconds(preset: RulesPreset, turnSeconds?: number | null): RulesPreset {
+  if (turnSeconds == null || Number.isNaN(turnSeconds)) return preset;
+  return { ...preset, rules: { ...preset.rules, turnSeconds } };
+}
+
+export function saveRoomRules(room: string, preset: RulesPresetName, targetScore?: number, turnSeconds?: number) {
+  if (typeof window === 'undefined') return;
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readAll(), [room]: { preset, targetScore, turnSeconds } }));
+}
+
+// null when this browser didn't create the room
+export function loadRoomRules(room: string): RulesPreset | null {
+  const stored = readAll()[room];
+  return stored ? withTurnSeconds(withTargetScore(getRulesPreset(stored.preset), stored.targetScore), stored.turnSeconds) : null;
+}
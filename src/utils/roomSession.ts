@@ -0,0 +1,37 @@
+// The server hands every player a reconnect token for their seat. It is kept per room in the tab's
+// session storage, so a refresh or a dropped connection rejoins the same seat instead of a new one.
+
+const STORAGE_KEY = 'zunno:roomSessions';
+
+export interface RoomSession {
+  token: string;
+  seat: string;
+}
+
+function readAll(): Record<string, RoomSession> {
+  if (typeof window === 'undefined') return {};
+  try {
+    return JSON.parse(window.sessionStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function writeAll(sessions: Record<string, RoomSession>) {
+  if (typeof window === 'undefined') return;
+  window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+}
+
+export function saveRoomSession(room: string, session: RoomSession) {
+  writeAll({ ...readAll(), [room]: session });
+}
+
+export function loadRoomSession(room: string): RoomSession | null {
+  return readAll()[room] || null;
+}
+
+// after leaving a room on purpose
+export function clearRoomSession(room: string) {
+  const { [room]: _left, ...rest } = readAll();
+  writeAll(rest);
+}
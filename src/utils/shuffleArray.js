@@ -1,10 +1,6 @@
-const shuffleArray = (arr) => {
-  let newArr = [...arr];
-  for (let i = newArr.length - 1; i > 0; i--) {
-    let j = Math.floor(Math.random() * (i + 1));
-    [newArr[i], newArr[j]] = [newArr[j], newArr[i]];
-  }
-  return newArr;
-};
+import { randomSeed, shuffleWithSeed } from "../lib/shuffle";
+
+//shuffles with the seeded crypto generator, pass a seed to get the same order back
+const shuffleArray = (arr, seed = randomSeed()) => shuffleWithSeed(arr, seed);
 
 export default shuffleArray;
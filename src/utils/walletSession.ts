@@ -0,0 +1,32 @@
+// Rated games are keyed on a wallet the player signed in with. The session token the server hands out
+// for it is kept in local storage so the wallet only signs again once the server stops taking the token.
+
+const STORAGE_KEY = 'zunno:walletSession';
+
+export interface WalletSession {
+  token: string;
+  // lowercase, as the server keys it
+  address: string;
+}
+
+export function saveWalletSession(session: WalletSession) {
+  if (typeof window === 'undefined') return;
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+}
+
+// the saved session, null when there is none or it belongs to another wallet
+export function loadWalletSession(address?: string | null): WalletSession | null {
+  if (typeof window === 'undefined') return null;
+  try {
+    const session: WalletSession | null = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    return session && (!address || session.address === address.toLowerCase()) ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+// after the server turned the token down
+export function clearWalletSession() {
+  if (typeof window === 'undefined') return;
+  window.localStorage.removeItem(STORAGE_KEY);
+}
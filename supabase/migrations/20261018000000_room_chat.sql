@@ -0,0 +1,39 @@
+-- Room chat logs and reported messages, written by the socket server (server/chat.ts, SupabaseChatStore)
+-- through chatApi in src/utils/supabase.ts. Times are milliseconds since the epoch, as the server sends them.
+-- Row level security is on without policies: only the server's service role key (SUPABASE_SERVICE_ROLE_KEY)
+-- reads and writes these tables, so nobody can get around the rate limits and the word filter.
+
+create table if not exists public.room_chat_messages (
+  id text primary key,
+  -- the game id of the room
+  room_id text not null,
+  user_name text not null,
+  kind text not null default 'text' check (kind in ('text', 'phrase', 'emote')),
+  -- the typed text, the quick phrase or the emote name
+  text text not null,
+  sent_at bigint not null,
+  -- who reacted with what, reaction => seat names
+  reactions jsonb not null default '{}'::jsonb
+);
+
+-- the latest messages of a room
+create index if not exists room_chat_messages_room_sent_at on public.room_chat_messages (room_id, sent_at desc);
+
+create table if not exists public.chat_reports (
+  id bigint generated always as identity primary key,
+  game_id text not null,
+  message_id text not null,
+  reported_user text not null,
+  -- the message as it was when it was reported
+  text text not null,
+  sent_at bigint not null,
+  reporter text not null,
+  reported_at bigint not null,
+  -- a player reports a message once
+  unique (game_id, message_id, reporter)
+);
+
+create index if not exists chat_reports_game on public.chat_reports (game_id);
+
+alter table public.room_chat_messages enable row level security;
+alter table public.chat_reports enable row level security;